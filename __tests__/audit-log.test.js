@@ -0,0 +1,32 @@
+// __tests__/audit-log.test.js
+// Audit event shaping and paged export, against the in-memory event store.
+const { createAuditLog, diffFields } = require('../audit/auditLog');
+const { createMemoryAuditEventRepository } = require('../repositories/auditEventRepository');
+
+describe('audit log', () => {
+    it('should only report fields whose value changed', () => {
+        expect(diffFields(
+            { username: 'a', email: 'a@example.com', role: 'user' },
+            { username: 'b', email: 'a@example.com', role: 'user' },
+            ['username', 'email', 'role'],
+        )).toEqual({ username: { from: 'a', to: 'b' } });
+    });
+
+    it('should reject unknown actions', async () => {
+        const auditLog = createAuditLog({ repository: createMemoryAuditEventRepository() });
+        await expect(auditLog.record({ action: 'user.teleported' })).rejects.toThrow(/Unknown audit action/);
+    });
+
+    it('should export every event across pages in the order recorded', async () => {
+        const auditLog = createAuditLog({ repository: createMemoryAuditEventRepository(), exportPageSize: 2 });
+        const targets = ['00000000-0000-4000-8000-000000000001', '00000000-0000-4000-8000-000000000002'];
+        for (let i = 0; i < 5; i++) {
+            await auditLog.record({ action: 'user.updated', targetUserId: targets[i % 2], metadata: { i } });
+        }
+
+        const exported = [];
+        for await (const event of auditLog.exportEvents({ targetUserId: targets[0] })) exported.push(event.metadata.i);
+
+        expect(exported).toEqual([0, 2, 4]);
+    });
+});
@@ -0,0 +1,85 @@
+// __tests__/auth-middleware.test.js
+// Covers the trusted gateway header mode, which the integration suite leaves disabled.
+const express = require('express');
+const request = require('supertest');
+const { createAuthMiddleware } = require('../auth/middleware');
+const { TokenError } = require('../auth/jwt');
+
+const tokenService = {
+    verifyAccessToken(token) {
+        if (token !== 'valid-token') throw new TokenError('Invalid token signature');
+        return { sub: 'token-user', role: 'user', username: 'tokenuser' };
+    },
+};
+
+// Stands in for auth/roleService.js: only 'admin' and 'support' grant anything
+const roles = {
+    async permissionsFor(names) {
+        const granted = { admin: ['profiles:read', 'profiles:write'], support: ['profiles:read'] };
+        return [...new Set(names.flatMap(name => granted[name] || []))].sort();
+    },
+};
+
+function createTestApp(trustGatewayHeaders) {
+    const { requireCaller, requireSelfOrPermission } = createAuthMiddleware({ tokenService, roles, trustGatewayHeaders });
+    const app = express();
+    app.get('/profiles/:userId', requireCaller, requireSelfOrPermission('profiles:read'), (req, res) => res.json(req.caller));
+    return app;
+}
+
+describe('auth middleware with trusted gateway headers', () => {
+    const app = createTestApp(true);
+
+    it('should identify the caller from X-User-ID and X-User-Role', async () => {
+        const res = await request(app)
+            .get('/profiles/other-user')
+            .set('X-User-ID', 'gateway-admin')
+            .set('X-User-Role', 'admin');
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({ id: 'gateway-admin', role: 'admin', roles: ['admin'], permissions: ['profiles:read', 'profiles:write'], source: 'gateway' });
+    });
+
+    it('should read several comma-separated roles from X-User-Role', async () => {
+        const res = await request(app)
+            .get('/profiles/other-user')
+            .set('X-User-ID', 'gateway-agent')
+            .set('X-User-Role', 'agent, support');
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ role: 'agent', roles: ['agent', 'support'], permissions: ['profiles:read'] });
+    });
+
+    it("should default the gateway caller's role to user", async () => {
+        const res = await request(app).get('/profiles/other-user').set('X-User-ID', 'gateway-user');
+
+        expect(res.status).toBe(403);
+    });
+
+    it('should prefer a bearer token over gateway headers', async () => {
+        const res = await request(app)
+            .get('/profiles/token-user')
+            .set('Authorization', 'Bearer valid-token')
+            .set('X-User-ID', 'gateway-admin')
+            .set('X-User-Role', 'admin');
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ source: 'token', roles: ['user'], permissions: [] });
+    });
+
+    it('should reject a non-bearer Authorization header', async () => {
+        const res = await request(app).get('/profiles/token-user').set('Authorization', 'Basic abc');
+
+        expect(res.status).toBe(401);
+    });
+});
+
+describe('auth middleware without trusted gateway headers', () => {
+    it('should not identify callers from gateway headers', async () => {
+        const res = await request(createTestApp(false))
+            .get('/profiles/gateway-admin')
+            .set('X-User-ID', 'gateway-admin');
+
+        expect(res.status).toBe(401);
+    });
+});
@@ -0,0 +1,96 @@
+// __tests__/avatars.test.js
+// Thumbnail generation of the avatar service with in-memory storage, and the local disk storage.
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { createAvatarService, AvatarError, AVATAR_SIZES } = require('../avatars/avatarService');
+const { createLocalStorage, createMemoryStorage } = require('../avatars/storage');
+const { createMemoryUserRepository } = require('../repositories/memoryUserRepository');
+
+function image(format, { width = 300, height = 200 } = {}) {
+    return sharp({ create: { width, height, channels: 3, background: { r: 200, g: 40, b: 40 } } })
+        .withMetadata({ exif: { IFD0: { Copyright: 'secret camera' } } })
+        .toFormat(format)
+        .toBuffer();
+}
+
+describe('Avatar service', () => {
+    async function createService(config = {}) {
+        const storage = createMemoryStorage();
+        const userRepository = createMemoryUserRepository();
+        const user = await userRepository.create({ username: 'pictured', email: 'pictured@example.com', password_hash: 'x' });
+        const service = createAvatarService({
+            storage,
+            userRepository,
+            config: { baseUrl: 'https://cdn.example.com/avatars', maxPixels: 1_000_000, quality: 80, ...config },
+        });
+        return { service, user };
+    }
+
+    it('should store square WebP thumbnails without metadata and set a stable avatar_url', async () => {
+        const { service, user } = await createService();
+
+        const profile = await service.upload(user.id, await image('jpeg'), 'image/jpeg');
+        expect(profile.avatar_url).toBe(`https://cdn.example.com/avatars/${user.id}/256.webp`);
+
+        for (const size of AVATAR_SIZES) {
+            const metadata = await sharp(await service.read(user.id, size)).metadata();
+            expect(metadata).toMatchObject({ format: 'webp', width: size, height: size });
+            expect(metadata.exif).toBeUndefined();
+        }
+
+        const again = await service.upload(user.id, await image('png'), 'image/png');
+        expect(again.avatar_url).toBe(profile.avatar_url);
+    });
+
+    it('should reject files that are not images of the declared type or too large', async () => {
+        const { service, user } = await createService();
+
+        await expect(service.upload(user.id, Buffer.from('not an image'), 'image/png')).rejects.toThrow(AvatarError);
+        await expect(service.upload(user.id, await image('png'), 'image/jpeg')).rejects.toThrow('The file is not a image/jpeg image');
+        await expect(service.upload(user.id, await image('png', { width: 2000, height: 1000 }), 'image/png')).rejects.toThrow('Images are limited to 1000000 pixels');
+        expect(await service.read(user.id, 64)).toBeNull();
+    });
+
+    it('should remove the thumbnails with the avatar and on account cleanup', async () => {
+        const { service, user } = await createService();
+        await service.upload(user.id, await image('webp'), 'image/webp');
+
+        expect((await service.remove(user.id)).avatar_url).toBeNull();
+        expect(await service.read(user.id, 128)).toBeNull();
+
+        await service.upload(user.id, await image('webp'), 'image/webp');
+        await service.cleanupTarget.cleanup(user.id);
+        expect(await service.read(user.id, 256)).toBeNull();
+    });
+});
+
+describe('Local avatar storage', () => {
+    let dir;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'avatars-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should write, replace, read and remove files under its directory', async () => {
+        const storage = createLocalStorage({ dir });
+
+        await storage.put('user-1/64.webp', Buffer.from('first'));
+        await storage.put('user-1/64.webp', Buffer.from('second'));
+        expect((await storage.get('user-1/64.webp')).toString()).toBe('second');
+        expect(await fs.readdir(path.join(dir, 'user-1'))).toEqual(['64.webp']);
+
+        await storage.remove('user-1/64.webp');
+        expect(await storage.get('user-1/64.webp')).toBeNull();
+        await storage.remove('user-1/64.webp');
+    });
+
+    it('should refuse keys outside its directory', async () => {
+        await expect(createLocalStorage({ dir }).put('../escape.webp', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    });
+});
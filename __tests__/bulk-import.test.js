@@ -0,0 +1,146 @@
+// __tests__/bulk-import.test.js
+// CSV reading/writing, the row checks of the bulk profile import and the paging of the
+// profile export, against the in-memory user store.
+const { parseCsv, csvLine, CsvParseError } = require('../bulk/csv');
+const { createProfileImporter, parseImport, ImportError } = require('../bulk/profileImport');
+const { createProfileExporter } = require('../bulk/profileExport');
+const { createMemoryUserRepository } = require('../repositories/memoryUserRepository');
+const { createMemoryTable } = require('../repositories/tables');
+const { createRoleService, PERMISSIONS } = require('../auth/roleService');
+
+const HASH = '$2b$10$abcdefghijklmnopqrstuuABCDEFGHIJKLMNOPQRSTUVWXYZ01234';
+
+describe('CSV', () => {
+    it('should read quoted fields, doubled quotes and line breaks inside quotes', () => {
+        const records = parseCsv('\uFEFFa,b\r\n"x, y","say ""hi"""\n\n"multi\nline",z\n');
+
+        expect(records).toEqual([
+            { line: 1, fields: ['a', 'b'] },
+            { line: 2, fields: ['x, y', 'say "hi"'] },
+            { line: 4, fields: ['multi\nline', 'z'] },
+        ]);
+    });
+
+    it('should reject an unterminated quote', () => {
+        expect(() => parseCsv('a,b\n"open,c\n')).toThrow(CsvParseError);
+    });
+
+    it('should quote fields when needed and neutralise formulas', () => {
+        expect(csvLine(['plain', 'a,b', 'say "hi"', null, '=SUM(A1)'])).toBe('plain,"a,b","say ""hi""",,\'=SUM(A1)\r\n');
+    });
+});
+
+describe('Profile import', () => {
+    function createImporter() {
+        const userRepository = createMemoryUserRepository();
+        const invites = [];
+        const importer = createProfileImporter({
+            userRepository,
+            passwordService: { sendInvite: async (user) => { invites.push(user.email); } },
+            roleService: createRoleService({ roles: createMemoryTable(), userRepository }),
+        });
+        return { importer, userRepository, invites };
+    }
+
+    it('should map CSV columns by header and reject unknown columns', () => {
+        expect(parseImport('Email,username\na@example.com,alice\n', 'csv')).toEqual([
+            { line: 2, values: { email: 'a@example.com', username: 'alice' } },
+        ]);
+        expect(() => parseImport('username,email,pasword_hash\n', 'csv')).toThrow('Unknown column(s): pasword_hash');
+        expect(() => parseImport('username\n', 'csv')).toThrow('Missing required column: email');
+        expect(() => parseImport('', 'ndjson')).toThrow(ImportError);
+    });
+
+    it('should report unreadable NDJSON lines without failing the file', () => {
+        const rows = parseImport('{"username":"alice","email":"a@example.com"}\nnot json\n[1]\n', 'ndjson');
+
+        expect(rows.map(row => row.error || 'ok')).toEqual(['ok', 'Line is not valid JSON', 'Line is not a JSON object']);
+    });
+
+    it('should create valid rows, invite users without a hash and skip bad ones', async () => {
+        const { importer, userRepository, invites } = createImporter();
+        await userRepository.create({ username: 'taken', email: 'taken@example.com', password_hash: 'x' });
+        const created = [];
+
+        const report = await importer.importProfiles(parseImport([
+            'username,email,role,password_hash',
+            `alice,alice@example.com,admin,${HASH}`,
+            'bob,bob@example.com,,',
+            'bob,other@example.com,,',
+            'taken,new@example.com,,',
+            'x,bad-email,Owner,',
+            'carol,carol@example.com,owner,',
+        ].join('\n'), 'csv'), { permissions: Object.keys(PERMISSIONS), onCreated: async (user) => { created.push(user.username); } });
+
+        expect(report.summary).toEqual({ total: 6, created: 2, valid: 0, invalid: 2, duplicate: 2, failed: 0 });
+        expect(report.rows.map(row => row.status)).toEqual(['created', 'created', 'duplicate', 'duplicate', 'invalid', 'invalid']);
+        expect(report.rows[1]).toMatchObject({ invited: true });
+        expect(report.rows[0].invited).toBeUndefined();
+        expect(report.rows[2].errors).toEqual([{ field: 'username', message: 'username already appears on line 3' }]);
+        expect(report.rows[4].errors.map(error => error.field)).toEqual(['username', 'email', 'role']);
+        expect(report.rows[5].errors).toEqual([{ field: 'role', message: 'Unknown role: owner' }]);
+        expect(created).toEqual(['alice', 'bob']);
+        expect(invites).toEqual(['bob@example.com']);
+
+        const alice = await userRepository.findCredentialsById(report.rows[0].userId);
+        expect(alice).toMatchObject({ role: 'admin', password_hash: HASH });
+        expect((await userRepository.findCredentialsById(report.rows[1].userId)).password_hash).toBeNull();
+    });
+
+    it('should reject roles granting permissions the importing caller does not hold', async () => {
+        const { importer, userRepository } = createImporter();
+
+        const report = await importer.importProfiles([
+            { line: 1, values: { username: 'mallory', email: 'mallory@example.com', role: 'admin', password_hash: HASH } },
+            { line: 2, values: { username: 'plain', email: 'plain@example.com', role: 'user' } },
+        ], { permissions: ['profiles:import'] });
+
+        expect(report.rows[0]).toMatchObject({ status: 'invalid', errors: [{ field: 'role', message: 'Role admin grants permissions you do not hold' }] });
+        expect(report.rows[1].status).toBe('created');
+        expect(await userRepository.findByIdentifier('mallory')).toBeNull();
+    });
+
+    it('should store $2y$ hashes under the equivalent $2b$ prefix', async () => {
+        const { importer, userRepository } = createImporter();
+
+        const report = await importer.importProfiles([
+            { line: 1, values: { username: 'php', email: 'php@example.com', password_hash: HASH.replace('$2b$', '$2y$') } },
+        ]);
+
+        expect((await userRepository.findCredentialsById(report.rows[0].userId)).password_hash).toBe(HASH);
+    });
+
+    it('should create nobody in a dry run', async () => {
+        const { importer, userRepository, invites } = createImporter();
+
+        const report = await importer.importProfiles([
+            { line: 1, values: { username: 'alice', email: 'alice@example.com' } },
+            { line: 2, values: { username: 'alice2', email: 'alice@example.com' } },
+        ], { dryRun: true });
+
+        expect(report).toMatchObject({ dryRun: true, summary: { total: 2, valid: 1, duplicate: 1, created: 0 } });
+        expect(await userRepository.list()).toEqual([]);
+        expect(invites).toEqual([]);
+    });
+});
+
+describe('Profile export', () => {
+    it('should not skip profiles when users are deleted between pages', async () => {
+        const userRepository = createMemoryUserRepository();
+        for (const name of ['a', 'b', 'c', 'd', 'e']) {
+            await userRepository.create({ username: name, email: `${name}@example.com`, password_hash: HASH });
+        }
+        const exporter = createProfileExporter({ userRepository, pageSize: 2 });
+
+        const exported = [];
+        for await (const profile of exporter.profiles()) {
+            exported.push(profile.username);
+            // Deleting an already exported user would shift every later offset by one
+            if (exported.length === 2) await userRepository.softDelete(profile.id);
+        }
+
+        const { profiles } = await userRepository.search({ limit: 10, sort: 'created_at', order: 'asc' });
+        expect(exported).toHaveLength(5);
+        expect(exported.slice(2)).toEqual(profiles.slice(1).map(profile => profile.username));
+    });
+});
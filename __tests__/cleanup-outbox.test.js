@@ -0,0 +1,147 @@
+// __tests__/cleanup-outbox.test.js
+// Retry, backoff and lease behaviour of the cleanup outbox, driven by a fake clock.
+const { createCleanupOutbox, summarizeJobs } = require('../cleanup/outbox');
+const http = require('http');
+const { createTargetRegistry, createHttpTarget } = require('../cleanup/targets');
+const { runWithRequestId, currentRequestId } = require('../logging');
+const { createMemoryTable } = require('../repositories/tables');
+
+function setup({ failures = {} } = {}) {
+    let clock = Date.parse('2026-01-01T00:00:00Z');
+    const calls = [];
+    const requestIds = [];
+    const targets = createTargetRegistry();
+    for (const name of ['properties', 'bookings']) {
+        targets.register({
+            name,
+            async cleanup(userId) {
+                calls.push(`${name}:${userId}`);
+                requestIds.push(currentRequestId());
+                if (failures[name] > 0) {
+                    failures[name] -= 1;
+                    throw new Error(`${name} unavailable`);
+                }
+            },
+        });
+    }
+    const outbox = createCleanupOutbox({
+        table: createMemoryTable(),
+        targets,
+        config: { maxAttempts: 3, retryBaseSeconds: 10, retryMaxSeconds: 1000, leaseSeconds: 30 },
+        now: () => clock,
+    });
+    return { outbox, calls, requestIds, advance: (seconds) => { clock += seconds * 1000; } };
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('cleanup outbox', () => {
+    it('should create one job per registered target and run them', async () => {
+        const { outbox, calls } = setup();
+        await outbox.enqueue('user-1');
+
+        expect(await outbox.processDue()).toBe(2);
+        expect(calls).toEqual(['properties:user-1', 'bookings:user-1']);
+
+        const jobs = await outbox.jobsForUser('user-1');
+        expect(jobs.map(job => job.status)).toEqual(['succeeded', 'succeeded']);
+        expect(summarizeJobs(jobs)).toBe('completed');
+    });
+
+    it('should retry failed jobs with exponential backoff', async () => {
+        const { outbox, calls, advance } = setup({ failures: { properties: 2 } });
+        await outbox.enqueue('user-1');
+
+        await outbox.processDue();
+        expect(summarizeJobs(await outbox.jobsForUser('user-1'))).toBe('pending');
+
+        // First retry is due after 10 seconds
+        advance(9);
+        expect(await outbox.processDue()).toBe(0);
+        advance(1);
+        expect(await outbox.processDue()).toBe(1);
+
+        // Second retry after another 20 seconds
+        advance(19);
+        expect(await outbox.processDue()).toBe(0);
+        advance(1);
+        expect(await outbox.processDue()).toBe(1);
+
+        expect(calls.filter(call => call.startsWith('properties'))).toHaveLength(3);
+        expect(summarizeJobs(await outbox.jobsForUser('user-1'))).toBe('completed');
+    });
+
+    it('should give up after the maximum number of attempts', async () => {
+        const { outbox, advance } = setup({ failures: { properties: 10 } });
+        await outbox.enqueue('user-1');
+
+        for (let i = 0; i < 5; i++) {
+            await outbox.processDue();
+            advance(1000);
+        }
+
+        const [job] = (await outbox.jobsForUser('user-1')).filter(j => j.target === 'properties');
+        expect(job).toMatchObject({ status: 'failed', attempts: 3, last_error: 'properties unavailable' });
+        expect(summarizeJobs(await outbox.jobsForUser('user-1'))).toBe('failed');
+    });
+
+    it('should discard the jobs of a deletion that did not happen', async () => {
+        const { outbox } = setup();
+        await outbox.enqueue('user-1');
+        await outbox.discard('user-1');
+
+        expect(await outbox.jobsForUser('user-1')).toEqual([]);
+        expect(await outbox.processDue()).toBe(0);
+    });
+
+    it('should run jobs under the request ID that queued them', async () => {
+        const { outbox, requestIds } = setup();
+        await runWithRequestId('req-delete-1', () => outbox.enqueue('user-1'));
+
+        await outbox.processDue();
+
+        expect(requestIds).toEqual(['req-delete-1', 'req-delete-1']);
+    });
+});
+
+describe('HTTP cleanup target', () => {
+    let server;
+    let received;
+
+    beforeEach(async () => {
+        received = [];
+        server = http.createServer((req, res) => {
+            received.push({ method: req.method, url: req.url, requestId: req.headers['x-request-id'], apiKey: req.headers['x-api-key'] });
+            res.statusCode = 204;
+            res.end();
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should forward the current request ID as X-Request-ID', async () => {
+        const target = createHttpTarget('properties', `http://127.0.0.1:${server.address().port}/properties/user/{userId}`);
+
+        await runWithRequestId('req-42', () => target.cleanup('user-1'));
+
+        expect(received).toEqual([{ method: 'DELETE', url: '/properties/user/user-1', requestId: 'req-42', apiKey: undefined }]);
+    });
+
+    it("should authenticate with this service's API key", async () => {
+        const target = createHttpTarget('properties', `http://127.0.0.1:${server.address().port}/properties/user/{userId}`, { apiKey: 'usk_own-key' });
+
+        await target.cleanup('user-1');
+
+        expect(received[0].apiKey).toBe('usk_own-key');
+    });
+});
@@ -0,0 +1,162 @@
+// __tests__/data-export.test.js
+// Building, retrying and expiring personal data exports, driven by a fake clock.
+const http = require('http');
+const { createDataExportService } = require('../dataExport/service');
+const { createHttpSource } = require('../dataExport/sources');
+const { createTargetRegistry } = require('../cleanup/targets');
+const { createMemoryTable } = require('../repositories/tables');
+const { createMemoryUserRepository } = require('../repositories/memoryUserRepository');
+
+async function setup({ failures = 0, collect } = {}) {
+    let clock = Date.parse('2026-01-01T00:00:00Z');
+    const userRepository = createMemoryUserRepository();
+    const user = await userRepository.create({ username: 'subject', email: 'subject@example.com', password_hash: 'x' });
+    const events = [
+        { id: 'e1', action: 'user.registered', target_user_id: user.id, actor_id: user.id, created_at: '2026-01-01T00:00:01Z' },
+        { id: 'e2', action: 'user.updated', target_user_id: 'other', actor_id: user.id, created_at: '2026-01-01T00:00:02Z' },
+    ];
+    const sources = createTargetRegistry();
+    sources.register({
+        name: 'properties',
+        async collect(userId) {
+            if (collect) return collect(userId);
+            if (failures > 0) {
+                failures -= 1;
+                throw new Error('properties unavailable');
+            }
+            return [{ id: 'p1', ownerId: userId }];
+        },
+    });
+
+    const service = createDataExportService({
+        table: createMemoryTable(),
+        userRepository,
+        auditLog: {
+            async *exportEvents({ targetUserId, actorId }) {
+                yield* events.filter(event => (targetUserId ? event.target_user_id === targetUserId : event.actor_id === actorId));
+            },
+        },
+        sessions: { history: async () => [{ id: 's1', revokedReason: 'logout' }] },
+        mfa: { status: async () => ({ enabled: false }) },
+        sources,
+        config: { ttlSeconds: 3600, maxAttempts: 2, retryBaseSeconds: 10, retryMaxSeconds: 100, leaseSeconds: 30 },
+        now: () => clock,
+    });
+    return { service, user, advance: (seconds) => { clock += seconds * 1000; } };
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('data export service', () => {
+    it('should queue one export and build the archive from every source', async () => {
+        const { service, user } = await setup();
+
+        const first = await service.request(user.id, user.id);
+        const again = await service.request(user.id, user.id);
+        expect(first.created).toBe(true);
+        expect(again).toEqual({ dataExport: first.dataExport, created: false });
+        expect(await service.archive(user.id)).toBeNull();
+
+        expect(await service.processDue()).toBe(1);
+
+        const archive = await service.archive(user.id);
+        expect(archive).toMatchObject({
+            userId: user.id,
+            profile: { id: user.id, username: 'subject' },
+            twoFactorAuthentication: { enabled: false },
+            sessions: [{ id: 's1', revokedReason: 'logout' }],
+            services: { properties: [{ id: 'p1', ownerId: user.id }] },
+        });
+        expect(archive.auditEvents.map(event => event.id)).toEqual(['e1', 'e2']);
+        expect(archive.profile).not.toHaveProperty('password_hash');
+        expect(await service.latest(user.id)).toMatchObject({ status: 'completed', attempts: 1, expiresAt: '2026-01-01T01:00:00.000Z' });
+    });
+
+    it('should retry when a source fails and give up after the last attempt', async () => {
+        const { service, user, advance } = await setup({ failures: 2 });
+        await service.request(user.id, user.id);
+
+        await service.processDue();
+        expect(await service.latest(user.id)).toMatchObject({ status: 'pending', attempts: 1, lastError: 'properties unavailable' });
+        expect(await service.processDue()).toBe(0);
+
+        advance(10);
+        await service.processDue();
+        expect(await service.latest(user.id)).toMatchObject({ status: 'failed', attempts: 2 });
+
+        // A failed export does not block a new request
+        expect((await service.request(user.id, user.id)).created).toBe(true);
+    });
+
+    it('should drop the archive once it expires', async () => {
+        const { service, user, advance } = await setup();
+        await service.request(user.id, user.id);
+        await service.processDue();
+
+        advance(3600);
+        expect(await service.archive(user.id)).toBeNull();
+        expect((await service.latest(user.id)).status).toBe('expired');
+
+        await service.processDue();
+        expect((await service.request(user.id, user.id)).created).toBe(true);
+    });
+
+    it('should discard the result of a run whose lease was taken over by another worker', async () => {
+        let calls = 0;
+        let release;
+        const { service, user, advance } = await setup({
+            collect: async (userId) => {
+                const call = ++calls;
+                if (call === 1) await new Promise(resolve => { release = resolve; });
+                return [{ id: `p${call}`, ownerId: userId }];
+            },
+        });
+        await service.request(user.id, user.id);
+
+        const slow = service.processDue();
+        await new Promise(resolve => setImmediate(resolve));
+        advance(31);
+        expect(await service.processDue()).toBe(1);
+        release();
+        await slow;
+
+        expect(await service.latest(user.id)).toMatchObject({ status: 'completed', attempts: 1 });
+        expect((await service.archive(user.id)).services.properties).toEqual([{ id: 'p2', ownerId: user.id }]);
+    });
+});
+
+describe('HTTP data export source', () => {
+    let server;
+    let received;
+
+    beforeEach(async () => {
+        received = [];
+        server = http.createServer((req, res) => {
+            received.push({ method: req.method, url: req.url, apiKey: req.headers['x-api-key'] });
+            const found = req.url.endsWith('/user-1');
+            res.statusCode = found ? 200 : 404;
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(found ? [{ id: 'p1' }] : { error: 'Not found' }));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should return the JSON body, or null when the service has nothing', async () => {
+        const source = createHttpSource('properties', `http://127.0.0.1:${server.address().port}/properties/user/{userId}`, { apiKey: 'usk_own-key' });
+
+        expect(await source.collect('user-1')).toEqual([{ id: 'p1' }]);
+        expect(await source.collect('user-2')).toBeNull();
+        expect(received[0]).toEqual({ method: 'GET', url: '/properties/user/user-1', apiKey: 'usk_own-key' });
+    });
+});
@@ -0,0 +1,120 @@
+// __tests__/health.test.js
+// Readiness checks with timeouts and the graceful shutdown sequence, with stand-in servers.
+const { EventEmitter } = require('events');
+const { createReadiness } = require('../health/checks');
+const { createGracefulShutdown, createInFlightTracker } = require('../health/shutdown');
+
+const silentLog = { info: () => {}, warn: () => {}, error: () => {} };
+
+describe('readiness', () => {
+    it('should report every check and fail when one fails', async () => {
+        const readiness = createReadiness({
+            checks: [
+                { name: 'userStore', check: async () => {} },
+                { name: 'propertiesService', check: async () => { throw new Error('connect ECONNREFUSED'); } },
+            ],
+        });
+
+        const result = await readiness.check();
+
+        expect(result.status).toBe('fail');
+        expect(result.checks.userStore.status).toBe('ok');
+        expect(result.checks.propertiesService).toMatchObject({ status: 'fail', error: 'connect ECONNREFUSED' });
+    });
+
+    it('should fail checks that exceed the timeout', async () => {
+        const readiness = createReadiness({
+            checks: [{ name: 'userStore', check: () => new Promise(() => {}) }],
+            timeoutMs: 20,
+        });
+
+        const result = await readiness.check();
+
+        expect(result.checks.userStore).toMatchObject({ status: 'fail', error: 'userStore check timed out after 20ms' });
+    });
+
+    it('should report draining without running checks once shutdown starts', async () => {
+        const check = jest.fn();
+        const readiness = createReadiness({ checks: [{ name: 'userStore', check }] });
+
+        readiness.startDraining();
+
+        expect(await readiness.check()).toEqual({ status: 'draining', checks: {} });
+        expect(check).not.toHaveBeenCalled();
+    });
+});
+
+describe('graceful shutdown', () => {
+    function fakeServer() {
+        const server = {
+            closeCallback: null,
+            close: jest.fn(callback => { server.closeCallback = callback; }),
+            closeIdleConnections: jest.fn(),
+            closeAllConnections: jest.fn(),
+        };
+        return server;
+    }
+
+    function setup({ deadlineMs = 1000 } = {}) {
+        const server = fakeServer();
+        const readiness = createReadiness({ checks: [] });
+        const inFlight = createInFlightTracker(readiness);
+        const worker = { stop: jest.fn(async () => {}) };
+        const exit = jest.fn();
+        const shutdown = createGracefulShutdown({ server, readiness, inFlight, workers: [worker], deadlineMs, log: silentLog, exit });
+        return { server, readiness, worker, exit, shutdown };
+    }
+
+    it('should fail readiness, stop workers and exit once the server has closed', async () => {
+        const { server, readiness, worker, exit, shutdown } = setup();
+
+        const done = shutdown.shutdown('SIGTERM');
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(readiness.draining).toBe(true);
+        expect(server.close).toHaveBeenCalled();
+        expect(server.closeIdleConnections).toHaveBeenCalled();
+        expect(worker.stop).toHaveBeenCalled();
+        expect(exit).not.toHaveBeenCalled();
+
+        server.closeCallback();
+        await done;
+        expect(exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should force the exit when requests outlast the deadline', async () => {
+        const { server, exit, shutdown } = setup({ deadlineMs: 20 });
+
+        shutdown.shutdown('SIGINT');
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(server.closeAllConnections).toHaveBeenCalled();
+        expect(exit).toHaveBeenCalledWith(1);
+    });
+
+    it('should drain only once for repeated signals', async () => {
+        const { server, shutdown } = setup();
+        const proc = new EventEmitter();
+        shutdown.install(proc);
+
+        proc.emit('SIGTERM');
+        proc.emit('SIGINT');
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(server.close).toHaveBeenCalledTimes(1);
+    });
+
+    it('should ask clients to close keep-alive connections while draining', () => {
+        const readiness = createReadiness({ checks: [] });
+        const inFlight = createInFlightTracker(readiness);
+        const res = Object.assign(new EventEmitter(), { set: jest.fn() });
+
+        readiness.startDraining();
+        inFlight.middleware()({}, res, () => {});
+
+        expect(inFlight.active).toBe(1);
+        expect(res.set).toHaveBeenCalledWith('Connection', 'close');
+        res.emit('close');
+        expect(inFlight.active).toBe(0);
+    });
+});
@@ -0,0 +1,97 @@
+// __tests__/logging.test.js
+// Structured log entries, level filtering, request context and redaction.
+const { createLogger } = require('../logging/logger');
+const { runWithRequestId } = require('../logging/context');
+const { redact } = require('../logging/redact');
+
+function captureLogger(options) {
+    const entries = [];
+    const logger = createLogger({ ...options, write: (level, line) => entries.push(JSON.parse(line)) });
+    return { logger, entries };
+}
+
+describe('logger', () => {
+    it('should write one JSON entry with level, message, bindings and fields', () => {
+        const { logger, entries } = captureLogger({ bindings: { service: 'user-service' } });
+
+        logger.child({ component: 'Cleanup' }).info('Cleanup succeeded', { userId: 'u1', attempts: 2 });
+
+        expect(entries).toEqual([
+            expect.objectContaining({ level: 'info', msg: 'Cleanup succeeded', service: 'user-service', component: 'Cleanup', userId: 'u1', attempts: 2 }),
+        ]);
+        expect(Date.parse(entries[0].time)).not.toBeNaN();
+    });
+
+    it('should drop entries below the configured level', () => {
+        const { logger, entries } = captureLogger({ level: 'warn' });
+
+        logger.debug('debug');
+        logger.info('info');
+        logger.warn('warn');
+        logger.error('error');
+
+        expect(entries.map(entry => entry.level)).toEqual(['warn', 'error']);
+    });
+
+    it('should reject unknown levels', () => {
+        expect(() => createLogger({ level: 'verbose' })).toThrow(/Unknown log level/);
+    });
+
+    it('should include the current request ID', async () => {
+        const { logger, entries } = captureLogger();
+
+        await runWithRequestId('req-123', async () => {
+            await Promise.resolve();
+            logger.info('inside');
+        });
+        logger.info('outside');
+
+        expect(entries[0].requestId).toBe('req-123');
+        expect(entries[1]).not.toHaveProperty('requestId');
+    });
+
+    it('should serialize errors', () => {
+        const { logger, entries } = captureLogger();
+
+        logger.error('Failed', { error: new Error('boom') });
+
+        expect(entries[0].error).toMatchObject({ name: 'Error', message: 'boom' });
+        expect(entries[0].error.stack).toMatch(/boom/);
+    });
+});
+
+describe('redaction', () => {
+    it('should replace passwords, hashes, tokens and secrets', () => {
+        expect(redact({
+            username: 'alice',
+            password: 'hunter22',
+            newPassword: 'hunter23',
+            password_hash: '$2b$10$abc',
+            refreshToken: 'rt',
+            headers: { authorization: 'Bearer x' },
+            webhook: { secret: 'whsec_x' },
+        })).toEqual({
+            username: 'alice',
+            password: '[REDACTED]',
+            newPassword: '[REDACTED]',
+            password_hash: '[REDACTED]',
+            refreshToken: '[REDACTED]',
+            headers: { authorization: '[REDACTED]' },
+            webhook: { secret: '[REDACTED]' },
+        });
+    });
+
+    it('should mask email addresses anywhere, keeping the domain', () => {
+        expect(redact({ email: 'alice@example.com', note: 'sent to bob.smith@mail.example.org today', list: ['c@d.io'] })).toEqual({
+            email: '***@example.com',
+            note: 'sent to ***@mail.example.org today',
+            list: ['***@d.io'],
+        });
+    });
+
+    it('should redact log messages too', () => {
+        const { logger, entries } = captureLogger();
+        logger.warn('Duplicate alice@example.com');
+        expect(entries[0].msg).toBe('Duplicate ***@example.com');
+    });
+});
@@ -0,0 +1,89 @@
+// __tests__/login-throttle.test.js
+// Lockout timing rules of the login throttle, driven by a fake clock.
+const { createLoginThrottle } = require('../auth/loginThrottle');
+const { createMemoryStore } = require('../kv');
+
+function createThrottle(config = {}) {
+    let clock = 1_000_000;
+    const now = () => clock;
+    const throttle = createLoginThrottle({
+        store: createMemoryStore({ now }),
+        config: {
+            maxFailures: 3,
+            ipMaxFailures: 5,
+            lockoutSeconds: 10,
+            maxLockoutSeconds: 40,
+            failureWindowSeconds: 60,
+            ...config,
+        },
+        now,
+    });
+    return { throttle, advance: (seconds) => { clock += seconds * 1000; } };
+}
+
+const account = { userId: 'user-1', identifier: 'someone' };
+
+describe('login throttle', () => {
+    it('should lock the account once the threshold is reached', async () => {
+        const { throttle } = createThrottle();
+
+        await throttle.recordFailure(account, '10.0.0.1');
+        await throttle.recordFailure(account, '10.0.0.1');
+        expect(await throttle.accountRetryAfter(account)).toBe(0);
+
+        await throttle.recordFailure(account, '10.0.0.1');
+        expect(await throttle.accountRetryAfter(account)).toBe(10);
+    });
+
+    it('should count concurrent failures without losing any', async () => {
+        const { throttle } = createThrottle();
+
+        await Promise.all([1, 2, 3].map(() => throttle.recordFailure(account, '10.0.0.1')));
+        expect(await throttle.accountRetryAfter(account)).toBe(10);
+    });
+
+    it('should double the lockout with each further failure up to the maximum', async () => {
+        const { throttle, advance } = createThrottle();
+        for (let i = 0; i < 3; i++) await throttle.recordFailure(account, '10.0.0.1');
+
+        advance(10);
+        await throttle.recordFailure(account, '10.0.0.1');
+        expect(await throttle.accountRetryAfter(account)).toBe(20);
+
+        advance(20);
+        await throttle.recordFailure(account, '10.0.0.1');
+        expect(await throttle.accountRetryAfter(account)).toBe(40);
+
+        advance(40);
+        await throttle.recordFailure(account, '10.0.0.1');
+        expect(await throttle.accountRetryAfter(account)).toBe(40);
+    });
+
+    it('should forget failures after the window passes', async () => {
+        const { throttle, advance } = createThrottle();
+        await throttle.recordFailure(account, '10.0.0.1');
+        await throttle.recordFailure(account, '10.0.0.1');
+
+        advance(61);
+        await throttle.recordFailure(account, '10.0.0.1');
+        expect(await throttle.accountRetryAfter(account)).toBe(0);
+    });
+
+    it('should block an IP spraying many accounts', async () => {
+        const { throttle } = createThrottle();
+        for (let i = 0; i < 5; i++) {
+            await throttle.recordFailure({ identifier: `victim${i}` }, '10.0.0.2');
+        }
+
+        expect(await throttle.ipRetryAfter('10.0.0.2')).toBe(10);
+        expect(await throttle.ipRetryAfter('10.0.0.3')).toBe(0);
+    });
+
+    it('should clear the account lock on unlock', async () => {
+        const { throttle } = createThrottle();
+        for (let i = 0; i < 3; i++) await throttle.recordFailure(account, '10.0.0.1');
+
+        await throttle.unlock(account.userId);
+        expect(await throttle.accountRetryAfter(account)).toBe(0);
+    });
+});
@@ -0,0 +1,58 @@
+// __tests__/metrics.test.js
+// Prometheus text rendering of the metrics registry.
+const { createRegistry } = require('../metrics/registry');
+
+describe('metrics registry', () => {
+    it('should render labelled counters', () => {
+        const registry = createRegistry();
+        const counter = registry.counter({ name: 'logins_total', help: 'Logins', labelNames: ['result'] });
+
+        counter.inc({ result: 'success' });
+        counter.inc({ result: 'success' });
+        counter.inc({ result: 'fail"ure' }, 3);
+
+        expect(registry.render()).toBe([
+            '# HELP logins_total Logins',
+            '# TYPE logins_total counter',
+            'logins_total{result="success"} 2',
+            'logins_total{result="fail\\"ure"} 3',
+            '',
+        ].join('\n'));
+    });
+
+    it('should render cumulative histogram buckets with sum and count', () => {
+        const registry = createRegistry();
+        const histogram = registry.histogram({ name: 'latency_seconds', help: 'Latency', labelNames: ['route'], buckets: [0.1, 1] });
+
+        histogram.observe({ route: '/a' }, 0.05);
+        histogram.observe({ route: '/a' }, 0.5);
+        histogram.observe({ route: '/a' }, 2);
+
+        expect(registry.render()).toContain([
+            'latency_seconds_bucket{route="/a",le="0.1"} 1',
+            'latency_seconds_bucket{route="/a",le="1"} 2',
+            'latency_seconds_bucket{route="/a",le="+Inf"} 3',
+            'latency_seconds_sum{route="/a"} 2.55',
+            'latency_seconds_count{route="/a"} 3',
+        ].join('\n'));
+    });
+
+    it('should reject unknown or missing labels and duplicate names', () => {
+        const registry = createRegistry();
+        const counter = registry.counter({ name: 'x_total', help: 'X', labelNames: ['a'] });
+
+        expect(() => counter.inc({ b: '1' })).toThrow(/Unknown label "b"/);
+        expect(() => counter.inc({})).toThrow(/Missing label "a"/);
+        expect(() => registry.counter({ name: 'x_total', help: 'X' })).toThrow(/already registered/);
+    });
+
+    it('should collect gauges when rendering', () => {
+        const registry = createRegistry();
+        let value = 1;
+        registry.gauge({ name: 'queue_depth', help: 'Depth', collect: () => value });
+
+        value = 7;
+
+        expect(registry.render()).toContain('queue_depth 7');
+    });
+});
@@ -0,0 +1,110 @@
+// __tests__/mfa.test.js
+// RFC 6238 codes and the enrollment / second-factor rules of the MFA service, driven by a fake clock.
+const { generateTotp, verifyTotp, base32Encode, otpauthUri } = require('../auth/totp');
+const { createMfaService, MfaError } = require('../auth/mfaService');
+const { createMemoryTable } = require('../repositories/tables');
+
+describe('TOTP', () => {
+    // RFC 6238 appendix B (SHA-1), truncated to 6 digits
+    const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+    it('should match the RFC 6238 test vectors', () => {
+        expect(generateTotp(secret, { timeMs: 59_000 })).toBe('287082');
+        expect(generateTotp(secret, { timeMs: 1_111_111_109_000 })).toBe('081804');
+        expect(generateTotp(secret, { timeMs: 2_000_000_000_000 })).toBe('279037');
+    });
+
+    it('should accept codes one step either side of the current one', () => {
+        const code = generateTotp(secret, { timeMs: 59_000 });
+
+        expect(verifyTotp(secret, code, { timeMs: 59_000 })).toBe(1);
+        expect(verifyTotp(secret, code, { timeMs: 89_000 })).toBe(1);
+        expect(verifyTotp(secret, code, { timeMs: 120_000 })).toBeNull();
+        expect(verifyTotp(secret, 'abcdef', { timeMs: 59_000 })).toBeNull();
+    });
+
+    it('should build an otpauth URI for authenticator apps', () => {
+        expect(otpauthUri({ secret: 'ABC', accountName: 'a@example.com', issuer: 'Acme' }))
+            .toBe('otpauth://totp/Acme%3Aa%40example.com?secret=ABC&issuer=Acme&algorithm=SHA1&digits=6&period=30');
+    });
+});
+
+describe('MFA service', () => {
+    const user = { id: 'user-1', email: 'a@example.com' };
+
+    function createService() {
+        let clock = 1_700_000_000_000;
+        const service = createMfaService({
+            factors: createMemoryTable(),
+            recoveryCodes: createMemoryTable(),
+            config: { encryptionKey: 'test-key', issuer: 'Test', challengeTtl: 300, recoveryCodeCount: 3 },
+            now: () => clock,
+        });
+        return { service, advance: (seconds) => { clock += seconds * 1000; }, code: (secret) => generateTotp(secret, { timeMs: clock }) };
+    }
+
+    async function enroll({ service, code, advance }) {
+        const { secret } = await service.beginEnrollment(user);
+        const { recoveryCodes } = await service.confirmEnrollment(user.id, code(secret));
+        advance(30);
+        return { secret, recoveryCodes };
+    }
+
+    it('should only enable 2FA after the enrollment is confirmed', async () => {
+        const context = createService();
+        const { secret } = await context.service.beginEnrollment(user);
+        expect(await context.service.isEnabled(user.id)).toBe(false);
+
+        await expect(context.service.confirmEnrollment(user.id, '000000')).rejects.toThrow(MfaError);
+        await context.service.confirmEnrollment(user.id, context.code(secret));
+
+        expect(await context.service.status(user.id)).toMatchObject({ enabled: true, enrollmentPending: false, recoveryCodesRemaining: 3 });
+        await expect(context.service.beginEnrollment(user)).rejects.toThrow('already enabled');
+    });
+
+    it('should never accept the same code twice', async () => {
+        const context = createService();
+        const { secret } = await enroll(context);
+        const code = context.code(secret);
+
+        await expect(context.service.verifySecondFactor(user.id, { code })).resolves.toEqual({ method: 'totp' });
+        await expect(context.service.verifySecondFactor(user.id, { code })).rejects.toThrow('Invalid authentication code');
+    });
+
+    it('should store only hashes of single-use recovery codes', async () => {
+        const recoveryCodes = createMemoryTable();
+        const clock = 1_700_000_000_000;
+        const service = createMfaService({
+            factors: createMemoryTable(),
+            recoveryCodes,
+            config: { encryptionKey: 'test-key', issuer: 'Test', challengeTtl: 300, recoveryCodeCount: 3 },
+            now: () => clock,
+        });
+        const { secret } = await service.beginEnrollment(user);
+        const { recoveryCodes: codes } = await service.confirmEnrollment(user.id, generateTotp(secret, { timeMs: clock }));
+
+        const stored = await recoveryCodes.find({ user_id: user.id });
+        expect(stored.map(row => row.code_hash)).not.toContain(codes[0]);
+
+        await expect(service.verifySecondFactor(user.id, { recoveryCode: ` ${codes[0].toUpperCase()} ` })).resolves.toEqual({ method: 'recovery_code' });
+        await expect(service.verifySecondFactor(user.id, { recoveryCode: codes[0] })).rejects.toThrow('Invalid recovery code');
+    });
+
+    it('should expire challenges', async () => {
+        const context = createService();
+        const { challengeToken } = context.service.createChallenge(user);
+        expect(context.service.readChallenge(challengeToken)).toBe(user.id);
+
+        context.advance(301);
+        expect(() => context.service.readChallenge(challengeToken)).toThrow('Invalid or expired MFA challenge');
+    });
+
+    it('should remove the authenticator and recovery codes on reset', async () => {
+        const context = createService();
+        await enroll(context);
+
+        expect(await context.service.reset(user.id)).toBe(true);
+        expect(await context.service.status(user.id)).toEqual({ enabled: false, enrollmentPending: false, enabledAt: null, recoveryCodesRemaining: 0 });
+        expect(await context.service.reset(user.id)).toBe(false);
+    });
+});
@@ -0,0 +1,117 @@
+// __tests__/openapi.test.js
+// JSON Schema checks behind response validation, and building the document from a small app.
+const express = require('express');
+const request = require('supertest');
+const { validateSchema } = require('../openapi/jsonSchema');
+const { buildDocument } = require('../openapi/document');
+const { describe: describeRoute } = require('../openapi/describe');
+const { validate, string, optional, uuid } = require('../validation');
+
+describe('validateSchema', () => {
+    const document = {
+        components: {
+            schemas: {
+                Item: {
+                    type: 'object',
+                    required: ['id', 'name'],
+                    properties: { id: { type: 'string', format: 'uuid' }, name: { type: 'string', minLength: 1 }, note: { type: 'string', nullable: true } },
+                    additionalProperties: false,
+                },
+            },
+        },
+    };
+    const itemList = { type: 'array', items: { $ref: '#/components/schemas/Item' } };
+
+    it('should accept values matching the schema', () => {
+        expect(validateSchema([{ id: '0b9e6a4e-5c1e-4a0e-9a53-3c2b9f1f8d11', name: 'a', note: null }], itemList, { document })).toEqual([]);
+    });
+
+    it('should report every violation with its path', () => {
+        const violations = validateSchema([{ id: 'nope', name: '', extra: 1 }], itemList, { document });
+
+        expect(violations).toEqual(expect.arrayContaining([
+            { path: '[0].id', message: expect.stringContaining('uuid') },
+            { path: '[0].name', message: expect.any(String) },
+            { path: '[0].extra', message: expect.any(String) },
+        ]));
+        expect(violations).toHaveLength(3);
+    });
+
+    it('should require exactly one matching oneOf branch', () => {
+        const schema = { oneOf: [{ type: 'string' }, { type: 'integer' }] };
+
+        expect(validateSchema(3, schema)).toEqual([]);
+        expect(validateSchema(true, schema)).toHaveLength(1);
+    });
+});
+
+describe('buildDocument', () => {
+    const marker = (openapi) => Object.assign((req, res, next) => next(), { openapi });
+
+    function createApp() {
+        const app = express();
+        const router = express.Router();
+        router.use('/things', marker({ authentication: 'required' }), marker({ access: 'Admins only.' }));
+        router.get('/things/:id', describeRoute({ summary: 'Get a thing', tags: ['Things'], responses: { 200: 'Thing', 404: 'Error' } }),
+            validate({ params: { id: uuid() }, query: { expand: optional(string()) } }),
+            (req, res) => res.json({ id: req.params.id }));
+        app.use(router);
+        app.post('/open', describeRoute({ summary: 'Open', responses: { 204: null } }), (req, res) => res.status(204).send());
+        app.get('/forgotten', (req, res) => res.send('ok'));
+        return app;
+    }
+
+    it('should derive parameters, security and error responses from the route middleware', () => {
+        const { document } = buildDocument(createApp(), { info: { title: 'Test', version: '1' } });
+        const operation = document.paths['/things/{id}'].get;
+
+        expect(operation.security).toEqual([{ bearerAuth: [] }]);
+        expect(operation.description).toBe('Access: Admins only.');
+        expect(operation.parameters).toEqual([
+            { name: 'id', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } },
+            { name: 'expand', in: 'query', required: false, schema: { type: 'string', minLength: 1 } },
+        ]);
+        expect(Object.keys(operation.responses).sort()).toEqual(['200', '400', '401', '403', '404', '500']);
+        expect(document.paths['/open'].post.security).toBeUndefined();
+    });
+
+    it('should list routes without a describe() annotation', () => {
+        expect(buildDocument(createApp(), { info: {} }).undocumented).toEqual(['GET /forgotten']);
+    });
+});
+
+describe('response validation', () => {
+    afterEach(() => { delete process.env.OPENAPI_VALIDATE_RESPONSES; });
+
+    function createApp(body, status = 200) {
+        const app = express();
+        app.get('/item', describeRoute({ responses: { 200: { schema: { type: 'object', required: ['id'], properties: { id: { type: 'integer' } } } } } }),
+            (req, res) => res.status(status).json(body));
+        return app;
+    }
+
+    it('should replace responses that do not match the document with a 500', async () => {
+        process.env.OPENAPI_VALIDATE_RESPONSES = 'true';
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const res = await request(createApp({ id: 'one' })).get('/item');
+
+        expect(res.status).toBe(500);
+        expect(res.body.details).toEqual([{ field: 'id', message: expect.any(String) }]);
+        console.error.mockRestore();
+    });
+
+    it('should treat undocumented statuses as mismatches', async () => {
+        process.env.OPENAPI_VALIDATE_RESPONSES = 'true';
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect((await request(createApp({ error: 'x' }, 418)).get('/item')).status).toBe(500);
+        console.error.mockRestore();
+    });
+
+    it('should pass responses through when validation is off', async () => {
+        const res = await request(createApp({ id: 'one' })).get('/item');
+
+        expect(res.status).toBe(200);
+    });
+});
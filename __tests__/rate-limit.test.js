@@ -0,0 +1,166 @@
+// __tests__/rate-limit.test.js
+// Token-bucket accounting of the key-value store and the rate limit middleware, driven by a fake clock.
+const express = require('express');
+const request = require('supertest');
+const { createMemoryStore } = require('../kv');
+const { createRateLimiter, createAllowList } = require('../rateLimit/rateLimiter');
+const { configFromEnv } = require('../rateLimit');
+
+function createClock() {
+    let clock = 1_000_000;
+    return { now: () => clock, advance: (seconds) => { clock += seconds * 1000; } };
+}
+
+describe('takeTokens', () => {
+    const bucket = { capacity: 3, refillPerSecond: 1 };
+
+    it('should allow bursts up to the capacity, then refill over time', async () => {
+        const { now, advance } = createClock();
+        const store = createMemoryStore({ now });
+
+        for (let i = 2; i >= 0; i--) {
+            expect(await store.takeTokens('k', bucket)).toMatchObject({ allowed: true, remaining: i });
+        }
+        expect(await store.takeTokens('k', bucket)).toEqual({ allowed: false, remaining: 0, retryAfterMs: 1000, resetMs: 3000 });
+
+        advance(1);
+        expect(await store.takeTokens('k', bucket)).toMatchObject({ allowed: true, remaining: 0 });
+    });
+
+    it('should forget the bucket once it is full again', async () => {
+        const { now, advance } = createClock();
+        const store = createMemoryStore({ now });
+        await store.takeTokens('k', bucket);
+
+        advance(10);
+        expect(await store.takeTokens('k', bucket)).toMatchObject({ allowed: true, remaining: 2 });
+    });
+});
+
+describe('rate limiter', () => {
+    function createApp(config = {}, store) {
+        const { now, advance } = createClock();
+        const limiter = createRateLimiter({
+            store: store || createMemoryStore({ now }),
+            config: {
+                enabled: true,
+                policies: {
+                    strict: { limit: 2, windowSeconds: 60, key: 'ip' },
+                    perUser: { limit: 1, windowSeconds: 60, key: 'user' },
+                    perKey: { limit: 1, windowSeconds: 60, key: 'apiKey' },
+                },
+                allowList: [],
+                ...config,
+            },
+        });
+        const app = express();
+        app.set('trust proxy', true);
+        app.get('/strict', limiter.limit('strict'), (req, res) => res.json({ ok: true }));
+        app.get('/user', (req, res, next) => {
+            req.caller = { id: req.get('X-Caller') };
+            next();
+        }, limiter.limit('perUser'), (req, res) => res.json({ ok: true }));
+        app.get('/service', (req, res, next) => {
+            // Stands in for requireCaller: only keys named "valid-*" authenticate
+            const key = req.get('X-API-Key');
+            if (key && key.startsWith('valid-')) req.caller = { id: key, source: 'api_key' };
+            next();
+        }, limiter.limit('perKey'), (req, res) => res.json({ ok: true }));
+        return { app, advance };
+    }
+
+    it('should send RateLimit headers and reject with 429 once the budget is spent', async () => {
+        const { app, advance } = createApp();
+
+        const first = await request(app).get('/strict');
+        expect(first.status).toBe(200);
+        expect(first.headers).toMatchObject({ 'ratelimit-limit': '2', 'ratelimit-remaining': '1', 'ratelimit-reset': '30', 'ratelimit-policy': '2;w=60' });
+
+        await request(app).get('/strict');
+        const limited = await request(app).get('/strict');
+        expect(limited.status).toBe(429);
+        expect(limited.body).toEqual({ error: 'Too many requests. Try again later.' });
+        expect(limited.headers['retry-after']).toBe('30');
+
+        advance(30);
+        expect((await request(app).get('/strict')).status).toBe(200);
+    });
+
+    it('should keep separate budgets per client IP', async () => {
+        const { app } = createApp();
+        await request(app).get('/strict').set('X-Forwarded-For', '10.0.0.1');
+        await request(app).get('/strict').set('X-Forwarded-For', '10.0.0.1');
+
+        expect((await request(app).get('/strict').set('X-Forwarded-For', '10.0.0.1')).status).toBe(429);
+        expect((await request(app).get('/strict').set('X-Forwarded-For', '10.0.0.2')).status).toBe(200);
+    });
+
+    it('should key user policies by the authenticated caller', async () => {
+        const { app } = createApp();
+        await request(app).get('/user').set('X-Caller', 'alice');
+
+        expect((await request(app).get('/user').set('X-Caller', 'alice')).status).toBe(429);
+        expect((await request(app).get('/user').set('X-Caller', 'bob')).status).toBe(200);
+    });
+
+    it('should key API key policies by the authenticated key and fall back to the IP', async () => {
+        const { app } = createApp();
+        await request(app).get('/service').set('X-API-Key', 'valid-a');
+
+        expect((await request(app).get('/service').set('X-API-Key', 'valid-a')).status).toBe(429);
+        expect((await request(app).get('/service').set('X-API-Key', 'valid-b')).status).toBe(200);
+
+        // Invalid keys share the budget of their IP instead of getting one each
+        expect((await request(app).get('/service').set('X-API-Key', 'made-up-1').set('X-Forwarded-For', '10.0.0.5')).status).toBe(200);
+        expect((await request(app).get('/service').set('X-API-Key', 'made-up-2').set('X-Forwarded-For', '10.0.0.5')).status).toBe(429);
+    });
+
+    it('should never limit allow-listed addresses', async () => {
+        const { app } = createApp({ allowList: ['10.1.0.0/16'] });
+
+        for (let i = 0; i < 5; i++) {
+            const res = await request(app).get('/strict').set('X-Forwarded-For', '10.1.2.3');
+            expect(res.status).toBe(200);
+            expect(res.headers['ratelimit-limit']).toBeUndefined();
+        }
+    });
+
+    it('should let requests through when the store is unavailable', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const { app } = createApp({}, { takeTokens: async () => { throw new Error('connection refused'); } });
+
+        expect((await request(app).get('/strict')).status).toBe(200);
+        console.error.mockRestore();
+    });
+
+    it('should reject unknown key types', () => {
+        expect(() => createRateLimiter({ store: createMemoryStore(), config: { enabled: true, policies: { bad: { limit: 1, windowSeconds: 1, key: 'session' } } } }))
+            .toThrow('unknown key "session"');
+    });
+});
+
+describe('createAllowList', () => {
+    it('should match addresses, CIDR ranges and IPv4-mapped IPv6 addresses', () => {
+        const isAllowListed = createAllowList(['127.0.0.1', '10.0.0.0/8', 'fd00::/8']);
+
+        expect(isAllowListed('127.0.0.1')).toBe(true);
+        expect(isAllowListed('::ffff:10.20.30.40')).toBe(true);
+        expect(isAllowListed('fd12::1')).toBe(true);
+        expect(isAllowListed('192.168.0.1')).toBe(false);
+        expect(isAllowListed(undefined)).toBe(false);
+    });
+});
+
+describe('configFromEnv', () => {
+    it('should merge policy overrides over the defaults', () => {
+        const config = configFromEnv({
+            RATE_LIMIT_POLICIES: JSON.stringify({ register: { limit: 50 }, exports: { limit: 1, windowSeconds: 60, key: 'user' } }),
+            RATE_LIMIT_ALLOWLIST: '10.0.0.0/8, 127.0.0.1',
+        });
+
+        expect(config.enabled).toBe(true);
+        expect(config.policies.register).toEqual({ limit: 50, windowSeconds: 3600, key: 'ip' });
+        expect(config.policies.exports).toEqual({ limit: 1, windowSeconds: 60, key: 'user' });
+        expect(config.allowList).toEqual(['10.0.0.0/8', '127.0.0.1']);
+    });
+});
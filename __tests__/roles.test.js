@@ -0,0 +1,94 @@
+// __tests__/roles.test.js
+// The role service's seed, permission resolution, caching and protection of built-in roles,
+// plus how the repositories keep users.role and users.roles in step.
+const { createRoleService, RoleError, PERMISSIONS } = require('../auth/roleService');
+const { withRoles } = require('../repositories/roles');
+const { createMemoryTable } = require('../repositories/tables');
+const { createMemoryUserRepository } = require('../repositories/memoryUserRepository');
+
+describe('Role service', () => {
+    function createService() {
+        let clock = 1_700_000_000_000;
+        const roles = createMemoryTable();
+        const userRepository = createMemoryUserRepository();
+        const service = createRoleService({ roles, userRepository, config: { cacheTtlSeconds: 30 }, now: () => clock });
+        return { service, roles, userRepository, advance: (seconds) => { clock += seconds * 1000; } };
+    }
+
+    it('should seed the built-in roles with the original user/admin access', async () => {
+        const { service } = createService();
+
+        expect((await service.list()).map(role => [role.name, role.builtin])).toEqual([['admin', true], ['user', true]]);
+        expect(await service.permissionsFor(['user'])).toEqual([]);
+        expect(await service.permissionsFor(['admin'])).toEqual(Object.keys(PERMISSIONS).sort());
+    });
+
+    it('should grant admins every permission even when the stored row is out of date', async () => {
+        const { service, roles } = createService();
+        await roles.insert({ name: 'admin', description: 'Full access', permissions: ['profiles:read'] });
+
+        expect(await service.permissionsFor(['admin'])).toEqual(Object.keys(PERMISSIONS).sort());
+        expect((await service.get('admin')).permissions).toEqual(Object.keys(PERMISSIONS));
+    });
+
+    it('should combine the permissions of several roles and ignore unknown ones', async () => {
+        const { service } = createService();
+        await service.create({ name: 'agent', permissions: ['profiles:read', 'sessions:manage'] });
+        await service.create({ name: 'auditor', permissions: ['audit:read', 'profiles:read'] });
+
+        expect(await service.permissionsFor(['user', 'agent', 'auditor', 'ghost'])).toEqual(['audit:read', 'profiles:read', 'sessions:manage']);
+        expect(await service.unknownRoles(['agent', 'ghost'])).toEqual(['ghost']);
+    });
+
+    it('should name the roles granting permissions outside a given set', async () => {
+        const { service } = createService();
+        await service.create({ name: 'delegate', permissions: ['roles:assign'] });
+
+        expect(await service.rolesBeyond(['user', 'delegate', 'admin', 'ghost'], ['roles:assign'])).toEqual(['admin']);
+        expect(await service.rolesBeyond(['delegate'], [])).toEqual(['delegate']);
+    });
+
+    it('should pick up changes made elsewhere once the cache expires', async () => {
+        const { service, roles, advance } = createService();
+        await service.create({ name: 'agent', permissions: ['profiles:read'] });
+        await service.permissionsFor(['agent']);
+
+        await roles.update({ name: 'agent' }, { permissions: ['profiles:write'] });
+        expect(await service.permissionsFor(['agent'])).toEqual(['profiles:read']);
+
+        advance(31);
+        expect(await service.permissionsFor(['agent'])).toEqual(['profiles:write']);
+    });
+
+    it('should refuse to change the admin role or delete built-in and assigned roles', async () => {
+        const { service, userRepository } = createService();
+        await service.create({ name: 'agent', permissions: [] });
+        await userRepository.create({ username: 'agent1', email: 'agent1@example.com', password_hash: 'x', roles: ['user', 'agent'] });
+
+        await expect(service.update('admin', { permissions: [] })).rejects.toThrow(RoleError);
+        await expect(service.remove('user')).rejects.toThrow('Built-in roles cannot be deleted');
+        await expect(service.remove('agent')).rejects.toThrow('Role is still assigned to 1 user(s)');
+        await expect(service.create({ name: 'agent', permissions: [] })).rejects.toThrow('Role already exists');
+        await expect(service.create({ name: 'service', permissions: [] })).rejects.toThrow('reserved');
+        expect(await service.update('ghost', { permissions: [] })).toBeNull();
+    });
+
+    it('should count soft-deleted users as still holding a role', async () => {
+        const { service, userRepository } = createService();
+        await service.create({ name: 'agent', permissions: [] });
+        const user = await userRepository.create({ username: 'agent1', email: 'agent1@example.com', password_hash: 'x', roles: ['user', 'agent'] });
+        await userRepository.softDelete(user.id);
+
+        await expect(service.remove('agent')).rejects.toThrow('Role is still assigned to 1 user(s)');
+        await userRepository.delete(user.id);
+        expect(await service.remove('agent')).toBe(true);
+    });
+});
+
+describe('withRoles', () => {
+    it('should keep role as the first of roles', () => {
+        expect(withRoles({ roles: ['agent', 'user'] })).toEqual({ roles: ['agent', 'user'], role: 'agent' });
+        expect(withRoles({ role: 'admin' })).toEqual({ role: 'admin', roles: ['admin'] });
+        expect(withRoles({ username: 'x' })).toEqual({ username: 'x' });
+    });
+});
@@ -0,0 +1,92 @@
+// __tests__/token-service.test.js
+// Unit tests for the token service with asymmetric (RS256) keys, which the
+// integration suite cannot cover because the running app uses one configuration.
+const crypto = require('crypto');
+const { createTokenService, configFromEnv, TokenError } = require('../auth/tokenService');
+const { createRefreshTokenRepository } = require('../repositories/refreshTokenRepository');
+const { createSessionRepository } = require('../repositories/sessionRepository');
+const { createSessionService } = require('../auth/sessionService');
+const { createMemoryTable } = require('../repositories/tables');
+const jwt = require('../auth/jwt');
+
+const user = { id: '123e4567-e89b-12d3-a456-426614174000', username: 'rsauser', role: 'admin' };
+
+function createService(overrides = {}) {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const config = {
+        ...configFromEnv({}),
+        algorithm: 'RS256',
+        privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        keyId: 'test-key',
+        ...overrides,
+    };
+    const refreshTokens = createRefreshTokenRepository(createMemoryTable());
+    const sessionRepository = createSessionRepository(createMemoryTable());
+    const service = createTokenService({
+        userRepository: { findById: async (id) => (id === user.id ? user : null) },
+        refreshTokens,
+        sessions: createSessionService({ sessions: sessionRepository, refreshTokens, config: { touchInterval: 60 } }),
+        config,
+    });
+    return { service, config, sessionRepository };
+}
+
+describe('token service (RS256)', () => {
+    it('should sign access tokens verifiable with the published JWKS key', async () => {
+        const { service } = createService();
+        const { accessToken } = await service.issueTokens(user);
+
+        const { keys } = service.jwks();
+        expect(keys).toHaveLength(1);
+        expect(keys[0]).toMatchObject({ kty: 'RSA', alg: 'RS256', kid: 'test-key', use: 'sig' });
+
+        const publicKey = crypto.createPublicKey({ key: keys[0], format: 'jwk' });
+        const claims = jwt.verify(accessToken, { alg: 'RS256', key: publicKey });
+        expect(claims).toMatchObject({ sub: user.id, role: 'admin', username: 'rsauser' });
+    });
+
+    it('should reject tokens signed with a different algorithm', async () => {
+        const { service } = createService();
+        const forged = jwt.sign({ sub: user.id, role: 'admin' }, { alg: 'HS256', key: 'guess' });
+
+        expect(() => service.verifyAccessToken(forged)).toThrow(TokenError);
+    });
+
+    it('should reject expired access tokens', async () => {
+        const { service } = createService({ accessTokenTtl: -1 });
+        const { accessToken } = await service.issueTokens(user);
+
+        expect(() => service.verifyAccessToken(accessToken)).toThrow('Token expired');
+    });
+
+    it('should reject expired refresh tokens', async () => {
+        const { service } = createService({ refreshTokenTtl: -1 });
+        const { refreshToken } = await service.issueTokens(user);
+
+        await expect(service.refresh(refreshToken)).rejects.toThrow('Refresh token expired');
+    });
+
+    it('should treat the loser of two concurrent refreshes as reuse and revoke the family', async () => {
+        const { service } = createService();
+        const { refreshToken } = await service.issueTokens(user);
+
+        const results = await Promise.allSettled([service.refresh(refreshToken), service.refresh(refreshToken)]);
+
+        // The reuse revokes the session, so the winner's new token does not survive either
+        expect(results.some(result => result.status === 'rejected' && result.reason.message === 'Refresh token has been revoked')).toBe(true);
+        for (const result of results.filter(candidate => candidate.status === 'fulfilled')) {
+            await expect(service.refresh(result.value.refreshToken)).rejects.toThrow(TokenError);
+        }
+    });
+
+    it('should not hand out a token for a session revoked during the refresh', async () => {
+        const { service, sessionRepository } = createService();
+        const { refreshToken, sessionId } = await service.issueTokens(user);
+        // The session is marked revoked but its tokens are not revoked yet, as in the
+        // middle of revokeAllForUser
+        await sessionRepository.revoke([await sessionRepository.findById(sessionId)], 'logout');
+
+        await expect(service.refresh(refreshToken)).rejects.toThrow('Session has been revoked');
+        await expect(service.refresh(refreshToken)).rejects.toThrow(TokenError);
+    });
+});
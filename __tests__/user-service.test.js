@@ -5,9 +5,20 @@ require('dotenv').config({ path: '.env' });
 
 // --- Environment Setup for Testing ---
 // Override the standard service environment variables with test-specific ones
-// This MUST happen BEFORE requiring any code that depends on these variables (like server.js or supabaseClient.js)
+// This MUST happen BEFORE requiring any code that depends on these variables (like server.js or the repositories)
+// Run against the in-memory user store unless USER_STORE is set explicitly (e.g. USER_STORE=supabase
+// together with SUPABASE_TEST_URL/SUPABASE_TEST_KEY to exercise a dedicated Supabase test project).
+process.env.USER_STORE = process.env.USER_STORE || 'memory';
 process.env.SUPABASE_URL = process.env.SUPABASE_TEST_URL;
 process.env.SUPABASE_KEY = process.env.SUPABASE_TEST_KEY;
+// Sign access tokens with a fixed test secret
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+// Capture outgoing mail in memory so tests can read reset/verification links
+process.env.MAIL_TRANSPORT = 'memory';
+// Keep uploaded avatars in memory instead of writing them to disk
+process.env.AVATAR_STORAGE = 'memory';
+// Check every JSON response against the API document so the spec cannot drift from the code
+process.env.OPENAPI_VALIDATE_RESPONSES = 'true';
 // Use a dedicated port for testing, different from the main service port (3001)
 // Prefer TEST_USER_SERVICE_PORT from .env, otherwise default to 4001
 process.env.USER_SERVICE_PORT = process.env.TEST_USER_SERVICE_PORT || '4001';
@@ -16,14 +27,50 @@ process.env.USER_SERVICE_PORT = process.env.TEST_USER_SERVICE_PORT || '4001';
 process.env.PROPERTIES_SERVICE_URL = 'http://localhost:9999';
 
 // --- Imports ---
-
-// --- Imports ---
+const http = require('http');
 const request = require('supertest');
 // Import the server instance from server.js
 // This will now get the actual HTTP server instance because server.js exports it.
 const server = require('../server');
-// Import the Supabase client. It should use the test env vars set above.
-const supabase = require('../supabaseClient'); // Assuming supabaseClient.js is also in the root
+// Import the user repository selected by USER_STORE above.
+const { userRepository } = require('../repositories');
+const { tokenService, loginThrottle } = require('../auth');
+const { mailer } = require('../mail');
+const { cleanupWorker, accountPurger } = require('../cleanup');
+
+// --- Auth Helpers ---
+// /profiles routes require a caller; sign access tokens directly instead of logging in every time.
+const bearer = (user) => `Bearer ${tokenService.signAccessToken(user)}`;
+// An admin principal that only exists in its token, so it never shows up in GET /profiles.
+const adminCaller = { id: '00000000-0000-4000-8000-00000000ad01', username: 'testadmin', role: 'admin' };
+const adminAuth = () => bearer(adminCaller);
+
+// GETs `path` as the admin and disconnects as soon as the first bytes of the body arrive.
+function abortAfterFirstChunk(path) {
+    return new Promise((resolve, reject) => {
+        const req = http.get({ port: server.address().port, path, headers: { Authorization: adminAuth() } }, (res) => {
+            res.once('data', () => {
+                req.destroy();
+                resolve();
+            });
+        });
+        req.on('error', reject);
+    });
+}
+
+// An endless export source that reports when the route stops reading from it
+function endlessSource(line) {
+    let stopped;
+    const done = new Promise(resolve => { stopped = resolve; });
+    async function* source() {
+        try {
+            for (;;) yield line;
+        } finally {
+            stopped();
+        }
+    }
+    return { source, done };
+}
 
 
 // --- Jest Setup and Teardown ---
@@ -54,17 +101,21 @@ beforeAll((done) => {
 
 beforeEach(async () => {
     // !!! CRITICAL: Clear the users table before each test !!!
-    // !!! This Supabase client should now be configured to talk to your dedicated TEST DATABASE !!!
+    // !!! When USER_STORE=supabase this must point at your dedicated TEST DATABASE !!!
     console.log('Cleaning users table...');
-    // Delete all rows except a non-existent one - efficient way to clear.
-    // Adjust table name 'users' if yours is different.
-    const { error } = await supabase.from('users').delete().neq('id', '00000000-0000-0000-0000-000000000000');
-    if (error) {
+    try {
+        await userRepository.deleteAll();
+    } catch (error) {
         console.error('Error cleaning users table:', error);
         // If cleaning fails, subsequent tests might fail or be unreliable.
-         throw new Error('Failed to clean database before test: ' + error.message);
+        throw new Error('Failed to clean database before test: ' + error.message);
     }
-     console.log('Users table cleaned.');
+    console.log('Users table cleaned.');
+});
+
+beforeEach(async () => {
+    // Failed logins from earlier tests must not lock out later ones
+    await loginThrottle.store.clear();
 });
 
 afterAll((done) => {
@@ -116,12 +167,11 @@ describe('POST /register', () => {
         expect(res.body).toHaveProperty('role', 'user'); // Assuming default role is 'user'
         expect(res.body).toHaveProperty('created_at');
 
-        // Verify the user exists in the database (optional, but good for integration test)
-        // This uses the supabase client configured for the test database
-        const { data, error } = await supabase.from('users').select('id, username').eq('username', newUser.username).single();
-        expect(error).toBeNull();
-        expect(data).toBeDefined();
-        expect(data.username).toBe(newUser.username);
+        // Verify the user exists in the store (optional, but good for integration test)
+        const stored = await userRepository.findByIdentifier(newUser.username);
+        expect(stored).not.toBeNull();
+        expect(stored.id).toBe(res.body.id);
+        expect(stored.username).toBe(newUser.username);
     });
 
     it('should return 400 if required fields are missing', async () => {
@@ -244,7 +294,7 @@ describe('POST /authenticate', () => {
 describe('GET /profiles', () => {
     it('should return an empty array if no users exist', async () => {
         // CHANGE: Use request(server)
-        const res = await request(server).get('/profiles');
+        const res = await request(server).get('/profiles').set('Authorization', adminAuth());
 
         expect(res.status).toBe(200);
         expect(res.body).toBeInstanceOf(Array);
@@ -253,11 +303,11 @@ describe('GET /profiles', () => {
 
     it('should return a list of users', async () => {
         // Register a few users using request(server)
-        await request(server).post('/register').send({ username: 'userA', email: 'a@test.com', password: 'passA' });
-        await request(server).post('/register').send({ username: 'userB', email: 'b@test.com', password: 'passB' });
+        await request(server).post('/register').send({ username: 'userA', email: 'a@test.com', password: 'passwordA' });
+        await request(server).post('/register').send({ username: 'userB', email: 'b@test.com', password: 'passwordB' });
 
         // CHANGE: Use request(server)
-        const res = await request(server).get('/profiles');
+        const res = await request(server).get('/profiles').set('Authorization', adminAuth());
 
         expect(res.status).toBe(200);
         expect(res.body).toBeInstanceOf(Array);
@@ -286,7 +336,9 @@ describe('GET /profiles/:userId', () => {
 
     it('should return a user by ID', async () => {
         // CHANGE: Use request(server)
-        const res = await request(server).get(`/profiles/${registeredUser.id}`);
+        const res = await request(server)
+            .get(`/profiles/${registeredUser.id}`)
+            .set('Authorization', bearer(registeredUser));
 
         expect(res.status).toBe(200);
         expect(res.body).toHaveProperty('id', registeredUser.id);
@@ -301,7 +353,7 @@ describe('GET /profiles/:userId', () => {
         const nonExistentId = '123e4567-e89b-12d3-a456-426614174000'; // Example valid UUID format
 
         // CHANGE: Use request(server)
-        const res = await request(server).get(`/profiles/${nonExistentId}`);
+        const res = await request(server).get(`/profiles/${nonExistentId}`).set('Authorization', adminAuth());
 
         expect(res.status).toBe(404);
         expect(res.body).toHaveProperty('error', 'User not found');
@@ -313,7 +365,7 @@ describe('GET /profiles/:userId', () => {
         const invalidId = 'not-a-uuid';
 
         // CHANGE: Use request(server)
-        const res = await request(server).get(`/profiles/${invalidId}`);
+        const res = await request(server).get(`/profiles/${invalidId}`).set('Authorization', adminAuth());
 
         // Supabase query might error, leading to 500, or it might just find nothing (404).
         // Let's expect either 404 or 500 depending on how Supabase/PostgreSQL handles it.
@@ -373,6 +425,7 @@ describe('PUT /profiles/:userId', () => {
         // CHANGE: Use request(server)
         const res = await request(server)
             .put(`/profiles/${nonExistentId}`)
+            .set('Authorization', adminAuth())
             .send(updatedData);
 
         expect(res.status).toBe(404);
@@ -383,6 +436,7 @@ describe('PUT /profiles/:userId', () => {
          // CHANGE: Use request(server)
          const res = await request(server)
              .put(`/profiles/${registeredUser.id}`)
+             .set('Authorization', bearer(registeredUser))
              .send({ username: 'missing' }); // Missing email and role
 
          expect(res.status).toBe(400);
@@ -398,6 +452,7 @@ describe('PUT /profiles/:userId', () => {
          // CHANGE: Use request(server)
          const res = await request(server)
              .put(`/profiles/${registeredUser.id}`)
+             .set('Authorization', bearer(registeredUser))
              .send(updatedData);
 
          expect(res.status).toBe(400);
@@ -408,7 +463,7 @@ describe('PUT /profiles/:userId', () => {
 
     it('should return 409 if updated email or username conflicts with existing user', async () => {
         // Register a second user using request(server)
-        await request(server).post('/register').send({ username: 'otheruser', email: 'other@example.com', password: 'pass' });
+        await request(server).post('/register').send({ username: 'otheruser', email: 'other@example.com', password: 'otherpassword' });
 
         // Try to update the first user's email to conflict with the second user's email
         const updatedData = {
@@ -420,6 +475,7 @@ describe('PUT /profiles/:userId', () => {
         // CHANGE: Use request(server)
         const res = await request(server)
             .put(`/profiles/${registeredUser.id}`)
+            .set('Authorization', bearer(registeredUser))
             .send(updatedData);
 
         expect(res.status).toBe(409);
@@ -441,37 +497,1792 @@ describe('DELETE /profiles/:userId', () => {
 
     it('should delete a user successfully', async () => {
         // CHANGE: Use request(server)
-        const res = await request(server).delete(`/profiles/${registeredUser.id}`);
+        const res = await request(server).delete(`/profiles/${registeredUser.id}`).set('Authorization', adminAuth());
+
+        // 202 Accepted: the account is soft-deleted and purged after the grace period
+        expect(res.status).toBe(202);
+        expect(res.body).toMatchObject({ userId: registeredUser.id, status: 'scheduled' });
+        expect(Date.parse(res.body.purgeAt)).toBeGreaterThan(Date.parse(res.body.deletedAt));
+        expect(res.headers.location).toBe(`/profiles/${registeredUser.id}/deletion`);
+
+        // Verify the user is no longer visible
+        expect(await userRepository.findById(registeredUser.id)).toBeNull(); // Should not find the user
+    });
+
+    it('should hide soft-deleted users from profiles and authentication', async () => {
+        await request(server).delete(`/profiles/${registeredUser.id}`).set('Authorization', adminAuth());
+
+        const profile = await request(server).get(`/profiles/${registeredUser.id}`).set('Authorization', adminAuth());
+        expect(profile.status).toBe(404);
+
+        const list = await request(server).get('/profiles').set('Authorization', adminAuth());
+        expect(list.body.map(p => p.id)).not.toContain(registeredUser.id);
+
+        const login = await request(server)
+            .post('/authenticate')
+            .send({ identifier: 'deleteuser', password: 'deletepassword' });
+        expect(login.status).toBe(401);
+    });
+
+    it('should restore a soft-deleted user during the grace period', async () => {
+        await request(server).delete(`/profiles/${registeredUser.id}`).set('Authorization', adminAuth());
+
+        const res = await request(server).post(`/profiles/${registeredUser.id}/restore`).set('Authorization', adminAuth());
+        expect(res.status).toBe(200);
+        expect(res.body).toHaveProperty('id', registeredUser.id);
+
+        const login = await request(server)
+            .post('/authenticate')
+            .send({ identifier: 'deleteuser', password: 'deletepassword' });
+        expect(login.status).toBe(200);
+    });
+
+    it('should return 409 when restoring a user that is not deleted', async () => {
+        const res = await request(server).post(`/profiles/${registeredUser.id}/restore`).set('Authorization', adminAuth());
+
+        expect(res.status).toBe(409);
+    });
+
+    it('should report a scheduled purge on GET /profiles/:userId/deletion', async () => {
+        await request(server).delete(`/profiles/${registeredUser.id}`).set('Authorization', adminAuth());
+
+        const res = await request(server)
+            .get(`/profiles/${registeredUser.id}/deletion`)
+            .set('Authorization', adminAuth());
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ status: 'scheduled', jobs: [] });
+    });
 
-        expect(res.status).toBe(500); // 204 No Content on success
+    it('should purge after the grace period and queue downstream cleanup', async () => {
+        await request(server).delete(`/profiles/${registeredUser.id}`).set('Authorization', adminAuth());
 
-        // Verify the user is deleted from the database using the supabase client
-        const { data, error } = await supabase.from('users').select('id').eq('id', registeredUser.id);
-        // Supabase delete returns { count: N } on success if using .delete().eq(...).select('count')
-        // or simply { error: null, data: [] } if just .delete().eq(...)
-        // Checking data length is 0 confirms deletion.
-        expect(error).toBeNull(); // Expect no DB error during the check
-        expect(data).toHaveLength(0); // Should not find the user
+        // Not yet due
+        expect(await accountPurger.purgeExpired()).toEqual([]);
+
+        const afterGrace = Date.now() + (accountPurger.graceDays + 1) * 24 * 60 * 60 * 1000;
+        expect(await accountPurger.purgeExpired(afterGrace)).toEqual([registeredUser.id]);
+        expect(await userRepository.findDeletedById(registeredUser.id)).toBeNull();
+
+        // Nothing listens on PROPERTIES_SERVICE_URL, so the first attempt fails and is rescheduled;
+        // the avatar files are local and go at once
+        await cleanupWorker.runOnce();
+
+        const res = await request(server)
+            .get(`/profiles/${registeredUser.id}/deletion`)
+            .set('Authorization', adminAuth());
+        expect(res.status).toBe(200);
+        expect(res.body).toHaveProperty('status', 'pending');
+        expect(res.body.jobs).toEqual([
+            expect.objectContaining({ target: 'properties', status: 'pending', attempts: 1, lastError: expect.any(String) }),
+            expect.objectContaining({ target: 'avatars', status: 'succeeded' }),
+        ]);
+
+        const restore = await request(server).post(`/profiles/${registeredUser.id}/restore`).set('Authorization', adminAuth());
+        expect(restore.status).toBe(404);
     });
 
     it('should return 404 if user ID is not found for deletion', async () => {
         const nonExistentId = '123e4567-e89b-12d3-a456-426614174002'; // Example valid UUID format
 
         // CHANGE: Use request(server)
-        const res = await request(server).delete(`/profiles/${nonExistentId}`);
+        const res = await request(server).delete(`/profiles/${nonExistentId}`).set('Authorization', adminAuth());
 
         expect(res.status).toBe(404);
         expect(res.body).toHaveProperty('error', 'User not found');
     });
 
+    it('should return 404 for the deletion status of a user that was never deleted', async () => {
+        const res = await request(server)
+            .get(`/profiles/${registeredUser.id}/deletion`)
+            .set('Authorization', adminAuth());
+
+        expect(res.status).toBe(404);
+    });
+
      // Note: Similar to GET, test invalid format if needed
      it('should return appropriate status for invalid ID format on delete', async () => {
         const invalidId = 'another-bad-uuid';
 
         // CHANGE: Use request(server)
-        const res = await request(server).delete(`/profiles/${invalidId}`);
+        const res = await request(server).delete(`/profiles/${invalidId}`).set('Authorization', adminAuth());
 
         // Expect 404 or 500 depending on backend/DB handling
          expect(res.status).toBeGreaterThanOrEqual(400);
      });
-});
\ No newline at end of file
+});
+describe('Tokens', () => {
+    const userCredentials = {
+        username: 'tokenuser',
+        email: 'token@example.com',
+        password: 'tokenpassword'
+    };
+    let registeredUser;
+
+    beforeEach(async () => {
+        const regRes = await request(server)
+            .post('/register')
+            .send(userCredentials);
+        registeredUser = regRes.body;
+    });
+
+    const login = () => request(server)
+        .post('/authenticate')
+        .send({ identifier: userCredentials.username, password: userCredentials.password });
+
+    it('should issue an access token and a refresh token on authentication', async () => {
+        const res = await login();
+
+        expect(res.status).toBe(200);
+        expect(res.body).toHaveProperty('tokenType', 'Bearer');
+        expect(res.body).toHaveProperty('expiresIn');
+        expect(res.body).toHaveProperty('refreshToken');
+
+        const claims = tokenService.verifyAccessToken(res.body.accessToken);
+        expect(claims).toMatchObject({ sub: registeredUser.id, role: 'user', username: userCredentials.username });
+        expect(claims.exp).toBeGreaterThan(claims.iat);
+    });
+
+    it('should rotate the refresh token on POST /token/refresh', async () => {
+        const { body: first } = await login();
+
+        const res = await request(server)
+            .post('/token/refresh')
+            .send({ refreshToken: first.refreshToken });
+
+        expect(res.status).toBe(200);
+        expect(res.body.refreshToken).not.toBe(first.refreshToken);
+        expect(tokenService.verifyAccessToken(res.body.accessToken).sub).toBe(registeredUser.id);
+    });
+
+    it('should revoke the whole token family when a rotated refresh token is reused', async () => {
+        const { body: first } = await login();
+        const { body: second } = await request(server)
+            .post('/token/refresh')
+            .send({ refreshToken: first.refreshToken });
+
+        const reuse = await request(server)
+            .post('/token/refresh')
+            .send({ refreshToken: first.refreshToken });
+        expect(reuse.status).toBe(401);
+
+        // The legitimate successor is now revoked as well
+        const afterReuse = await request(server)
+            .post('/token/refresh')
+            .send({ refreshToken: second.refreshToken });
+        expect(afterReuse.status).toBe(401);
+    });
+
+    it('should reject unknown refresh tokens', async () => {
+        const res = await request(server)
+            .post('/token/refresh')
+            .send({ refreshToken: 'not-a-real-token' });
+
+        expect(res.status).toBe(401);
+        expect(res.body).toHaveProperty('error', 'Invalid refresh token');
+    });
+
+    it('should revoke the refresh token on POST /logout', async () => {
+        const { body } = await login();
+
+        const logout = await request(server)
+            .post('/logout')
+            .send({ refreshToken: body.refreshToken });
+        expect(logout.status).toBe(204);
+
+        const res = await request(server)
+            .post('/token/refresh')
+            .send({ refreshToken: body.refreshToken });
+        expect(res.status).toBe(401);
+    });
+
+    it('should return 400 if refreshToken is missing', async () => {
+        const res = await request(server).post('/token/refresh').send({});
+
+        expect(res.status).toBe(400);
+        expect(res.body).toHaveProperty('error', 'refreshToken is required');
+    });
+
+    it('should publish an empty JWKS for symmetric signing keys', async () => {
+        const res = await request(server).get('/.well-known/jwks.json');
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({ keys: [] });
+    });
+});
+
+describe('Authorization for /profiles', () => {
+    let alice;
+    let bob;
+
+    beforeEach(async () => {
+        alice = (await request(server).post('/register').send({ username: 'alice', email: 'alice@example.com', password: 'alicepass' })).body;
+        bob = (await request(server).post('/register').send({ username: 'bob', email: 'bob@example.com', password: 'bobpassword' })).body;
+    });
+
+    it('should return 401 without credentials', async () => {
+        const res = await request(server).get('/profiles');
+
+        expect(res.status).toBe(401);
+        expect(res.body).toHaveProperty('error', 'Authentication required');
+    });
+
+    it('should return 401 for an invalid access token', async () => {
+        const res = await request(server).get(`/profiles/${alice.id}`).set('Authorization', 'Bearer not.a.token');
+
+        expect(res.status).toBe(401);
+        expect(res.body).toHaveProperty('error', 'Invalid or expired access token');
+    });
+
+    it('should ignore gateway identity headers unless they are trusted', async () => {
+        const res = await request(server)
+            .get('/profiles')
+            .set('X-User-ID', alice.id)
+            .set('X-User-Role', 'admin');
+
+        expect(res.status).toBe(401);
+    });
+
+    it('should forbid non-admins from listing profiles', async () => {
+        const res = await request(server).get('/profiles').set('Authorization', bearer(alice));
+
+        expect(res.status).toBe(403);
+        expect(res.body).toHaveProperty('error', 'Forbidden');
+    });
+
+    it("should forbid users from reading another user's profile", async () => {
+        const res = await request(server).get(`/profiles/${bob.id}`).set('Authorization', bearer(alice));
+
+        expect(res.status).toBe(403);
+    });
+
+    it('should allow admins to read any profile', async () => {
+        const res = await request(server).get(`/profiles/${bob.id}`).set('Authorization', adminAuth());
+
+        expect(res.status).toBe(200);
+        expect(res.body).toHaveProperty('id', bob.id);
+    });
+
+    it('should allow users to update their own profile without changing role', async () => {
+        const res = await request(server)
+            .put(`/profiles/${alice.id}`)
+            .set('Authorization', bearer(alice))
+            .send({ username: 'alice2', email: 'alice2@example.com', role: 'user' });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ id: alice.id, username: 'alice2', email: 'alice2@example.com', role: 'user' });
+    });
+
+    it('should forbid users from changing their own role', async () => {
+        const res = await request(server)
+            .put(`/profiles/${alice.id}`)
+            .set('Authorization', bearer(alice))
+            .send({ username: 'alice', email: 'alice@example.com', role: 'admin' });
+
+        expect(res.status).toBe(403);
+        expect((await userRepository.findById(alice.id)).role).toBe('user');
+    });
+
+    it("should forbid users from updating another user's profile", async () => {
+        const res = await request(server)
+            .put(`/profiles/${bob.id}`)
+            .set('Authorization', bearer(alice))
+            .send({ username: 'hacked', email: 'hacked@example.com', role: 'user' });
+
+        expect(res.status).toBe(403);
+    });
+
+    it("should allow admins to change a user's role", async () => {
+        const res = await request(server)
+            .put(`/profiles/${bob.id}`)
+            .set('Authorization', adminAuth())
+            .send({ username: 'bob', email: 'bob@example.com', role: 'admin' });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toHaveProperty('role', 'admin');
+    });
+
+    it('should forbid non-admins from deleting accounts', async () => {
+        const res = await request(server).delete(`/profiles/${alice.id}`).set('Authorization', bearer(alice));
+
+        expect(res.status).toBe(403);
+        expect(await userRepository.findById(alice.id)).not.toBeNull();
+    });
+});
+
+describe('Passwords', () => {
+    const userCredentials = {
+        username: 'passworduser',
+        email: 'password@example.com',
+        password: 'oldpassword'
+    };
+    let registeredUser;
+
+    beforeEach(async () => {
+        registeredUser = (await request(server).post('/register').send(userCredentials)).body;
+        // Drop the verification email sent on registration
+        mailer.transport.clear();
+    });
+
+    const login = (password) => request(server)
+        .post('/authenticate')
+        .send({ identifier: userCredentials.username, password });
+
+    // Pulls the reset token out of the last mailed link
+    const lastResetToken = () => {
+        const message = mailer.transport.messages[mailer.transport.messages.length - 1];
+        return decodeURIComponent(message.text.match(/token=([^\s]+)/)[1]);
+    };
+
+    describe('POST /profiles/:userId/password', () => {
+        it('should change the password and revoke existing refresh tokens', async () => {
+            const { body: session } = await login(userCredentials.password);
+
+            const res = await request(server)
+                .post(`/profiles/${registeredUser.id}/password`)
+                .set('Authorization', bearer(registeredUser))
+                .send({ currentPassword: userCredentials.password, newPassword: 'newpassword' });
+
+            expect(res.status).toBe(200);
+            expect((await login(userCredentials.password)).status).toBe(401);
+            expect((await login('newpassword')).status).toBe(200);
+
+            const refresh = await request(server).post('/token/refresh').send({ refreshToken: session.refreshToken });
+            expect(refresh.status).toBe(401);
+        });
+
+        it('should return 403 if the current password is wrong', async () => {
+            const res = await request(server)
+                .post(`/profiles/${registeredUser.id}/password`)
+                .set('Authorization', bearer(registeredUser))
+                .send({ currentPassword: 'wrongpassword', newPassword: 'newpassword' });
+
+            expect(res.status).toBe(403);
+            expect(res.body).toHaveProperty('error', 'Current password is incorrect');
+        });
+
+        it("should forbid changing another user's password", async () => {
+            const other = (await request(server).post('/register').send({ username: 'other', email: 'other@example.com', password: 'otherpass' })).body;
+
+            const res = await request(server)
+                .post(`/profiles/${registeredUser.id}/password`)
+                .set('Authorization', bearer(other))
+                .send({ currentPassword: userCredentials.password, newPassword: 'newpassword' });
+
+            expect(res.status).toBe(403);
+        });
+
+        it('should return 400 if fields are missing', async () => {
+            const res = await request(server)
+                .post(`/profiles/${registeredUser.id}/password`)
+                .set('Authorization', bearer(registeredUser))
+                .send({ newPassword: 'newpassword' });
+
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe('password reset', () => {
+        it('should mail a reset link and accept the token once', async () => {
+            const forgot = await request(server).post('/password/forgot').send({ email: userCredentials.email });
+            expect(forgot.status).toBe(202);
+            expect(mailer.transport.messages).toHaveLength(1);
+            expect(mailer.transport.messages[0].to).toBe(userCredentials.email);
+
+            const token = lastResetToken();
+            const reset = await request(server).post('/password/reset').send({ token, newPassword: 'resetpassword' });
+            expect(reset.status).toBe(200);
+            expect((await login('resetpassword')).status).toBe(200);
+
+            const reuse = await request(server).post('/password/reset').send({ token, newPassword: 'anotherpassword' });
+            expect(reuse.status).toBe(400);
+            expect(reuse.body).toHaveProperty('error', 'Invalid or expired reset token');
+        });
+
+        it('should accept only one of two concurrent resets with the same token', async () => {
+            await request(server).post('/password/forgot').send({ email: userCredentials.email });
+            const token = lastResetToken();
+
+            // Called directly so both lookups happen before either request marks the token
+            const { passwordService } = require('../auth');
+            const results = await Promise.allSettled(['firstpassword', 'secondpassword'].map(newPassword =>
+                passwordService.resetPassword(token, newPassword)));
+
+            expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+            expect(results.find(result => result.status === 'rejected').reason.message).toBe('Invalid or expired reset token');
+        });
+
+        it('should answer the same way for unknown emails without sending mail', async () => {
+            const res = await request(server).post('/password/forgot').send({ email: 'nobody@example.com' });
+
+            expect(res.status).toBe(202);
+            expect(mailer.transport.messages).toHaveLength(0);
+        });
+
+        it('should only honour the most recently issued token', async () => {
+            await request(server).post('/password/forgot').send({ email: userCredentials.email });
+            const firstToken = lastResetToken();
+            await request(server).post('/password/forgot').send({ email: userCredentials.email });
+
+            const res = await request(server).post('/password/reset').send({ token: firstToken, newPassword: 'resetpassword' });
+            expect(res.status).toBe(400);
+        });
+
+        it('should reject unknown tokens', async () => {
+            const res = await request(server).post('/password/reset').send({ token: 'bogus', newPassword: 'resetpassword' });
+
+            expect(res.status).toBe(400);
+        });
+    });
+});
+
+describe('Email verification', () => {
+    const { emailVerificationService } = require('../auth');
+    const userCredentials = {
+        username: 'verifyuser',
+        email: 'verify@example.com',
+        password: 'verifypassword'
+    };
+    let registeredUser;
+
+    beforeEach(async () => {
+        mailer.transport.clear();
+        registeredUser = (await request(server).post('/register').send(userCredentials)).body;
+    });
+
+    const lastVerificationToken = () => {
+        const message = mailer.transport.messages[mailer.transport.messages.length - 1];
+        return decodeURIComponent(message.text.match(/token=([^\s]+)/)[1]);
+    };
+
+    it('should register accounts as unverified and mail a verification link', async () => {
+        expect(registeredUser).toHaveProperty('email_verified_at', null);
+        expect(mailer.transport.messages).toHaveLength(1);
+        expect(mailer.transport.messages[0]).toMatchObject({ to: userCredentials.email, subject: 'Verify your email address' });
+    });
+
+    it('should verify the email address via GET /verify-email', async () => {
+        const res = await request(server).get('/verify-email').query({ token: lastVerificationToken() });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toHaveProperty('userId', registeredUser.id);
+        expect((await userRepository.findById(registeredUser.id)).email_verified_at).not.toBeNull();
+    });
+
+    it('should reject tampered verification links', async () => {
+        const res = await request(server).get('/verify-email').query({ token: lastVerificationToken() + 'x' });
+
+        expect(res.status).toBe(400);
+        expect(res.body).toHaveProperty('error', 'Invalid or expired verification link');
+    });
+
+    it('should throttle resend requests', async () => {
+        // Registration just sent a link, so an immediate resend is too soon
+        const res = await request(server).post('/verify-email/resend').send({ email: userCredentials.email });
+
+        expect(res.status).toBe(429);
+        expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+        expect(mailer.transport.messages).toHaveLength(1);
+    });
+
+    it('should not resend to unknown addresses', async () => {
+        const res = await request(server).post('/verify-email/resend').send({ email: 'unknown@example.com' });
+
+        expect(res.status).toBe(202);
+        expect(mailer.transport.messages).toHaveLength(1);
+    });
+
+    it('should require verifying a changed email address again', async () => {
+        await request(server).get('/verify-email').query({ token: lastVerificationToken() });
+
+        const res = await request(server).patch(`/profiles/${registeredUser.id}`).set('Authorization', bearer(registeredUser)).send({ email: 'changed@example.com' });
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ email: 'changed@example.com', email_verified_at: null });
+        expect(mailer.transport.messages).toHaveLength(2);
+        expect(mailer.transport.messages[1]).toMatchObject({ to: 'changed@example.com', subject: 'Verify your email address' });
+
+        await request(server).get('/verify-email').query({ token: lastVerificationToken() }).expect(200);
+        expect((await userRepository.findById(registeredUser.id)).email_verified_at).not.toBeNull();
+    });
+
+    describe('when verified email is required', () => {
+        beforeEach(() => { emailVerificationService.requireVerifiedEmail = true; });
+        afterEach(() => { emailVerificationService.requireVerifiedEmail = false; });
+
+        const login = () => request(server)
+            .post('/authenticate')
+            .send({ identifier: userCredentials.username, password: userCredentials.password });
+
+        it('should refuse to authenticate unverified accounts', async () => {
+            const res = await login();
+
+            expect(res.status).toBe(403);
+            expect(res.body).toHaveProperty('error', 'Email address not verified');
+        });
+
+        it('should authenticate once the email is verified', async () => {
+            await request(server).get('/verify-email').query({ token: lastVerificationToken() });
+
+            const res = await login();
+            expect(res.status).toBe(200);
+            expect(res.body).toHaveProperty('emailVerified', true);
+        });
+    });
+});
+
+describe('Brute-force protection', () => {
+    const userCredentials = {
+        username: 'lockuser',
+        email: 'lock@example.com',
+        password: 'lockpassword'
+    };
+    let registeredUser;
+
+    beforeEach(async () => {
+        registeredUser = (await request(server).post('/register').send(userCredentials)).body;
+    });
+
+    const login = (identifier, password) => request(server).post('/authenticate').send({ identifier, password });
+
+    const failTimes = async (count, identifier = userCredentials.username) => {
+        for (let i = 0; i < count; i++) {
+            await login(identifier, 'wrongpassword');
+        }
+    };
+
+    it('should lock the account after repeated failures, even with the right password', async () => {
+        await failTimes(5);
+
+        const res = await login(userCredentials.username, userCredentials.password);
+        expect(res.status).toBe(423);
+        expect(res.body).toHaveProperty('error', 'Account temporarily locked due to failed login attempts');
+        expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    });
+
+    it('should count failures per account across username and email', async () => {
+        await failTimes(3, userCredentials.username);
+        await failTimes(2, userCredentials.email);
+
+        const res = await login(userCredentials.email, userCredentials.password);
+        expect(res.status).toBe(423);
+    });
+
+    it('should reset the failure count after a successful login', async () => {
+        await failTimes(4);
+        expect((await login(userCredentials.username, userCredentials.password)).status).toBe(200);
+
+        await failTimes(4);
+        expect((await login(userCredentials.username, userCredentials.password)).status).toBe(200);
+    });
+
+    it('should let an admin unlock the account', async () => {
+        await failTimes(5);
+
+        const unlock = await request(server)
+            .post(`/profiles/${registeredUser.id}/unlock`)
+            .set('Authorization', adminAuth());
+        expect(unlock.status).toBe(204);
+
+        expect((await login(userCredentials.username, userCredentials.password)).status).toBe(200);
+    });
+
+    it('should forbid non-admins from unlocking accounts', async () => {
+        const res = await request(server)
+            .post(`/profiles/${registeredUser.id}/unlock`)
+            .set('Authorization', bearer(registeredUser));
+
+        expect(res.status).toBe(403);
+    });
+});
+
+describe('GET /profiles pagination, filtering and search', () => {
+    beforeEach(async () => {
+        // Registered one after another, so created_at follows this order
+        for (const name of ['carol', 'alice', 'dave', 'bob', 'erin']) {
+            await request(server).post('/register').send({ username: name, email: `${name}@Example.com`, password: 'password' });
+        }
+        const dave = await userRepository.findByIdentifier('dave');
+        await userRepository.update(dave.id, { role: 'admin' });
+    });
+
+    const list = (query) => request(server).get('/profiles').query(query).set('Authorization', adminAuth());
+
+    it('should page through results with total count and Link headers', async () => {
+        const first = await list({ limit: 2 });
+
+        expect(first.status).toBe(200);
+        expect(first.body.map(p => p.username)).toEqual(['carol', 'alice']);
+        expect(first.headers['x-total-count']).toBe('5');
+        expect(first.headers['x-next-offset']).toBe('2');
+        expect(first.headers.link).toMatch(/offset=2>; rel="next"/);
+        expect(first.headers.link).toMatch(/offset=4>; rel="last"/);
+
+        const last = await list({ limit: 2, offset: 4 });
+        expect(last.body.map(p => p.username)).toEqual(['erin']);
+        expect(last.headers).not.toHaveProperty('x-next-offset');
+        expect(last.headers.link).toMatch(/offset=2>; rel="prev"/);
+    });
+
+    it('should cap the page size', async () => {
+        const res = await list({ limit: 1000 });
+
+        expect(res.status).toBe(200);
+        expect(res.headers.link).toMatch(/limit=100/);
+    });
+
+    it('should sort by username descending', async () => {
+        const res = await list({ sort: '-username' });
+
+        expect(res.body.map(p => p.username)).toEqual(['erin', 'dave', 'carol', 'bob', 'alice']);
+    });
+
+    it('should filter by role', async () => {
+        const res = await list({ role: 'admin' });
+
+        expect(res.body.map(p => p.username)).toEqual(['dave']);
+        expect(res.headers['x-total-count']).toBe('1');
+    });
+
+    it('should filter by created_at range', async () => {
+        const all = (await list({})).body;
+
+        const res = await list({ created_after: all[1].created_at, created_before: all[3].created_at });
+        expect(res.body.map(p => p.username)).toEqual(['alice', 'dave', 'bob']);
+    });
+
+    it('should search username and email case-insensitively', async () => {
+        expect((await list({ q: 'AL' })).body.map(p => p.username)).toEqual(['alice']);
+        expect((await list({ q: 'example.COM' })).body).toHaveLength(5);
+    });
+
+    it('should return 400 for invalid parameters', async () => {
+        expect((await list({ limit: 0 })).status).toBe(400);
+        expect((await list({ offset: -1 })).status).toBe(400);
+        expect((await list({ sort: 'password_hash' })).status).toBe(400);
+        expect((await list({ created_after: 'yesterday' })).status).toBe(400);
+    });
+});
+
+describe('PATCH /profiles/:userId', () => {
+    let registeredUser;
+
+    beforeEach(async () => {
+        registeredUser = (await request(server)
+            .post('/register')
+            .send({ username: 'patchuser', email: 'patch@example.com', password: 'patchpassword' })).body;
+    });
+
+    const patch = (auth, body, userId = registeredUser.id) => request(server)
+        .patch(`/profiles/${userId}`)
+        .set('Authorization', auth)
+        .send(body);
+
+    it('should update only the provided field', async () => {
+        const res = await patch(bearer(registeredUser), { email: 'patched@example.com' });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ id: registeredUser.id, username: 'patchuser', email: 'patched@example.com', role: 'user' });
+    });
+
+    it('should let users resend their current role unchanged', async () => {
+        const res = await patch(bearer(registeredUser), { username: 'renamed', role: 'user' });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toHaveProperty('username', 'renamed');
+    });
+
+    it('should forbid users from changing their own role', async () => {
+        const res = await patch(bearer(registeredUser), { role: 'admin' });
+
+        expect(res.status).toBe(403);
+        expect(res.body.error).toMatch(/changing roles requires the roles:assign permission/);
+        expect((await userRepository.findById(registeredUser.id)).role).toBe('user');
+    });
+
+    it('should let admins change the role alone', async () => {
+        const res = await patch(adminAuth(), { role: 'admin' });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ username: 'patchuser', email: 'patch@example.com', role: 'admin' });
+    });
+
+    it('should report every invalid or unknown field', async () => {
+        const res = await patch(bearer(registeredUser), { email: 'not-an-email', username: '', password_hash: 'x' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.details.map(d => d.field).sort()).toEqual(['email', 'password_hash', 'username']);
+    });
+
+    it('should return 400 for an empty body', async () => {
+        const res = await patch(bearer(registeredUser), {});
+
+        expect(res.status).toBe(400);
+    });
+
+    it('should return 409 on a conflicting username', async () => {
+        await request(server).post('/register').send({ username: 'taken', email: 'taken@example.com', password: 'password' });
+
+        const res = await patch(bearer(registeredUser), { username: 'taken' });
+        expect(res.status).toBe(409);
+    });
+
+    it('should return 404 for an unknown user', async () => {
+        const res = await patch(adminAuth(), { username: 'ghost' }, '123e4567-e89b-12d3-a456-426614174003');
+
+        expect(res.status).toBe(404);
+    });
+});
+
+describe('Webhooks', () => {
+    const express = require('express');
+    const { webhookWorker } = require('../webhooks');
+    const { verifySignature } = require('../webhooks/signature');
+
+    let receiver;
+    let received;
+    let responseStatus;
+    let subscription;
+
+    beforeAll((done) => {
+        const hooks = express();
+        hooks.use(express.text({ type: '*/*' }));
+        hooks.post('/hooks', (req, res) => {
+            received.push({ headers: req.headers, body: req.body });
+            res.status(responseStatus).send();
+        });
+        receiver = hooks.listen(0, done);
+    });
+
+    afterAll((done) => {
+        receiver.close(done);
+    });
+
+    beforeEach(async () => {
+        received = [];
+        responseStatus = 200;
+        const res = await request(server)
+            .post('/webhooks')
+            .set('Authorization', adminAuth())
+            .send({
+                url: `http://127.0.0.1:${receiver.address().port}/hooks`,
+                events: ['user.registered', 'user.updated', 'user.role_changed', 'user.deleted'],
+            });
+        subscription = res.body;
+    });
+
+    afterEach(async () => {
+        await request(server).delete(`/webhooks/${subscription.id}`).set('Authorization', adminAuth());
+    });
+
+    const deliveredEvents = () => received.map(r => JSON.parse(r.body).type);
+
+    it('should return the signing secret only when subscribing', async () => {
+        expect(subscription.secret).toMatch(/^whsec_/);
+
+        const list = await request(server).get('/webhooks').set('Authorization', adminAuth());
+        expect(list.status).toBe(200);
+        expect(list.body).toEqual([expect.objectContaining({ id: subscription.id })]);
+        expect(list.body[0]).not.toHaveProperty('secret');
+    });
+
+    it('should deliver a signed user.registered event', async () => {
+        const user = (await request(server).post('/register').send({ username: 'hookuser', email: 'hook@example.com', password: 'hookpass' })).body;
+        await webhookWorker.runOnce();
+
+        expect(received).toHaveLength(1);
+        const [delivery] = received;
+        expect(delivery.headers['x-webhook-event']).toBe('user.registered');
+        expect(verifySignature(subscription.secret, delivery.body, delivery.headers['x-webhook-signature'])).toBe(true);
+        expect(verifySignature('wrong-secret', delivery.body, delivery.headers['x-webhook-signature'])).toBe(false);
+
+        const event = JSON.parse(delivery.body);
+        expect(event).toMatchObject({ type: 'user.registered', data: { id: user.id, username: 'hookuser' } });
+        expect(event.data).not.toHaveProperty('password_hash');
+    });
+
+    it('should emit user.updated and user.role_changed on a role change, then user.deleted', async () => {
+        const user = (await request(server).post('/register').send({ username: 'roleuser', email: 'role@example.com', password: 'rolepass' })).body;
+
+        await request(server)
+            .put(`/profiles/${user.id}`)
+            .set('Authorization', adminAuth())
+            .send({ username: 'roleuser', email: 'role@example.com', role: 'admin' });
+        await request(server).delete(`/profiles/${user.id}`).set('Authorization', adminAuth());
+        await webhookWorker.runOnce();
+
+        expect(deliveredEvents()).toEqual(['user.registered', 'user.updated', 'user.role_changed', 'user.deleted']);
+        const roleChanged = JSON.parse(received[2].body);
+        expect(roleChanged.data).toEqual({ userId: user.id, previousRole: 'user', role: 'admin', previousRoles: ['user'], roles: ['admin'] });
+    });
+
+    it('should not emit user.role_changed when the role stays the same', async () => {
+        const user = (await request(server).post('/register').send({ username: 'sameuser', email: 'same@example.com', password: 'samepass' })).body;
+
+        await request(server)
+            .patch(`/profiles/${user.id}`)
+            .set('Authorization', bearer(user))
+            .send({ username: 'sameuser2' });
+        await webhookWorker.runOnce();
+
+        expect(deliveredEvents()).toEqual(['user.registered', 'user.updated']);
+    });
+
+    it('should record failed deliveries for retry in the delivery log', async () => {
+        responseStatus = 500;
+        await request(server).post('/register').send({ username: 'failuser', email: 'fail@example.com', password: 'failpass' });
+        await webhookWorker.runOnce();
+
+        const log = await request(server)
+            .get(`/webhooks/${subscription.id}/deliveries`)
+            .set('Authorization', adminAuth());
+
+        expect(log.status).toBe(200);
+        expect(log.body).toEqual([
+            expect.objectContaining({ event: 'user.registered', status: 'pending', attempts: 1, last_status_code: 500 }),
+        ]);
+        expect(log.body[0].next_attempt_at).toBeTruthy();
+    });
+
+    it('should validate subscriptions', async () => {
+        const badUrl = await request(server).post('/webhooks').set('Authorization', adminAuth()).send({ url: 'ftp://x', events: ['user.registered'] });
+        expect(badUrl.status).toBe(400);
+
+        const badEvent = await request(server).post('/webhooks').set('Authorization', adminAuth()).send({ url: 'http://x.test', events: ['user.exploded'] });
+        expect(badEvent.status).toBe(400);
+    });
+
+    it('should restrict webhook management to admins', async () => {
+        const user = (await request(server).post('/register').send({ username: 'nohooks', email: 'nohooks@example.com', password: 'nohookspassword' })).body;
+
+        const res = await request(server).get('/webhooks').set('Authorization', bearer(user));
+        expect(res.status).toBe(403);
+    });
+});
+
+describe('Request validation', () => {
+    it('should list every invalid registration field', async () => {
+        const res = await request(server)
+            .post('/register')
+            .send({ username: 'a b', email: 'not-an-email', password: 'short' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Request validation failed');
+        expect(res.body.details.map(d => d.field)).toEqual(['username', 'email', 'password']);
+        expect(res.body.details[2]).toEqual({
+            location: 'body',
+            field: 'password',
+            message: 'password must contain at least 8 characters',
+        });
+    });
+
+    it('should reject non-string credentials instead of passing them to the store', async () => {
+        const res = await request(server)
+            .post('/authenticate')
+            .send({ identifier: { $ne: null }, password: 'whatever' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.details).toEqual([
+            { location: 'body', field: 'identifier', message: 'identifier must be a string' },
+        ]);
+    });
+
+    it('should reject malformed user IDs with 400', async () => {
+        const res = await request(server).get('/profiles/not-a-uuid').set('Authorization', adminAuth());
+
+        expect(res.status).toBe(400);
+        expect(res.body).toEqual({
+            error: 'userId must be a valid UUID',
+            details: [{ location: 'params', field: 'userId', message: 'userId must be a valid UUID' }],
+        });
+    });
+
+    it('should apply the password policy to password resets', async () => {
+        const res = await request(server).post('/password/reset').send({ token: 'anything', newPassword: 'short' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.details[0].field).toBe('newPassword');
+    });
+});
+
+describe('Audit log', () => {
+    let user;
+
+    beforeEach(async () => {
+        user = (await request(server).post('/register').send({ username: 'audited', email: 'audited@example.com', password: 'auditpassword' })).body;
+    });
+
+    const auditFor = (query) => request(server).get('/audit').query(query).set('Authorization', adminAuth());
+
+    it('should record role changes with the actor, before/after values and request ID', async () => {
+        await request(server)
+            .put(`/profiles/${user.id}`)
+            .set('Authorization', adminAuth())
+            .set('X-Request-ID', 'req-role-change')
+            .send({ username: 'audited', email: 'audited@example.com', role: 'admin' });
+
+        const res = await auditFor({ target: user.id, action: 'user.role_changed' });
+
+        expect(res.status).toBe(200);
+        expect(res.headers['x-total-count']).toBe('1');
+        expect(res.body[0]).toMatchObject({
+            action: 'user.role_changed',
+            actor_id: adminCaller.id,
+            actor_role: 'admin',
+            target_user_id: user.id,
+            changes: { role: { from: 'user', to: 'admin' } },
+            request_id: 'req-role-change',
+        });
+        expect(res.body[0].created_at).toBeTruthy();
+    });
+
+    it('should record deletions and logins, newest first', async () => {
+        await request(server).post('/authenticate').send({ identifier: 'audited', password: 'wrongpassword' });
+        await request(server).post('/authenticate').send({ identifier: 'audited', password: 'auditpassword' });
+        await request(server).delete(`/profiles/${user.id}`).set('Authorization', adminAuth());
+
+        const res = await auditFor({ target: user.id });
+
+        expect(res.body.map(event => event.action)).toEqual(['user.deleted', 'login.succeeded', 'login.failed', 'user.registered']);
+        expect(res.body[2]).toMatchObject({ actor_id: null, metadata: { identifier: 'audited', reason: 'invalid_password' } });
+        expect(res.body[1]).toMatchObject({ actor_id: user.id, actor_role: 'user' });
+    });
+
+    it('should filter by actor and time range', async () => {
+        const before = new Date(Date.now() - 1000).toISOString();
+        await request(server).patch(`/profiles/${user.id}`).set('Authorization', bearer(user)).send({ username: 'audited2' });
+
+        const byActor = await auditFor({ actor: user.id, action: 'user.updated', since: before });
+        expect(byActor.body).toHaveLength(1);
+        expect(byActor.body[0].changes).toEqual({ username: { from: 'audited', to: 'audited2' } });
+
+        const tooEarly = await auditFor({ actor: user.id, action: 'user.updated', until: before });
+        expect(tooEarly.body).toEqual([]);
+
+        const invalid = await auditFor({ since: 'yesterday-ish', action: 'user.exploded' });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.details.map(d => d.field)).toEqual(['action', 'since']);
+    });
+
+    it('should export matching events as NDJSON, oldest first', async () => {
+        await request(server).post(`/profiles/${user.id}/unlock`).set('Authorization', adminAuth());
+
+        const res = await request(server)
+            .get('/audit/export')
+            .query({ target: user.id })
+            .set('Authorization', adminAuth());
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/application\/x-ndjson/);
+        const lines = res.text.trim().split('\n').map(line => JSON.parse(line));
+        expect(lines.map(event => event.action)).toEqual(['user.registered', 'user.unlocked']);
+    });
+
+    it('should stop exporting when the client disconnects', async () => {
+        const { auditLog } = require('../audit');
+        const { source, done } = endlessSource({ action: 'user.registered', padding: 'x'.repeat(1024) });
+        const exportEvents = jest.spyOn(auditLog, 'exportEvents').mockImplementation(source);
+
+        try {
+            await abortAfterFirstChunk('/audit/export');
+            await done;
+        } finally {
+            exportEvents.mockRestore();
+        }
+    });
+
+    it('should restrict the audit log to admins', async () => {
+        const res = await request(server).get('/audit').set('Authorization', bearer(user));
+        expect(res.status).toBe(403);
+
+        const exportRes = await request(server).get('/audit/export').set('Authorization', bearer(user));
+        expect(exportRes.status).toBe(403);
+    });
+});
+
+describe('Request IDs', () => {
+    it('should echo a valid incoming X-Request-ID', async () => {
+        const res = await request(server).get('/.well-known/jwks.json').set('X-Request-ID', 'gateway-abc-123');
+        expect(res.headers['x-request-id']).toBe('gateway-abc-123');
+    });
+
+    it('should generate an ID when none or an unsafe one is sent', async () => {
+        const missing = await request(server).get('/.well-known/jwks.json');
+        expect(missing.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+
+        const unsafe = await request(server).get('/.well-known/jwks.json').set('X-Request-ID', 'bad id\twith spaces');
+        expect(unsafe.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    it('should write access log entries with status and latency, without passwords or emails', async () => {
+        console.log.mockClear();
+        await request(server)
+            .post('/register')
+            .set('X-Request-ID', 'req-access-log')
+            .send({ username: 'logged', email: 'logged@example.com', password: 'loggedpassword' });
+
+        const lines = console.log.mock.calls.map(([line]) => String(line));
+        const access = lines.filter(line => line.startsWith('{')).map(line => JSON.parse(line)).find(entry => entry.component === 'Access' && entry.requestId === 'req-access-log');
+        expect(access).toMatchObject({ level: 'info', method: 'POST', path: '/register', status: 201 });
+        expect(typeof access.durationMs).toBe('number');
+        expect(lines.join('\n')).not.toMatch(/loggedpassword|logged@example\.com/);
+    });
+});
+
+describe('Health probes', () => {
+    it('should answer liveness without authentication', async () => {
+        const res = await request(server).get('/healthz');
+        expect(res.status).toBe(200);
+        expect(res.body.status).toBe('ok');
+    });
+
+    it('should report readiness with the user store check', async () => {
+        const res = await request(server).get('/readyz');
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ status: 'ok', checks: { userStore: { status: 'ok' } } });
+    });
+});
+
+describe('Metrics', () => {
+    const { registry } = require('../metrics');
+
+    beforeEach(() => registry.reset());
+    afterEach(() => { delete process.env.METRICS_TOKEN; });
+
+    const scrape = async () => (await request(server).get('/metrics')).text;
+
+    it('should expose request counts by route pattern rather than raw IDs', async () => {
+        const user = (await request(server).post('/register').send({ username: 'metered', email: 'metered@example.com', password: 'meteredpassword' })).body;
+        await request(server).get(`/profiles/${user.id}`).set('Authorization', bearer(user));
+
+        const res = await request(server).get('/metrics');
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+        expect(res.text).toContain('http_requests_total{method="GET",route="/profiles/:userId",status="200"} 1');
+        expect(res.text).toContain('http_requests_total{method="POST",route="/register",status="201"} 1');
+        expect(res.text).not.toContain(user.id);
+        expect(res.text).toMatch(/http_request_duration_seconds_count\{method="POST",route="\/register",status="201"\} 1/);
+        expect(res.text).toContain('user_registrations_total{result="created"} 1');
+        expect(res.text).toMatch(/password_hash_duration_seconds_count\{operation="hash"\} 1/);
+    });
+
+    it('should count authentication successes and failures by reason', async () => {
+        await request(server).post('/register').send({ username: 'metered', email: 'metered@example.com', password: 'meteredpassword' });
+        await request(server).post('/authenticate').send({ identifier: 'metered', password: 'meteredpassword' });
+        await request(server).post('/authenticate').send({ identifier: 'metered', password: 'wrongpassword' });
+        await request(server).post('/authenticate').send({ identifier: 'nobody', password: 'wrongpassword' });
+
+        const text = await scrape();
+
+        expect(text).toContain('auth_attempts_total{result="success",reason=""} 1');
+        expect(text).toContain('auth_attempts_total{result="failure",reason="invalid_password"} 1');
+        expect(text).toContain('auth_attempts_total{result="failure",reason="unknown_user"} 1');
+    });
+
+    it('should group unmatched paths under one label', async () => {
+        await request(server).get('/wp-admin/setup.php');
+
+        expect(await scrape()).toContain('http_requests_total{method="GET",route="unmatched",status="404"} 1');
+    });
+
+    it('should require the scrape token when METRICS_TOKEN is set', async () => {
+        process.env.METRICS_TOKEN = 'scrape-secret';
+
+        expect((await request(server).get('/metrics')).status).toBe(401);
+        expect((await request(server).get('/metrics').set('Authorization', 'Bearer scrape-secret')).status).toBe(200);
+    });
+});
+
+describe('API document', () => {
+    const app = require('../app');
+    const { getUndocumentedRoutes } = require('../openapi');
+
+    it('should document every route', () => {
+        expect(getUndocumentedRoutes(app)).toEqual([]);
+    });
+
+    it('should serve the OpenAPI document built from the routes', async () => {
+        const res = await request(server).get('/openapi.json');
+
+        expect(res.status).toBe(200);
+        expect(res.body.openapi).toBe('3.0.3');
+        const register = res.body.paths['/register'].post;
+        expect(register.requestBody.content['application/json'].schema.required).toEqual(['username', 'email', 'password']);
+        expect(register.responses['201'].content['application/json'].schema).toEqual({ $ref: '#/components/schemas/Profile' });
+        expect(register.security).toBeUndefined();
+
+        const deleteUser = res.body.paths['/profiles/{userId}'].delete;
+        expect(deleteUser.security).toEqual([{ bearerAuth: [] }, { apiKeyAuth: [] }]);
+        expect(deleteUser.parameters).toEqual([{ name: 'userId', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }]);
+        expect(Object.keys(deleteUser.responses)).toEqual(expect.arrayContaining(['202', '400', '401', '403', '404']));
+        expect(res.body.paths['/webhooks'].get.security).toEqual([{ bearerAuth: [] }, { apiKeyAuth: [] }]);
+    });
+
+    it('should render the docs page', async () => {
+        const res = await request(server).get('/docs');
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/^text\/html/);
+        expect(res.text).toContain('<code>/profiles/{userId}/restore</code>');
+        expect(res.text).not.toMatch(/<script/);
+    });
+});
+
+describe('Rate limiting', () => {
+    it('should limit registrations per client IP', async () => {
+        for (let i = 0; i < 5; i++) {
+            const res = await request(server).post('/register').send({ username: `burst${i}`, email: `burst${i}@example.com`, password: 'burstpassword' });
+            expect(res.status).toBe(201);
+            expect(res.headers['ratelimit-policy']).toBe('5;w=3600');
+        }
+
+        const res = await request(server).post('/register').send({ username: 'burst5', email: 'burst5@example.com', password: 'burstpassword' });
+
+        expect(res.status).toBe(429);
+        expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+        expect(await userRepository.findByIdentifier('burst5')).toBeNull();
+    });
+
+    it('should document 429 responses on limited routes', async () => {
+        const res = await request(server).get('/openapi.json');
+
+        expect(res.body.paths['/register'].post.responses['429'].headers).toHaveProperty('Retry-After');
+        expect(res.body.paths['/healthz'].get.responses['429']).toBeUndefined();
+    });
+});
+
+describe('Two-factor authentication', () => {
+    const { generateTotp, STEP_SECONDS } = require('../auth/totp');
+    // Each code is accepted once; later steps in the drift window give a fresh one
+    const codeAt = (secret, steps = 0) => generateTotp(secret, { timeMs: Date.now() + steps * STEP_SECONDS * 1000 });
+
+    async function enrolledUser() {
+        const user = (await request(server).post('/register').send({ username: 'twofactor', email: 'twofactor@example.com', password: 'twofactorpass' })).body;
+        const enrollment = await request(server).post(`/profiles/${user.id}/mfa/enroll`).set('Authorization', bearer(user));
+        expect(enrollment.status).toBe(200);
+        expect(enrollment.body.otpauthUri).toMatch(/^otpauth:\/\/totp\/.+secret=/);
+
+        const confirmed = await request(server).post(`/profiles/${user.id}/mfa/confirm`).set('Authorization', bearer(user)).send({ code: codeAt(enrollment.body.secret) });
+        expect(confirmed.status).toBe(200);
+        expect(confirmed.body.recoveryCodes).toHaveLength(10);
+        return { user, secret: enrollment.body.secret, recoveryCodes: confirmed.body.recoveryCodes };
+    }
+
+    const login = () => request(server).post('/authenticate').send({ identifier: 'twofactor', password: 'twofactorpass' });
+
+    it('should require a second factor once enrolled', async () => {
+        const { secret } = await enrolledUser();
+
+        const first = await login();
+        expect(first.status).toBe(200);
+        expect(first.body).toMatchObject({ mfaRequired: true, challengeToken: expect.any(String) });
+        expect(first.body.accessToken).toBeUndefined();
+
+        const second = await request(server).post('/authenticate/mfa').send({ challengeToken: first.body.challengeToken, code: codeAt(secret, 1) });
+        expect(second.status).toBe(200);
+        expect(second.body.accessToken).toEqual(expect.any(String));
+    });
+
+    it('should reject wrong and replayed codes', async () => {
+        const { secret } = await enrolledUser();
+        const { challengeToken } = (await login()).body;
+        const code = codeAt(secret, 1);
+
+        const wrong = await request(server).post('/authenticate/mfa').send({ challengeToken, code: code === '000000' ? '111111' : '000000' });
+        expect(wrong.status).toBe(401);
+
+        expect((await request(server).post('/authenticate/mfa').send({ challengeToken, code })).status).toBe(200);
+        expect((await request(server).post('/authenticate/mfa').send({ challengeToken, code })).status).toBe(401);
+    });
+
+    it('should lock the account after wrong codes across fresh challenges', async () => {
+        const { secret } = await enrolledUser();
+        const wrongCode = codeAt(secret, 1) === '000000' ? '111111' : '000000';
+
+        // Each round starts over with the right password, which must not reset the count
+        for (let i = 0; i < 5; i++) {
+            const { challengeToken } = (await login()).body;
+            expect((await request(server).post('/authenticate/mfa').send({ challengeToken, code: wrongCode })).status).toBe(401);
+        }
+
+        const locked = await login();
+        expect(locked.status).toBe(423);
+        expect(locked.headers['retry-after']).toBeDefined();
+    });
+
+    it('should accept each recovery code once', async () => {
+        const { user, recoveryCodes } = await enrolledUser();
+        const { challengeToken } = (await login()).body;
+
+        const res = await request(server).post('/authenticate/mfa').send({ challengeToken, recoveryCode: recoveryCodes[0] });
+        expect(res.status).toBe(200);
+        expect((await request(server).post('/authenticate/mfa').send({ challengeToken, recoveryCode: recoveryCodes[0] })).status).toBe(401);
+
+        const status = await request(server).get(`/profiles/${user.id}/mfa`).set('Authorization', bearer(user));
+        expect(status.body).toMatchObject({ enabled: true, recoveryCodesRemaining: 9 });
+    });
+
+    it('should require exactly one of code and recoveryCode', async () => {
+        const res = await request(server).post('/authenticate/mfa').send({ challengeToken: 'x' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Provide either code or recoveryCode');
+    });
+
+    it('should reject forged challenges', async () => {
+        const { user } = await enrolledUser();
+        const forged = tokenService.signAccessToken(user);
+
+        const res = await request(server).post('/authenticate/mfa').send({ challengeToken: forged, code: '123456' });
+
+        expect(res.status).toBe(401);
+        expect(res.body.error).toBe('Invalid or expired MFA challenge');
+    });
+
+    it('should only let users enroll themselves', async () => {
+        const { user } = await enrolledUser();
+
+        expect((await request(server).post(`/profiles/${user.id}/mfa/enroll`).set('Authorization', adminAuth())).status).toBe(403);
+        expect((await request(server).post(`/profiles/${user.id}/mfa/enroll`).set('Authorization', bearer(user))).status).toBe(409);
+    });
+
+    it('should let admins reset two-factor authentication', async () => {
+        const { user } = await enrolledUser();
+
+        expect((await request(server).delete(`/profiles/${user.id}/mfa`).set('Authorization', bearer(user))).status).toBe(403);
+        expect((await request(server).delete(`/profiles/${user.id}/mfa`).set('Authorization', adminAuth())).status).toBe(204);
+
+        const res = await login();
+        expect(res.body.accessToken).toEqual(expect.any(String));
+        const audit = await request(server).get('/audit').query({ action: 'user.mfa_reset' }).set('Authorization', adminAuth());
+        expect(audit.body).toHaveLength(1);
+    });
+});
+
+describe('Sessions', () => {
+    async function loggedInUser(userAgent = 'Mozilla/5.0 (X11; Linux x86_64) Firefox/130.0') {
+        await request(server).post('/register').send({ username: 'sessionuser', email: 'sessionuser@example.com', password: 'sessionpassword' });
+        return login(userAgent);
+    }
+
+    const login = async (userAgent) => (await request(server).post('/authenticate')
+        .set('User-Agent', userAgent)
+        .send({ identifier: 'sessionuser', password: 'sessionpassword' })).body;
+    const auth = (session) => `Bearer ${session.accessToken}`;
+
+    it('should record a session for each login with its device and IP', async () => {
+        const laptop = await loggedInUser();
+        const phone = await login('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0) Mobile/15E148');
+
+        const res = await request(server).get(`/profiles/${laptop.userId}/sessions`).set('Authorization', auth(laptop));
+
+        expect(res.status).toBe(200);
+        expect(res.body).toHaveLength(2);
+        const current = res.body.find(session => session.current);
+        expect(current).toMatchObject({ id: laptop.sessionId, userAgent: expect.stringContaining('Firefox'), ip: expect.any(String) });
+        expect(res.body.find(session => session.id === phone.sessionId).current).toBe(false);
+    });
+
+    it('should end a single session and refuse its tokens', async () => {
+        const laptop = await loggedInUser();
+        const phone = await login('phone');
+
+        const res = await request(server).delete(`/profiles/${laptop.userId}/sessions/${phone.sessionId}`).set('Authorization', auth(laptop));
+
+        expect(res.status).toBe(204);
+        const rejected = await request(server).get(`/profiles/${phone.userId}`).set('Authorization', auth(phone));
+        expect(rejected.status).toBe(401);
+        expect(rejected.body.error).toBe('Session has been revoked');
+        expect((await request(server).post('/token/refresh').send({ refreshToken: phone.refreshToken })).status).toBe(401);
+        expect((await request(server).get(`/profiles/${laptop.userId}`).set('Authorization', auth(laptop))).status).toBe(200);
+        expect((await request(server).delete(`/profiles/${laptop.userId}/sessions/${phone.sessionId}`).set('Authorization', auth(laptop))).status).toBe(404);
+    });
+
+    it('should log out everywhere', async () => {
+        const laptop = await loggedInUser();
+        const phone = await login('phone');
+
+        expect((await request(server).delete(`/profiles/${laptop.userId}/sessions`).set('Authorization', auth(laptop))).status).toBe(204);
+
+        expect((await request(server).get(`/profiles/${laptop.userId}`).set('Authorization', auth(laptop))).status).toBe(401);
+        expect((await request(server).get(`/profiles/${phone.userId}`).set('Authorization', auth(phone))).status).toBe(401);
+        expect(await request(server).get(`/profiles/${laptop.userId}/sessions`).set('Authorization', adminAuth()).then(res => res.body)).toEqual([]);
+    });
+
+    it('should end the session on logout', async () => {
+        const session = await loggedInUser();
+
+        await request(server).post('/logout').send({ refreshToken: session.refreshToken });
+
+        expect((await request(server).get(`/profiles/${session.userId}`).set('Authorization', auth(session))).status).toBe(401);
+    });
+
+    it('should revoke every session when the password changes', async () => {
+        const session = await loggedInUser();
+
+        await request(server).post(`/profiles/${session.userId}/password`).set('Authorization', auth(session))
+            .send({ currentPassword: 'sessionpassword', newPassword: 'newsessionpassword' });
+
+        expect((await request(server).get(`/profiles/${session.userId}`).set('Authorization', auth(session))).status).toBe(401);
+    });
+
+    it('should revoke every session when the role changes', async () => {
+        const session = await loggedInUser();
+
+        await request(server).patch(`/profiles/${session.userId}`).set('Authorization', adminAuth()).send({ role: 'admin' });
+
+        expect((await request(server).get(`/profiles/${session.userId}`).set('Authorization', auth(session))).status).toBe(401);
+    });
+
+    it('should keep sessions on other profile changes', async () => {
+        const session = await loggedInUser();
+
+        await request(server).patch(`/profiles/${session.userId}`).set('Authorization', auth(session)).send({ username: 'renamed' });
+
+        expect((await request(server).get(`/profiles/${session.userId}`).set('Authorization', auth(session))).status).toBe(200);
+    });
+
+    it('should revoke every session when the account is deleted', async () => {
+        const session = await loggedInUser();
+
+        await request(server).delete(`/profiles/${session.userId}`).set('Authorization', adminAuth());
+        await request(server).post(`/profiles/${session.userId}/restore`).set('Authorization', adminAuth());
+
+        expect((await request(server).get(`/profiles/${session.userId}`).set('Authorization', auth(session))).status).toBe(401);
+    });
+
+    it("should not let users see other users' sessions", async () => {
+        const session = await loggedInUser();
+        const other = (await request(server).post('/register').send({ username: 'othersession', email: 'othersession@example.com', password: 'otherpassword' })).body;
+
+        expect((await request(server).get(`/profiles/${session.userId}/sessions`).set('Authorization', bearer(other))).status).toBe(403);
+    });
+});
+
+describe('API keys', () => {
+    async function createKey(body) {
+        const res = await request(server).post('/api-keys').set('Authorization', adminAuth()).send(body);
+        expect(res.status).toBe(201);
+        return res.body;
+    }
+
+    it('should create a key shown once and stored hashed', async () => {
+        const created = await createKey({ name: 'properties-service', scopes: ['profiles:read'] });
+
+        expect(created.key).toMatch(/^usk_/);
+        expect(created.keyPrefix).toBe(created.key.slice(0, 12));
+        const list = await request(server).get('/api-keys').set('Authorization', adminAuth());
+        expect(list.body.find(key => key.id === created.id)).not.toHaveProperty('key');
+        expect(JSON.stringify(list.body)).not.toContain(created.key);
+    });
+
+    it('should accept keys on the routes their scopes grant, and nowhere else', async () => {
+        const user = (await request(server).post('/register').send({ username: 'keyed', email: 'keyed@example.com', password: 'keyedpassword' })).body;
+        const { key } = await createKey({ name: 'gateway', scopes: ['profiles:read'] });
+
+        const read = await request(server).get(`/profiles/${user.id}`).set('X-API-Key', key);
+        expect(read.status).toBe(200);
+        expect((await request(server).get('/profiles').set('X-API-Key', key)).status).toBe(200);
+
+        const write = await request(server).patch(`/profiles/${user.id}`).set('X-API-Key', key).send({ username: 'renamed' });
+        expect(write.status).toBe(403);
+        expect(write.body.error).toBe('API key is not allowed to call this route');
+        expect((await request(server).get('/api-keys').set('X-API-Key', key)).status).toBe(403);
+        expect((await request(server).post(`/profiles/${user.id}/mfa/enroll`).set('X-API-Key', key)).status).toBe(403);
+    });
+
+    it('should let write-scoped keys update profiles but not roles', async () => {
+        const user = (await request(server).post('/register').send({ username: 'keyed', email: 'keyed@example.com', password: 'keyedpassword' })).body;
+        const { key, id } = await createKey({ name: 'gateway', scopes: ['profiles:write'] });
+
+        const res = await request(server).patch(`/profiles/${user.id}`).set('X-API-Key', key).send({ username: 'keyedrenamed' });
+        expect(res.status).toBe(200);
+        expect((await request(server).patch(`/profiles/${user.id}`).set('X-API-Key', key).send({ role: 'admin' })).status).toBe(403);
+
+        const audit = await request(server).get('/audit').query({ action: 'user.updated', target: user.id }).set('Authorization', adminAuth());
+        expect(audit.body[0]).toMatchObject({ actor_id: id, actor_role: 'service' });
+    });
+
+    it('should refuse revoked, expired and unknown keys', async () => {
+        const { key, id } = await createKey({ name: 'old', scopes: ['profiles:read'] });
+        await request(server).delete(`/api-keys/${id}`).set('Authorization', adminAuth()).expect(204);
+
+        const revoked = await request(server).get('/profiles').set('X-API-Key', key);
+        expect(revoked.status).toBe(401);
+        expect(revoked.body.error).toBe('Invalid, expired or revoked API key');
+        expect((await request(server).get('/profiles').set('X-API-Key', 'usk_unknown')).status).toBe(401);
+        expect((await request(server).delete(`/api-keys/${id}`).set('Authorization', adminAuth())).status).toBe(404);
+
+        const past = await request(server).post('/api-keys').set('Authorization', adminAuth())
+            .send({ name: 'expired', scopes: ['profiles:read'], expiresAt: '2000-01-01T00:00:00Z' });
+        expect(past.status).toBe(400);
+    });
+
+    it('should reject unknown scopes', async () => {
+        const res = await request(server).post('/api-keys').set('Authorization', adminAuth()).send({ name: 'x', scopes: ['everything'] });
+
+        expect(res.status).toBe(400);
+    });
+
+    it('should only let admins manage keys', async () => {
+        const user = (await request(server).post('/register').send({ username: 'keyed', email: 'keyed@example.com', password: 'keyedpassword' })).body;
+
+        expect((await request(server).post('/api-keys').set('Authorization', bearer(user)).send({ name: 'x', scopes: ['profiles:read'] })).status).toBe(403);
+    });
+
+    it('should document which routes accept API keys', async () => {
+        const { body } = await request(server).get('/openapi.json');
+
+        expect(body.paths['/profiles/{userId}'].get.security).toEqual([{ bearerAuth: [] }, { apiKeyAuth: [] }]);
+        expect(body.paths['/profiles/{userId}'].get.description).toContain('API keys with scope: profiles:read');
+        expect(body.paths['/api-keys'].get.security).toEqual([{ bearerAuth: [] }]);
+    });
+});
+
+describe('Bulk import and export', () => {
+    const csv = [
+        'username,email,role,password_hash',
+        'imported,imported@example.com,user,',
+        'imported,dupe@example.com,user,',
+    ].join('\n');
+
+    beforeEach(() => {
+        mailer.transport.clear();
+    });
+
+    it('should check the file without creating anyone in a dry run', async () => {
+        const res = await request(server).post('/profiles/import').query({ dryRun: 'true' })
+            .set('Authorization', adminAuth()).set('Content-Type', 'text/csv').send(csv);
+
+        expect(res.status).toBe(200);
+        expect(res.body.summary).toMatchObject({ total: 2, valid: 1, duplicate: 1 });
+        expect(await userRepository.list()).toEqual([]);
+    });
+
+    it('should create users, invite them and let them choose a password', async () => {
+        const res = await request(server).post('/profiles/import')
+            .set('Authorization', adminAuth()).set('Content-Type', 'text/csv').send(csv);
+
+        expect(res.status).toBe(200);
+        expect(res.body.rows[0]).toMatchObject({ status: 'created', invited: true });
+        expect(mailer.transport.messages).toHaveLength(1);
+        const token = new URL(mailer.transport.messages[0].text.match(/http\S+/)[0]).searchParams.get('token');
+
+        const login = () => request(server).post('/authenticate').send({ identifier: 'imported', password: 'chosenpassword1' });
+        expect((await login()).status).toBe(401);
+        await request(server).post('/password/reset').send({ token, newPassword: 'chosenpassword1' }).expect(200);
+        expect((await login()).status).toBe(200);
+
+        const audit = await request(server).get('/audit').query({ action: 'user.imported' }).set('Authorization', adminAuth());
+        expect(audit.body).toHaveLength(1);
+    });
+
+    it('should not let profiles:import create users with more access than the caller', async () => {
+        await request(server).post('/roles').set('Authorization', adminAuth()).send({ name: 'importer', permissions: ['profiles:import'] });
+        const user = (await request(server).post('/register').send({ username: 'loader', email: 'loader@example.com', password: 'loaderpassword' })).body;
+        const importer = bearer((await request(server).patch(`/profiles/${user.id}`).set('Authorization', adminAuth()).send({ roles: ['user', 'importer'] })).body);
+
+        const res = await request(server).post('/profiles/import').set('Authorization', importer).set('Content-Type', 'text/csv')
+            .send('username,email,role,password_hash\nmallory,mallory@example.com,admin,$2b$10$abcdefghijklmnopqrstuuABCDEFGHIJKLMNOPQRSTUVWXYZ01234\n');
+        expect(res.status).toBe(200);
+        expect(res.body.rows[0]).toMatchObject({ status: 'invalid', errors: [{ field: 'role', message: 'Role admin grants permissions you do not hold' }] });
+        expect((await userRepository.list()).map(profile => profile.username)).toEqual(['loader']);
+    });
+
+    it('should reject unsupported content types and malformed files', async () => {
+        const json = await request(server).post('/profiles/import').set('Authorization', adminAuth()).send({ username: 'x' });
+        expect(json.status).toBe(415);
+
+        const broken = await request(server).post('/profiles/import')
+            .set('Authorization', adminAuth()).set('Content-Type', 'text/csv').send('username,email\n"unterminated');
+        expect(broken.status).toBe(400);
+    });
+
+    it('should only let admins import and export', async () => {
+        const user = (await request(server).post('/register').send({ username: 'plain', email: 'plain@example.com', password: 'plainpassword' })).body;
+
+        const res = await request(server).post('/profiles/import').set('Authorization', bearer(user)).set('Content-Type', 'text/csv').send(csv);
+        expect(res.status).toBe(403);
+        expect((await request(server).get('/profiles/export').set('Authorization', bearer(user))).status).toBe(403);
+    });
+
+    it('should stream every profile without password hashes', async () => {
+        await request(server).post('/register').send({ username: 'first', email: 'first@example.com', password: 'firstpassword' }).expect(201);
+        await request(server).post('/register').send({ username: 'second', email: 'second@example.com', password: 'secondpassword' }).expect(201);
+
+        const ndjson = await request(server).get('/profiles/export').set('Authorization', adminAuth());
+        expect(ndjson.status).toBe(200);
+        expect(ndjson.headers['content-type']).toMatch(/application\/x-ndjson/);
+        const profiles = ndjson.text.trim().split('\n').map(line => JSON.parse(line));
+        expect(profiles.map(profile => profile.username).sort()).toEqual(['first', 'second']);
+        expect(ndjson.text).not.toContain('password');
+
+        const csvExport = await request(server).get('/profiles/export').query({ format: 'csv' }).set('Authorization', adminAuth());
+        expect(csvExport.headers['content-type']).toMatch(/text\/csv/);
+        const lines = csvExport.text.trim().split('\r\n');
+        expect(lines[0]).toBe('id,username,email,role,roles,created_at,email_verified_at');
+        expect(lines).toHaveLength(3);
+    });
+
+    it('should stop exporting when the client disconnects', async () => {
+        const { profileExporter } = require('../bulk');
+        const { source, done } = endlessSource(`${JSON.stringify({ username: 'x'.repeat(1024) })}\n`);
+        const lines = jest.spyOn(profileExporter, 'lines').mockImplementation(source);
+
+        try {
+            await abortAfterFirstChunk('/profiles/export');
+            await done;
+        } finally {
+            lines.mockRestore();
+        }
+    });
+});
+
+describe('Personal data export', () => {
+    const { dataExportWorker, dataExportSources } = require('../dataExport');
+
+    beforeAll(() => {
+        // Stand in for the properties service
+        dataExportSources.register({ name: 'properties', collect: async (userId) => [{ id: 'property-1', ownerId: userId }] });
+    });
+
+    async function registerUser(username = 'subject') {
+        return (await request(server).post('/register').send({ username, email: `${username}@example.com`, password: `${username}password` })).body;
+    }
+
+    it('should queue the export, report its status and then serve the archive', async () => {
+        const user = await registerUser();
+
+        const queued = await request(server).get(`/profiles/${user.id}/data-export`).set('Authorization', bearer(user));
+        expect(queued.status).toBe(202);
+        expect(queued.headers.location).toBe(`/profiles/${user.id}/data-export/status`);
+        expect(['pending', 'running', 'completed']).toContain(queued.body.status);
+
+        await dataExportWorker.runOnce();
+        const status = await request(server).get(`/profiles/${user.id}/data-export/status`).set('Authorization', bearer(user));
+        expect(status.body).toMatchObject({ id: queued.body.id, status: 'completed', requestedBy: user.id });
+
+        const download = await request(server).get(`/profiles/${user.id}/data-export`).set('Authorization', bearer(user));
+        expect(download.status).toBe(200);
+        expect(download.headers['content-disposition']).toContain('attachment');
+        expect(download.body.profile).toMatchObject({ id: user.id, username: 'subject' });
+        expect(download.body.services.properties).toEqual([{ id: 'property-1', ownerId: user.id }]);
+        expect(download.body.auditEvents.map(event => event.action)).toEqual(expect.arrayContaining(['user.registered', 'user.data_export_requested']));
+        expect(JSON.stringify(download.body)).not.toContain('password_hash');
+    });
+
+    it('should let admins export any user but not other users', async () => {
+        const user = await registerUser();
+        const other = await registerUser('other');
+
+        expect((await request(server).get(`/profiles/${user.id}/data-export`).set('Authorization', bearer(other))).status).toBe(403);
+        expect((await request(server).get(`/profiles/${user.id}/data-export`).set('Authorization', adminAuth())).status).toBe(202);
+    });
+
+    it('should answer 404 before any export was requested', async () => {
+        const user = await registerUser();
+
+        const res = await request(server).get(`/profiles/${user.id}/data-export/status`).set('Authorization', bearer(user));
+        expect(res.status).toBe(404);
+    });
+});
+
+describe('Roles and permissions', () => {
+    async function registerUser(username = 'member') {
+        return (await request(server).post('/register').send({ username, email: `${username}@example.com`, password: `${username}password` })).body;
+    }
+
+    it('should seed the user and admin roles and return permissions at login', async () => {
+        const roles = await request(server).get('/roles').set('Authorization', adminAuth());
+        expect(roles.status).toBe(200);
+        expect(roles.body.find(role => role.name === 'user')).toMatchObject({ permissions: [], builtin: true });
+        expect(roles.body.find(role => role.name === 'admin').permissions).toContain('roles:manage');
+
+        const user = await registerUser();
+        expect(user.roles).toEqual(['user']);
+        const login = await request(server).post('/authenticate').send({ identifier: 'member', password: 'memberpassword' });
+        expect(login.body).toMatchObject({ role: 'user', roles: ['user'], permissions: [] });
+    });
+
+    it('should grant the permissions of a new role to the users holding it', async () => {
+        const created = await request(server).post('/roles').set('Authorization', adminAuth())
+            .send({ name: 'agent', description: 'Support agents', permissions: ['profiles:read'] });
+        expect(created.status).toBe(201);
+        const user = await registerUser();
+
+        const assigned = await request(server).patch(`/profiles/${user.id}`).set('Authorization', adminAuth()).send({ roles: ['user', 'agent'] });
+        expect(assigned.status).toBe(200);
+        expect(assigned.body).toMatchObject({ role: 'user', roles: ['user', 'agent'] });
+
+        const login = await request(server).post('/authenticate').send({ identifier: 'member', password: 'memberpassword' });
+        expect(login.body).toMatchObject({ roles: ['user', 'agent'], permissions: ['profiles:read'] });
+        const agent = `Bearer ${login.body.accessToken}`;
+        expect((await request(server).get('/profiles').set('Authorization', agent)).status).toBe(200);
+        expect((await request(server).delete(`/profiles/${user.id}`).set('Authorization', agent)).status).toBe(403);
+
+        // Role changes apply to existing tokens
+        await request(server).put('/roles/agent').set('Authorization', adminAuth()).send({ permissions: [] });
+        expect((await request(server).get('/profiles').set('Authorization', agent)).status).toBe(403);
+        const permissions = await request(server).get(`/profiles/${user.id}/permissions`).set('Authorization', agent);
+        expect(permissions.body).toEqual({ userId: user.id, roles: ['user', 'agent'], permissions: [] });
+    });
+
+    it('should reject unknown roles and role changes without roles:assign', async () => {
+        const user = await registerUser();
+
+        const unknown = await request(server).patch(`/profiles/${user.id}`).set('Authorization', adminAuth()).send({ role: 'moderator' });
+        expect(unknown.status).toBe(400);
+        expect(unknown.body.error).toMatch(/Invalid role value: moderator/);
+
+        const own = await request(server).patch(`/profiles/${user.id}`).set('Authorization', bearer(user)).send({ roles: ['user', 'admin'] });
+        expect(own.status).toBe(403);
+        expect((await request(server).post('/roles').set('Authorization', bearer(user)).send({ name: 'mine', permissions: [] })).status).toBe(403);
+    });
+
+    it('should not let roles:assign hand out roles beyond the caller\'s own permissions', async () => {
+        const admin = adminAuth();
+        await request(server).post('/roles').set('Authorization', admin).send({ name: 'assigner', permissions: ['roles:assign'] });
+        await request(server).post('/roles').set('Authorization', admin).send({ name: 'delegate', permissions: ['roles:assign', 'profiles:write'] });
+        const user = await registerUser();
+        const assigner = bearer((await request(server).patch(`/profiles/${user.id}`).set('Authorization', admin).send({ roles: ['user', 'assigner'] })).body);
+
+        const own = await request(server).patch(`/profiles/${user.id}`).set('Authorization', assigner).send({ roles: ['admin'] });
+        expect(own.status).toBe(403);
+        expect(own.body.error).toMatch(/role admin grants permissions you do not hold/);
+        expect((await userRepository.findById(user.id)).roles).toEqual(['user', 'assigner']);
+
+        const lead = await registerUser('lead');
+        const delegate = bearer((await request(server).patch(`/profiles/${lead.id}`).set('Authorization', admin).send({ roles: ['user', 'delegate'] })).body);
+        const other = await registerUser('promoted');
+        expect((await request(server).patch(`/profiles/${other.id}`).set('Authorization', delegate).send({ role: 'admin' })).status).toBe(403);
+        const peer = await request(server).patch(`/profiles/${other.id}`).set('Authorization', delegate).send({ roles: ['user', 'delegate'] });
+        expect(peer.status).toBe(200);
+    });
+
+    it('should not let roles:manage create or widen roles beyond the caller\'s own permissions', async () => {
+        const admin = adminAuth();
+        await request(server).post('/roles').set('Authorization', admin).send({ name: 'rolemaker', permissions: ['roles:manage'] });
+        await request(server).post('/roles').set('Authorization', admin).send({ name: 'reader', permissions: ['profiles:read'] });
+        const user = await registerUser();
+        const manager = bearer((await request(server).patch(`/profiles/${user.id}`).set('Authorization', admin).send({ roles: ['user', 'rolemaker', 'reader'] })).body);
+
+        const created = await request(server).post('/roles').set('Authorization', manager).send({ name: 'superuser', permissions: ['profiles:read', 'audit:read'] });
+        expect(created.status).toBe(403);
+        expect(created.body.error).toBe('Forbidden: you do not hold audit:read');
+
+        const everything = Object.keys(require('../auth').PERMISSIONS);
+        expect((await request(server).put('/roles/user').set('Authorization', manager).send({ permissions: everything })).status).toBe(403);
+        const own = await request(server).put('/roles/rolemaker').set('Authorization', manager).send({ permissions: ['roles:manage', 'profiles:read'] });
+        expect(own.status).toBe(403);
+        expect(own.body.error).toMatch(/cannot add permissions to role rolemaker/);
+        expect((await request(server).get(`/profiles/${user.id}/permissions`).set('Authorization', manager)).body.permissions).toEqual(['profiles:read', 'roles:manage']);
+
+        expect((await request(server).post('/roles').set('Authorization', manager).send({ name: 'helper', permissions: ['profiles:read'] })).status).toBe(201);
+        expect((await request(server).put('/roles/helper').set('Authorization', manager).send({ permissions: [] })).status).toBe(200);
+    });
+
+    it('should protect built-in, reserved and assigned roles', async () => {
+        const admin = adminAuth();
+        expect((await request(server).delete('/roles/admin').set('Authorization', admin)).status).toBe(409);
+        expect((await request(server).put('/roles/admin').set('Authorization', admin).send({ permissions: [] })).status).toBe(409);
+        expect((await request(server).post('/roles').set('Authorization', admin).send({ name: 'service', permissions: [] })).status).toBe(409);
+
+        await request(server).post('/roles').set('Authorization', admin).send({ name: 'moderator', permissions: ['profiles:read'] });
+        const user = await registerUser();
+        await request(server).patch(`/profiles/${user.id}`).set('Authorization', admin).send({ role: 'moderator' });
+
+        const inUse = await request(server).delete('/roles/moderator').set('Authorization', admin);
+        expect(inUse.status).toBe(409);
+        expect(inUse.body.error).toMatch(/still assigned to 1 user/);
+
+        await request(server).patch(`/profiles/${user.id}`).set('Authorization', admin).send({ role: 'user' });
+        expect((await request(server).delete('/roles/moderator').set('Authorization', admin)).status).toBe(204);
+        expect((await request(server).delete('/roles/moderator').set('Authorization', admin)).status).toBe(404);
+    });
+});
+
+describe('Profile details and avatars', () => {
+    const sharp = require('sharp');
+
+    async function registerUser(username = 'detailed') {
+        return (await request(server).post('/register').send({ username, email: `${username}@example.com`, password: `${username}password` })).body;
+    }
+
+    const png = () => sharp({ create: { width: 120, height: 80, channels: 3, background: '#3366cc' } }).png().toBuffer();
+
+    it('should let users edit their profile details and read them back', async () => {
+        const user = await registerUser();
+        expect(user).toMatchObject({ display_name: null, timezone: null, avatar_url: null, notification_preferences: { email: true, marketing: false } });
+
+        const res = await request(server).patch(`/profiles/${user.id}`).set('Authorization', bearer(user)).send({
+            display_name: 'Dee Tailed',
+            bio: 'Hello',
+            phone: '+33612345678',
+            locale: 'fr-FR',
+            timezone: 'Europe/Paris',
+            notification_preferences: { marketing: true },
+        });
+        expect(res.status).toBe(200);
+
+        const profile = await request(server).get(`/profiles/${user.id}`).set('Authorization', bearer(user));
+        expect(profile.body).toMatchObject({
+            display_name: 'Dee Tailed',
+            phone: '+33612345678',
+            locale: 'fr-FR',
+            timezone: 'Europe/Paris',
+            notification_preferences: { email: true, sms: false, push: true, marketing: true },
+        });
+
+        const cleared = await request(server).patch(`/profiles/${user.id}`).set('Authorization', bearer(user)).send({ bio: null });
+        expect(cleared.body).toMatchObject({ bio: null, display_name: 'Dee Tailed' });
+    });
+
+    it('should reject invalid details and other users', async () => {
+        const user = await registerUser();
+        const other = await registerUser('other');
+
+        const invalid = await request(server).patch(`/profiles/${user.id}`).set('Authorization', bearer(user))
+            .send({ phone: '12345', timezone: 'Nowhere/City' });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.details.map(detail => detail.field)).toEqual(['phone', 'timezone']);
+
+        const foreign = await request(server).patch(`/profiles/${user.id}`).set('Authorization', bearer(other)).send({ bio: 'hijacked' });
+        expect(foreign.status).toBe(403);
+    });
+
+    it('should store an uploaded avatar and serve its thumbnails at a stable URL', async () => {
+        const user = await registerUser();
+
+        const upload = await request(server).post(`/profiles/${user.id}/avatar`).set('Authorization', bearer(user))
+            .set('Content-Type', 'image/png').send(await png());
+        expect(upload.status).toBe(200);
+        const url = new URL(upload.body.avatar_url);
+        expect(url.pathname).toBe(`/avatars/${user.id}/256.webp`);
+
+        const thumbnail = await request(server).get(`/avatars/${user.id}/64.webp`).buffer(true).parse((res, callback) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+        expect(thumbnail.status).toBe(200);
+        expect(thumbnail.headers['content-type']).toBe('image/webp');
+        expect(thumbnail.headers).toHaveProperty('etag');
+        expect(await sharp(thumbnail.body).metadata()).toMatchObject({ width: 64, height: 64 });
+
+        const removed = await request(server).delete(`/profiles/${user.id}/avatar`).set('Authorization', bearer(user));
+        expect(removed.body.avatar_url).toBeNull();
+        expect((await request(server).get(url.pathname)).status).toBe(404);
+    });
+
+    it('should refuse uploads that are not supported images', async () => {
+        const user = await registerUser();
+        const upload = (type, body) => request(server).post(`/profiles/${user.id}/avatar`).set('Authorization', bearer(user))
+            .set('Content-Type', type).send(body);
+
+        expect((await upload('text/plain', 'hello')).status).toBe(415);
+        const garbage = await upload('image/png', Buffer.from('not really a png'));
+        expect(garbage.status).toBe(400);
+        expect(garbage.body.error).toBe('The file is not a readable image');
+        expect((await request(server).get(`/avatars/${user.id}/32.webp`)).status).toBe(400);
+    });
+});
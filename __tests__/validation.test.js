@@ -0,0 +1,86 @@
+// __tests__/validation.test.js
+// Schema checks and the password policy, without going through HTTP.
+const { check, validationErrorBody, optional, string, uuid } = require('../validation');
+const { checkPassword } = require('../validation/passwordPolicy');
+const { fields } = require('../validation/schemas');
+
+const policy = {
+    minLength: 10,
+    maxLength: 72,
+    requireUppercase: true,
+    requireLowercase: true,
+    requireDigit: true,
+    requireSymbol: true,
+};
+
+describe('password policy', () => {
+    it('should list every unmet requirement', () => {
+        expect(checkPassword('short', policy)).toEqual([
+            'at least 10 characters',
+            'an upper-case letter',
+            'a digit',
+            'a symbol',
+        ]);
+    });
+
+    it('should accept a password meeting all requirements', () => {
+        expect(checkPassword('Correct-Horse-7', policy)).toEqual([]);
+    });
+
+    it('should measure the maximum length in bytes, as bcrypt does', () => {
+        expect(checkPassword('é'.repeat(40), { minLength: 8, maxLength: 72 }))
+            .toEqual(['at most 72 bytes']);
+    });
+});
+
+describe('schema checks', () => {
+    const schema = {
+        params: { userId: uuid() },
+        body: { username: fields.username, nickname: optional(string({ max: 5 })) },
+    };
+
+    it('should report each invalid or missing field with its location', () => {
+        const details = check(schema, { params: { userId: 'abc' }, body: { nickname: 'toolongname' } });
+
+        expect(details.map(({ location, field }) => `${location}.${field}`)).toEqual([
+            'params.userId',
+            'body.username',
+            'body.nickname',
+        ]);
+        expect(validationErrorBody(details).error).toBe('Request validation failed');
+        expect(validationErrorBody(details, 'username is needed').error).toBe('username is needed');
+    });
+
+    it('should skip absent optional fields', () => {
+        const details = check(schema, {
+            params: { userId: '123e4567-e89b-12d3-a456-426614174000' },
+            body: { username: 'valid_name' },
+        });
+        expect(details).toEqual([]);
+    });
+
+    it('should reject non-string values where strings are expected', () => {
+        const [detail] = check({ body: { username: fields.username } }, { body: { username: { $ne: null } } });
+        expect(detail.message).toBe('username must be a string');
+    });
+});
+
+describe('profile detail rules', () => {
+    it('should accept language tags, IANA time zones and E.164 numbers only', () => {
+        expect(fields.locale.validate('pt-BR', 'locale')).toBeNull();
+        expect(fields.locale.validate('en_US', 'locale')).toBe('locale must be a language tag such as en or pt-BR');
+        expect(fields.timeZone.validate('Europe/Paris', 'timezone')).toBeNull();
+        expect(fields.timeZone.validate('Mars/Olympus', 'timezone')).toBe('timezone must be an IANA time zone such as Europe/Paris');
+        expect(fields.phone.validate('+14155550123', 'phone')).toBeNull();
+        expect(fields.phone.validate('0612345678', 'phone')).toMatch(/E\.164/);
+    });
+
+    it('should check notification preferences key by key', () => {
+        const rule = fields.notificationPreferences;
+
+        expect(rule.validate({ sms: true }, 'notification_preferences')).toBeNull();
+        expect(rule.validate({ fax: true }, 'notification_preferences')).toBe('notification_preferences.fax is not one of: email, sms, push, marketing');
+        expect(rule.validate({ email: 'yes' }, 'notification_preferences')).toBe('notification_preferences.email must be true or false');
+        expect(rule.validate([], 'notification_preferences')).toBe('notification_preferences must be an object');
+    });
+});
@@ -1,417 +1,788 @@
-// index.js (user-service)
+// app.js
+// The Express application: shared middleware, the feature routers and the core
+// registration, login and profile routes. server.js starts it.
 const express = require('express');
 const bodyParser = require('body-parser');
-const bcrypt = require('bcrypt');
-// Add axios for making HTTP requests to other services
-const axios = require('axios'); // <--- ADD THIS LINE
-const supabase = require('./supabaseClient'); // Import the configured Supabase client
+// User store adapter (Supabase or in-memory), selected by USER_STORE
+const { userRepository, DuplicateUserError } = require('./repositories');
+const { tokenService, emailVerificationService, loginThrottle, mfaService, MfaError, roleService, requireCaller, requirePermission, requireSelfOrPermission } = require('./auth');
+const { hashPassword, verifyPassword } = require('./auth/passwords');
+const tokenRoutes = require('./routes/tokens');
+const passwordRoutes = require('./routes/passwords');
+const mfaRoutes = require('./routes/mfa');
+const sessionRoutes = require('./routes/sessions');
+const apiKeyRoutes = require('./routes/apiKeys');
+const roleRoutes = require('./routes/roles');
+const avatarRoutes = require('./routes/avatars');
+const bulkProfileRoutes = require('./routes/bulkProfiles');
+const dataExportRoutes = require('./routes/dataExport');
+const emailVerificationRoutes = require('./routes/emailVerification');
+const { parsePagination, setPaginationHeaders } = require('./routes/pagination');
+const { validateProfilePatch, profilePatchBodySchema, requestedRoles, sameRoles, mergePreferences, forbiddenChanges } = require('./routes/profileFields');
+const { cleanupOutbox, accountPurger, summarizeJobs } = require('./cleanup');
+const { emitUserEvent } = require('./webhooks');
+const { validate, optional, validationErrorBody } = require('./validation');
+const { fields, userIdParams } = require('./validation/schemas');
+const { logger, requestId, accessLog } = require('./logging');
+const { inFlight } = require('./health');
+const healthRoutes = require('./routes/health');
+const metricsRoutes = require('./routes/metrics');
+const { httpMetrics, authAttempts, registrations } = require('./metrics');
+const webhookRoutes = require('./routes/webhooks');
+const auditRoutes = require('./routes/audit');
+const { auditRequest, diffFields } = require('./audit');
+const { describe, paginationParameters, paginationHeaders, ref } = require('./openapi');
+const openapiRoutes = require('./routes/openapi');
+const { rateLimit } = require('./rateLimit');
 require('dotenv').config();
  
 const app = express(); 
-const port = process.env.USER_SERVICE_PORT || 3001;  
+const log = logger.child({ component: 'Routes' });
  
 // Add environment variable for the Properties Service URL
 const propertiesServiceUrl = process.env.PROPERTIES_SERVICE_URL; // Reads from .env
 
 // Add a check during startup for the properties service URL
 if (!propertiesServiceUrl) {
-    console.error('!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!');
-    console.error('!! CRITICAL ERROR: PROPERTIES_SERVICE_URL environment variable not set!');
-    console.error('!! User deletion cleanup will fail.');
-    console.error('!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!');
+    log.error('PROPERTIES_SERVICE_URL environment variable not set! Properties of deleted users will not be cleaned up.');
     // Consider exiting or preventing server start in production if this is missing
     // process.exit(1);
 } else {
-     console.log(`User Service configured to call Properties Service at: ${propertiesServiceUrl}`);
+     log.info('Properties service configured', { propertiesServiceUrl });
 }
 
 
-const SALT_ROUNDS = 10;
+// Behind the gateway/load balancer set TRUST_PROXY so req.ip is the client address:
+// a hop count (e.g. 1), 'true', or an address list such as 'loopback'
+const trustProxy = process.env.TRUST_PROXY;
+if (/^\d+$/.test(trustProxy || '')) {
+    app.set('trust proxy', Number(trustProxy));
+} else if (trustProxy) {
+    app.set('trust proxy', trustProxy === 'true' ? true : trustProxy);
+}
 
 // Middleware
+// Count in-flight requests for graceful shutdown (see health/shutdown.js)
+app.use(inFlight.middleware());
+// Request IDs first so every later log line and outbound call carries one
+app.use(requestId());
+// Request counts and latency by route pattern (see metrics/index.js)
+app.use(httpMetrics());
+
+// Liveness and readiness probes (see routes/health.js) and the Prometheus scrape
+// endpoint (see routes/metrics.js), kept out of the access log
+app.use(healthRoutes);
+app.use(metricsRoutes);
+
+app.use(accessLog(logger.child({ component: 'Access' })));
+// Per-client request budget for every route below; stricter per-route policies are
+// added by the routes themselves (see rateLimit/)
+app.use(rateLimit('default'));
 app.use(bodyParser.json()); 
 app.use(bodyParser.urlencoded({ extended: true })); 
 
 // --- Routes ---
 
+// Token refresh, logout and JWKS (see routes/tokens.js)
+app.use(tokenRoutes);
+
+// Password change and reset (see routes/passwords.js)
+app.use(passwordRoutes);
+
+// Session listing and revocation (see routes/sessions.js)
+app.use(sessionRoutes);
+
+// Two-factor enrollment and admin reset (see routes/mfa.js)
+app.use(mfaRoutes);
+
+// Email verification (see routes/emailVerification.js)
+app.use(emailVerificationRoutes);
+
+// Webhook subscriptions (see routes/webhooks.js)
+app.use(webhookRoutes);
+
+// Audit log queries and export (see routes/audit.js)
+app.use(auditRoutes);
+
+// API keys for internal callers (see routes/apiKeys.js)
+app.use(apiKeyRoutes);
+
+// Roles, the permission catalog and user permissions (see routes/roles.js)
+app.use(roleRoutes);
+
+// Avatar upload and thumbnails (see routes/avatars.js)
+app.use(avatarRoutes);
+
+// Bulk user import and export (see routes/bulkProfiles.js)
+app.use(bulkProfileRoutes);
+
+// Personal data export (see routes/dataExport.js)
+app.use(dataExportRoutes);
+
+// API document and docs page (see routes/openapi.js)
+app.use(openapiRoutes);
+
+// Request schemas (see validation/). Invalid requests get 400 { error, details: [{ location, field, message }] }.
+const registerSchema = {
+    body: { username: fields.username, email: fields.email, password: fields.newPassword },
+};
+const authenticateSchema = {
+    body: { identifier: fields.identifier, password: fields.existingPassword },
+};
+const mfaLoginSchema = {
+    body: { challengeToken: fields.token, code: optional(fields.totpCode), recoveryCode: optional(fields.recoveryCode) },
+};
+const profileUpdateSchema = {
+    ...userIdParams,
+    body: { username: fields.username, email: fields.email, role: fields.role, roles: optional(fields.roles) },
+};
+
 // User Registration (POST /register)
-app.post('/register', async (req, res) => {
+// The password must satisfy the password policy (see validation/passwordPolicy.js).
+app.post('/register', describe({
+    summary: 'Register a user',
+    tags: ['Users'],
+    responses: { 201: 'Profile', 409: 'Error' },
+}), rateLimit('register'), validate(registerSchema, { missingMessage: 'Username, email, and password are required.' }), async (req, res) => {
     const { username, email, password } = req.body;
 
-    if (!username || !email || !password) {
-        return res.status(400).json({ error: 'Username, email, and password are required.' });
-    }
-
     try {
         // Ensure the username and email are unique before creating
-        const { data: existingUsers, error: checkError } = await supabase
-            .from('users')
-            .select('id')
-            .or(`username.eq.${username},email.eq.${email}`);
-
-        if (checkError) {
-            console.error('[User Service POST /register] Supabase check error:', checkError);
-            return res.status(500).json({ error: 'Database error checking user' });
-        }
-
-        if (existingUsers && existingUsers.length > 0) {
-            console.warn(`[User Service POST /register] Registration failed: Username or email already exists for ${username}/${email}`);
+        if (await userRepository.existsByUsernameOrEmail(username, email)) {
+            log.warn('Registration failed: username or email already exists', { username, email });
+            registrations.inc({ result: 'conflict' });
             return res.status(409).json({ error: 'Username or email already exists' });
         }
 
         // Hash the password
-        const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
-
-        // Insert the new user. Optionally add a default role here if not set by frontend.
-        // Based on your DB schema, 'role' defaults to 'user' if not provided in insert.
-        const { data, error: insertError } = await supabase
-            .from('users')
-            // If you want to allow setting role on creation via this endpoint (e.g. for admin),
-            // include role: req.body.role here and update schema/validation if needed.
-            .insert([{ username, email, password_hash: passwordHash }])
-            .select('id, username, email, created_at, role'); // Include role in the response
-
-        if (insertError) {
-            console.error('[User Service POST /register] Supabase insert error:', insertError);
-            return res.status(500).json({ error: 'Failed to register user' });
-        }
+        const passwordHash = await hashPassword(password);
+
+        // Role is left unset so the store applies its default ('user').
+        const user = await userRepository.create({ username, email, password_hash: passwordHash });
+
+        log.info('User registered', { userId: user.id, username: user.username });
+        registrations.inc({ result: 'created' });
+
+        await auditRequest(req, 'user.registered', { actor: user, targetUserId: user.id });
+        await emitUserEvent('user.registered', user);
 
-        if (!data || data.length === 0) {
-             console.error('[User Service POST /register] Supabase insert error: No data returned after insert');
-             return res.status(500).json({ error: 'Failed to register user (no data)' });
+        // The account exists either way; a failed email can be retried via POST /verify-email/resend
+        try {
+            await emailVerificationService.sendVerification(user);
+        } catch (mailError) {
+            log.error('Failed to send verification email', { userId: user.id, error: mailError });
         }
 
-        console.log(`[User Service POST /register] User registered successfully: ${data[0].username} (ID: ${data[0].id})`);
-        res.status(201).json(data[0]);
+        res.status(201).json(user);
 
     } catch (error) {
-        console.error('[User Service POST /register] Registration error:', error);
+        if (error instanceof DuplicateUserError) {
+            // Lost a race with a concurrent registration for the same username/email
+            registrations.inc({ result: 'conflict' });
+            return res.status(409).json({ error: 'Username or email already exists' });
+        }
+        log.error('Registration error', { error });
         res.status(500).json({ error: 'Internal server error during registration' });
     }
 });
 
 // Get All Profiles (GET /profiles)
-app.get('/profiles', async (req, res) => {
-    console.log(`[User Service GET /profiles] Received request`);
+// Requires profiles:read. Returns one page of profiles as an array; paging metadata is sent in the
+// X-Total-Count, X-Next-Offset and Link headers. Query parameters:
+//   limit, offset                    page size (default 50, capped at 100) and start
+//   role                             users holding this role
+//   created_after, created_before    ISO-8601 created_at range (inclusive)
+//   sort                             username | email | created_at, prefix '-' for descending (default created_at)
+//   q                                case-insensitive search over username and email
+const PROFILE_SORT_FIELDS = ['username', 'email', 'created_at'];
+
+function parseProfileListQuery(query) {
+    const pagination = parsePagination(query);
+    if (pagination.error) return pagination;
+
+    const sortParam = String(query.sort || 'created_at');
+    const sort = sortParam.replace(/^-/, '');
+    if (!PROFILE_SORT_FIELDS.includes(sort)) {
+        return { error: `sort must be one of: ${PROFILE_SORT_FIELDS.join(', ')} (prefix with - for descending)` };
+    }
 
-    // TODO: Add Authorization Check here! Only admins should view all users.
-    // Example: Check the X-User-ID header and query that user's role.
+    const dates = {};
+    for (const [param, key] of [['created_after', 'createdAfter'], ['created_before', 'createdBefore']]) {
+        if (query[param] === undefined) continue;
+        const date = new Date(query[param]);
+        if (Number.isNaN(date.getTime())) return { error: `${param} must be an ISO-8601 date` };
+        dates[key] = date.toISOString();
+    }
+
+    return {
+        ...pagination,
+        ...dates,
+        role: query.role ? String(query.role) : undefined,
+        q: query.q ? String(query.q) : undefined,
+        sort,
+        order: sortParam.startsWith('-') ? 'desc' : 'asc',
+    };
+}
+
+app.get('/profiles', describe({
+    summary: 'List profiles',
+    tags: ['Users'],
+    parameters: [
+        ...paginationParameters,
+        { name: 'role', in: 'query', schema: { type: 'string' }, description: 'Users holding this role' },
+        { name: 'created_after', in: 'query', schema: { type: 'string', format: 'date-time' } },
+        { name: 'created_before', in: 'query', schema: { type: 'string', format: 'date-time' } },
+        { name: 'sort', in: 'query', schema: { type: 'string', default: 'created_at' }, description: "username, email or created_at; prefix '-' for descending" },
+        { name: 'q', in: 'query', schema: { type: 'string' }, description: 'Case-insensitive search over username and email' },
+    ],
+    responses: {
+        200: { description: 'One page of profiles', schema: { type: 'array', items: ref('Profile') }, headers: paginationHeaders },
+        400: 'Error',
+    },
+}), requireCaller, rateLimit('profileList'), requirePermission('profiles:read'), async (req, res) => {
+
+    const options = parseProfileListQuery(req.query);
+    if (options.error) {
+        return res.status(400).json({ error: options.error });
+    }
 
     try {
-        const { data, error } = await supabase
-            .from('users')
-            // --- SELECT 'role' column ---
-            .select('id, username, email, created_at, role'); // <<< Ensure 'role' is selected
-
-        if (error) {
-            console.error('[User Service GET /profiles] Supabase fetch error:', error);
-            return res.status(500).json({ error: 'Database error fetching profiles' });
-        }
-        console.log(`[User Service GET /profiles] Found ${data?.length || 0} profiles.`);
-        res.status(200).json(data || []);
+        const { profiles, total } = await userRepository.search(options);
+        log.debug('Listing profiles', { returned: profiles.length, total });
+        setPaginationHeaders(req, res, { limit: options.limit, offset: options.offset, total });
+        res.status(200).json(profiles);
     } catch (error) {
-        console.error('[User Service GET /profiles] Unhandled error:', error);
-        res.status(500).json({ error: 'Internal server error fetching profiles' });
+        log.error('Error fetching profiles', { error });
+        res.status(500).json({ error: 'Database error fetching profiles' });
     }
 });
 
+// Issues tokens for a user who passed every login step and sends the authentication result.
+async function completeLogin(req, res, user, metadata) {
+    log.info('Authentication successful', { userId: user.id });
+    const tokens = await tokenService.issueTokens(user, { userAgent: req.get('User-Agent'), ip: req.ip });
+    const permissions = await roleService.permissionsFor(user.roles);
+    authAttempts.inc({ result: 'success', reason: '' });
+    await auditRequest(req, 'login.succeeded', { actor: user, targetUserId: user.id, metadata });
+    // Return essential user info along with the signed access token and a refresh token
+    res.status(200).json({
+        message: 'Authentication successful',
+        userId: user.id, // The 'sub' claim of the access token
+        username: user.username,
+        email: user.email,
+        role: user.role, // <<< Include role in authentication response
+        roles: user.roles,
+        permissions,
+        emailVerified: Boolean(user.email_verified_at),
+        ...tokens
+    });
+}
+
 // User Authentication (POST /authenticate)
-app.post('/authenticate', async (req, res) => {
+// Users with two-factor authentication enabled get an MFA challenge instead of tokens
+// and complete the login at POST /authenticate/mfa.
+app.post('/authenticate', describe({
+    summary: 'Log in with username or email and password',
+    tags: ['Authentication'],
+    responses: {
+        200: { description: 'Tokens, or an MFA challenge when two-factor authentication is enabled', schema: { oneOf: [ref('AuthenticationResult'), ref('MfaChallenge')] } },
+        401: 'Error',
+        403: 'Error',
+        423: 'Error',
+        429: 'Error',
+    },
+}), rateLimit('authenticate'), validate(authenticateSchema, { missingMessage: 'Identifier (username or email) and password are required' }), async (req, res) => {
     const { identifier, password } = req.body;
 
-    if (!identifier || !password) {
-        return res.status(400).json({ error: 'Identifier (username or email) and password are required' });
-    }
-
     try {
-        const { data: users, error } = await supabase
-            .from('users')
-            // Select role here as well, it might be useful for JWT claims
-            .select('id, username, email, password_hash, role') // <<< Select 'role' for authentication
-            .or(`username.eq.${identifier},email.eq.${identifier}`)
-            .limit(1);
-
-        if (error) {
-            console.error('[User Service POST /authenticate] Supabase find user error:', error);
-            return res.status(500).json({ error: 'Database error finding user' });
+        // Brute-force protection: blocked IPs get 429, locked accounts 423, both with Retry-After
+        // Every refusal is counted and audited with the reason; the audit entry keeps the
+        // identifier to trace guessing attempts
+        const auditFailure = (reason, targetUser) => {
+            authAttempts.inc({ result: 'failure', reason });
+            return auditRequest(req, 'login.failed', {
+                actor: null,
+                targetUserId: targetUser ? targetUser.id : null,
+                metadata: { identifier, reason },
+            });
+        };
+
+        const ipRetryAfter = await loginThrottle.ipRetryAfter(req.ip);
+        if (ipRetryAfter > 0) {
+            log.warn('Login rejected: too many failed attempts from IP', { ip: req.ip });
+            await auditFailure('ip_blocked');
+            res.set('Retry-After', String(ipRetryAfter));
+            return res.status(429).json({ error: 'Too many failed login attempts. Try again later.' });
         }
 
-        if (!users || users.length === 0) {
-            console.log(`[User Service POST /authenticate] Authentication failed: User not found for identifier: ${identifier}`);
-            return res.status(401).json({ error: 'Invalid credentials' });
+        const user = await userRepository.findByIdentifier(identifier);
+        const account = { userId: user && user.id, identifier };
+
+        const accountRetryAfter = await loginThrottle.accountRetryAfter(account);
+        if (accountRetryAfter > 0) {
+            log.warn('Login rejected: account locked', { userId: user && user.id });
+            await auditFailure('account_locked', user);
+            res.set('Retry-After', String(accountRetryAfter));
+            return res.status(423).json({ error: 'Account temporarily locked due to failed login attempts' });
         }
 
-        const user = users[0];
+        if (!user) {
+            log.info('Authentication failed: unknown user');
+            await loginThrottle.recordFailure(account, req.ip);
+            await auditFailure('unknown_user');
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
 
-        const passwordMatch = await bcrypt.compare(password, user.password_hash);
+        const passwordMatch = await verifyPassword(password, user.password_hash);
 
         if (!passwordMatch) {
-            console.log(`[User Service POST /authenticate] Authentication failed: Password mismatch for user: ${user.username}`);
+            log.info('Authentication failed: password mismatch', { userId: user.id });
+            await loginThrottle.recordFailure(account, req.ip);
+            await auditFailure('invalid_password', user);
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        console.log(`[User Service POST /authenticate] Authentication successful for user: ${user.username}`);
-        // Return essential user info including role for JWT claims
-        res.status(200).json({
-            message: 'Authentication successful',
-            userId: user.id, // This becomes the 'sub' claim in the JWT
-            username: user.username,
-            email: user.email,
-            role: user.role // <<< Include role in authentication response
-        });
+        if (!user.email_verified_at && emailVerificationService.requireVerifiedEmail) {
+            log.info('Authentication refused: email not verified', { userId: user.id });
+            await auditFailure('email_not_verified', user);
+            return res.status(403).json({ error: 'Email address not verified' });
+        }
+
+        if (await mfaService.isEnabled(user.id)) {
+            log.info('Password accepted; second factor required', { userId: user.id });
+            return res.status(200).json({
+                message: 'Two-factor authentication required',
+                mfaRequired: true,
+                ...mfaService.createChallenge(user),
+            });
+        }
+
+        // Only a complete login clears the failure count; with two-factor authentication
+        // that happens after the second step, so wrong codes keep adding up across challenges
+        await loginThrottle.recordSuccess(account);
+        await completeLogin(req, res, user);
 
     } catch (error) {
-        console.error('[User Service POST /authenticate] Authentication error:', error);
+        log.error('Authentication error', { error });
         res.status(500).json({ error: 'Internal server error during authentication' });
     }
 });
 
-// Get User by ID (GET /profiles/:userId)
-app.get('/profiles/:userId', async (req, res) => {
-    const userId = req.params.userId;
-    console.log(`[User Service GET /profiles/:userId] Received request for user ID: ${userId}`);
+// Second login step (POST /authenticate/mfa)
+// Exchanges the challenge from POST /authenticate plus either the current authenticator
+// code or an unused recovery code for tokens. Wrong codes count towards the account lockout.
+app.post('/authenticate/mfa', describe({
+    summary: 'Complete a login with a second factor',
+    description: 'Send either code (from the authenticator app) or recoveryCode.',
+    tags: ['Authentication'],
+    responses: { 200: 'AuthenticationResult', 401: 'Error', 423: 'Error', 429: 'Error' },
+}), rateLimit('authenticate'), validate(mfaLoginSchema), async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if ((code === undefined) === (recoveryCode === undefined)) {
+        return res.status(400).json(validationErrorBody([
+            { location: 'body', field: null, message: 'Provide either code or recoveryCode' },
+        ]));
+    }
 
-    // TODO: Add Authorization Check here! Only allow fetching own profile or if admin.
+    let userId;
+    try {
+        userId = mfaService.readChallenge(challengeToken);
+    } catch (error) {
+        if (error instanceof MfaError) return res.status(401).json({ error: error.message });
+        log.error('MFA challenge error', { error });
+        return res.status(500).json({ error: 'Internal server error during authentication' });
+    }
 
     try {
-        const { data, error } = await supabase
-            .from('users')
-            // --- SELECT 'role' column ---
-            .select('id, username, email, created_at, role') // <<< Ensure 'role' is selected
-            .eq('id', userId)
-            .single(); // Use single() as we expect exactly one user
-
-        console.log(`[User Service GET /profiles/:userId] Supabase query result for ${userId}:`, data, error);
-
-        if (error) {
-             if (error.code === 'PGRST116') {
-                console.warn(`[User Service GET /profiles/:userId] User ${userId} not found in DB.`);
-                return res.status(404).json({ error: 'User not found' });
-            }
-            console.error('[User Service GET /profiles/:userId] Supabase error:', error);
-            return res.status(500).json({ error: 'Database error fetching profile' });
+        const ipRetryAfter = await loginThrottle.ipRetryAfter(req.ip);
+        if (ipRetryAfter > 0) {
+            log.warn('MFA login rejected: too many failed attempts from IP', { ip: req.ip });
+            authAttempts.inc({ result: 'failure', reason: 'ip_blocked' });
+            await auditRequest(req, 'login.failed', { actor: null, targetUserId: userId, metadata: { reason: 'ip_blocked' } });
+            res.set('Retry-After', String(ipRetryAfter));
+            return res.status(429).json({ error: 'Too many failed login attempts. Try again later.' });
         }
 
-        if (!data) { // Redundant with single() error, but good safeguard
-             console.warn(`[User Service GET /profiles/:userId] Supabase returned no data for ${userId} (after no error).`);
-             return res.status(404).json({ error: 'User not found' });
+        const user = await userRepository.findById(userId);
+        const account = { userId, identifier: userId };
+        const retryAfter = await loginThrottle.accountRetryAfter(account);
+        if (retryAfter > 0) {
+            log.warn('MFA login rejected: account locked', { userId });
+            res.set('Retry-After', String(retryAfter));
+            return res.status(423).json({ error: 'Account temporarily locked due to failed login attempts' });
+        }
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid or expired MFA challenge' });
         }
 
-        console.log(`[User Service GET /profiles/:userId] Found user ${userId}.`);
-        res.status(200).json(data);
+        let method;
+        try {
+            ({ method } = await mfaService.verifySecondFactor(userId, { code, recoveryCode }));
+        } catch (error) {
+            if (!(error instanceof MfaError)) throw error;
+            log.info('Authentication failed: invalid second factor', { userId });
+            await loginThrottle.recordFailure(account, req.ip);
+            authAttempts.inc({ result: 'failure', reason: 'invalid_mfa_code' });
+            await auditRequest(req, 'login.failed', { actor: null, targetUserId: userId, metadata: { reason: 'invalid_mfa_code' } });
+            return res.status(401).json({ error: error.message });
+        }
 
+        await loginThrottle.recordSuccess(account);
+        await completeLogin(req, res, user, { mfa: method });
     } catch (error) {
-        console.error('[User Service GET /profiles/:userId] Unhandled error:', error);
-        res.status(500).json({ error: 'Internal server error fetching profile' });
+        log.error('MFA authentication error', { userId, error });
+        res.status(500).json({ error: 'Internal server error during authentication' });
     }
 });
 
+// Get User by ID (GET /profiles/:userId)
+// Users may read their own profile; profiles:read allows reading any profile.
+app.get('/profiles/:userId', describe({
+    summary: 'Get a profile',
+    tags: ['Users'],
+    responses: { 200: 'Profile', 404: 'Error' },
+}), requireCaller, validate(userIdParams), requireSelfOrPermission('profiles:read'), async (req, res) => {
+    const userId = req.params.userId;
+
+    try {
+        const profile = await userRepository.findById(userId);
+
+        if (!profile) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.status(200).json(profile);
+
+    } catch (error) {
+        log.error('Error fetching profile', { userId, error });
+        res.status(500).json({ error: 'Database error fetching profile' });
+    }
+});
+
+const PROFILE_AUDIT_FIELDS = ['username', 'email', 'role', 'roles', 'display_name', 'bio', 'phone', 'locale', 'timezone', 'notification_preferences'];
+
+// Audits a profile update with the before/after values of the changed fields.
+// Updates that move the role are recorded as user.role_changed so they are easy to find.
+function auditProfileUpdate(req, before, after) {
+    const changes = diffFields(before, after, PROFILE_AUDIT_FIELDS);
+    return auditRequest(req, changes.roles ? 'user.role_changed' : 'user.updated', { targetUserId: after.id, changes });
+}
+
+// A role change signs the user out everywhere: their tokens still carry the old roles.
+async function revokeSessionsOnRoleChange(before, after) {
+    if (!sameRoles(before.roles, after.roles)) await tokenService.revokeAllForUser(after.id, 'role_changed');
+}
+
+// user.updated for every profile change, plus user.role_changed when the roles changed.
+async function emitProfileUpdateEvents(before, after) {
+    await emitUserEvent('user.updated', after);
+    if (!sameRoles(before.roles, after.roles)) {
+        await emitUserEvent('user.role_changed', {
+            userId: after.id,
+            previousRole: before.role,
+            role: after.role,
+            previousRoles: before.roles,
+            roles: after.roles,
+        });
+    }
+}
+
+// Mails a verification link to a changed address. Like at registration the update stands
+// if the mail fails; the user can ask for another link with POST /verify-email/resend.
+async function sendVerificationOnEmailChange(before, after) {
+    if (before.email === after.email) return;
+    try {
+        await emailVerificationService.sendVerification(after);
+    } catch (mailError) {
+        log.error('Failed to send verification email', { userId: after.id, error: mailError });
+    }
+}
+
+// Turns the role/roles fields of an update body into `roles`, merges notification
+// preferences, clears email_verified_at when the email changes and checks that every role
+// exists and that the caller may make the change: roles:assign, plus every permission of
+// each role given or taken away (see rolesBeyond). Returns { update } or { status, body }.
+async function resolveProfileUpdate(req, body, current) {
+    const { role, roles, ...fields } = body;
+    const update = mergePreferences(fields, current);
+    const nextRoles = requestedRoles({ role, roles }, current);
+    if (nextRoles) {
+        const unknown = await roleService.unknownRoles(nextRoles);
+        if (unknown.length > 0) {
+            const defined = (await roleService.list()).map(definition => definition.name);
+            const message = `Invalid role value: ${unknown.join(', ')}. Must be one of: ${defined.join(', ')}.`;
+            return { status: 400, body: validationErrorBody([{ location: 'body', field: roles ? 'roles' : 'role', message }]) };
+        }
+        update.roles = nextRoles;
+    }
+
+    const forbidden = forbiddenChanges(update, current, req.caller);
+    if (forbidden.length > 0) {
+        log.warn('Forbidden: profile change needs a permission', { userId: current.id, callerId: req.caller.id, fields: forbidden });
+        return { status: 403, body: { error: `Forbidden: changing ${forbidden.join(', ')} requires the roles:assign permission` } };
+    }
+    if (update.roles) {
+        const changed = [
+            ...update.roles.filter(name => !current.roles.includes(name)),
+            ...current.roles.filter(name => !update.roles.includes(name)),
+        ];
+        const beyond = await roleService.rolesBeyond(changed, req.caller.permissions || []);
+        if (beyond.length > 0) {
+            log.warn('Forbidden: role grants permissions the caller lacks', { userId: current.id, callerId: req.caller.id, roles: beyond });
+            return { status: 403, body: { error: `Forbidden: role ${beyond.join(', ')} grants permissions you do not hold` } };
+        }
+    }
+    // A new address has to be verified again (see sendVerificationOnEmailChange)
+    if (update.email !== undefined && update.email !== current.email) {
+        update.email_verified_at = null;
+    }
+    return { update };
+}
+
 // --- NEW: Update User by ID (PUT /profiles/:userId) ---
-app.put('/profiles/:userId', async (req, res) => {
+// Users may update their own profile but never their own roles; profiles:write allows
+// updating anyone, and changing roles needs roles:assign.
+// role is the primary role; the optional roles lists every role (see routes/profileFields.js).
+// Password updates go through POST /profiles/:userId/password.
+app.put('/profiles/:userId', describe({
+    summary: 'Replace username, email and roles',
+    description: 'role alone replaces every role of the user unless it is their current primary role; roles lists every role, with role first.',
+    tags: ['Users'],
+    responses: { 200: 'Profile', 404: 'Error', 409: 'Error' },
+}), requireCaller, validate(profileUpdateSchema, { missingMessage: 'Username, email, and role are required for update' }), requireSelfOrPermission('profiles:write'), async (req, res) => {
     const userId = req.params.userId; // Get the ID from the URL
-    const { username, email, role } = req.body; // Get updated fields from the body
-    console.log(`[User Service PUT /profiles/:userId] Received request to update user ID: ${userId}`);
-    console.log('[User Service PUT /profiles/:userId] Request body:', req.body);
-
-    // TODO: Add Authorization Check here! Only allow updating own profile (certain fields) or if admin (all fields).
-    // Check the X-User-ID header to know who is making the request.
-
-    // Basic validation for fields you expect to be updated
-    if (!username || !email || !role) {
-         // Note: Password updates should be handled separately
-        console.warn(`[User Service PUT /profiles/:userId] Missing fields in body for user ${userId}.`);
-        return res.status(400).json({ error: 'Username, email, and role are required for update' });
+    const { username, email, role, roles } = req.body; // Get updated fields from the body
+
+
+    try {
+        const current = await userRepository.findById(userId);
+        if (!current) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // Users without roles:assign must send back their current role unchanged
+        const { update, status, body } = await resolveProfileUpdate(req, { username, email, role, roles }, current);
+        if (!update) {
+            return res.status(status).json(body);
+        }
+
+        // Do NOT update password_hash here unless it's a specific password change endpoint
+        const profile = await userRepository.update(userId, update);
+
+        if (!profile) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        log.info('User updated', { userId, callerId: req.caller.id });
+        await revokeSessionsOnRoleChange(current, profile);
+        await auditProfileUpdate(req, current, profile);
+        await emitProfileUpdateEvents(current, profile);
+        await sendVerificationOnEmailChange(current, profile);
+        res.status(200).json(profile); // Return the updated user object
+
+    } catch (error) {
+        if (error instanceof DuplicateUserError) {
+            return res.status(409).json({ error: 'Username or email already exists' });
+        }
+        log.error('Update error', { userId, error });
+        res.status(500).json({ error: 'Database error updating user' });
     }
-     if (!['user', 'admin'].includes(role)) {
-         console.warn(`[User Service PUT /profiles/:userId] Invalid role value "${role}" for user ${userId}.`);
-         return res.status(400).json({ error: 'Invalid role value. Must be "user" or "admin".' });
-     }
+});
 
+// Partially update User by ID (PATCH /profiles/:userId)
+// Accepts any subset of the updatable fields (see routes/profileFields.js). Users may change
+// their own username, email and profile details; changing roles requires roles:assign.
+// PUT keeps full-replacement semantics.
+app.patch('/profiles/:userId', describe({
+    summary: 'Update some profile fields',
+    description: 'Only the fields present in the body are changed; null clears an optional profile detail and notification_preferences only changes the channels it names. Changing role or roles requires the roles:assign permission.',
+    tags: ['Users'],
+    requestBody: { required: true, content: { 'application/json': { schema: profilePatchBodySchema } } },
+    responses: { 200: 'Profile', 400: 'ValidationError', 404: 'Error', 409: 'Error' },
+}), requireCaller, validate(userIdParams), requireSelfOrPermission('profiles:write'), async (req, res) => {
+    const userId = req.params.userId;
+
+    const { fields, details } = validateProfilePatch(req.body);
+    if (details) {
+        log.warn('Invalid profile update', { userId, fields: details.map(d => d.field) });
+        return res.status(400).json({ error: 'Invalid profile update', details });
+    }
 
     try {
-        const { data, error } = await supabase
-            .from('users')
-            .update({
-                username: username,
-                email: email,
-                role: role, // Update the role
-                updated_at: new Date().toISOString() // Update the updated_at timestamp
-                // Do NOT update password_hash here unless it's a specific password change endpoint
-            })
-            .eq('id', userId) // Find the user by ID
-            .select('id, username, email, created_at, role'); // Select updated fields to return
-
-        console.log(`[User Service PUT /profiles/:userId] Supabase update result for ${userId}:`, data, error);
-
-        if (error) {
-             // Supabase returns an error if .update().eq().select() finds no rows or more than one (with single() at the end)
-             // but it also returns error if it fails e.g. on constraints.
-             // Check for 0 rows updated explicitly if needed, although select() returns data if rows were updated.
-             if (error.code === 'PGRST116') { // Assuming this code indicates 0 rows updated
-                  console.warn(`[User Service PUT /profiles/:userId] User ${userId} not found for update.`);
-                  return res.status(404).json({ error: 'User not found' });
-             }
-             console.error('[User Service PUT /profiles/:userId] Supabase update error:', error);
-             // Check for unique constraint violations if updating email/username
-             if (error.code === '23505') { // PostgreSQL unique violation error code
-                 return res.status(409).json({ error: 'Username or email already exists' });
-             }
-            return res.status(500).json({ error: 'Database error updating user' });
+        const current = await userRepository.findById(userId);
+        if (!current) {
+            return res.status(404).json({ error: 'User not found' });
         }
 
-         if (!data || data.length === 0) {
-             // This can happen if the ID didn't match anything to update
-              console.warn(`[User Service PUT /profiles/:userId] Supabase update returned no data for ${userId} (after no error). User not found?`);
-              return res.status(404).json({ error: 'User not found' });
-         }
+        const { update, status, body } = await resolveProfileUpdate(req, fields, current);
+        if (!update) {
+            return res.status(status).json(body);
+        }
 
-        console.log(`[User Service PUT /profiles/:userId] User ${userId} updated successfully.`);
-        res.status(200).json(data[0]); // Return the updated user object
+        const profile = await userRepository.update(userId, update);
+        if (!profile) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        log.info('User updated', { userId, callerId: req.caller.id, fields: Object.keys(fields) });
+        await revokeSessionsOnRoleChange(current, profile);
+        await auditProfileUpdate(req, current, profile);
+        await emitProfileUpdateEvents(current, profile);
+        await sendVerificationOnEmailChange(current, profile);
+        res.status(200).json(profile);
 
     } catch (error) {
-        console.error('[User Service PUT /profiles/:userId] Unhandled error:', error);
-        res.status(500).json({ error: 'Internal server error during user update' });
+        if (error instanceof DuplicateUserError) {
+            return res.status(409).json({ error: 'Username or email already exists' });
+        }
+        log.error('Update error', { userId, error });
+        res.status(500).json({ error: 'Database error updating user' });
     }
 });
 
 // --- User and Property Deletion Endpoint ---
 // DELETE /profiles/:userId
-// Deletes the user from the users table AND calls the properties service
-// to delete associated properties.
-app.delete('/profiles/:userId', async (req, res) => { // <--- THIS IS THE MODIFIED FUNCTION
+// Soft-deletes the user: the account disappears from lookups and logins right away
+// and its sessions are revoked, but it can be restored (POST /profiles/:userId/restore) during the grace period
+// (ACCOUNT_DELETION_GRACE_DAYS). The purge job then hard-deletes the row and queues
+// downstream cleanup (properties service, CLEANUP_SERVICE_URLS) in the cleanup outbox.
+// Progress is reported by GET /profiles/:userId/deletion. Requires profiles:delete.
+app.delete('/profiles/:userId', describe({
+    summary: 'Soft-delete a user',
+    description: 'The account is purged, and its data cleaned up downstream, after the grace period.',
+    tags: ['Users'],
+    responses: { 202: 'DeletionScheduled', 404: 'Error' },
+}), requireCaller, validate(userIdParams), requirePermission('profiles:delete'), async (req, res) => {
     const userId = req.params.userId; // Get the ID from the URL
-    console.log(`[User Service DELETE /profiles/:userId] Received request for user ID: ${userId}`);
-
-    // --- IMPORTANT: Add Authorization Check Here! ---
-    // Before deleting anything, verify that the user making this request is authorized
-    // to delete this user account (e.g., it's their own account, or the requester is an admin).
-    // This logic must be implemented based on how you handle authentication/authorization
-    // (e.g., checking JWT claims, session data, or calling an auth service).
-    // If not authorized, return res.status(403).json({ error: 'Forbidden' });
-    // --- End Authorization Check ---
-
 
     try {
-        // 1. Attempt to delete the user from the 'users' table in the User Service's DB
-        const { data: deletedUsers, error: userDeleteError } = await supabase
-            .from('users')
-            .delete()
-            .eq('id', userId) // Delete WHERE id matches userId
-            .select('id'); // Select the deleted ID to confirm deletion
-
-        console.log(`[User Service DELETE /profiles/:userId] Supabase user delete result for ${userId}:`, deletedUsers, userDeleteError);
-
-        if (userDeleteError) {
-             console.error('[User Service DELETE /profiles/:userId] Supabase user delete error:', userDeleteError);
-             // If the error is that the user wasn't found, return 404. Otherwise, 500.
-             if (userDeleteError.code === 'PGRST116' || (deletedUsers && deletedUsers.length === 0)) {
-                 console.warn(`[User Service DELETE /profiles/:userId] User ${userId} not found in DB.`);
-                 return res.status(404).json({ error: 'User not found' });
-             }
-             return res.status(500).json({ error: userDeleteError.message || 'Database error deleting user' });
-        }
+        const deleted = await userRepository.softDelete(userId);
 
-         // Check if any user was actually deleted (redundant check after select('id') but safe)
-         if (!deletedUsers || deletedUsers.length === 0) {
-             console.warn(`[User Service DELETE /profiles/:userId] No rows deleted for user ID: ${userId} (after no Supabase error). This should not happen if select('id') was used on a matching row.`);
-             return res.status(404).json({ error: 'User not found' });
-         }
-
-        console.log(`[User Service DELETE /profiles/:userId] User ${userId} deleted successfully from User Service DB.`);
-
-        // --- 2. Call the Properties Service to delete related data ---
-        // We only attempt this if the user was successfully deleted from the user service DB
-        if (propertiesServiceUrl) { // Only attempt if the URL is configured
-            const propertiesDeleteEndpoint = `${propertiesServiceUrl}/properties/user/${userId}`;
-            console.log(`[User Service DELETE /profiles/:userId] Calling Properties Service endpoint: ${propertiesDeleteEndpoint}`);
-
-            try {
-                 // Make the API call to the Properties Service using axios.delete
-                 // Axios throws an error for non-2xx status codes by default,
-                 // which is exactly what we want here to catch failures in the Properties Service.
-                 await axios.delete(propertiesDeleteEndpoint);
-
-                 console.log(`[User Service DELETE /profiles/:userId] Properties Service call successful for user ${userId}.`);
-
-                 // If both user deletion AND properties deletion calls succeeded, return 204
-                 res.status(204).send();
-
-            } catch (propertiesError) {
-                 // This catch block handles errors specifically from the axios.delete call
-                 console.error(`[User Service DELETE /profiles/:userId] Error calling Properties Service for user ${userId}:`, propertiesError.message || propertiesError);
-
-                 // If the Properties Service call failed (network issue, Properties Service error, etc.),
-                 // indicate a partial failure to the client. User was deleted, but properties might remain.
-                 // Return 500 to signify that the complete operation did not succeed.
-                 // You might include more details in the error response if propertiesError.response exists.
-                 const errorDetails = propertiesError.response?.data?.error || propertiesError.message;
-                 res.status(500).json({ error: `Failed to delete associated properties: ${errorDetails}` });
-            }
-        } else {
-             // Case where PROPERTIES_SERVICE_URL was not set
-             console.warn(`[User Service DELETE /profiles/:userId] PROPERTIES_SERVICE_URL not configured. Skipping properties cleanup for user ${userId}.`);
-             // User was deleted, but cleanup was skipped. Return 204, but ideally this warning
-             // is addressed in deployment configuration.
-             res.status(204).send();
+        if (!deleted) {
+            return res.status(404).json({ error: 'User not found' });
         }
 
+        await tokenService.revokeAllForUser(userId, 'account_deleted');
+
+        const purgeAt = accountPurger.purgeAt(deleted.deleted_at);
+        log.info('User soft-deleted', { userId, callerId: req.caller.id, purgeAt });
+        await auditRequest(req, 'user.deleted', { targetUserId: userId, metadata: { deletedAt: deleted.deleted_at, purgeAt } });
+        await emitUserEvent('user.deleted', { userId, deletedAt: deleted.deleted_at, purgeAt });
+
+        const statusUrl = `/profiles/${userId}/deletion`;
+        res.set('Location', statusUrl);
+        res.status(202).json({
+            userId,
+            status: 'scheduled',
+            deletedAt: deleted.deleted_at,
+            purgeAt,
+            statusUrl,
+        });
 
     } catch (err) {
-        // This catch block handles unexpected errors during the *user* deletion process
-        // before or outside the Properties Service call.
-        console.error('[User Service DELETE /profiles/:userId] Unhandled error during user deletion process:', err);
+        log.error('Unhandled error during user deletion process', { userId, error: err });
         res.status(500).json({ error: 'Internal server error during user deletion process' });
     }
 });
 
+// Restore a soft-deleted user within the grace period (POST /profiles/:userId/restore). Requires profiles:delete.
+app.post('/profiles/:userId/restore', describe({
+    summary: 'Restore a soft-deleted user',
+    tags: ['Users'],
+    responses: { 200: 'Profile', 404: 'Error', 409: 'Error', 410: 'Error' },
+}), requireCaller, validate(userIdParams), requirePermission('profiles:delete'), async (req, res) => {
+    const userId = req.params.userId;
+
+    try {
+        const deleted = await userRepository.findDeletedById(userId);
+        if (!deleted) {
+            if (await userRepository.findById(userId)) {
+                return res.status(409).json({ error: 'User is not deleted' });
+            }
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!accountPurger.isRestorable(deleted.deleted_at)) {
+            return res.status(410).json({ error: 'Grace period expired; the account is being purged' });
+        }
 
-// Get User by ID (GET /profiles/:userId) - This seems duplicated, check your code
-// I will include the previous definition, assume this was meant to be kept.
-/*
-app.get('/profiles/:userId', async (req, res) => {
-    // ... (Keep the logic for GET /profiles/:userId from before) ...
-     const userId = req.params.userId;
-    console.log(`[User Service GET /profiles/:userId] Received request for user ID: ${userId}`);
+        const profile = await userRepository.restore(userId);
+        if (!profile) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        log.info('User restored', { userId, callerId: req.caller.id });
+        await auditRequest(req, 'user.restored', { targetUserId: userId, metadata: { deletedAt: deleted.deleted_at } });
+        res.status(200).json(profile);
+    } catch (error) {
+        log.error('Restore error', { userId, error });
+        res.status(500).json({ error: 'Internal server error restoring user' });
+    }
+});
 
-    // TODO: Add Authorization Check here! Only allow fetching own profile or if admin.
+// Deletion status of a user (GET /profiles/:userId/deletion). Requires profiles:read.
+// 'scheduled' while the account is soft-deleted, then the downstream cleanup
+// progress ('pending', 'completed' or 'failed') once it has been purged.
+app.get('/profiles/:userId/deletion', describe({
+    summary: 'Deletion and cleanup status of a user',
+    tags: ['Users'],
+    responses: { 200: 'DeletionStatus', 404: 'Error' },
+}), requireCaller, validate(userIdParams), requirePermission('profiles:read'), async (req, res) => {
+    const userId = req.params.userId;
 
     try {
-        const { data, error } = await supabase
-            .from('users')
-            // --- SELECT 'role' column ---
-            .select('id, username, email, created_at, role') // <<< Ensure 'role' is selected
-            .eq('id', userId)
-            .single(); // Use single() as we expect exactly one user
-
-        console.log(`[User Service GET /profiles/:userId] Supabase query result for ${userId}:`, data, error);
-
-        if (error) {
-             if (error.code === 'PGRST116') {
-                console.warn(`[User Service GET /profiles/:userId] User ${userId} not found in DB.`);
-                return res.status(404).json({ error: 'User not found' });
-            }
-            console.error('[User Service GET /profiles/:userId] Supabase error:', error);
-            return res.status(500).json({ error: 'Database error fetching profile' });
+        const deleted = await userRepository.findDeletedById(userId);
+        if (deleted) {
+            return res.status(200).json({
+                userId,
+                status: 'scheduled',
+                deletedAt: deleted.deleted_at,
+                purgeAt: accountPurger.purgeAt(deleted.deleted_at),
+                jobs: [],
+            });
         }
 
-        if (!data) { // Redundant with single() error, but good safeguard
-             console.warn(`[User Service GET /profiles/:userId] Supabase returned no data for ${userId} (after no error).`);
-             return res.status(404).json({ error: 'User not found' });
+        const jobs = await cleanupOutbox.jobsForUser(userId);
+        if (jobs.length === 0) {
+            return res.status(404).json({ error: 'No deletion recorded for this user' });
         }
+        res.status(200).json({
+            userId,
+            status: summarizeJobs(jobs),
+            jobs: jobs.map(job => ({
+                target: job.target,
+                status: job.status,
+                attempts: job.attempts,
+                lastError: job.last_error,
+                nextAttemptAt: job.next_attempt_at,
+                completedAt: job.completed_at,
+            })),
+        });
+    } catch (error) {
+        log.error('Error fetching deletion status', { userId, error });
+        res.status(500).json({ error: 'Internal server error fetching deletion status' });
+    }
+});
 
-        console.log(`[User Service GET /profiles/:userId] Found user ${userId}.`);
-        res.status(200).json(data);
+// Unlock an account locked by failed logins (POST /profiles/:userId/unlock). Requires sessions:manage.
+app.post('/profiles/:userId/unlock', describe({
+    summary: 'Clear a login lockout',
+    tags: ['Authentication'],
+    responses: { 204: null, 404: 'Error' },
+}), requireCaller, validate(userIdParams), requirePermission('sessions:manage'), async (req, res) => {
+    const userId = req.params.userId;
 
+    try {
+        const profile = await userRepository.findById(userId);
+        if (!profile) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        await loginThrottle.unlock(userId);
+        log.info('User unlocked', { userId, callerId: req.caller.id });
+        await auditRequest(req, 'user.unlocked', { targetUserId: userId });
+        res.status(204).send();
     } catch (error) {
-        console.error('[User Service GET /profiles/:userId] Unhandled error:', error);
-        res.status(500).json({ error: 'Internal server error fetching profile' });
+        log.error('Unlock error', { userId, error });
+        res.status(500).json({ error: 'Internal server error unlocking account' });
     }
 });
-*/
 
-module.exports = app; // <--- ADD THIS LINE TO EXPORT THE APP INSTANCE
- 
-// // --- Start Server ---
-// app.listen(port, () => {
-//     console.log(`User Service listening at http://localhost:${port}`);
-// });
\ No newline at end of file
+module.exports = app;
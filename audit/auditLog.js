@@ -0,0 +1,88 @@
+// audit/auditLog.js
+// Append-only audit trail: who (actor) did what (action) to whom (target user),
+// with before/after values of changed fields, the request ID and the client IP.
+
+const AUDIT_ACTIONS = [
+    'user.registered',
+    'user.updated',
+    'user.role_changed',
+    'user.deleted',
+    'user.restored',
+    'user.purged',
+    'user.unlocked',
+    'user.password_changed',
+    'user.password_reset',
+    'user.email_verified',
+    'user.mfa_enabled',
+    'user.mfa_reset',
+    'user.imported',
+    'user.data_export_requested',
+    'user.data_exported',
+    'user.avatar_updated',
+    'user.avatar_removed',
+    'profiles.exported',
+    'login.succeeded',
+    'login.failed',
+    'session.revoked',
+    'session.revoked_all',
+    'webhook.created',
+    'webhook.deleted',
+    'api_key.created',
+    'api_key.revoked',
+    'role.created',
+    'role.updated',
+    'role.deleted',
+];
+
+// Arrays and objects (e.g. roles, notification preferences) are compared by content.
+function sameValue(a, b) {
+    if (a && b && typeof a === 'object' && typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+    return a === b;
+}
+
+// { field: { from, to } } for each of `fields` whose value differs between the two records.
+function diffFields(before, after, fields) {
+    const changes = {};
+    for (const field of fields) {
+        const from = before ? before[field] : undefined;
+        const to = after ? after[field] : undefined;
+        if (!sameValue(from, to)) changes[field] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    }
+    return changes;
+}
+
+function createAuditLog({ repository, exportPageSize = 500 }) {
+    return {
+        // Appends one event. actor is { id, role } or null for the system/anonymous callers.
+        async record({ action, actor = null, targetUserId = null, changes = null, metadata = null, requestId = null, ip = null }) {
+            if (!AUDIT_ACTIONS.includes(action)) throw new Error(`Unknown audit action "${action}"`);
+            return repository.append({
+                action,
+                actor_id: actor ? actor.id : null,
+                actor_role: actor ? actor.role : null,
+                target_user_id: targetUserId,
+                changes: changes && Object.keys(changes).length > 0 ? changes : null,
+                metadata,
+                request_id: requestId,
+                ip,
+            });
+        },
+
+        // One page of events, newest first. Filters: actorId, targetUserId, action, since, until.
+        async search(filters) {
+            return repository.search({ ...filters, order: 'desc' });
+        },
+
+        // Every matching event, oldest first, fetched a page at a time. Events appended
+        // while the export runs land after the current position, so none are skipped.
+        async *exportEvents(filters) {
+            for (let offset = 0; ; offset += exportPageSize) {
+                const { events } = await repository.search({ ...filters, limit: exportPageSize, offset, order: 'asc' });
+                yield* events;
+                if (events.length < exportPageSize) return;
+            }
+        },
+    };
+}
+
+module.exports = { createAuditLog, diffFields, AUDIT_ACTIONS };
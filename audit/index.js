@@ -0,0 +1,41 @@
+// audit/index.js
+// Shared audit log plus helpers for recording events from request handlers and jobs.
+// Recording never fails the caller: the operation has already happened, so a storage
+// problem is logged loudly instead.
+const { createAuditEventRepository } = require('../repositories/auditEventRepository');
+const { createAuditLog, diffFields, AUDIT_ACTIONS } = require('./auditLog');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'Audit' });
+
+const auditRepository = createAuditEventRepository();
+const auditLog = createAuditLog({ repository: auditRepository });
+
+async function recordSafely(event) {
+    try {
+        await auditLog.record(event);
+    } catch (error) {
+        log.error('Failed to record audit event', { action: event.action, error });
+    }
+}
+
+// Records an event for the current request. The actor defaults to the authenticated
+// caller; pass `actor` explicitly for unauthenticated routes (registration, login).
+function auditRequest(req, action, { actor, targetUserId, changes, metadata } = {}) {
+    const caller = actor !== undefined ? actor : req.caller;
+    return recordSafely({
+        action,
+        actor: caller ? { id: caller.id, role: caller.role } : null,
+        targetUserId,
+        changes,
+        metadata,
+        requestId: req.id || null,
+        ip: req.ip || null,
+    });
+}
+
+// Records an event performed by the service itself (scheduled jobs).
+function auditSystem(action, { targetUserId, changes, metadata } = {}) {
+    return recordSafely({ action, actor: null, targetUserId, changes, metadata });
+}
+
+module.exports = { auditLog, auditRepository, auditRequest, auditSystem, diffFields, AUDIT_ACTIONS };
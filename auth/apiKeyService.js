@@ -0,0 +1,106 @@
+// auth/apiKeyService.js
+// API keys for internal callers (the gateway, the properties service...). Admins create
+// them with a name, a set of scopes and an optional expiry; the key itself is shown once
+// and only its SHA-256 hash is stored. Callers send it in the X-API-Key header.
+//
+// A scope grants a fixed set of routes (see API_KEY_SCOPES); a key can call nothing else.
+const crypto = require('crypto');
+const { hashToken } = require('./tokenService');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'API Keys' });
+
+const KEY_PREFIX = 'usk_';
+// last_used_at is updated at most this often per key
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const API_KEY_SCOPES = {
+    'profiles:read': ['GET /profiles', 'GET /profiles/export', 'GET /profiles/:userId', 'GET /profiles/:userId/deletion', 'GET /profiles/:userId/permissions'],
+    'profiles:write': ['PUT /profiles/:userId', 'PATCH /profiles/:userId', 'POST /profiles/:userId/avatar', 'DELETE /profiles/:userId/avatar'],
+    'profiles:delete': ['DELETE /profiles/:userId', 'POST /profiles/:userId/restore'],
+    'sessions:manage': ['GET /profiles/:userId/sessions', 'DELETE /profiles/:userId/sessions', 'DELETE /profiles/:userId/sessions/:sessionId'],
+    'audit:read': ['GET /audit', 'GET /audit/export'],
+    'webhooks:manage': ['GET /webhooks', 'POST /webhooks', 'DELETE /webhooks/:id', 'GET /webhooks/:id/deliveries'],
+};
+
+// "GET /profiles/:userId" -> { method: 'GET', pattern: /^\/profiles\/[^/]+$/ }
+function compileRoute(route) {
+    const [method, path] = route.split(' ');
+    const source = path.split('/').map(segment => (segment.startsWith(':') ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))).join('/');
+    return { method, path, pattern: new RegExp(`^${source}/?$`) };
+}
+
+const compiledScopes = Object.fromEntries(Object.entries(API_KEY_SCOPES).map(([scope, routes]) => [scope, routes.map(compileRoute)]));
+
+// Scopes granting `method` on the route pattern `path` (as written in the route, e.g. /profiles/:userId)
+function scopesForRoute(method, path) {
+    return Object.keys(API_KEY_SCOPES).filter(scope => API_KEY_SCOPES[scope].includes(`${method.toUpperCase()} ${path}`));
+}
+
+// Whether any of `scopes` allows a request for `method` on the concrete `path`
+function scopesAllow(scopes, method, path) {
+    return scopes.some(scope => (compiledScopes[scope] || []).some(route => route.method === method && route.pattern.test(path)));
+}
+
+// Public view of a key row (never the hash)
+function toApiKey(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        keyPrefix: row.key_prefix,
+        scopes: row.scopes,
+        createdAt: row.created_at,
+        createdBy: row.created_by,
+        expiresAt: row.expires_at,
+        lastUsedAt: row.last_used_at,
+        revokedAt: row.revoked_at,
+    };
+}
+
+function createApiKeyService({ apiKeys, now = () => Date.now() }) {
+    return {
+        // Returns the public key record plus `key`, the only time the secret is available.
+        async create({ name, scopes, expiresAt, createdBy }) {
+            const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+            const row = await apiKeys.insert({
+                name,
+                key_prefix: key.slice(0, KEY_PREFIX.length + 8),
+                key_hash: hashToken(key),
+                scopes: [...new Set(scopes)],
+                created_by: createdBy || null,
+                expires_at: expiresAt || null,
+                last_used_at: null,
+                revoked_at: null,
+            });
+            log.info('API key created', { apiKeyId: row.id, name, scopes: row.scopes });
+            return { ...toApiKey(row), key };
+        },
+
+        async list() {
+            const rows = await apiKeys.find({}, { orderBy: 'created_at', ascending: false });
+            return rows.map(toApiKey);
+        },
+
+        // Revokes a key. Returns false when it does not exist or was already revoked.
+        async revoke(id) {
+            const row = await apiKeys.findOne({ id });
+            if (!row || row.revoked_at) return false;
+            await apiKeys.update({ id }, { revoked_at: new Date(now()).toISOString() });
+            log.info('API key revoked', { apiKeyId: id, name: row.name });
+            return true;
+        },
+
+        // The key record for a presented key, or null when it is unknown, revoked or expired.
+        async authenticate(key) {
+            if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+            const row = await apiKeys.findOne({ key_hash: hashToken(key) });
+            if (!row || row.revoked_at) return null;
+            if (row.expires_at && new Date(row.expires_at).getTime() <= now()) return null;
+            if (!row.last_used_at || now() - new Date(row.last_used_at).getTime() >= TOUCH_INTERVAL_MS) {
+                await apiKeys.update({ id: row.id }, { last_used_at: new Date(now()).toISOString() });
+            }
+            return toApiKey(row);
+        },
+    };
+}
+
+module.exports = { createApiKeyService, API_KEY_SCOPES, scopesForRoute, scopesAllow };
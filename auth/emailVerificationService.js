@@ -0,0 +1,102 @@
+// auth/emailVerificationService.js
+// Sends signed email verification links and confirms them.
+//
+// Configuration (environment):
+//   EMAIL_VERIFICATION_URL                 link target the token is appended to (default http://localhost:3001/verify-email)
+//   EMAIL_VERIFICATION_SECRET              HMAC key for links (falls back to JWT_SECRET)
+//   EMAIL_VERIFICATION_TTL_SECONDS         link lifetime (default 86400 = 24 hours)
+//   EMAIL_VERIFICATION_RESEND_INTERVAL_SECONDS  minimum gap between two emails to one user (default 60)
+//   REQUIRE_VERIFIED_EMAIL                 'true' to refuse POST /authenticate for unverified accounts
+require('dotenv').config();
+const crypto = require('crypto');
+const jwt = require('./jwt');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'Email Verification' });
+
+const PURPOSE = 'email-verification';
+
+// Raised for unusable links and throttled resends. retryAfter (seconds) is set when throttled.
+class EmailVerificationError extends Error {
+    constructor(message, { retryAfter } = {}) {
+        super(message);
+        this.name = 'EmailVerificationError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+function configFromEnv(env = process.env) {
+    let secret = env.EMAIL_VERIFICATION_SECRET || env.JWT_SECRET;
+    if (!secret) {
+        log.warn('EMAIL_VERIFICATION_SECRET not set. Using an ephemeral secret; links will not survive a restart.');
+        secret = crypto.randomBytes(32).toString('hex');
+    }
+    return {
+        verifyUrl: env.EMAIL_VERIFICATION_URL || 'http://localhost:3001/verify-email',
+        secret,
+        ttl: parseInt(env.EMAIL_VERIFICATION_TTL_SECONDS, 10) || 24 * 60 * 60,
+        resendInterval: parseInt(env.EMAIL_VERIFICATION_RESEND_INTERVAL_SECONDS, 10) || 60,
+        requireVerifiedEmail: env.REQUIRE_VERIFIED_EMAIL === 'true',
+    };
+}
+
+function createEmailVerificationService({ userRepository, verifications, mailer, config = configFromEnv() }) {
+    // The email is part of the signed payload, so a link stops working once the address changes.
+    function createToken(user) {
+        const now = Math.floor(Date.now() / 1000);
+        return jwt.sign({ sub: user.id, email: user.email, purpose: PURPOSE, iat: now, exp: now + config.ttl }, { alg: 'HS256', key: config.secret });
+    }
+
+    async function sendVerification(user) {
+        const token = createToken(user);
+        await verifications.insert({ user_id: user.id, sent_at: new Date().toISOString() });
+        await mailer.send({
+            to: user.email,
+            subject: 'Verify your email address',
+            text: `Hi ${user.username},\n\nPlease confirm your email address by opening the link below. It expires in ${Math.round(config.ttl / 3600)} hours.\n\n${config.verifyUrl}?token=${encodeURIComponent(token)}\n`,
+        });
+        log.info('Verification link sent', { userId: user.id });
+    }
+
+    return {
+        requireVerifiedEmail: config.requireVerifiedEmail,
+
+        sendVerification,
+
+        // Marks the address verified. Returns the updated profile or throws EmailVerificationError.
+        async verify(token) {
+            let claims;
+            try {
+                claims = jwt.verify(token, { alg: 'HS256', key: config.secret });
+            } catch (error) {
+                if (error instanceof jwt.TokenError) throw new EmailVerificationError('Invalid or expired verification link');
+                throw error;
+            }
+            if (claims.purpose !== PURPOSE) throw new EmailVerificationError('Invalid or expired verification link');
+
+            const user = await userRepository.findById(claims.sub);
+            if (!user || user.email !== claims.email) throw new EmailVerificationError('Invalid or expired verification link');
+            if (user.email_verified_at) return user;
+            return userRepository.update(user.id, { email_verified_at: new Date().toISOString() });
+        },
+
+        // Sends a new link unless the account is unknown or already verified (both silently
+        // ignored). Throws EmailVerificationError with retryAfter when called too soon.
+        async resend(email) {
+            const user = await userRepository.findByIdentifier(email);
+            if (!user || user.email !== email || user.email_verified_at) return;
+
+            const [last] = await verifications.find({ user_id: user.id }, { orderBy: 'sent_at', ascending: false, limit: 1 });
+            if (last) {
+                const elapsed = (Date.now() - new Date(last.sent_at).getTime()) / 1000;
+                if (elapsed < config.resendInterval) {
+                    throw new EmailVerificationError('Verification email sent recently. Please wait before requesting another.', {
+                        retryAfter: Math.ceil(config.resendInterval - elapsed),
+                    });
+                }
+            }
+            await sendVerification(user);
+        },
+    };
+}
+
+module.exports = { createEmailVerificationService, configFromEnv, EmailVerificationError };
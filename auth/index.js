@@ -0,0 +1,85 @@
+// auth/index.js
+// Shared, env-configured instances of the authentication services.
+const { userRepository } = require('../repositories');
+const { createRefreshTokenRepository } = require('../repositories/refreshTokenRepository');
+const { createPasswordResetTokenRepository } = require('../repositories/passwordResetTokenRepository');
+const { createSessionRepository } = require('../repositories/sessionRepository');
+const { getTable } = require('../repositories/tables');
+const { mailer } = require('../mail');
+const { keyValueStore } = require('../kv');
+const { createTokenService, TokenError } = require('./tokenService');
+const { createAuthMiddleware, hasPermission } = require('./middleware');
+const { createRoleService, RoleError, PERMISSIONS } = require('./roleService');
+const { createPasswordService, PasswordChangeError } = require('./passwordService');
+const { createEmailVerificationService, EmailVerificationError } = require('./emailVerificationService');
+const { createLoginThrottle } = require('./loginThrottle');
+const { createSessionService } = require('./sessionService');
+const { createApiKeyService, API_KEY_SCOPES } = require('./apiKeyService');
+const { createMfaService, MfaError } = require('./mfaService');
+
+const refreshTokens = createRefreshTokenRepository();
+
+const sessionService = createSessionService({
+    sessions: createSessionRepository(),
+    refreshTokens,
+});
+
+const tokenService = createTokenService({
+    userRepository,
+    refreshTokens,
+    sessions: sessionService,
+});
+
+const passwordService = createPasswordService({
+    userRepository,
+    resetTokens: createPasswordResetTokenRepository(),
+    tokenService,
+    mailer,
+});
+
+const emailVerificationService = createEmailVerificationService({
+    userRepository,
+    verifications: getTable('email_verifications'),
+    mailer,
+});
+
+const loginThrottle = createLoginThrottle({ store: keyValueStore });
+
+const mfaService = createMfaService({
+    factors: getTable('mfa_factors'),
+    recoveryCodes: getTable('mfa_recovery_codes'),
+});
+
+const apiKeyService = createApiKeyService({ apiKeys: getTable('api_keys') });
+
+const roleService = createRoleService({ roles: getTable('roles'), userRepository });
+
+const { requireCaller, requirePermission, requireSelf, requireSelfOrPermission } = createAuthMiddleware({
+    tokenService,
+    sessions: sessionService,
+    apiKeys: apiKeyService,
+    roles: roleService,
+});
+
+module.exports = {
+    tokenService,
+    TokenError,
+    sessionService,
+    apiKeyService,
+    API_KEY_SCOPES,
+    passwordService,
+    PasswordChangeError,
+    emailVerificationService,
+    EmailVerificationError,
+    loginThrottle,
+    mfaService,
+    MfaError,
+    roleService,
+    RoleError,
+    PERMISSIONS,
+    requireCaller,
+    requirePermission,
+    requireSelf,
+    requireSelfOrPermission,
+    hasPermission,
+};
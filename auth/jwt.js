@@ -0,0 +1,93 @@
+// auth/jwt.js
+// Compact JWS (JWT) signing and verification on top of Node's crypto module.
+// Supports HMAC (HS256/384/512) and RSA (RS256/384/512) keys.
+const crypto = require('crypto');
+
+const ALGORITHMS = {
+    HS256: { type: 'hmac', hash: 'sha256' },
+    HS384: { type: 'hmac', hash: 'sha384' },
+    HS512: { type: 'hmac', hash: 'sha512' },
+    RS256: { type: 'rsa', hash: 'sha256' },
+    RS384: { type: 'rsa', hash: 'sha384' },
+    RS512: { type: 'rsa', hash: 'sha512' },
+};
+
+class TokenError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TokenError';
+    }
+}
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+function decodeSegment(segment) {
+    try {
+        return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    } catch (err) {
+        throw new TokenError('Malformed token');
+    }
+}
+
+function algorithmSpec(alg) {
+    const spec = ALGORITHMS[alg];
+    if (!spec) throw new Error(`Unsupported JWT algorithm "${alg}". Expected one of: ${Object.keys(ALGORITHMS).join(', ')}.`);
+    return spec;
+}
+
+// `key` is the shared secret for HS* and a private KeyObject/PEM for RS*.
+function sign(payload, { alg, key, kid }) {
+    const spec = algorithmSpec(alg);
+    const header = { alg, typ: 'JWT' };
+    if (kid) header.kid = kid;
+    const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+    const signature = spec.type === 'hmac'
+        ? crypto.createHmac(spec.hash, key).update(signingInput).digest()
+        : crypto.sign(spec.hash, Buffer.from(signingInput), key);
+    return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+// `key` is the shared secret for HS* and a public KeyObject/PEM for RS*.
+// Returns the payload or throws TokenError when the token is malformed, signed
+// with another algorithm, has a bad signature or is outside its validity window.
+function verify(token, { alg, key, issuer, now = Math.floor(Date.now() / 1000) }) {
+    if (typeof token !== 'string') throw new TokenError('Malformed token');
+    const parts = token.split('.');
+    if (parts.length !== 3) throw new TokenError('Malformed token');
+
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+    const header = decodeSegment(encodedHeader);
+    // Never let the token pick its own algorithm (alg=none / HS-with-public-key attacks).
+    if (header.alg !== alg) throw new TokenError('Unexpected token algorithm');
+
+    const spec = algorithmSpec(alg);
+    const signingInput = `${encodedHeader}.${encodedPayload}`;
+    const signature = Buffer.from(encodedSignature, 'base64url');
+    let valid;
+    if (spec.type === 'hmac') {
+        const expected = crypto.createHmac(spec.hash, key).update(signingInput).digest();
+        valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    } else {
+        valid = crypto.verify(spec.hash, Buffer.from(signingInput), key, signature);
+    }
+    if (!valid) throw new TokenError('Invalid token signature');
+
+    const payload = decodeSegment(encodedPayload);
+    if (typeof payload.exp === 'number' && now >= payload.exp) throw new TokenError('Token expired');
+    if (typeof payload.nbf === 'number' && now < payload.nbf) throw new TokenError('Token not yet valid');
+    if (issuer && payload.iss !== issuer) throw new TokenError('Unexpected token issuer');
+    return payload;
+}
+
+// Public JWK for an RSA public key, suitable for a JWKS document.
+function toJwk(publicKey, { alg, kid }) {
+    const key = publicKey instanceof crypto.KeyObject && publicKey.type === 'public'
+        ? publicKey
+        : crypto.createPublicKey(publicKey);
+    const jwk = key.export({ format: 'jwk' });
+    return { ...jwk, alg, kid, use: 'sig' };
+}
+
+module.exports = { sign, verify, toJwk, TokenError, ALGORITHMS };
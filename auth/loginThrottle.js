@@ -0,0 +1,97 @@
+// auth/loginThrottle.js
+// Tracks failed logins per account (or per unknown identifier) and per client IP,
+// and locks them out with exponentially growing durations once a threshold is hit.
+//
+// Configuration (environment):
+//   LOGIN_MAX_FAILURES            failures per account before it is locked (default 5)
+//   LOGIN_IP_MAX_FAILURES         failures per IP before it is blocked (default 20)
+//   LOGIN_LOCKOUT_SECONDS         first lockout duration (default 60); doubles with each further failure
+//   LOGIN_LOCKOUT_MAX_SECONDS     upper bound for a single lockout (default 3600)
+//   LOGIN_FAILURE_WINDOW_SECONDS  how long failures are remembered without a lockout (default 900)
+require('dotenv').config();
+const { logger } = require('../logging');
+const log = logger.child({ component: 'Login Throttle' });
+
+function configFromEnv(env = process.env) {
+    return {
+        maxFailures: parseInt(env.LOGIN_MAX_FAILURES, 10) || 5,
+        ipMaxFailures: parseInt(env.LOGIN_IP_MAX_FAILURES, 10) || 20,
+        lockoutSeconds: parseInt(env.LOGIN_LOCKOUT_SECONDS, 10) || 60,
+        maxLockoutSeconds: parseInt(env.LOGIN_LOCKOUT_MAX_SECONDS, 10) || 60 * 60,
+        failureWindowSeconds: parseInt(env.LOGIN_FAILURE_WINDOW_SECONDS, 10) || 15 * 60,
+    };
+}
+
+// Account keys use the user id when the identifier matched a user, so switching
+// between username and email does not reset the count.
+function accountKey({ userId, identifier }) {
+    return userId ? `login:user:${userId}` : `login:identifier:${String(identifier).toLowerCase()}`;
+}
+
+function ipKey(ip) {
+    return `login:ip:${ip}`;
+}
+
+function createLoginThrottle({ store, config = configFromEnv(), now = () => Date.now() }) {
+    // Seconds until the lock on `key` expires, or 0 when not locked.
+    async function lockRemaining(key) {
+        const state = await store.get(key);
+        if (!state || !state.lockedUntil) return 0;
+        return Math.max(0, Math.ceil((state.lockedUntil - now()) / 1000));
+    }
+
+    // Failures are counted with the store's atomic increment under `<key>:failures`, so
+    // concurrent attempts on several replicas each see their own count; the lock under
+    // `key` follows from that count.
+    async function recordFailure(key, threshold) {
+        const windowMs = config.failureWindowSeconds * 1000;
+        const failures = await store.increment(`${key}:failures`, windowMs);
+        if (failures < threshold) return { failures, lockedUntil: null };
+
+        const lockSeconds = Math.min(config.lockoutSeconds * 2 ** (failures - threshold), config.maxLockoutSeconds);
+        const lockedUntil = now() + lockSeconds * 1000;
+        await store.set(key, { lockedUntil }, lockSeconds * 1000);
+        // Keep the counter around past the lock so the next failure doubles it again
+        await store.expire(`${key}:failures`, lockSeconds * 1000 + windowMs);
+        return { failures, lockedUntil };
+    }
+
+    async function forget(key) {
+        await store.delete(key);
+        await store.delete(`${key}:failures`);
+    }
+
+    return {
+        store,
+
+        // Seconds the client IP must wait, or 0.
+        ipRetryAfter(ip) {
+            return lockRemaining(ipKey(ip));
+        },
+
+        // Seconds the account/identifier must wait, or 0.
+        accountRetryAfter(account) {
+            return lockRemaining(accountKey(account));
+        },
+
+        async recordFailure(account, ip) {
+            const accountState = await recordFailure(accountKey(account), config.maxFailures);
+            await recordFailure(ipKey(ip), config.ipMaxFailures);
+            if (accountState.lockedUntil) {
+                log.warn('Account locked after failed attempts', { key: accountKey(account), failures: accountState.failures });
+            }
+        },
+
+        // A successful login clears the account counter; the IP counter keeps running.
+        async recordSuccess(account) {
+            await forget(accountKey(account));
+        },
+
+        // Admin unlock: forget failures for the account.
+        async unlock(userId) {
+            await forget(accountKey({ userId }));
+        },
+    };
+}
+
+module.exports = { createLoginThrottle, configFromEnv };
@@ -0,0 +1,188 @@
+// auth/mfaService.js
+// TOTP two-factor authentication: enrollment, one-time recovery codes and the login
+// challenge issued by POST /authenticate to users who have it enabled.
+//
+// Configuration (environment):
+//   MFA_ENCRYPTION_KEY          key the TOTP secrets are encrypted with at rest (falls back to JWT_SECRET)
+//   MFA_ISSUER                  issuer shown in authenticator apps (default 'User Service')
+//   MFA_CHALLENGE_TTL_SECONDS   time to complete the second step of a login (default 300)
+//   MFA_RECOVERY_CODE_COUNT     recovery codes issued on enrollment (default 10)
+require('dotenv').config();
+const crypto = require('crypto');
+const jwt = require('./jwt');
+const totp = require('./totp');
+const { hashToken } = require('./tokenService');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'MFA' });
+
+const CHALLENGE_PURPOSE = 'mfa-challenge';
+
+// Raised for enrollment in the wrong state, wrong codes and unusable challenges; routes map it to 4xx.
+class MfaError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MfaError';
+    }
+}
+
+function configFromEnv(env = process.env) {
+    let encryptionKey = env.MFA_ENCRYPTION_KEY || env.JWT_SECRET;
+    if (!encryptionKey) {
+        log.warn('MFA_ENCRYPTION_KEY not set. Using an ephemeral key; enrolled authenticators will not survive a restart.');
+        encryptionKey = crypto.randomBytes(32).toString('hex');
+    }
+    return {
+        encryptionKey,
+        issuer: env.MFA_ISSUER || 'User Service',
+        challengeTtl: parseInt(env.MFA_CHALLENGE_TTL_SECONDS, 10) || 5 * 60,
+        recoveryCodeCount: parseInt(env.MFA_RECOVERY_CODE_COUNT, 10) || 10,
+    };
+}
+
+// Recovery codes look like "k7q2-9xmd-4hw3": easy to type, 60 bits of entropy.
+function generateRecoveryCode() {
+    const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+    const chars = Array.from(crypto.randomBytes(12), byte => alphabet[byte % alphabet.length]);
+    return [chars.slice(0, 4), chars.slice(4, 8), chars.slice(8, 12)].map(group => group.join('')).join('-');
+}
+
+function normalizeRecoveryCode(code) {
+    return String(code).trim().toLowerCase().replace(/\s+/g, '');
+}
+
+function createMfaService({ factors, recoveryCodes, config = configFromEnv(), now = () => Date.now() }) {
+    const key = crypto.createHash('sha256').update(config.encryptionKey).digest();
+    // Challenge tokens are signed with a key derived from the encryption key, so they
+    // cannot be confused with (or forged from) any other token of the service.
+    const challengeKey = crypto.createHmac('sha256', key).update(CHALLENGE_PURPOSE).digest('hex');
+
+    // AES-256-GCM, stored as iv.tag.ciphertext (base64url)
+    function encrypt(secret) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+        return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+    }
+
+    function decrypt(stored) {
+        const [iv, tag, ciphertext] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+    }
+
+    async function confirmedFactor(userId) {
+        const factor = await factors.findOne({ user_id: userId });
+        return factor && factor.confirmed_at ? factor : null;
+    }
+
+    // Checks a TOTP code and remembers its time step, so a code cannot be used twice.
+    // The update only matches while last_used_step is unchanged, so of two concurrent
+    // logins with the same code only one succeeds.
+    async function acceptCode(factor, code) {
+        const step = totp.verifyTotp(decrypt(factor.secret_encrypted), code, { timeMs: now() });
+        if (step === null || step <= factor.last_used_step) return false;
+        const updated = await factors.update({ id: factor.id, last_used_step: factor.last_used_step }, { last_used_step: step });
+        return updated.length > 0;
+    }
+
+    async function issueRecoveryCodes(userId) {
+        await recoveryCodes.remove({ user_id: userId });
+        const codes = Array.from({ length: config.recoveryCodeCount }, generateRecoveryCode);
+        for (const code of codes) {
+            await recoveryCodes.insert({ user_id: userId, code_hash: hashToken(code) });
+        }
+        return codes;
+    }
+
+    return {
+        async status(userId) {
+            const factor = await factors.findOne({ user_id: userId });
+            const remaining = factor && factor.confirmed_at ? (await recoveryCodes.find({ user_id: userId })).length : 0;
+            return {
+                enabled: Boolean(factor && factor.confirmed_at),
+                enrollmentPending: Boolean(factor && !factor.confirmed_at),
+                enabledAt: factor && factor.confirmed_at ? factor.confirmed_at : null,
+                recoveryCodesRemaining: remaining,
+            };
+        },
+
+        async isEnabled(userId) {
+            return Boolean(await confirmedFactor(userId));
+        },
+
+        // Starts (or restarts) enrollment with a new secret. Returns { secret, otpauthUri }
+        // for the authenticator app; nothing is enforced until confirmEnrollment succeeds.
+        async beginEnrollment(user) {
+            if (await confirmedFactor(user.id)) throw new MfaError('Two-factor authentication is already enabled');
+            await factors.remove({ user_id: user.id });
+
+            const secret = totp.generateSecret();
+            await factors.insert({ user_id: user.id, secret_encrypted: encrypt(secret), confirmed_at: null, last_used_step: 0 });
+            log.info('MFA enrollment started', { userId: user.id });
+            return { secret, otpauthUri: totp.otpauthUri({ secret, accountName: user.email, issuer: config.issuer }) };
+        },
+
+        // Enables 2FA once the user proves their authenticator works. Returns the recovery
+        // codes, which are only ever shown here (only their hashes are stored, and each is
+        // deleted once used).
+        async confirmEnrollment(userId, code) {
+            const factor = await factors.findOne({ user_id: userId });
+            if (!factor || factor.confirmed_at) throw new MfaError('No two-factor enrollment is pending');
+            if (!(await acceptCode(factor, code))) throw new MfaError('Invalid authentication code');
+
+            await factors.update({ id: factor.id }, { confirmed_at: new Date(now()).toISOString() });
+            log.info('MFA enabled', { userId });
+            return { recoveryCodes: await issueRecoveryCodes(userId) };
+        },
+
+        // Admin reset: removes the authenticator and recovery codes. Returns whether 2FA was set up.
+        async reset(userId) {
+            const removed = await factors.remove({ user_id: userId });
+            await recoveryCodes.remove({ user_id: userId });
+            return removed.length > 0;
+        },
+
+        // Signed, short-lived token proving the password step of a login succeeded.
+        createChallenge(user) {
+            const issuedAt = Math.floor(now() / 1000);
+            return {
+                challengeToken: jwt.sign({ sub: user.id, purpose: CHALLENGE_PURPOSE, iat: issuedAt, exp: issuedAt + config.challengeTtl }, { alg: 'HS256', key: challengeKey }),
+                expiresIn: config.challengeTtl,
+            };
+        },
+
+        // Returns the user ID of a valid challenge or throws MfaError.
+        readChallenge(challengeToken) {
+            let claims;
+            try {
+                claims = jwt.verify(challengeToken, { alg: 'HS256', key: challengeKey, now: Math.floor(now() / 1000) });
+            } catch (error) {
+                if (error instanceof jwt.TokenError) throw new MfaError('Invalid or expired MFA challenge');
+                throw error;
+            }
+            if (claims.purpose !== CHALLENGE_PURPOSE) throw new MfaError('Invalid or expired MFA challenge');
+            return claims.sub;
+        },
+
+        // Second factor of a login: a current TOTP code or an unused recovery code.
+        // Returns { method } ('totp' or 'recovery_code') or throws MfaError.
+        async verifySecondFactor(userId, { code, recoveryCode }) {
+            const factor = await confirmedFactor(userId);
+            if (!factor) throw new MfaError('Invalid or expired MFA challenge');
+
+            if (code !== undefined) {
+                if (!(await acceptCode(factor, code))) throw new MfaError('Invalid authentication code');
+                return { method: 'totp' };
+            }
+
+            // Codes are deleted when used; removing by hash lets only one concurrent use succeed
+            const used = await recoveryCodes.remove({ user_id: userId, code_hash: hashToken(normalizeRecoveryCode(recoveryCode)) });
+            if (used.length === 0) throw new MfaError('Invalid recovery code');
+            log.info('Recovery code used', { userId });
+            return { method: 'recovery_code' };
+        },
+    };
+}
+
+module.exports = { createMfaService, configFromEnv, MfaError };
@@ -0,0 +1,144 @@
+// auth/middleware.js
+// Express middleware that identifies the caller and enforces profile access rules.
+//
+// The caller is taken from, in order:
+//   1. an "Authorization: Bearer <access token>" header issued by this service,
+//   2. an "X-API-Key: <key>" header with an API key created by an admin (see apiKeyService.js), or
+//   3. X-User-ID / X-User-Role headers set by the API gateway, only when
+//      TRUST_GATEWAY_HEADERS=true (never enable this if clients can reach the service directly).
+//      X-User-Role may list several roles separated by commas.
+// The identified caller is stored on req.caller as { id, role, roles, permissions, username, source, sessionId },
+// where permissions are the effective permissions of the caller's roles (see roleService.js).
+// Access tokens of a revoked or expired session (the "sid" claim) are refused.
+//
+// API key callers get role 'service' and may only call the routes their scopes grant;
+// on those routes they pass the permission and self-or-permission checks.
+const { TokenError } = require('./jwt');
+const { scopesAllow, scopesForRoute } = require('./apiKeyService');
+const { DEFAULT_ROLE } = require('./roleService');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'Auth' });
+
+const SERVICE_ROLE = 'service';
+
+function hasPermission(caller, permission) {
+    return Boolean(caller) && Array.isArray(caller.permissions) && caller.permissions.includes(permission);
+}
+
+function isServiceCaller(caller) {
+    return Boolean(caller) && caller.source === 'api_key';
+}
+
+function createAuthMiddleware({ tokenService, sessions, apiKeys, roles, trustGatewayHeaders = process.env.TRUST_GATEWAY_HEADERS === 'true' }) {
+    async function identifyCaller(req) {
+        const authorization = req.get('authorization');
+        if (authorization) {
+            const [scheme, token] = authorization.split(' ');
+            if (scheme !== 'Bearer' || !token) throw new TokenError('Malformed Authorization header');
+            const claims = tokenService.verifyAccessToken(token);
+            // Tokens signed before users could hold several roles only carry "role"
+            const roleNames = Array.isArray(claims.roles) ? claims.roles : [claims.role];
+            return { id: claims.sub, role: roleNames[0], roles: roleNames, username: claims.username, source: 'token', sessionId: claims.sid || null };
+        }
+
+        if (apiKeys && req.get('x-api-key')) {
+            const key = await apiKeys.authenticate(req.get('x-api-key'));
+            if (!key) throw new TokenError('Invalid, expired or revoked API key');
+            return { id: key.id, role: SERVICE_ROLE, roles: [], username: key.name, source: 'api_key', scopes: key.scopes };
+        }
+
+        if (trustGatewayHeaders && req.get('x-user-id')) {
+            const roleNames = (req.get('x-user-role') || DEFAULT_ROLE).split(',').map(name => name.trim()).filter(Boolean);
+            return { id: req.get('x-user-id'), role: roleNames[0], roles: roleNames, source: 'gateway' };
+        }
+
+        return null;
+    }
+
+    // Rejects the request with 401 unless a caller can be identified.
+    async function requireCaller(req, res, next) {
+        let caller;
+        try {
+            caller = await identifyCaller(req);
+        } catch (error) {
+            if (!(error instanceof TokenError)) return next(error);
+            const apiKey = !req.get('authorization');
+            log.info(apiKey ? 'Rejected API key' : 'Rejected access token', { method: req.method, path: req.path, reason: error.message });
+            return res.status(401).json({ error: apiKey ? 'Invalid, expired or revoked API key' : 'Invalid or expired access token' });
+        }
+
+        if (!caller) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        if (isServiceCaller(caller)) {
+            const method = req.method === 'HEAD' ? 'GET' : req.method;
+            if (!scopesAllow(caller.scopes, method, `${req.baseUrl}${req.path}`)) {
+                log.warn('Access denied: route outside API key scopes', { apiKeyId: caller.id, method: req.method, path: req.path });
+                return res.status(403).json({ error: 'API key is not allowed to call this route' });
+            }
+        }
+        if (sessions && caller.sessionId) {
+            let active;
+            try {
+                active = await sessions.verifyActive(caller.sessionId);
+            } catch (error) {
+                return next(error);
+            }
+            if (!active) {
+                log.info('Rejected access token of a revoked session', { callerId: caller.id, sessionId: caller.sessionId });
+                return res.status(401).json({ error: 'Session has been revoked' });
+            }
+        }
+        try {
+            caller.permissions = roles ? await roles.permissionsFor(caller.roles) : [];
+        } catch (error) {
+            return next(error);
+        }
+        req.caller = caller;
+        next();
+    }
+
+    // Only callers holding at least one of `permissions` may continue.
+    function requirePermission(...permissions) {
+        const middleware = (req, res, next) => {
+            if (!isServiceCaller(req.caller) && !permissions.some(permission => hasPermission(req.caller, permission))) {
+                log.warn('Access denied: missing permission', { callerId: req.caller.id, roles: req.caller.roles, permissions, method: req.method, path: req.path });
+                return res.status(403).json({ error: 'Forbidden' });
+            }
+            next();
+        };
+        middleware.openapi = { access: `Requires permission ${permissions.join(' or ')}.` };
+        return middleware;
+    }
+
+    // Only the user the :userId route parameter refers to, not even an admin.
+    function requireSelf(req, res, next) {
+        if (req.caller.id !== req.params.userId) {
+            log.warn('Access denied: not their profile', { callerId: req.caller.id, method: req.method, path: req.path });
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        next();
+    }
+
+    // The user the :userId route parameter refers to, or callers holding one of `permissions`.
+    function requireSelfOrPermission(...permissions) {
+        const middleware = (req, res, next) => {
+            if (!isServiceCaller(req.caller) && req.caller.id !== req.params.userId
+                && !permissions.some(permission => hasPermission(req.caller, permission))) {
+                log.warn('Access denied: not their profile', { callerId: req.caller.id, permissions, method: req.method, path: req.path });
+                return res.status(403).json({ error: 'Forbidden' });
+            }
+            next();
+        };
+        middleware.openapi = { access: `The user themself, or permission ${permissions.join(' or ')}.` };
+        return middleware;
+    }
+
+    // Read by the OpenAPI document (see openapi/document.js) to describe security and 401/403 responses
+    requireCaller.openapi = { authentication: 'required', apiKeyScopes: scopesForRoute };
+    requireSelf.openapi = { access: 'The user themself only.' };
+
+    return { requireCaller, requirePermission, requireSelf, requireSelfOrPermission };
+}
+
+module.exports = { createAuthMiddleware, hasPermission, isServiceCaller, SERVICE_ROLE };
@@ -0,0 +1,116 @@
+// auth/passwordService.js
+// Password changes and the forgotten-password reset flow.
+//
+// Configuration (environment):
+//   PASSWORD_RESET_URL          link target the token is appended to (default http://localhost:3000/reset-password)
+//   PASSWORD_RESET_TTL_SECONDS  reset token lifetime (default 3600 = 1 hour)
+//   PASSWORD_INVITE_TTL_SECONDS lifetime of the link in an invitation (default 604800 = 7 days)
+require('dotenv').config();
+const crypto = require('crypto');
+const { hashPassword, verifyPassword } = require('./passwords');
+const { hashToken } = require('./tokenService');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'Password' });
+
+// Raised for a wrong current password or an unusable reset token; routes map it to 4xx.
+class PasswordChangeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PasswordChangeError';
+    }
+}
+
+function configFromEnv(env = process.env) {
+    return {
+        resetUrl: env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password',
+        resetTokenTtl: parseInt(env.PASSWORD_RESET_TTL_SECONDS, 10) || 60 * 60,
+        inviteTokenTtl: parseInt(env.PASSWORD_INVITE_TTL_SECONDS, 10) || 7 * 24 * 60 * 60,
+    };
+}
+
+function createPasswordService({ userRepository, resetTokens, tokenService, mailer, config = configFromEnv() }) {
+    // Stores the new hash and signs the user out of every existing session.
+    async function setPassword(userId, newPassword) {
+        const passwordHash = await hashPassword(newPassword);
+        const updated = await userRepository.update(userId, { password_hash: passwordHash });
+        if (!updated) return null;
+        await tokenService.revokeAllForUser(userId, 'password_changed');
+        await resetTokens.invalidateAllForUser(userId);
+        return updated;
+    }
+
+    // Replaces any outstanding reset token of the user with a new one and returns the link.
+    async function issueResetLink(userId, ttlSeconds) {
+        await resetTokens.invalidateAllForUser(userId);
+        const token = crypto.randomBytes(32).toString('base64url');
+        await resetTokens.create({
+            user_id: userId,
+            token_hash: hashToken(token),
+            expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+        });
+        return `${config.resetUrl}?token=${encodeURIComponent(token)}`;
+    }
+
+    return {
+        // Returns the updated profile, null when the user does not exist, or throws
+        // PasswordChangeError when currentPassword is wrong.
+        async changePassword(userId, currentPassword, newPassword) {
+            const user = await userRepository.findCredentialsById(userId);
+            if (!user) return null;
+            if (!(await verifyPassword(currentPassword, user.password_hash))) {
+                throw new PasswordChangeError('Current password is incorrect');
+            }
+            return setPassword(userId, newPassword);
+        },
+
+        // Mails a reset link when the address belongs to an account. Resolves the
+        // same way either way so callers cannot probe which emails are registered.
+        async requestReset(email) {
+            const user = await userRepository.findByIdentifier(email);
+            if (!user || user.email !== email) {
+                log.info('Reset requested for an unknown email address');
+                return;
+            }
+
+            const link = await issueResetLink(user.id, config.resetTokenTtl);
+            const minutes = Math.round(config.resetTokenTtl / 60);
+            await mailer.send({
+                to: user.email,
+                subject: 'Reset your password',
+                text: `Hi ${user.username},\n\nUse the link below to choose a new password. It expires in ${minutes} minutes and can only be used once.\n\n${link}\n\nIf you did not ask for this, you can ignore this email.`,
+            });
+            log.info('Reset link sent', { userId: user.id });
+        },
+
+        // Mails a link for choosing a first password to a user created without one
+        // (bulk import). The invitee completes it at POST /password/reset like a reset.
+        async sendInvite(user) {
+            const link = await issueResetLink(user.id, config.inviteTokenTtl);
+            const days = Math.round(config.inviteTokenTtl / (24 * 60 * 60));
+            await mailer.send({
+                to: user.email,
+                subject: 'You have been invited',
+                text: `Hi ${user.username},\n\nAn account has been created for you. Use the link below to choose your password. It expires in ${days} day(s) and can only be used once.\n\n${link}`,
+            });
+            log.info('Invitation sent', { userId: user.id });
+        },
+
+        // Consumes a reset token and sets the new password. Throws PasswordChangeError
+        // when the token is unknown, already used or expired.
+        async resetPassword(token, newPassword) {
+            const row = await resetTokens.findByHash(hashToken(token));
+            if (!row || row.used_at || new Date(row.expires_at).getTime() <= Date.now()) {
+                throw new PasswordChangeError('Invalid or expired reset token');
+            }
+            // Claim the token before touching the password
+            if (!(await resetTokens.markUsed(row.id))) {
+                throw new PasswordChangeError('Invalid or expired reset token');
+            }
+            const updated = await setPassword(row.user_id, newPassword);
+            if (!updated) throw new PasswordChangeError('Invalid or expired reset token');
+            return updated;
+        },
+    };
+}
+
+module.exports = { createPasswordService, configFromEnv, PasswordChangeError };
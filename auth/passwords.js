@@ -0,0 +1,28 @@
+// auth/passwords.js
+// bcrypt helpers shared by registration, login and password changes.
+const bcrypt = require('bcrypt');
+const { passwordHashDuration } = require('../metrics');
+
+const SALT_ROUNDS = 10;
+
+// Each call is timed into password_hash_duration_seconds.
+async function timed(operation, work) {
+    const end = passwordHashDuration.startTimer({ operation });
+    try {
+        return await work();
+    } finally {
+        end();
+    }
+}
+
+function hashPassword(password) {
+    return timed('hash', () => bcrypt.hash(password, SALT_ROUNDS));
+}
+
+// Users invited by a bulk import have no hash until they choose a password; nothing matches.
+function verifyPassword(password, passwordHash) {
+    if (!passwordHash) return Promise.resolve(false);
+    return timed('verify', () => bcrypt.compare(password, passwordHash));
+}
+
+module.exports = { hashPassword, verifyPassword, SALT_ROUNDS };
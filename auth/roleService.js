@@ -0,0 +1,182 @@
+// auth/roleService.js
+// Roles and the permissions they grant, stored as data in the 'roles' table so new
+// roles ("agent", "moderator"...) need no code change. Users hold one or more roles
+// (the users.roles column); their effective permissions are the union of those of
+// their roles.
+//
+// Permissions are fixed in code (PERMISSIONS), because each one is checked by routes.
+// The built-in roles are seeded when missing and reproduce the original model:
+// 'user' grants nothing beyond a user's own profile, 'admin' grants every permission.
+// Built-in roles cannot be deleted and the admin role cannot be changed, so there is
+// always a role able to manage the others. The permissions stored for 'admin' are ignored:
+// it always grants everything in PERMISSIONS, including permissions added after the row
+// was seeded.
+//
+// Configuration (environment):
+//   ROLE_CACHE_TTL_SECONDS   how long roles are cached in memory (default 30); changes made
+//                            through another instance take at most this long to apply here
+require('dotenv').config();
+const { logger } = require('../logging');
+const log = logger.child({ component: 'Roles' });
+
+const PERMISSIONS = {
+    'profiles:read': 'List, search and read any profile and its deletion and two-factor status',
+    'profiles:write': 'Update any profile and change its password',
+    'profiles:delete': 'Delete and restore any profile',
+    'profiles:import': 'Bulk import users',
+    'profiles:export': 'Bulk export users and download the personal data export of any user',
+    'roles:assign': 'Change the roles of users',
+    'roles:manage': 'Create, update and delete roles',
+    'sessions:manage': "List and end other users' sessions and clear login lockouts",
+    'mfa:reset': 'Reset the two-factor authentication of any user',
+    'audit:read': 'Query and export the audit log',
+    'webhooks:manage': 'Manage webhook subscriptions',
+    'api_keys:manage': 'Manage API keys',
+};
+
+const DEFAULT_ROLE = 'user';
+const ADMIN_ROLE = 'admin';
+
+// Names that cannot be given to a role: 'service' is the role of API key callers (see middleware.js)
+const RESERVED_ROLE_NAMES = ['service'];
+
+const BUILTIN_ROLES = {
+    [DEFAULT_ROLE]: { description: 'Every user; access to their own profile only', permissions: [] },
+    [ADMIN_ROLE]: { description: 'Full access', permissions: Object.keys(PERMISSIONS) },
+};
+
+// Raised for role changes that conflict with existing data; routes map it to 409.
+class RoleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RoleError';
+    }
+}
+
+function configFromEnv(env = process.env) {
+    return {
+        cacheTtlSeconds: parseInt(env.ROLE_CACHE_TTL_SECONDS, 10) || 30,
+    };
+}
+
+// Public view of a role row
+function toRole(row) {
+    return {
+        name: row.name,
+        description: row.description,
+        permissions: row.permissions,
+        builtin: Boolean(BUILTIN_ROLES[row.name]),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+function createRoleService({ roles, userRepository, config = configFromEnv(), now = () => Date.now() }) {
+    let cache = null; // { byName: Map, loadedAt }
+
+    // Inserts the built-in roles that are missing (fresh in-memory store, or a database
+    // created without the seed migration).
+    async function seed(rows) {
+        const seeded = [...rows];
+        for (const [name, role] of Object.entries(BUILTIN_ROLES)) {
+            if (rows.some(row => row.name === name)) continue;
+            const timestamp = new Date(now()).toISOString();
+            seeded.push(await roles.insert({ name, ...role, created_at: timestamp, updated_at: timestamp }));
+            log.info('Seeded built-in role', { role: name });
+        }
+        return seeded;
+    }
+
+    async function load() {
+        if (cache && now() - cache.loadedAt < config.cacheTtlSeconds * 1000) return cache.byName;
+        const rows = (await seed(await roles.find({}, { orderBy: 'name' })))
+            .map(row => (row.name === ADMIN_ROLE ? { ...row, permissions: Object.keys(PERMISSIONS) } : row));
+        cache = { byName: new Map(rows.map(row => [row.name, row])), loadedAt: now() };
+        return cache.byName;
+    }
+
+    function invalidate() {
+        cache = null;
+    }
+
+    return {
+        async list() {
+            const byName = await load();
+            return Array.from(byName.values()).sort((a, b) => (a.name < b.name ? -1 : 1)).map(toRole);
+        },
+
+        async get(name) {
+            const row = (await load()).get(name);
+            return row ? toRole(row) : null;
+        },
+
+        // Names in `names` that are not defined roles
+        async unknownRoles(names) {
+            const byName = await load();
+            return names.filter(name => !byName.has(name));
+        },
+
+        // Effective permissions of a set of roles, sorted. Unknown roles grant nothing.
+        async permissionsFor(names) {
+            const byName = await load();
+            const permissions = new Set();
+            for (const name of names || []) {
+                const row = byName.get(name);
+                if (row) row.permissions.forEach(permission => permissions.add(permission));
+            }
+            return Array.from(permissions).sort();
+        },
+
+        // Roles among `names` that grant a permission missing from `permissions`. Callers may
+        // only give or take away roles whose permissions they hold themselves, so roles:assign
+        // alone never leads to more access than the caller's own.
+        async rolesBeyond(names, permissions) {
+            const byName = await load();
+            return names.filter(name => {
+                const row = byName.get(name);
+                return Boolean(row) && row.permissions.some(permission => !permissions.includes(permission));
+            });
+        },
+
+        // Throws RoleError when the name is taken or reserved.
+        async create({ name, description = null, permissions }) {
+            if (RESERVED_ROLE_NAMES.includes(name)) throw new RoleError(`Role name "${name}" is reserved`);
+            if ((await load()).has(name)) throw new RoleError('Role already exists');
+            const timestamp = new Date(now()).toISOString();
+            const row = await roles.insert({ name, description, permissions: [...new Set(permissions)], created_at: timestamp, updated_at: timestamp });
+            invalidate();
+            log.info('Role created', { role: name, permissions: row.permissions });
+            return toRole(row);
+        },
+
+        // Returns { before, after }, or null when the role does not exist. Throws RoleError for the admin role.
+        async update(name, { description, permissions }) {
+            const current = (await load()).get(name);
+            if (!current) return null;
+            if (name === ADMIN_ROLE) throw new RoleError('The admin role cannot be changed');
+            const patch = { updated_at: new Date(now()).toISOString() };
+            if (description !== undefined) patch.description = description;
+            if (permissions !== undefined) patch.permissions = [...new Set(permissions)];
+            const [row] = await roles.update({ name }, patch);
+            invalidate();
+            log.info('Role updated', { role: name });
+            return { before: toRole(current), after: toRole(row) };
+        },
+
+        // Returns false when the role does not exist. Throws RoleError for built-in roles
+        // and roles still assigned to users.
+        async remove(name) {
+            if (!(await load()).has(name)) return false;
+            if (BUILTIN_ROLES[name]) throw new RoleError('Built-in roles cannot be deleted');
+            // Soft-deleted users count too: restoring them must not bring back a missing role
+            const total = await userRepository.countWithRole(name);
+            if (total > 0) throw new RoleError(`Role is still assigned to ${total} user(s)`);
+            await roles.remove({ name });
+            invalidate();
+            log.info('Role deleted', { role: name });
+            return true;
+        },
+    };
+}
+
+module.exports = { createRoleService, configFromEnv, RoleError, PERMISSIONS, BUILTIN_ROLES, DEFAULT_ROLE, ADMIN_ROLE };
@@ -0,0 +1,116 @@
+// auth/sessionService.js
+// Login sessions: one per successful login, listing the device (user agent) and IP it came
+// from and when it was last used. A session lives as long as its refresh tokens; revoking it
+// revokes them too, and access tokens carrying its id (the "sid" claim) stop being accepted.
+//
+// Configuration (environment):
+//   SESSION_TOUCH_INTERVAL_SECONDS   how often last_seen_at is updated while a session is in
+//                                    use (default 60), to avoid a write on every request
+require('dotenv').config();
+const { logger } = require('../logging');
+const log = logger.child({ component: 'Sessions' });
+
+// Why sessions were revoked, kept on the session row
+const REVOKE_REASONS = ['logout', 'revoked', 'logout_everywhere', 'password_changed', 'role_changed', 'account_deleted', 'token_reuse'];
+
+function configFromEnv(env = process.env) {
+    return {
+        touchInterval: parseInt(env.SESSION_TOUCH_INTERVAL_SECONDS, 10) || 60,
+    };
+}
+
+function isActive(session, now) {
+    return Boolean(session) && !session.revoked_at && new Date(session.expires_at).getTime() > now;
+}
+
+// Public view of a session row
+function toSession(row, currentSessionId) {
+    return {
+        id: row.id,
+        userAgent: row.user_agent,
+        ip: row.ip,
+        createdAt: row.created_at,
+        lastSeenAt: row.last_seen_at,
+        expiresAt: row.expires_at,
+        current: row.id === currentSessionId,
+    };
+}
+
+function createSessionService({ sessions, refreshTokens, config = configFromEnv(), now = () => Date.now() }) {
+    async function revokeRows(rows, reason) {
+        if (!REVOKE_REASONS.includes(reason)) throw new Error(`Unknown session revocation reason "${reason}"`);
+        const revoked = await sessions.revoke(rows, reason);
+        for (const session of rows) await refreshTokens.revokeFamily(session.id);
+        return revoked;
+    }
+
+    return {
+        // Records a new login. Returns the session row; its id becomes the refresh token family.
+        async start({ userId, userAgent, ip, ttlSeconds }) {
+            return sessions.create({
+                user_id: userId,
+                user_agent: userAgent ? String(userAgent).slice(0, 512) : null,
+                ip: ip || null,
+                expires_at: new Date(now() + ttlSeconds * 1000).toISOString(),
+            });
+        },
+
+        // A refresh token of the session was used: it stays alive for another `ttlSeconds`.
+        async extend(sessionId, { ttlSeconds }) {
+            await sessions.update(sessionId, {
+                last_seen_at: new Date(now()).toISOString(),
+                expires_at: new Date(now() + ttlSeconds * 1000).toISOString(),
+            });
+        },
+
+        // Whether access tokens of the session are still accepted. Tokens without a session
+        // (signed before sessions existed) are not tracked and always pass. Updates
+        // last_seen_at at most once per touch interval.
+        async verifyActive(sessionId) {
+            if (!sessionId) return true;
+            const session = await sessions.findById(sessionId);
+            if (!isActive(session, now())) return false;
+            if (now() - new Date(session.last_seen_at).getTime() >= config.touchInterval * 1000) {
+                await sessions.update(sessionId, { last_seen_at: new Date(now()).toISOString() });
+            }
+            return true;
+        },
+
+        // Active sessions of a user, most recently used first.
+        async list(userId, { currentSessionId } = {}) {
+            const rows = await sessions.findByUser(userId);
+            return rows.filter(row => isActive(row, now())).map(row => toSession(row, currentSessionId));
+        },
+
+        // Every session of a user including ended ones, most recently used first
+        // (personal data export).
+        async history(userId) {
+            const rows = await sessions.findByUser(userId);
+            return rows.map(row => {
+                const { current, ...session } = toSession(row);
+                return { ...session, revokedAt: row.revoked_at, revokedReason: row.revoked_reason };
+            });
+        },
+
+        // Revokes one session of a user. Returns false when it does not exist or is already inactive.
+        async revoke(userId, sessionId, reason = 'revoked') {
+            const session = await sessions.findById(sessionId);
+            if (!session || session.user_id !== userId || !isActive(session, now())) return false;
+            await revokeRows([session], reason);
+            log.info('Session revoked', { userId, sessionId, reason });
+            return true;
+        },
+
+        // Revokes every session of a user together with all their refresh tokens
+        // (password or role change, account deletion, "log out everywhere").
+        // Returns the number of sessions revoked.
+        async revokeAllForUser(userId, reason) {
+            const revoked = await revokeRows(await sessions.findByUser(userId), reason);
+            await refreshTokens.revokeAllForUser(userId);
+            if (revoked.length > 0) log.info('Sessions revoked', { userId, count: revoked.length, reason });
+            return revoked.length;
+        },
+    };
+}
+
+module.exports = { createSessionService, configFromEnv, REVOKE_REASONS };
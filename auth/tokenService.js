@@ -0,0 +1,197 @@
+// auth/tokenService.js
+// Issues short-lived signed access tokens and rotating refresh tokens.
+//
+// Configuration (environment):
+//   JWT_ALGORITHM              HS256 (default), HS384, HS512, RS256, RS384, RS512
+//   JWT_SECRET                 shared secret for HS* algorithms
+//   JWT_PRIVATE_KEY            PEM private key for RS* algorithms ("\n" escapes allowed)
+//   JWT_PUBLIC_KEY             PEM public key for RS*; derived from the private key when unset
+//   JWT_KEY_ID                 "kid" header / JWKS key id (defaults to a thumbprint of the public key)
+//   JWT_ISSUER                 "iss" claim (default 'user-service')
+//   ACCESS_TOKEN_TTL_SECONDS   access token lifetime (default 900 = 15 minutes)
+//   REFRESH_TOKEN_TTL_SECONDS  refresh token lifetime (default 2592000 = 30 days)
+require('dotenv').config();
+const crypto = require('crypto');
+const jwt = require('./jwt');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'Tokens' });
+const { TokenError } = jwt;
+
+function readPem(value) {
+    return value ? value.replace(/\\n/g, '\n') : value;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Resolves signing/verification keys from config. Missing keys fall back to
+// per-process ephemeral ones so local development works out of the box; tokens
+// then stop verifying on restart and are not shared between instances.
+function loadKeys(config) {
+    const spec = jwt.ALGORITHMS[config.algorithm];
+    if (!spec) {
+        throw new Error(`Unsupported JWT_ALGORITHM "${config.algorithm}". Expected one of: ${Object.keys(jwt.ALGORITHMS).join(', ')}.`);
+    }
+
+    if (spec.type === 'hmac') {
+        let secret = config.secret;
+        if (!secret) {
+            log.warn('JWT_SECRET not set. Using an ephemeral secret; tokens will not survive a restart.');
+            secret = crypto.randomBytes(32).toString('hex');
+        }
+        return { signingKey: secret, verificationKey: secret, publicKey: null, kid: config.keyId };
+    }
+
+    let privateKey = config.privateKey ? crypto.createPrivateKey(readPem(config.privateKey)) : null;
+    if (!privateKey) {
+        log.warn('JWT_PRIVATE_KEY not set. Generating an ephemeral RSA key pair; tokens will not survive a restart.');
+        privateKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    }
+    const publicKey = config.publicKey
+        ? crypto.createPublicKey(readPem(config.publicKey))
+        : crypto.createPublicKey(privateKey);
+    const kid = config.keyId || crypto.createHash('sha256')
+        .update(publicKey.export({ type: 'spki', format: 'der' }))
+        .digest('base64url')
+        .slice(0, 16);
+    return { signingKey: privateKey, verificationKey: publicKey, publicKey, kid };
+}
+
+function configFromEnv(env = process.env) {
+    return {
+        algorithm: env.JWT_ALGORITHM || 'HS256',
+        secret: env.JWT_SECRET,
+        privateKey: env.JWT_PRIVATE_KEY,
+        publicKey: env.JWT_PUBLIC_KEY,
+        keyId: env.JWT_KEY_ID,
+        issuer: env.JWT_ISSUER || 'user-service',
+        accessTokenTtl: parseInt(env.ACCESS_TOKEN_TTL_SECONDS, 10) || 900,
+        refreshTokenTtl: parseInt(env.REFRESH_TOKEN_TTL_SECONDS, 10) || 30 * 24 * 60 * 60,
+    };
+}
+
+function createTokenService({ userRepository, refreshTokens, sessions, config = configFromEnv() }) {
+    const keys = loadKeys(config);
+
+    // `sessionId` becomes the "sid" claim, checked by the auth middleware so revoked
+    // sessions lose access before their access tokens expire.
+    function signAccessToken(user, sessionId) {
+        const now = Math.floor(Date.now() / 1000);
+        return jwt.sign({
+            sub: user.id,
+            role: user.role,
+            roles: user.roles || [user.role],
+            username: user.username,
+            ...(sessionId ? { sid: sessionId } : {}),
+            iss: config.issuer,
+            iat: now,
+            exp: now + config.accessTokenTtl,
+            jti: crypto.randomUUID(),
+        }, { alg: config.algorithm, key: keys.signingKey, kid: keys.kid });
+    }
+
+    async function createRefreshToken(userId, familyId, id = crypto.randomUUID()) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const row = await refreshTokens.create({
+            id,
+            user_id: userId,
+            family_id: familyId,
+            token_hash: hashToken(token),
+            expires_at: new Date(Date.now() + config.refreshTokenTtl * 1000).toISOString(),
+        });
+        return { token, row };
+    }
+
+    // A token presented again after it was rotated: revokes its whole family and throws.
+    async function rejectReuse(current) {
+        log.warn('Refresh token reuse detected; revoking token family', { userId: current.user_id, familyId: current.family_id });
+        await sessions.revoke(current.user_id, current.family_id, 'token_reuse');
+        await refreshTokens.revokeFamily(current.family_id);
+        throw new TokenError('Refresh token has been revoked');
+    }
+
+    function tokenResponse(user, refreshToken, sessionId) {
+        return {
+            accessToken: signAccessToken(user, sessionId),
+            refreshToken,
+            tokenType: 'Bearer',
+            expiresIn: config.accessTokenTtl,
+            sessionId,
+        };
+    }
+
+    return {
+        signAccessToken,
+
+        // Starts a new session, and with it a new refresh token family, for a freshly
+        // authenticated user. `client` ({ userAgent, ip }) is recorded on the session.
+        async issueTokens(user, client = {}) {
+            const session = await sessions.start({ userId: user.id, userAgent: client.userAgent, ip: client.ip, ttlSeconds: config.refreshTokenTtl });
+            const { token } = await createRefreshToken(user.id, session.id);
+            return tokenResponse(user, token, session.id);
+        },
+
+        // Exchanges a refresh token for a new access/refresh pair. Presenting a
+        // token that was already rotated is treated as theft: the whole family
+        // is revoked so neither the attacker nor the victim can keep using it.
+        // The old token is claimed with a compare-and-set before the new one is issued,
+        // so of two concurrent refreshes with the same token only one succeeds and the
+        // other counts as reuse.
+        async refresh(refreshToken) {
+            const current = await refreshTokens.findByHash(hashToken(refreshToken));
+            if (!current) throw new TokenError('Invalid refresh token');
+
+            if (current.revoked_at) await rejectReuse(current);
+            if (new Date(current.expires_at).getTime() <= Date.now()) {
+                throw new TokenError('Refresh token expired');
+            }
+
+            const user = await userRepository.findById(current.user_id);
+            if (!user) {
+                await refreshTokens.revokeFamily(current.family_id);
+                throw new TokenError('Invalid refresh token');
+            }
+
+            const replacementId = crypto.randomUUID();
+            if (!(await refreshTokens.markRotated(current.id, replacementId))) await rejectReuse(current);
+            const { token } = await createRefreshToken(user.id, current.family_id, replacementId);
+            // Checked after the new token exists: a revocation that started earlier has already
+            // marked the session, and one that starts later revokes the new token with the family
+            if (!(await sessions.verifyActive(current.family_id))) {
+                await refreshTokens.revokeFamily(current.family_id);
+                throw new TokenError('Session has been revoked');
+            }
+            await sessions.extend(current.family_id, { ttlSeconds: config.refreshTokenTtl });
+            return tokenResponse(user, token, current.family_id);
+        },
+
+        // Logout: revokes the session (and token family) the given refresh token belongs to.
+        // Unknown tokens are ignored.
+        async revoke(refreshToken) {
+            const current = await refreshTokens.findByHash(hashToken(refreshToken));
+            if (!current) return;
+            await sessions.revoke(current.user_id, current.family_id, 'logout');
+            await refreshTokens.revokeFamily(current.family_id);
+        },
+
+        // Revokes every session and refresh token of a user (e.g. after a password change).
+        // `reason` is one of the session REVOKE_REASONS.
+        async revokeAllForUser(userId, reason) {
+            await sessions.revokeAllForUser(userId, reason);
+        },
+
+        // Returns the verified access token claims or throws TokenError.
+        verifyAccessToken(accessToken) {
+            return jwt.verify(accessToken, { alg: config.algorithm, key: keys.verificationKey, issuer: config.issuer });
+        },
+
+        // JWKS document for RS* deployments; symmetric keys are never published.
+        jwks() {
+            if (!keys.publicKey) return { keys: [] };
+            return { keys: [jwt.toJwk(keys.publicKey, { alg: config.algorithm, kid: keys.kid })] };
+        },
+    };
+}
+
+module.exports = { createTokenService, configFromEnv, hashToken, TokenError };
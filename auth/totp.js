@@ -0,0 +1,73 @@
+// auth/totp.js
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30 second steps), the
+// defaults every authenticator app supports, and the otpauth:// URI they scan.
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    let bits = '';
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error('Invalid base32 character');
+        bits += value.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    return Buffer.from(bytes);
+}
+
+// A new random secret (160 bits, as recommended by RFC 4226), base32 encoded.
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+// RFC 4226 HOTP value for one counter.
+function hotp(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = digest[digest.length - 1] & 0x0f;
+    const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function timeStep(timeMs = Date.now()) {
+    return Math.floor(timeMs / 1000 / STEP_SECONDS);
+}
+
+function generateTotp(secret, { timeMs = Date.now() } = {}) {
+    return hotp(secret, timeStep(timeMs));
+}
+
+// Returns the time step the code belongs to, or null. `window` steps either side of the
+// current one are accepted to allow for clock drift.
+function verifyTotp(secret, code, { timeMs = Date.now(), window = 1 } = {}) {
+    if (!/^\d{6}$/.test(String(code))) return null;
+    const current = timeStep(timeMs);
+    for (let step = current - window; step <= current + window; step++) {
+        const expected = Buffer.from(hotp(secret, step));
+        if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) return step;
+    }
+    return null;
+}
+
+function otpauthUri({ secret, accountName, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = { generateSecret, generateTotp, verifyTotp, otpauthUri, base32Encode, base32Decode, STEP_SECONDS };
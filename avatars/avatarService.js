@@ -0,0 +1,110 @@
+// avatars/avatarService.js
+// Avatar uploads: the image is decoded, cropped to a square and resized to every size in
+// AVATAR_SIZES as WebP. Only the thumbnails are stored, so the original file, its EXIF
+// data (location, camera...) and anything hidden in it never leave this service.
+// Each user's thumbnails live at fixed keys and the profile's avatar_url points at the
+// largest one, so the URL stays the same across uploads.
+const sharp = require('sharp');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'Avatars' });
+
+// Thumbnail edge lengths in pixels
+const AVATAR_SIZES = [64, 128, 256];
+
+// Accepted upload content types and the format sharp must decode them as
+const AVATAR_TYPES = {
+    'image/jpeg': 'jpeg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+};
+
+// Raised for uploads that are not a usable image; routes map it to 400.
+class AvatarError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AvatarError';
+    }
+}
+
+function keyFor(userId, size) {
+    return `${userId}/${size}.webp`;
+}
+
+function createAvatarService({ storage, userRepository, config }) {
+    const largest = Math.max(...AVATAR_SIZES);
+
+    function urlFor(userId) {
+        return `${config.baseUrl}/${userId}/${largest}.webp`;
+    }
+
+    async function removeFiles(userId) {
+        for (const size of AVATAR_SIZES) {
+            await storage.remove(keyFor(userId, size));
+        }
+    }
+
+    return {
+        urlFor,
+
+        // Stores the thumbnails of `image` (a Buffer sent as `contentType`) and returns the
+        // updated profile, or null when the user does not exist. Throws AvatarError when the
+        // image cannot be decoded, is not of the declared type or exceeds config.maxPixels.
+        async upload(userId, image, contentType) {
+            const options = { limitInputPixels: config.maxPixels };
+            let metadata;
+            try {
+                metadata = await sharp(image, options).metadata();
+            } catch (error) {
+                throw new AvatarError(/pixel limit/.test(error.message)
+                    ? `Images are limited to ${config.maxPixels} pixels`
+                    : 'The file is not a readable image');
+            }
+            if (metadata.format !== AVATAR_TYPES[contentType]) {
+                throw new AvatarError(`The file is not a ${contentType} image`);
+            }
+
+            for (const size of AVATAR_SIZES) {
+                let thumbnail;
+                try {
+                    thumbnail = await sharp(image, options)
+                        .rotate() // apply the EXIF orientation before it is dropped
+                        .resize(size, size, { fit: 'cover' })
+                        .webp({ quality: config.quality })
+                        .toBuffer();
+                } catch (error) {
+                    throw new AvatarError('The file is not a readable image');
+                }
+                await storage.put(keyFor(userId, size), thumbnail);
+            }
+
+            const profile = await userRepository.update(userId, { avatar_url: urlFor(userId) });
+            if (!profile) {
+                await removeFiles(userId);
+                return null;
+            }
+            log.info('Avatar uploaded', { userId, format: metadata.format, width: metadata.width, height: metadata.height });
+            return profile;
+        },
+
+        // Removes the thumbnails and clears avatar_url. Returns the updated profile, or null
+        // when the user does not exist.
+        async remove(userId) {
+            const profile = await userRepository.update(userId, { avatar_url: null });
+            if (!profile) return null;
+            await removeFiles(userId);
+            log.info('Avatar removed', { userId });
+            return profile;
+        },
+
+        // Thumbnail of `size` as a WebP Buffer, or null when there is none
+        async read(userId, size) {
+            return storage.get(keyFor(userId, size));
+        },
+
+        // Cleanup target deleting the files of purged accounts (see cleanup/)
+        cleanupTarget: { name: 'avatars', cleanup: removeFiles },
+    };
+}
+
+module.exports = { createAvatarService, AvatarError, AVATAR_SIZES, AVATAR_TYPES };
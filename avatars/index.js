@@ -0,0 +1,49 @@
+// avatars/index.js
+// Shared avatar service. Thumbnails of purged accounts are deleted through the cleanup
+// outbox like the user's data in other services (see cleanup/).
+//
+// Configuration (environment):
+//   AVATAR_STORAGE          local (default, files under AVATAR_STORAGE_DIR) or memory (tests)
+//   AVATAR_STORAGE_DIR      directory of the local storage (default uploads/avatars)
+//   AVATAR_BASE_URL         public URL the thumbnails are served from; avatar_url is
+//                           <AVATAR_BASE_URL>/<userId>/256.webp (default http://localhost:3001/avatars,
+//                           i.e. GET /avatars/... of this service)
+//   AVATAR_MAX_BYTES        upload size limit (default 5242880 = 5 MiB)
+//   AVATAR_MAX_PIXELS       width x height limit of an upload (default 25000000)
+//   AVATAR_QUALITY          WebP quality of the thumbnails, 1-100 (default 80)
+//   AVATAR_CACHE_SECONDS    Cache-Control max-age of served thumbnails (default 300)
+require('dotenv').config();
+const { userRepository } = require('../repositories');
+const { cleanupTargets } = require('../cleanup');
+const { createLocalStorage, createMemoryStorage } = require('./storage');
+const { createAvatarService, AvatarError, AVATAR_SIZES, AVATAR_TYPES } = require('./avatarService');
+
+function configFromEnv(env = process.env) {
+    return {
+        baseUrl: (env.AVATAR_BASE_URL || 'http://localhost:3001/avatars').replace(/\/+$/, ''),
+        maxBytes: parseInt(env.AVATAR_MAX_BYTES, 10) || 5 * 1024 * 1024,
+        maxPixels: parseInt(env.AVATAR_MAX_PIXELS, 10) || 25_000_000,
+        quality: parseInt(env.AVATAR_QUALITY, 10) || 80,
+        cacheSeconds: parseInt(env.AVATAR_CACHE_SECONDS, 10) || 300,
+    };
+}
+
+function createAvatarStorage(type = process.env.AVATAR_STORAGE || 'local') {
+    if (type === 'local') return createLocalStorage({ dir: process.env.AVATAR_STORAGE_DIR || 'uploads/avatars' });
+    if (type === 'memory') return createMemoryStorage();
+    throw new Error(`Unknown AVATAR_STORAGE "${type}". Expected one of: local, memory.`);
+}
+
+const avatarConfig = configFromEnv();
+const avatarService = createAvatarService({ storage: createAvatarStorage(), userRepository, config: avatarConfig });
+cleanupTargets.register(avatarService.cleanupTarget);
+
+module.exports = {
+    avatarService,
+    avatarConfig,
+    AvatarError,
+    AVATAR_SIZES,
+    AVATAR_TYPES,
+    configFromEnv,
+    createAvatarStorage,
+};
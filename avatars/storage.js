@@ -0,0 +1,59 @@
+// avatars/storage.js
+// Where avatar images are kept. A storage exposes put(key, data), get(key) -> Buffer or
+// null, and remove(key), where keys are relative paths such as "<userId>/128.webp".
+const fs = require('fs/promises');
+const path = require('path');
+const { randomUUID } = require('crypto');
+
+// Files under `dir`. Writes go to a temporary file first and are renamed into place, so
+// a reader never sees half of a replaced image.
+function createLocalStorage({ dir }) {
+    const root = path.resolve(dir);
+
+    function fileFor(key) {
+        const file = path.resolve(root, key);
+        if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+        return file;
+    }
+
+    return {
+        async put(key, data) {
+            const file = fileFor(key);
+            const temporary = `${file}.${randomUUID()}.tmp`;
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(temporary, data);
+            await fs.rename(temporary, file);
+        },
+
+        async get(key) {
+            try {
+                return await fs.readFile(fileFor(key));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async remove(key) {
+            await fs.rm(fileFor(key), { force: true });
+        },
+    };
+}
+
+// Keeps images in process memory (tests).
+function createMemoryStorage() {
+    const files = new Map();
+    return {
+        async put(key, data) {
+            files.set(key, Buffer.from(data));
+        },
+        async get(key) {
+            return files.has(key) ? Buffer.from(files.get(key)) : null;
+        },
+        async remove(key) {
+            files.delete(key);
+        },
+    };
+}
+
+module.exports = { createLocalStorage, createMemoryStorage };
@@ -0,0 +1,84 @@
+// bulk/csv.js
+// Minimal RFC 4180 CSV reading and writing for the profile import and export:
+// comma separated, fields optionally quoted with '"' (a literal quote is doubled),
+// quoted fields may span lines, CRLF or LF line endings.
+
+class CsvParseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CsvParseError';
+    }
+}
+
+// Splits `text` into records of { line, fields }, where line is the 1-based line the
+// record starts on. Blank lines are skipped. Throws CsvParseError for an unterminated
+// quote or text after a closing quote.
+function parseCsv(text) {
+    const records = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let afterQuote = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endField = () => {
+        fields.push(field);
+        field = '';
+        afterQuote = false;
+    };
+    const endRecord = () => {
+        endField();
+        if (fields.length > 1 || fields[0] !== '') records.push({ line: recordLine, fields });
+        fields = [];
+    };
+
+    const source = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+                afterQuote = true;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"' && field === '' && !afterQuote) {
+            quoted = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || (char === '\r' && source[i + 1] === '\n')) {
+            if (char === '\r') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else if (afterQuote) {
+            throw new CsvParseError(`Unexpected text after a closing quote on line ${line}`);
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) throw new CsvParseError(`Unterminated quoted field starting on line ${recordLine}`);
+    endRecord();
+    return records;
+}
+
+// Quotes a value when needed. Values starting with a formula character are prefixed
+// with an apostrophe so spreadsheet applications show them as text.
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV line, including the trailing CRLF.
+function csvLine(values) {
+    return `${values.map(csvField).join(',')}\r\n`;
+}
+
+module.exports = { parseCsv, csvLine, CsvParseError };
@@ -0,0 +1,36 @@
+// bulk/index.js
+// Shared profile importer and exporter for the admin bulk routes (see routes/bulkProfiles.js).
+//
+// Configuration (environment):
+//   PROFILE_IMPORT_MAX_ROWS    rows accepted in one import (default 1000)
+//   PROFILE_IMPORT_MAX_BYTES   size limit of an import file (default 5242880 = 5 MiB)
+require('dotenv').config();
+const { userRepository } = require('../repositories');
+const { passwordService, roleService } = require('../auth');
+const { createProfileImporter, parseImport, ImportError, IMPORT_COLUMNS } = require('./profileImport');
+const { createProfileExporter, EXPORT_COLUMNS } = require('./profileExport');
+
+// Content type of each supported file format
+const BULK_FORMATS = { csv: 'text/csv', ndjson: 'application/x-ndjson' };
+
+function configFromEnv(env = process.env) {
+    return {
+        maxRows: parseInt(env.PROFILE_IMPORT_MAX_ROWS, 10) || 1000,
+        maxBytes: parseInt(env.PROFILE_IMPORT_MAX_BYTES, 10) || 5 * 1024 * 1024,
+    };
+}
+
+const profileImporter = createProfileImporter({ userRepository, passwordService, roleService });
+const profileExporter = createProfileExporter({ userRepository });
+
+module.exports = {
+    profileImporter,
+    profileExporter,
+    parseImport,
+    ImportError,
+    IMPORT_COLUMNS,
+    EXPORT_COLUMNS,
+    BULK_FORMATS,
+    bulkConfig: configFromEnv(),
+    configFromEnv,
+};
@@ -0,0 +1,38 @@
+// bulk/profileExport.js
+// Streams every live profile for GET /profiles/export, oldest first, as CSV or NDJSON.
+// Only EXPORT_COLUMNS are written, so credentials never leave the service even if a
+// repository adapter starts returning more columns. In CSV the roles are joined with ";".
+const { csvLine } = require('./csv');
+
+const EXPORT_COLUMNS = ['id', 'username', 'email', 'role', 'roles', 'created_at', 'email_verified_at'];
+
+function pick(profile) {
+    return Object.fromEntries(EXPORT_COLUMNS.map(column => [column, profile[column] === undefined ? null : profile[column]]));
+}
+
+function createProfileExporter({ userRepository, pageSize = 500 }) {
+    return {
+        // Profiles matching `filters` ({ role, q } as for userRepository.search), page by page.
+        // Each page resumes behind the last profile of the one before rather than at an
+        // offset, so users created or deleted mid-export do not shift rows across pages.
+        async *profiles(filters = {}) {
+            let after = null;
+            for (;;) {
+                const { profiles } = await userRepository.search({ ...filters, limit: pageSize, after, sort: 'created_at', order: 'asc' });
+                yield* profiles.map(pick);
+                if (profiles.length < pageSize) return;
+                after = profiles[profiles.length - 1];
+            }
+        },
+
+        // Text chunks of the export file in `format`, header first for CSV
+        async *lines(format, filters) {
+            if (format === 'csv') yield csvLine(EXPORT_COLUMNS);
+            for await (const profile of this.profiles(filters)) {
+                yield format === 'csv' ? csvLine(EXPORT_COLUMNS.map(column => (Array.isArray(profile[column]) ? profile[column].join(';') : profile[column]))) : `${JSON.stringify(profile)}\n`;
+            }
+        },
+    };
+}
+
+module.exports = { createProfileExporter, EXPORT_COLUMNS };
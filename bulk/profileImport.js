@@ -0,0 +1,213 @@
+// bulk/profileImport.js
+// Bulk creation of users from a CSV or NDJSON file (POST /profiles/import).
+//
+// Each row has a username, an email, an optional role (default 'user', must be a defined
+// role, see auth/roleService.js, whose permissions the importing caller holds) and an optional
+// password_hash, a bcrypt hash from the system the users come from. Users imported
+// without a hash get an invitation email to choose their password (see
+// auth/passwordService.js) and cannot log in until they have.
+//
+// Every row is checked like a registration would be, and against earlier rows of the
+// same file and existing users (including soft-deleted ones) for duplicate usernames
+// and emails. Bad rows are reported and skipped; the rest are created, or only
+// checked in a dry run.
+const { DuplicateUserError } = require('../repositories');
+const { check, optional, string } = require('../validation');
+const { fields } = require('../validation/schemas');
+const { parseCsv, CsvParseError } = require('./csv');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'Import' });
+
+const IMPORT_COLUMNS = ['username', 'email', 'role', 'password_hash'];
+
+const importRowSchema = {
+    body: {
+        username: fields.username,
+        email: fields.email,
+        role: optional(fields.role),
+        password_hash: optional(string({
+            pattern: /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/,
+            patternMessage: 'must be a bcrypt hash ($2a$, $2b$ or $2y$)',
+        })),
+    },
+};
+
+// Raised when the file as a whole cannot be imported; routes map it to 400.
+class ImportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImportError';
+    }
+}
+
+function unknownColumnsMessage(columns) {
+    const unknown = columns.filter(column => !IMPORT_COLUMNS.includes(column));
+    return unknown.length > 0 ? `Unknown column(s): ${unknown.join(', ')}. Expected: ${IMPORT_COLUMNS.join(', ')}` : null;
+}
+
+// CSV with a header row naming the columns -> [{ line, values }]
+function readCsv(text) {
+    let records;
+    try {
+        records = parseCsv(text);
+    } catch (error) {
+        if (error instanceof CsvParseError) throw new ImportError(error.message);
+        throw error;
+    }
+    if (records.length === 0) throw new ImportError('The file is empty');
+
+    const [header, ...rows] = records;
+    const columns = header.fields.map(column => column.trim().toLowerCase());
+    const unknown = unknownColumnsMessage(columns);
+    if (unknown) throw new ImportError(unknown);
+    for (const required of ['username', 'email']) {
+        if (!columns.includes(required)) throw new ImportError(`Missing required column: ${required}`);
+    }
+
+    return rows.map(({ line, fields: values }) => {
+        if (values.length !== columns.length) {
+            return { line, error: `Expected ${columns.length} fields but found ${values.length}` };
+        }
+        return { line, values: Object.fromEntries(columns.map((column, i) => [column, values[i]])) };
+    });
+}
+
+// One JSON object per line -> [{ line, values }]
+function readNdjson(text) {
+    const rows = [];
+    text.split(/\r?\n/).forEach((source, index) => {
+        if (source.trim() === '') return;
+        const line = index + 1;
+        let values;
+        try {
+            values = JSON.parse(source);
+        } catch (error) {
+            rows.push({ line, error: 'Line is not valid JSON' });
+            return;
+        }
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+            rows.push({ line, error: 'Line is not a JSON object' });
+            return;
+        }
+        const unknown = unknownColumnsMessage(Object.keys(values));
+        rows.push(unknown ? { line, values, error: unknown } : { line, values });
+    });
+    if (rows.length === 0) throw new ImportError('The file is empty');
+    return rows;
+}
+
+// Parses an import file in `format` ('csv' or 'ndjson') into rows of { line, values }
+// or { line, error } for rows that could not be read. Throws ImportError when the file
+// as a whole is unusable.
+function parseImport(text, format) {
+    return format === 'csv' ? readCsv(text) : readNdjson(text);
+}
+
+function textOrNull(value) {
+    return typeof value === 'string' ? value : null;
+}
+
+// node.bcrypt.js does not read PHP's $2y$ prefix; it names the same algorithm as $2b$.
+function normalizeHash(hash) {
+    return hash.replace(/^\$2y\$/, '$2b$');
+}
+
+function createProfileImporter({ userRepository, passwordService, roleService }) {
+    // Validation and duplicate problems of one row, as [{ field, message }]
+    async function problems(values, seen, permissions) {
+        const details = check(importRowSchema, { body: values });
+        if (details.length > 0) {
+            return { status: 'invalid', errors: details.map(({ field, message }) => ({ field, message })) };
+        }
+        if (values.role && (await roleService.unknownRoles([values.role])).length > 0) {
+            return { status: 'invalid', errors: [{ field: 'role', message: `Unknown role: ${values.role}` }] };
+        }
+        // Same rule as changing roles with PATCH /profiles/:userId: profiles:import alone
+        // must not be a way to create users with more access than the caller's own
+        if (values.role && (await roleService.rolesBeyond([values.role], permissions)).length > 0) {
+            return { status: 'invalid', errors: [{ field: 'role', message: `Role ${values.role} grants permissions you do not hold` }] };
+        }
+
+        const errors = [];
+        for (const field of ['username', 'email']) {
+            const earlier = seen[field].get(values[field]);
+            if (earlier) errors.push({ field, message: `${field} already appears on line ${earlier}` });
+        }
+        if (errors.length === 0 && await userRepository.existsByUsernameOrEmail(values.username, values.email)) {
+            errors.push({ field: 'username', message: 'Username or email already exists' });
+        }
+        return errors.length > 0 ? { status: 'duplicate', errors } : null;
+    }
+
+    async function create(values, onCreated) {
+        const user = await userRepository.create({
+            username: values.username,
+            email: values.email,
+            role: values.role || undefined,
+            password_hash: values.password_hash ? normalizeHash(values.password_hash) : null,
+        });
+
+        let invited;
+        if (!values.password_hash) {
+            try {
+                await passwordService.sendInvite(user);
+                invited = true;
+            } catch (error) {
+                // The account exists; an admin can resend with POST /password/forgot
+                log.error('Failed to send invitation', { userId: user.id, error });
+                invited = false;
+            }
+        }
+        await onCreated(user, { invited });
+        return { status: 'created', userId: user.id, ...(invited !== undefined ? { invited } : {}) };
+    }
+
+    return {
+        // Imports the parsed `rows` one by one. Returns { dryRun, summary, rows } where each
+        // row reports its status: 'created' (or 'valid' in a dry run), 'invalid',
+        // 'duplicate' or 'failed'. Rows may only give roles whose permissions are all in
+        // `permissions` (the caller's). `onCreated(user, { invited })` runs after each new user.
+        async importProfiles(rows, { dryRun = false, permissions = [], onCreated = async () => {} } = {}) {
+            const seen = { username: new Map(), email: new Map() };
+            const results = [];
+
+            for (const { line, values, error } of rows) {
+                const row = { line, username: textOrNull(values && values.username), email: textOrNull(values && values.email) };
+                if (error) {
+                    results.push({ ...row, status: 'invalid', errors: [{ field: null, message: error }] });
+                    continue;
+                }
+
+                const problem = await problems(values, seen, permissions);
+                if (problem) {
+                    results.push({ ...row, ...problem });
+                    continue;
+                }
+                seen.username.set(values.username, line);
+                seen.email.set(values.email, line);
+
+                if (dryRun) {
+                    results.push({ ...row, status: 'valid' });
+                    continue;
+                }
+                try {
+                    results.push({ ...row, ...(await create(values, onCreated)) });
+                } catch (createError) {
+                    if (createError instanceof DuplicateUserError) {
+                        // Lost a race with a registration for the same username/email
+                        results.push({ ...row, status: 'duplicate', errors: [{ field: 'username', message: 'Username or email already exists' }] });
+                    } else {
+                        log.error('Failed to import row', { line, error: createError });
+                        results.push({ ...row, status: 'failed', errors: [{ field: null, message: 'Internal error creating user' }] });
+                    }
+                }
+            }
+
+            const summary = { total: results.length, created: 0, valid: 0, invalid: 0, duplicate: 0, failed: 0 };
+            for (const result of results) summary[result.status]++;
+            return { dryRun, summary, rows: results };
+        },
+    };
+}
+
+module.exports = { createProfileImporter, parseImport, ImportError, IMPORT_COLUMNS };
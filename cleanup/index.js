@@ -0,0 +1,40 @@
+// cleanup/index.js
+// Shared cleanup outbox, worker and purge scheduler for deleted users.
+//
+// Configuration (environment):
+//   PROPERTIES_SERVICE_URL       registers the 'properties' target
+//   SERVICE_API_KEY              this service's own API key, sent as X-API-Key to the properties service
+//   CLEANUP_SERVICE_URLS         extra targets as "name=url" pairs ("{userId}" is substituted)
+//   CLEANUP_POLL_INTERVAL_MS     worker poll interval (default 5000)
+//   ACCOUNT_DELETION_GRACE_DAYS  days a deleted account can be restored before it is purged (default 30)
+//   ACCOUNT_PURGE_INTERVAL_MS    how often expired accounts are purged (default 3600000 = 1 hour)
+//   CLEANUP_MAX_ATTEMPTS, CLEANUP_RETRY_BASE_SECONDS, CLEANUP_RETRY_MAX_SECONDS, CLEANUP_LEASE_SECONDS
+//                                retry policy, see cleanup/outbox.js
+// Further targets can be added in code with cleanupTargets.register({ name, cleanup }).
+require('dotenv').config();
+const { userRepository } = require('../repositories');
+const { getTable } = require('../repositories/tables');
+const { createDefaultTargets, createHttpTarget } = require('./targets');
+const { createCleanupOutbox, summarizeJobs } = require('./outbox');
+const { createPollingWorker } = require('../jobs/pollingWorker');
+const { createAccountPurger } = require('./purge');
+const { auditSystem } = require('../audit');
+
+const cleanupTargets = createDefaultTargets();
+const cleanupOutbox = createCleanupOutbox({ table: getTable('cleanup_jobs'), targets: cleanupTargets });
+const cleanupWorker = createPollingWorker({
+    name: 'Cleanup',
+    processDue: () => cleanupOutbox.processDue(),
+    intervalMs: parseInt(process.env.CLEANUP_POLL_INTERVAL_MS, 10) || 5000,
+});
+
+const accountPurger = createAccountPurger({
+    userRepository,
+    outbox: cleanupOutbox,
+    worker: cleanupWorker,
+    graceDays: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30,
+    intervalMs: parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MS, 10) || 60 * 60 * 1000,
+    onPurged: (userId) => auditSystem('user.purged', { targetUserId: userId }),
+});
+
+module.exports = { cleanupTargets, cleanupOutbox, cleanupWorker, accountPurger, summarizeJobs, createHttpTarget };
@@ -0,0 +1,126 @@
+// cleanup/outbox.js
+// Durable outbox of downstream cleanup jobs for deleted users, stored in the
+// 'cleanup_jobs' table. One job per (user, target); jobs are retried with
+// exponential backoff until they succeed or run out of attempts.
+//
+// Job status: pending -> running -> succeeded | pending (retry) | failed
+// A running job whose lease expired (worker crashed) is picked up again.
+
+const { logger, runWithRequestId, currentRequestId } = require('../logging');
+const log = logger.child({ component: 'Cleanup' });
+
+function configFromEnv(env = process.env) {
+    return {
+        maxAttempts: parseInt(env.CLEANUP_MAX_ATTEMPTS, 10) || 8,
+        retryBaseSeconds: parseInt(env.CLEANUP_RETRY_BASE_SECONDS, 10) || 5,
+        retryMaxSeconds: parseInt(env.CLEANUP_RETRY_MAX_SECONDS, 10) || 60 * 60,
+        leaseSeconds: parseInt(env.CLEANUP_LEASE_SECONDS, 10) || 60,
+    };
+}
+
+function createCleanupOutbox({ table, targets, config = configFromEnv(), now = () => Date.now() }) {
+    const isoNow = () => new Date(now()).toISOString();
+
+    function isDue(job) {
+        if (job.status === 'pending') return Date.parse(job.next_attempt_at) <= now();
+        if (job.status === 'running') return Date.parse(job.locked_until) <= now();
+        return false;
+    }
+
+    function backoffSeconds(attempts) {
+        return Math.min(config.retryBaseSeconds * 2 ** (attempts - 1), config.retryMaxSeconds);
+    }
+
+    // Claims a job for this worker. The match on status/attempts makes the update
+    // a compare-and-set, so two instances never run the same attempt.
+    async function claim(job) {
+        const claimed = await table.update(
+            { id: job.id, status: job.status, attempts: job.attempts },
+            { status: 'running', locked_until: new Date(now() + config.leaseSeconds * 1000).toISOString(), updated_at: isoNow() }
+        );
+        return claimed.length > 0;
+    }
+
+    async function run(job) {
+        const attempts = job.attempts + 1;
+        const target = targets.get(job.target);
+        try {
+            if (!target) throw new Error(`Unknown cleanup target "${job.target}"`);
+            await target.cleanup(job.user_id);
+            await table.update({ id: job.id }, {
+                status: 'succeeded', attempts, last_error: null, locked_until: null, completed_at: isoNow(), updated_at: isoNow(),
+            });
+            log.info('Cleanup succeeded', { target: job.target, userId: job.user_id, attempts });
+        } catch (error) {
+            const exhausted = attempts >= config.maxAttempts;
+            await table.update({ id: job.id }, {
+                status: exhausted ? 'failed' : 'pending',
+                attempts,
+                last_error: error.message,
+                locked_until: null,
+                next_attempt_at: exhausted ? null : new Date(now() + backoffSeconds(attempts) * 1000).toISOString(),
+                completed_at: exhausted ? isoNow() : null,
+                updated_at: isoNow(),
+            });
+            log.error('Cleanup failed', { target: job.target, userId: job.user_id, attempts, maxAttempts: config.maxAttempts, error: error.message });
+        }
+    }
+
+    return {
+        // Records one pending job per registered target. Returns the jobs.
+        async enqueue(userId) {
+            const jobs = [];
+            for (const target of targets.names()) {
+                jobs.push(await table.insert({
+                    user_id: userId,
+                    target,
+                    status: 'pending',
+                    attempts: 0,
+                    next_attempt_at: isoNow(),
+                    locked_until: null,
+                    last_error: null,
+                    completed_at: null,
+                    updated_at: isoNow(),
+                    request_id: currentRequestId(),
+                }));
+            }
+            return jobs;
+        },
+
+        // Drops the jobs of a user, used when the deletion they belong to did not happen.
+        async discard(userId) {
+            await table.remove({ user_id: userId });
+        },
+
+        async jobsForUser(userId) {
+            return table.find({ user_id: userId }, { orderBy: 'created_at' });
+        },
+
+        // Runs every job that is due. Returns the number of jobs attempted.
+        async processDue() {
+            const candidates = [
+                ...(await table.find({ status: 'pending' })),
+                ...(await table.find({ status: 'running' })),
+            ].filter(isDue);
+
+            let attempted = 0;
+            for (const job of candidates) {
+                if (!(await claim(job))) continue;
+                // Each attempt runs under the request ID that queued the job (or a fresh one),
+                // which createHttpTarget forwards as X-Request-ID
+                await runWithRequestId(job.request_id, () => run(job));
+                attempted += 1;
+            }
+            return attempted;
+        },
+    };
+}
+
+// Overall status of a user's deletion from its individual jobs.
+function summarizeJobs(jobs) {
+    if (jobs.some(job => job.status === 'failed')) return 'failed';
+    if (jobs.every(job => job.status === 'succeeded')) return 'completed';
+    return 'pending';
+}
+
+module.exports = { createCleanupOutbox, summarizeJobs, configFromEnv };
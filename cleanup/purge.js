@@ -0,0 +1,78 @@
+// cleanup/purge.js
+// Hard-deletes soft-deleted accounts once their grace period has passed and hands
+// their downstream cleanup to the outbox. Until then an admin can restore them.
+// onPurged(userId) is called after each account is hard-deleted (used for auditing).
+const { logger, runWithRequestId } = require('../logging');
+const log = logger.child({ component: 'Purge' });
+
+function createAccountPurger({ userRepository, outbox, worker, graceDays, intervalMs = 60 * 60 * 1000, onPurged = async () => {} }) {
+    const graceMs = graceDays * 24 * 60 * 60 * 1000;
+    let timer = null;
+
+    function purgeAt(deletedAt) {
+        return new Date(Date.parse(deletedAt) + graceMs).toISOString();
+    }
+
+    async function purgeUser(userId) {
+        // A restore may have happened since the scan
+        if (!(await userRepository.findDeletedById(userId))) return false;
+
+        const jobs = await outbox.enqueue(userId);
+        let deleted;
+        try {
+            deleted = await userRepository.delete(userId);
+        } catch (error) {
+            await outbox.discard(userId);
+            throw error;
+        }
+        if (!deleted) {
+            await outbox.discard(userId);
+            return false;
+        }
+        log.info('User purged', { userId, cleanupJobs: jobs.length });
+        await onPurged(userId);
+        return true;
+    }
+
+    // Purges every account deleted at least graceDays before `now`. Returns the purged ids.
+    async function purgeExpired(now = Date.now()) {
+        const cutoff = new Date(now - graceMs).toISOString();
+        const purged = [];
+        for (const { id } of await userRepository.findDeletedBefore(cutoff)) {
+            try {
+                if (await purgeUser(id)) purged.push(id);
+            } catch (error) {
+                log.error('Failed to purge user', { userId: id, error });
+            }
+        }
+        if (purged.length > 0) worker.wake();
+        return purged;
+    }
+
+    return {
+        graceDays,
+        purgeAt,
+        purgeExpired,
+
+        // True while a soft-deleted account can still be restored.
+        isRestorable(deletedAt, now = Date.now()) {
+            return Date.parse(deletedAt) + graceMs > now;
+        },
+
+        start() {
+            if (timer) return;
+            timer = setInterval(() => {
+                // Each pass gets its own request ID, carried by the cleanup jobs it queues
+                runWithRequestId(null, () => purgeExpired()).catch(error => log.error('Purge pass failed', { error }));
+            }, intervalMs);
+            timer.unref();
+        },
+
+        stop() {
+            if (timer) clearInterval(timer);
+            timer = null;
+        },
+    };
+}
+
+module.exports = { createAccountPurger };
@@ -0,0 +1,77 @@
+// cleanup/targets.js
+// Downstream services that must forget a user when the account is deleted.
+// A target is { name, cleanup(userId) }; cleanup resolves on success and throws
+// to have the job retried. A 404 from a service means there was nothing to delete.
+const axios = require('axios');
+const { currentRequestId } = require('../logging');
+const { timeOutbound } = require('../metrics');
+
+function isNotFound(error) {
+    return error.response && error.response.status === 404;
+}
+
+// Target that sends DELETE to `url`, where "{userId}" is replaced by the user's id.
+// With `apiKey` the request is authenticated with it in the X-API-Key header.
+function createHttpTarget(name, url, { timeoutMs = 10000, apiKey } = {}) {
+    return {
+        name,
+        async cleanup(userId) {
+            const endpoint = url.replace('{userId}', encodeURIComponent(userId));
+            try {
+                const requestId = currentRequestId();
+                const headers = {};
+                if (requestId) headers['X-Request-ID'] = requestId;
+                if (apiKey) headers['X-API-Key'] = apiKey;
+                await timeOutbound({ service: name, operation: 'cleanup' }, () => (
+                    axios.delete(endpoint, { timeout: timeoutMs, headers })
+                ));
+            } catch (error) {
+                if (isNotFound(error)) return;
+                const details = error.response?.data?.error || error.message;
+                throw new Error(`DELETE ${endpoint} failed: ${details}`);
+            }
+        },
+    };
+}
+
+// Parses CLEANUP_SERVICE_URLS: comma-separated "name=url" pairs, e.g.
+// "bookings=http://bookings:3003/bookings/user/{userId},media=http://media:3004/users/{userId}".
+function parseServiceUrls(value) {
+    if (!value) return [];
+    return value.split(',').map(pair => pair.trim()).filter(Boolean).map(pair => {
+        const separator = pair.indexOf('=');
+        if (separator <= 0) throw new Error(`Invalid CLEANUP_SERVICE_URLS entry "${pair}". Expected name=url.`);
+        return createHttpTarget(pair.slice(0, separator), pair.slice(separator + 1));
+    });
+}
+
+function createTargetRegistry() {
+    const targets = new Map();
+    return {
+        register(target) {
+            targets.set(target.name, target);
+        },
+        get(name) {
+            return targets.get(name) || null;
+        },
+        names() {
+            return Array.from(targets.keys());
+        },
+    };
+}
+
+// Registry with the properties service plus any CLEANUP_SERVICE_URLS entries.
+function createDefaultTargets(env = process.env) {
+    const registry = createTargetRegistry();
+    if (env.PROPERTIES_SERVICE_URL) {
+        registry.register(createHttpTarget('properties', `${env.PROPERTIES_SERVICE_URL}/properties/user/{userId}`, {
+            apiKey: env.SERVICE_API_KEY,
+        }));
+    }
+    for (const target of parseServiceUrls(env.CLEANUP_SERVICE_URLS)) {
+        registry.register(target);
+    }
+    return registry;
+}
+
+module.exports = { createHttpTarget, createTargetRegistry, createDefaultTargets, parseServiceUrls };
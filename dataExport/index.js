@@ -0,0 +1,42 @@
+// dataExport/index.js
+// Shared personal data export service and its background worker.
+//
+// Configuration (environment):
+//   PROPERTIES_SERVICE_URL          registers the 'properties' source (GET /properties/user/{userId})
+//   SERVICE_API_KEY                 sent as X-API-Key to the properties service
+//   DATA_EXPORT_SERVICE_URLS        extra sources as "name=url" pairs ("{userId}" is substituted)
+//   DATA_EXPORT_POLL_INTERVAL_MS    worker poll interval (default 5000)
+//   DATA_EXPORT_TTL_SECONDS         how long a finished archive stays downloadable (default 86400 = 1 day)
+//   DATA_EXPORT_MAX_ATTEMPTS, DATA_EXPORT_RETRY_BASE_SECONDS, DATA_EXPORT_RETRY_MAX_SECONDS, DATA_EXPORT_LEASE_SECONDS
+//                                   retry policy, see dataExport/service.js
+// Further sources can be added in code with dataExportSources.register({ name, collect }).
+require('dotenv').config();
+const { userRepository } = require('../repositories');
+const { getTable } = require('../repositories/tables');
+const { sessionService, mfaService } = require('../auth');
+const { auditLog } = require('../audit');
+const { createPollingWorker } = require('../jobs/pollingWorker');
+const { createDefaultSources } = require('./sources');
+const { createDataExportService } = require('./service');
+
+const dataExportSources = createDefaultSources();
+
+// The worker is created first so the service can wake it when exports are queued
+let dataExportService;
+const dataExportWorker = createPollingWorker({
+    name: 'Data Export',
+    processDue: () => dataExportService.processDue(),
+    intervalMs: parseInt(process.env.DATA_EXPORT_POLL_INTERVAL_MS, 10) || 5000,
+});
+
+dataExportService = createDataExportService({
+    table: getTable('data_exports'),
+    userRepository,
+    auditLog,
+    sessions: sessionService,
+    mfa: mfaService,
+    sources: dataExportSources,
+    onQueued: () => dataExportWorker.wake(),
+});
+
+module.exports = { dataExportService, dataExportWorker, dataExportSources };
@@ -0,0 +1,210 @@
+// dataExport/service.js
+// Personal data exports for data-subject access requests. An export gathers everything
+// held about a user (profile, two-factor status, login sessions, audit history) plus the
+// data other services return for them (see sources.js) into one JSON archive.
+//
+// Building an export calls other services, so it runs in the background: each export is
+// a row in 'data_exports' that is queued, built with retries (same status/backoff scheme
+// as the cleanup outbox) and keeps the archive until it expires.
+//
+// Export status: pending -> running -> completed -> expired | pending (retry) | failed
+const { logger, runWithRequestId, currentRequestId } = require('../logging');
+const log = logger.child({ component: 'Data Export' });
+
+function configFromEnv(env = process.env) {
+    return {
+        // How long a finished archive can be downloaded before a new export is needed
+        ttlSeconds: parseInt(env.DATA_EXPORT_TTL_SECONDS, 10) || 24 * 60 * 60,
+        maxAttempts: parseInt(env.DATA_EXPORT_MAX_ATTEMPTS, 10) || 5,
+        retryBaseSeconds: parseInt(env.DATA_EXPORT_RETRY_BASE_SECONDS, 10) || 30,
+        retryMaxSeconds: parseInt(env.DATA_EXPORT_RETRY_MAX_SECONDS, 10) || 60 * 60,
+        leaseSeconds: parseInt(env.DATA_EXPORT_LEASE_SECONDS, 10) || 5 * 60,
+    };
+}
+
+// Public view of an export row (never the archive itself)
+function toDataExport(row) {
+    return {
+        id: row.id,
+        userId: row.user_id,
+        status: row.status,
+        requestedAt: row.created_at,
+        requestedBy: row.requested_by,
+        attempts: row.attempts,
+        lastError: row.last_error,
+        completedAt: row.completed_at,
+        expiresAt: row.expires_at,
+    };
+}
+
+function createDataExportService({ table, userRepository, auditLog, sessions, mfa, sources, onQueued = () => {}, config = configFromEnv(), now = () => Date.now() }) {
+    const isoNow = () => new Date(now()).toISOString();
+
+    function isDue(row) {
+        if (row.status === 'pending') return Date.parse(row.next_attempt_at) <= now();
+        if (row.status === 'running') return Date.parse(row.locked_until) <= now();
+        return false;
+    }
+
+    function isExpired(row) {
+        return row.status === 'completed' && Date.parse(row.expires_at) <= now();
+    }
+
+    function backoffSeconds(attempts) {
+        return Math.min(config.retryBaseSeconds * 2 ** (attempts - 1), config.retryMaxSeconds);
+    }
+
+    async function latestRow(userId) {
+        const [row] = await table.find({ user_id: userId }, { orderBy: 'created_at', ascending: false, limit: 1 });
+        return row || null;
+    }
+
+    // Audit events the user performed or was the target of, oldest first
+    async function auditHistory(userId) {
+        const events = new Map();
+        for (const filters of [{ targetUserId: userId }, { actorId: userId }]) {
+            for await (const event of auditLog.exportEvents(filters)) events.set(event.id, event);
+        }
+        return Array.from(events.values()).sort((a, b) => (a.created_at < b.created_at ? -1 : a.created_at > b.created_at ? 1 : 0));
+    }
+
+    async function buildArchive(userId) {
+        const profile = await userRepository.findById(userId);
+        if (!profile) throw new Error('User not found');
+
+        const services = {};
+        for (const name of sources.names()) {
+            services[name] = await sources.get(name).collect(userId);
+        }
+
+        return {
+            exportedAt: isoNow(),
+            userId,
+            profile,
+            twoFactorAuthentication: await mfa.status(userId),
+            sessions: await sessions.history(userId),
+            auditEvents: await auditHistory(userId),
+            services,
+        };
+    }
+
+    // Claims an export for this worker; a compare-and-set like cleanup/outbox.js. Returns
+    // the claimed row, or null when another worker got there first.
+    async function claim(row) {
+        const [claimed] = await table.update(
+            { id: row.id, status: row.status, attempts: row.attempts },
+            { status: 'running', locked_until: new Date(now() + config.leaseSeconds * 1000).toISOString(), updated_at: isoNow() }
+        );
+        return claimed || null;
+    }
+
+    // Writes the outcome of a run, unless the lease ran out and another worker re-claimed
+    // the export meanwhile: then that worker's run owns the row.
+    async function finish(row, patch) {
+        const updated = await table.update({ id: row.id, status: 'running', locked_until: row.locked_until }, patch);
+        if (updated.length === 0) log.warn('Data export lease lost; result discarded', { exportId: row.id, userId: row.user_id });
+        return updated.length > 0;
+    }
+
+    async function run(row) {
+        const attempts = row.attempts + 1;
+        try {
+            const archive = await buildArchive(row.user_id);
+            const finished = await finish(row, {
+                status: 'completed',
+                attempts,
+                archive,
+                last_error: null,
+                locked_until: null,
+                completed_at: isoNow(),
+                expires_at: new Date(now() + config.ttlSeconds * 1000).toISOString(),
+                updated_at: isoNow(),
+            });
+            if (finished) log.info('Data export completed', { exportId: row.id, userId: row.user_id, attempts });
+        } catch (error) {
+            const exhausted = attempts >= config.maxAttempts;
+            await finish(row, {
+                status: exhausted ? 'failed' : 'pending',
+                attempts,
+                last_error: error.message,
+                locked_until: null,
+                next_attempt_at: exhausted ? null : new Date(now() + backoffSeconds(attempts) * 1000).toISOString(),
+                completed_at: exhausted ? isoNow() : null,
+                updated_at: isoNow(),
+            });
+            log.error('Data export failed', { exportId: row.id, userId: row.user_id, attempts, maxAttempts: config.maxAttempts, error: error.message });
+        }
+    }
+
+    // Drops the archive of an expired export; the row stays as a record of the request.
+    async function expire(row) {
+        await table.update({ id: row.id, status: 'completed' }, { status: 'expired', archive: null, updated_at: isoNow() });
+        log.info('Data export expired', { exportId: row.id, userId: row.user_id });
+    }
+
+    return {
+        // The user's most recent export, or null when none was ever requested
+        async latest(userId) {
+            const row = await latestRow(userId);
+            return row ? toDataExport(isExpired(row) ? { ...row, status: 'expired' } : row) : null;
+        },
+
+        // The archive of the user's most recent export when it is completed and not expired, else null
+        async archive(userId) {
+            const row = await latestRow(userId);
+            return row && row.status === 'completed' && !isExpired(row) ? row.archive : null;
+        },
+
+        // Queues an export unless one is already queued, running or downloadable.
+        // Returns { dataExport, created }.
+        async request(userId, requestedBy) {
+            const row = await latestRow(userId);
+            if (row && ['pending', 'running'].includes(row.status)) return { dataExport: toDataExport(row), created: false };
+            if (row && row.status === 'completed' && !isExpired(row)) return { dataExport: toDataExport(row), created: false };
+
+            const inserted = await table.insert({
+                user_id: userId,
+                requested_by: requestedBy,
+                status: 'pending',
+                attempts: 0,
+                archive: null,
+                next_attempt_at: isoNow(),
+                locked_until: null,
+                last_error: null,
+                completed_at: null,
+                expires_at: null,
+                created_at: isoNow(),
+                updated_at: isoNow(),
+                request_id: currentRequestId(),
+            });
+            log.info('Data export requested', { exportId: inserted.id, userId, requestedBy });
+            onQueued();
+            return { dataExport: toDataExport(inserted), created: true };
+        },
+
+        // Builds every export that is due and drops expired archives.
+        // Returns the number of exports attempted.
+        async processDue() {
+            for (const row of await table.find({ status: 'completed' }, { atOrBefore: { expires_at: isoNow() } })) {
+                await expire(row);
+            }
+
+            const candidates = [
+                ...(await table.find({ status: 'pending' })),
+                ...(await table.find({ status: 'running' })),
+            ].filter(isDue);
+
+            let attempted = 0;
+            for (const row of candidates) {
+                const claimed = await claim(row);
+                if (!claimed) continue;
+                // Calls to other services carry the request ID that queued the export
+                await runWithRequestId(row.request_id, () => run(claimed));
+                attempted += 1;
+            }
+            return attempted;
+        },
+    };
+}
+
+module.exports = { createDataExportService, configFromEnv, toDataExport };
@@ -0,0 +1,60 @@
+// dataExport/sources.js
+// Other services holding personal data of a user, read when building a data export.
+// A source is { name, collect(userId) }; collect resolves with the service's data for
+// the user (null when it has none) and throws to have the export retried.
+const axios = require('axios');
+const { currentRequestId } = require('../logging');
+const { timeOutbound } = require('../metrics');
+const { createTargetRegistry } = require('../cleanup/targets');
+
+// Source that sends GET to `url`, where "{userId}" is replaced by the user's id, and
+// takes the JSON response body as the user's data. A 404 means the service has none.
+// With `apiKey` the request is authenticated with it in the X-API-Key header.
+function createHttpSource(name, url, { timeoutMs = 10000, apiKey } = {}) {
+    return {
+        name,
+        async collect(userId) {
+            const endpoint = url.replace('{userId}', encodeURIComponent(userId));
+            try {
+                const requestId = currentRequestId();
+                const headers = { Accept: 'application/json' };
+                if (requestId) headers['X-Request-ID'] = requestId;
+                if (apiKey) headers['X-API-Key'] = apiKey;
+                const response = await timeOutbound({ service: name, operation: 'data_export' }, () => (
+                    axios.get(endpoint, { timeout: timeoutMs, headers })
+                ));
+                return response.data;
+            } catch (error) {
+                if (error.response && error.response.status === 404) return null;
+                const details = error.response?.data?.error || error.message;
+                throw new Error(`GET ${endpoint} failed: ${details}`);
+            }
+        },
+    };
+}
+
+// Parses DATA_EXPORT_SERVICE_URLS: comma-separated "name=url" pairs like CLEANUP_SERVICE_URLS.
+function parseSourceUrls(value) {
+    if (!value) return [];
+    return value.split(',').map(pair => pair.trim()).filter(Boolean).map(pair => {
+        const separator = pair.indexOf('=');
+        if (separator <= 0) throw new Error(`Invalid DATA_EXPORT_SERVICE_URLS entry "${pair}". Expected name=url.`);
+        return createHttpSource(pair.slice(0, separator), pair.slice(separator + 1));
+    });
+}
+
+// Registry with the properties service plus any DATA_EXPORT_SERVICE_URLS entries.
+function createDefaultSources(env = process.env) {
+    const registry = createTargetRegistry();
+    if (env.PROPERTIES_SERVICE_URL) {
+        registry.register(createHttpSource('properties', `${env.PROPERTIES_SERVICE_URL}/properties/user/{userId}`, {
+            apiKey: env.SERVICE_API_KEY,
+        }));
+    }
+    for (const source of parseSourceUrls(env.DATA_EXPORT_SERVICE_URLS)) {
+        registry.register(source);
+    }
+    return registry;
+}
+
+module.exports = { createHttpSource, createDefaultSources, parseSourceUrls };
@@ -0,0 +1,63 @@
+// health/checks.js
+// Readiness checks: each dependency check runs with a timeout, and the service
+// reports not ready while it is draining for shutdown.
+const axios = require('axios');
+const { timeOutbound } = require('../metrics');
+
+class CheckTimeoutError extends Error {
+    constructor(name, timeoutMs) {
+        super(`${name} check timed out after ${timeoutMs}ms`);
+        this.name = 'CheckTimeoutError';
+    }
+}
+
+function withTimeout(promise, name, timeoutMs) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new CheckTimeoutError(name, timeoutMs)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Check that GETs `url` and passes on any 2xx answer. `service` labels the outbound call metrics.
+function createHttpCheck(url, { timeoutMs, service }) {
+    return async () => {
+        await timeOutbound({ service, operation: 'health' }, () => axios.get(url, { timeout: timeoutMs }));
+    };
+}
+
+// checks: [{ name, check: async () => {} }], all run in parallel on every readiness probe.
+function createReadiness({ checks, timeoutMs = 2000, now = () => Date.now() }) {
+    let draining = false;
+
+    async function runCheck({ name, check }) {
+        const started = now();
+        try {
+            await withTimeout(Promise.resolve().then(check), name, timeoutMs);
+            return [name, { status: 'ok', durationMs: now() - started }];
+        } catch (error) {
+            return [name, { status: 'fail', durationMs: now() - started, error: error.message }];
+        }
+    }
+
+    return {
+        get draining() {
+            return draining;
+        },
+
+        // Readiness fails from now on; the process is shutting down.
+        startDraining() {
+            draining = true;
+        },
+
+        // { status: 'ok' | 'fail' | 'draining', checks: { name: { status, durationMs, error } } }
+        async check() {
+            if (draining) return { status: 'draining', checks: {} };
+            const results = Object.fromEntries(await Promise.all(checks.map(runCheck)));
+            const ok = Object.values(results).every(result => result.status === 'ok');
+            return { status: ok ? 'ok' : 'fail', checks: results };
+        },
+    };
+}
+
+module.exports = { createReadiness, createHttpCheck, withTimeout, CheckTimeoutError };
@@ -0,0 +1,35 @@
+// health/index.js
+// Shared readiness state and in-flight request tracking.
+//
+// Configuration (environment):
+//   READINESS_CHECK_TIMEOUT_MS        per-check timeout for GET /readyz (default 2000)
+//   READINESS_CHECK_PROPERTIES        'true' to also require the properties service to be up
+//   PROPERTIES_SERVICE_HEALTH_URL     URL probed for that check (default ${PROPERTIES_SERVICE_URL}/healthz)
+//   SHUTDOWN_DEADLINE_MS              how long in-flight requests may take after SIGTERM/SIGINT (default 25000)
+//   SHUTDOWN_DELAY_MS                 time between failing readiness and closing the listener (default 0)
+require('dotenv').config();
+const { userRepository } = require('../repositories');
+const { createReadiness, createHttpCheck } = require('./checks');
+const { createGracefulShutdown, createInFlightTracker } = require('./shutdown');
+
+function configFromEnv(env = process.env) {
+    return {
+        timeoutMs: parseInt(env.READINESS_CHECK_TIMEOUT_MS, 10) || 2000,
+        checkProperties: env.READINESS_CHECK_PROPERTIES === 'true',
+        propertiesHealthUrl: env.PROPERTIES_SERVICE_HEALTH_URL || (env.PROPERTIES_SERVICE_URL && `${env.PROPERTIES_SERVICE_URL}/healthz`),
+        deadlineMs: parseInt(env.SHUTDOWN_DEADLINE_MS, 10) || 25000,
+        delayMs: parseInt(env.SHUTDOWN_DELAY_MS, 10) || 0,
+    };
+}
+
+const config = configFromEnv();
+
+const checks = [{ name: 'userStore', check: () => userRepository.ping() }];
+if (config.checkProperties && config.propertiesHealthUrl) {
+    checks.push({ name: 'propertiesService', check: createHttpCheck(config.propertiesHealthUrl, { timeoutMs: config.timeoutMs, service: 'properties' }) });
+}
+
+const readiness = createReadiness({ checks, timeoutMs: config.timeoutMs });
+const inFlight = createInFlightTracker(readiness);
+
+module.exports = { readiness, inFlight, config, createGracefulShutdown, configFromEnv };
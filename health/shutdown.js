@@ -0,0 +1,69 @@
+// health/shutdown.js
+// Graceful shutdown: on SIGTERM/SIGINT readiness starts failing, background workers stop,
+// the server stops accepting connections and in-flight requests get until the deadline
+// to finish. Whatever is still open then is cut off and the process exits with status 1.
+
+// Counts requests in flight and asks keep-alive clients to reconnect elsewhere while draining.
+function createInFlightTracker(readiness) {
+    let active = 0;
+    return {
+        get active() {
+            return active;
+        },
+        middleware() {
+            return (req, res, next) => {
+                active += 1;
+                res.on('close', () => { active -= 1; });
+                if (readiness.draining) res.set('Connection', 'close');
+                next();
+            };
+        },
+    };
+}
+
+function createGracefulShutdown({ server, readiness, inFlight, workers = [], deadlineMs = 25000, delayMs = 0, log, exit = (code) => process.exit(code) }) {
+    let shutdown = null;
+
+    async function drain(signal) {
+        log.info('Shutdown signal received; draining', { signal, inFlight: inFlight.active, deadlineMs, delayMs });
+        readiness.startDraining();
+
+        const forced = setTimeout(() => {
+            log.error('Drain deadline reached; forcing exit', { inFlight: inFlight.active });
+            if (server.closeAllConnections) server.closeAllConnections();
+            exit(1);
+        }, deadlineMs);
+        forced.unref();
+
+        // Give load balancers time to see the failing readiness probe before refusing connections
+        if (delayMs > 0) await new Promise(resolve => setTimeout(resolve, delayMs));
+
+        const closed = new Promise(resolve => server.close(resolve));
+        // Idle keep-alive connections would otherwise hold server.close open until they time out
+        if (server.closeIdleConnections) server.closeIdleConnections();
+        await Promise.all([closed, ...workers.map(worker => worker.stop())]);
+
+        clearTimeout(forced);
+        log.info('Drained; exiting');
+        exit(0);
+    }
+
+    // Starts draining once; later signals return the same promise.
+    function start(signal) {
+        if (!shutdown) shutdown = drain(signal);
+        return shutdown;
+    }
+
+    return {
+        shutdown: start,
+
+        // Registers shutdown() for SIGTERM and SIGINT.
+        install(proc = process) {
+            for (const signal of ['SIGTERM', 'SIGINT']) {
+                proc.on(signal, () => start(signal));
+            }
+        },
+    };
+}
+
+module.exports = { createGracefulShutdown, createInFlightTracker };
@@ -0,0 +1,57 @@
+// jobs/pollingWorker.js
+// Background loop that repeatedly calls processDue() on a job queue (cleanup outbox,
+// webhook deliveries...). wake() runs a pass right away, e.g. after new jobs were
+// queued, instead of waiting for the next poll.
+const { logger } = require('../logging');
+
+function createPollingWorker({ name, processDue, intervalMs = 5000 }) {
+    const log = logger.child({ component: name });
+    let timer = null;
+    let running = null;
+    let again = false;
+
+    // Runs one pass; concurrent calls join the pass in flight and schedule one more.
+    function runOnce() {
+        if (running) {
+            again = true;
+            return running;
+        }
+        running = (async () => {
+            try {
+                do {
+                    again = false;
+                    await processDue();
+                } while (again);
+            } catch (error) {
+                log.error('Worker pass failed', { error });
+            } finally {
+                running = null;
+            }
+        })();
+        return running;
+    }
+
+    return {
+        runOnce,
+
+        wake() {
+            runOnce();
+        },
+
+        start() {
+            if (timer) return;
+            timer = setInterval(runOnce, intervalMs);
+            // Never keep the process alive just for the poller
+            timer.unref();
+        },
+
+        // Stops polling and waits for a pass in flight to finish.
+        async stop() {
+            if (timer) clearInterval(timer);
+            timer = null;
+            if (running) await running;
+        },
+    };
+}
+
+module.exports = { createPollingWorker };
@@ -0,0 +1,23 @@
+// kv/index.js
+// Shared key-value store for short-lived counters and state (login throttling, rate limiting...).
+// Selected with KV_STORE:
+//   memory (default)  per-process store
+//   redis             REDIS_URL (any Redis-protocol server), shared across replicas
+//
+// A store exposes get(key), set(key, value, ttlMs), delete(key), expire(key, ttlMs),
+// increment(key, ttlMs, by) -> new total, and the atomic token-bucket operation
+// takeTokens(key, { capacity, refillPerSecond, cost }) -> { allowed, remaining, retryAfterMs, resetMs }
+// used by rate limiting. Values must be JSON-serialisable.
+require('dotenv').config();
+const { createMemoryStore } = require('./memoryStore');
+const { createRedisStore } = require('./redisStore');
+
+function createKeyValueStore(type = process.env.KV_STORE || 'memory') {
+    if (type === 'memory') return createMemoryStore();
+    if (type === 'redis') return createRedisStore({ url: process.env.REDIS_URL });
+    throw new Error(`Unknown KV_STORE "${type}". Expected one of: memory, redis.`);
+}
+
+const keyValueStore = createKeyValueStore();
+
+module.exports = { keyValueStore, createKeyValueStore, createMemoryStore, createRedisStore };
@@ -0,0 +1,85 @@
+// kv/memoryStore.js
+// Process-local key-value store with per-key expiry. Counters and state are not
+// shared between instances; use the Redis adapter when running more than one replica.
+function createMemoryStore({ now = () => Date.now() } = {}) {
+    const entries = new Map(); // key -> { value, expiresAt }
+
+    function live(key) {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt !== null && entry.expiresAt <= now()) {
+            entries.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    return {
+        async get(key) {
+            const entry = live(key);
+            return entry ? entry.value : null;
+        },
+
+        async set(key, value, ttlMs) {
+            entries.set(key, { value, expiresAt: ttlMs ? now() + ttlMs : null });
+        },
+
+        async delete(key) {
+            entries.delete(key);
+        },
+
+        // Restarts the expiry of an existing key at `ttlMs` from now
+        async expire(key, ttlMs) {
+            const entry = live(key);
+            if (entry) entry.expiresAt = now() + ttlMs;
+        },
+
+        // Adds `by` to a numeric value and returns the new total. The expiry is
+        // only set when the key is created, giving fixed-window semantics.
+        async increment(key, ttlMs, by = 1) {
+            const entry = live(key);
+            if (!entry) {
+                entries.set(key, { value: by, expiresAt: ttlMs ? now() + ttlMs : null });
+                return by;
+            }
+            entry.value += by;
+            return entry.value;
+        },
+
+        // Token bucket: the bucket starts full at `capacity` and refills continuously at
+        // `refillPerSecond`. Takes `cost` tokens when that many are available.
+        // retryAfterMs is how long until the request would be allowed, resetMs how long
+        // until the bucket is full again. The entry expires once the bucket would be full.
+        async takeTokens(key, { capacity, refillPerSecond, cost = 1 }) {
+            const entry = live(key);
+            const current = now();
+            let tokens = capacity;
+            if (entry) {
+                const elapsedSeconds = (current - entry.value.updatedAt) / 1000;
+                tokens = Math.min(capacity, entry.value.tokens + elapsedSeconds * refillPerSecond);
+            }
+
+            const allowed = tokens >= cost;
+            if (allowed) tokens -= cost;
+
+            const resetMs = Math.ceil(((capacity - tokens) / refillPerSecond) * 1000);
+            if (resetMs > 0) {
+                entries.set(key, { value: { tokens, updatedAt: current }, expiresAt: current + resetMs });
+            } else {
+                entries.delete(key);
+            }
+            return {
+                allowed,
+                remaining: Math.floor(tokens),
+                retryAfterMs: allowed ? 0 : Math.ceil(((cost - tokens) / refillPerSecond) * 1000),
+                resetMs,
+            };
+        },
+
+        async clear() {
+            entries.clear();
+        },
+    };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,91 @@
+// kv/redisStore.js
+// Key-value store on any server speaking the Redis protocol (Redis, Valkey, KeyDB...).
+// Values are stored as JSON. `client` is an ioredis-compatible client; when omitted
+// one is created from `url`, which requires the optional 'ioredis' package.
+function createRedisClient(url) {
+    let Redis;
+    try {
+        Redis = require('ioredis');
+    } catch (err) {
+        throw new Error("KV_STORE=redis requires the 'ioredis' package. Install it with `npm install ioredis`.");
+    }
+    return new Redis(url);
+}
+
+// Token bucket on a hash { tokens, updated_at }, evaluated atomically on the server with
+// the server's clock so replicas with skewed clocks share one consistent bucket.
+// Same semantics as the memory store's takeTokens.
+const TAKE_TOKENS_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refill_per_ms = tonumber(ARGV[2]) / 1000
+local cost = tonumber(ARGV[3])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updated_at')
+local tokens = capacity
+if state[1] then
+    tokens = math.min(capacity, tonumber(state[1]) + (now - tonumber(state[2])) * refill_per_ms)
+end
+
+local allowed = 0
+if tokens >= cost then
+    allowed = 1
+    tokens = tokens - cost
+end
+
+local reset_ms = math.ceil((capacity - tokens) / refill_per_ms)
+if reset_ms > 0 then
+    redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated_at', now)
+    redis.call('PEXPIRE', KEYS[1], reset_ms)
+else
+    redis.call('DEL', KEYS[1])
+end
+
+local retry_after_ms = 0
+if allowed == 0 then retry_after_ms = math.ceil((cost - tokens) / refill_per_ms) end
+return { allowed, math.floor(tokens), retry_after_ms, reset_ms }
+`;
+
+function createRedisStore({ client, url, prefix = 'user-service:' }) {
+    const redis = client || createRedisClient(url);
+
+    return {
+        async get(key) {
+            const raw = await redis.get(prefix + key);
+            return raw === null ? null : JSON.parse(raw);
+        },
+
+        async set(key, value, ttlMs) {
+            if (ttlMs) {
+                await redis.set(prefix + key, JSON.stringify(value), 'PX', ttlMs);
+            } else {
+                await redis.set(prefix + key, JSON.stringify(value));
+            }
+        },
+
+        async delete(key) {
+            await redis.del(prefix + key);
+        },
+
+        async expire(key, ttlMs) {
+            await redis.pexpire(prefix + key, ttlMs);
+        },
+
+        async increment(key, ttlMs, by = 1) {
+            const total = await redis.incrby(prefix + key, by);
+            // First hit in the window: start the expiry clock
+            if (total === by && ttlMs) await redis.pexpire(prefix + key, ttlMs);
+            return total;
+        },
+
+        async takeTokens(key, { capacity, refillPerSecond, cost = 1 }) {
+            const [allowed, remaining, retryAfterMs, resetMs] = await redis.eval(
+                TAKE_TOKENS_SCRIPT, 1, prefix + key, capacity, refillPerSecond, cost,
+            );
+            return { allowed: allowed === 1, remaining, retryAfterMs, resetMs };
+        },
+    };
+}
+
+module.exports = { createRedisStore };
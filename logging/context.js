@@ -0,0 +1,19 @@
+// logging/context.js
+// Per-request context carried across async calls (AsyncLocalStorage), so log lines
+// and outbound requests made anywhere below a handler know the current request ID.
+const { AsyncLocalStorage } = require('async_hooks');
+const { randomUUID } = require('crypto');
+
+const storage = new AsyncLocalStorage();
+
+// Runs fn with `requestId` as the current request ID (a fresh one when omitted).
+function runWithRequestId(requestId, fn) {
+    return storage.run({ requestId: requestId || randomUUID() }, fn);
+}
+
+function currentRequestId() {
+    const context = storage.getStore();
+    return context ? context.requestId : null;
+}
+
+module.exports = { runWithRequestId, currentRequestId };
@@ -0,0 +1,17 @@
+// logging/index.js
+// Shared service logger and logging middleware.
+//
+// Configuration (environment):
+//   LOG_LEVEL    debug | info | warn | error | silent (default info)
+require('dotenv').config();
+const { createLogger, LEVELS } = require('./logger');
+const { requestId, accessLog } = require('./middleware');
+const { runWithRequestId, currentRequestId } = require('./context');
+const { redact } = require('./redact');
+
+const logger = createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    bindings: { service: 'user-service' },
+});
+
+module.exports = { logger, createLogger, LEVELS, requestId, accessLog, runWithRequestId, currentRequestId, redact };
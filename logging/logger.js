@@ -0,0 +1,49 @@
+// logging/logger.js
+// Structured JSON logger: one line per entry with time, level, msg, the bindings of
+// the (child) logger, the current request ID and any extra fields, all redacted
+// (see logging/redact.js).
+//
+//   const log = logger.child({ component: 'Cleanup' });
+//   log.info('Cleanup succeeded', { userId, attempts });
+//   log.error('Cleanup failed', { userId, error });
+//
+// Entries go through console.log (debug/info) and console.error (warn/error) so
+// they land on stdout/stderr and can be silenced like any console output in tests.
+
+const { redact, redactString } = require('./redact');
+const { currentRequestId } = require('./context');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+function createLogger({ level = 'info', bindings = {}, write } = {}) {
+    if (!(level in LEVELS)) throw new Error(`Unknown log level "${level}". Expected one of: ${Object.keys(LEVELS).join(', ')}.`);
+    const threshold = LEVELS[level];
+    const sink = write || ((entryLevel, line) => (LEVELS[entryLevel] >= LEVELS.warn ? console.error(line) : console.log(line)));
+
+    function log(entryLevel, message, fields = {}) {
+        if (LEVELS[entryLevel] < threshold) return;
+        const requestId = currentRequestId();
+        const entry = {
+            time: new Date().toISOString(),
+            level: entryLevel,
+            msg: redactString(String(message)),
+            ...redact(bindings),
+            ...(requestId ? { requestId } : {}),
+            ...redact(fields),
+        };
+        sink(entryLevel, JSON.stringify(entry));
+    }
+
+    return {
+        level,
+        debug: (message, fields) => log('debug', message, fields),
+        info: (message, fields) => log('info', message, fields),
+        warn: (message, fields) => log('warn', message, fields),
+        error: (message, fields) => log('error', message, fields),
+        isLevelEnabled: (entryLevel) => LEVELS[entryLevel] >= threshold,
+        // Logger that adds `extra` to every entry
+        child: (extra) => createLogger({ level, bindings: { ...bindings, ...extra }, write: sink }),
+    };
+}
+
+module.exports = { createLogger, LEVELS };
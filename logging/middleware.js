@@ -0,0 +1,43 @@
+// logging/middleware.js
+// Request ID propagation and access logging.
+const { randomUUID } = require('crypto');
+const { runWithRequestId } = require('./context');
+
+// Incoming IDs are reused only when they are short and printable; anything else is replaced.
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Accepts X-Request-ID from the caller (or generates one), exposes it as req.id, echoes it
+// in the response and runs the rest of the request inside its context (see context.js).
+function requestId() {
+    return (req, res, next) => {
+        const incoming = req.get('X-Request-ID');
+        const id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+        req.id = id;
+        res.set('X-Request-ID', id);
+        runWithRequestId(id, next);
+    };
+}
+
+// One entry per finished request with status and latency. The query string is left out
+// because it can carry tokens (e.g. GET /verify-email?token=...).
+function accessLog(logger) {
+    return (req, res, next) => {
+        const start = process.hrtime.bigint();
+        res.on('finish', () => {
+            const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+            const level = res.statusCode >= 500 ? 'error' : 'info';
+            logger[level]('Request completed', {
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                status: res.statusCode,
+                durationMs: Math.round(durationMs * 10) / 10,
+                callerId: req.caller ? req.caller.id : undefined,
+                ip: req.ip,
+                userAgent: req.get('User-Agent'),
+            });
+        });
+        next();
+    };
+}
+
+module.exports = { requestId, accessLog };
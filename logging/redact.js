@@ -0,0 +1,39 @@
+// logging/redact.js
+// Removes secrets and personal data from values before they are logged.
+// Keys that look like passwords, hashes, tokens or secrets are replaced entirely;
+// email addresses are masked wherever they appear, keeping only the domain.
+
+const SENSITIVE_KEY = /pass(word)?|_hash$|token|secret|authorization|cookie|api[-_]?key|signature|^otp$|recovery/i;
+const EMAIL = /[A-Za-z0-9._%+-]+@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+function redactString(value) {
+    return value.replace(EMAIL, '***@$1');
+}
+
+function serializeError(error) {
+    const serialized = { name: error.name, message: error.message };
+    if (error.code) serialized.code = error.code;
+    if (error.stack) serialized.stack = error.stack;
+    if (error.cause) serialized.cause = error.cause instanceof Error ? serializeError(error.cause) : error.cause;
+    return serialized;
+}
+
+// Returns a redacted copy of `value`; the original is never modified.
+function redact(value, depth = 0) {
+    if (typeof value === 'string') return redactString(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (depth >= MAX_DEPTH) return '[Truncated]';
+    if (value instanceof Error) return redact(serializeError(value), depth + 1);
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = SENSITIVE_KEY.test(key) && item !== null && item !== undefined ? REDACTED : redact(item, depth + 1);
+    }
+    return copy;
+}
+
+module.exports = { redact, redactString, serializeError, REDACTED };
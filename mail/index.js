@@ -0,0 +1,44 @@
+// mail/index.js
+// Outgoing e-mail. The transport is selected with MAIL_TRANSPORT:
+//   file (default)     append to MAIL_OUTBOX_DIR/outbox.ndjson (default ./outbox); read the
+//                      links from there in local development
+//   smtp               deliver through SMTP_HOST:SMTP_PORT (SMTP_SECURE=true for TLS, SMTP_USER/SMTP_PASS for auth)
+//   console            only log recipient (masked) and subject, never the body with its links
+//   memory             keep messages in process memory (tests)
+// Messages are sent from MAIL_FROM.
+require('dotenv').config();
+const { createConsoleTransport, createSmtpTransport, createFileTransport, createMemoryTransport } = require('./transports');
+
+const transports = {
+    console: () => createConsoleTransport(),
+    smtp: () => createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+    }),
+    file: () => createFileTransport({ dir: process.env.MAIL_OUTBOX_DIR || 'outbox' }),
+    memory: () => createMemoryTransport(),
+};
+
+function createMailer({ transport, from = process.env.MAIL_FROM || 'no-reply@user-service.local' }) {
+    return {
+        transport,
+        async send({ to, subject, text }) {
+            await transport.send({ from, to, subject, text });
+        },
+    };
+}
+
+function createTransport(name = process.env.MAIL_TRANSPORT || 'file') {
+    const factory = transports[name];
+    if (!factory) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${name}". Expected one of: ${Object.keys(transports).join(', ')}.`);
+    }
+    return factory();
+}
+
+const mailer = createMailer({ transport: createTransport() });
+
+module.exports = { mailer, createMailer, createTransport };
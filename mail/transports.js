@@ -0,0 +1,60 @@
+// mail/transports.js
+// Delivery transports for the mailer. A transport is an object with an async
+// send(message) method, where message is { from, to, subject, text }.
+const fs = require('fs/promises');
+const path = require('path');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'Mail' });
+
+// Logs that a message would have been sent, through the logger so the address is masked.
+// The body is left out: it carries reset, invitation and verification links.
+function createConsoleTransport() {
+    return {
+        async send(message) {
+            log.info('Mail not delivered (console transport)', { to: message.to, subject: message.subject });
+        },
+    };
+}
+
+// Sends through an SMTP server using nodemailer.
+function createSmtpTransport({ host, port, secure, user, pass }) {
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined,
+    });
+    return {
+        async send(message) {
+            await transporter.sendMail(message);
+        },
+    };
+}
+
+// Appends each message as one JSON line to <dir>/outbox.ndjson.
+function createFileTransport({ dir }) {
+    const file = path.join(dir, 'outbox.ndjson');
+    return {
+        async send(message) {
+            await fs.mkdir(dir, { recursive: true });
+            await fs.appendFile(file, JSON.stringify({ ...message, sent_at: new Date().toISOString() }) + '\n');
+        },
+    };
+}
+
+// Keeps messages in memory so tests can read what would have been sent.
+function createMemoryTransport() {
+    const messages = [];
+    return {
+        messages,
+        async send(message) {
+            messages.push({ ...message, sent_at: new Date().toISOString() });
+        },
+        clear() {
+            messages.length = 0;
+        },
+    };
+}
+
+module.exports = { createConsoleTransport, createSmtpTransport, createFileTransport, createMemoryTransport };
@@ -0,0 +1,119 @@
+// metrics/index.js
+// The service's Prometheus metrics and the HTTP instrumentation middleware.
+// Exposed by GET /metrics (see routes/metrics.js).
+const { createRegistry } = require('./registry');
+
+const registry = createRegistry();
+
+const httpRequests = registry.counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests handled, by method, route pattern and status code',
+    labelNames: ['method', 'route', 'status'],
+});
+
+const httpRequestDuration = registry.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency, by method, route pattern and status code',
+    labelNames: ['method', 'route', 'status'],
+});
+
+const authAttempts = registry.counter({
+    name: 'auth_attempts_total',
+    help: 'Login attempts on POST /authenticate, by result and failure reason',
+    labelNames: ['result', 'reason'],
+});
+
+const registrations = registry.counter({
+    name: 'user_registrations_total',
+    help: 'Registration attempts, by result (created, conflict)',
+    labelNames: ['result'],
+});
+
+const rateLimited = registry.counter({
+    name: 'rate_limited_requests_total',
+    help: 'Requests rejected with 429 by the rate limiter, by policy',
+    labelNames: ['policy'],
+});
+
+const passwordHashDuration = registry.histogram({
+    name: 'password_hash_duration_seconds',
+    help: 'bcrypt duration, by operation (hash, verify)',
+    labelNames: ['operation'],
+    buckets: [0.01, 0.025, 0.05, 0.1, 0.2, 0.4, 0.8, 1.6],
+});
+
+const outboundRequestDuration = registry.histogram({
+    name: 'outbound_request_duration_seconds',
+    help: 'Latency of calls to other services, by service, operation and status code (or "error")',
+    labelNames: ['service', 'operation', 'status'],
+});
+
+const outboundRequestErrors = registry.counter({
+    name: 'outbound_request_errors_total',
+    help: 'Failed calls to other services, by service, operation and reason (status code, timeout or network)',
+    labelNames: ['service', 'operation', 'reason'],
+});
+
+const startTimeSeconds = Math.floor(Date.now() / 1000);
+registry.gauge({
+    name: 'process_start_time_seconds',
+    help: 'Start time of the process since the Unix epoch in seconds',
+    collect: () => startTimeSeconds,
+});
+registry.gauge({
+    name: 'process_resident_memory_bytes',
+    help: 'Resident memory size in bytes',
+    collect: () => process.memoryUsage().rss,
+});
+
+// Route pattern of a handled request (e.g. /profiles/:userId). Requests that matched no
+// route are grouped under one label so scans of random URLs cannot explode the series count.
+function routeLabel(req) {
+    if (req.route && req.route.path) return `${req.baseUrl || ''}${req.route.path}`;
+    return 'unmatched';
+}
+
+function httpMetrics() {
+    return (req, res, next) => {
+        const end = httpRequestDuration.startTimer();
+        res.on('finish', () => {
+            const labels = { method: req.method, route: routeLabel(req), status: String(res.statusCode) };
+            end(labels);
+            httpRequests.inc(labels);
+        });
+        next();
+    };
+}
+
+// Times an outbound call made with axios, recording latency and failures.
+async function timeOutbound({ service, operation }, call) {
+    const end = outboundRequestDuration.startTimer({ service, operation });
+    try {
+        const response = await call();
+        end({ status: String(response.status) });
+        return response;
+    } catch (error) {
+        const status = error.response ? String(error.response.status) : 'error';
+        end({ status });
+        let reason = 'network';
+        if (error.response) reason = status;
+        else if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') reason = 'timeout';
+        outboundRequestErrors.inc({ service, operation, reason });
+        throw error;
+    }
+}
+
+module.exports = {
+    registry,
+    httpMetrics,
+    routeLabel,
+    timeOutbound,
+    httpRequests,
+    httpRequestDuration,
+    authAttempts,
+    registrations,
+    rateLimited,
+    passwordHashDuration,
+    outboundRequestDuration,
+    outboundRequestErrors,
+};
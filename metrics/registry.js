@@ -0,0 +1,167 @@
+// metrics/registry.js
+// Minimal Prometheus client: counters, gauges and histograms with labels, rendered
+// in the text exposition format (version 0.0.4).
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+// Label values in declaration order; missing labels are rejected so series stay consistent.
+function labelKey(labelNames, labels = {}) {
+    for (const name of Object.keys(labels)) {
+        if (!labelNames.includes(name)) throw new Error(`Unknown label "${name}"`);
+    }
+    return JSON.stringify(labelNames.map(name => {
+        if (labels[name] === undefined) throw new Error(`Missing label "${name}"`);
+        return String(labels[name]);
+    }));
+}
+
+function labelsFromKey(labelNames, key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+function createCounter({ name, help, labelNames = [] }) {
+    const values = new Map();
+    return {
+        name,
+        inc(labels = {}, by = 1) {
+            if (by < 0) throw new Error('Counters can only increase');
+            const key = labelKey(labelNames, labels);
+            values.set(key, (values.get(key) || 0) + by);
+        },
+        get(labels = {}) {
+            return values.get(labelKey(labelNames, labels)) || 0;
+        },
+        reset() {
+            values.clear();
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+            for (const [key, value] of values) {
+                lines.push(`${name}${formatLabels(labelsFromKey(labelNames, key))} ${formatValue(value)}`);
+            }
+            return lines.join('\n');
+        },
+    };
+}
+
+// Gauges read their value when scraped via collect() -> [{ labels, value }] (or a number).
+function createGauge({ name, help, labelNames = [], collect }) {
+    return {
+        name,
+        reset() {},
+        render() {
+            const collected = collect();
+            const samples = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+            for (const { labels, value } of samples) {
+                labelKey(labelNames, labels);
+                lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+            }
+            return lines.join('\n');
+        },
+    };
+}
+
+function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const sorted = [...buckets].sort((a, b) => a - b);
+    const series = new Map(); // key -> { counts per bucket, sum, count }
+
+    function observe(labels, value) {
+        const key = labelKey(labelNames, labels);
+        let entry = series.get(key);
+        if (!entry) {
+            entry = { counts: sorted.map(() => 0), sum: 0, count: 0 };
+            series.set(key, entry);
+        }
+        sorted.forEach((bound, i) => {
+            if (value <= bound) entry.counts[i] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+    }
+
+    return {
+        name,
+        observe,
+
+        // Starts a timer; calling the returned function records the elapsed seconds.
+        // Labels known only at the end can be passed to it.
+        startTimer(labels = {}) {
+            const start = process.hrtime.bigint();
+            return (endLabels = {}) => {
+                const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+                observe({ ...labels, ...endLabels }, seconds);
+                return seconds;
+            };
+        },
+
+        getCount(labels = {}) {
+            const entry = series.get(labelKey(labelNames, labels));
+            return entry ? entry.count : 0;
+        },
+
+        reset() {
+            series.clear();
+        },
+
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+            for (const [key, entry] of series) {
+                const labels = labelsFromKey(labelNames, key);
+                sorted.forEach((bound, i) => {
+                    // Cumulative: each bucket counts every observation <= its bound
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${entry.counts[i]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${entry.sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${entry.count}`);
+            }
+            return lines.join('\n');
+        },
+    };
+}
+
+function createRegistry() {
+    const metrics = new Map();
+
+    function add(metric) {
+        if (metrics.has(metric.name)) throw new Error(`Metric "${metric.name}" is already registered`);
+        metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    return {
+        counter: (options) => add(createCounter(options)),
+        gauge: (options) => add(createGauge(options)),
+        histogram: (options) => add(createHistogram(options)),
+        contentType: 'text/plain; version=0.0.4; charset=utf-8',
+
+        render() {
+            return `${Array.from(metrics.values()).map(metric => metric.render()).join('\n')}\n`;
+        },
+
+        // Clears every recorded value (tests only).
+        reset() {
+            for (const metric of metrics.values()) metric.reset();
+        },
+    };
+}
+
+module.exports = { createRegistry, DEFAULT_BUCKETS };
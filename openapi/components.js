@@ -0,0 +1,443 @@
+// openapi/components.js
+// Reusable schemas, parameters and security schemes of the API document.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ ...schema, nullable: true });
+const dateTime = { type: 'string', format: 'date-time' };
+const uuid = { type: 'string', format: 'uuid' };
+
+const schemas = {
+    Error: {
+        type: 'object',
+        required: ['error'],
+        properties: { error: { type: 'string' } },
+        additionalProperties: false,
+    },
+    ValidationError: {
+        type: 'object',
+        required: ['error', 'details'],
+        properties: {
+            error: { type: 'string' },
+            details: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['field', 'message'],
+                    properties: {
+                        location: { type: 'string', enum: ['params', 'query', 'body'] },
+                        field: nullable({ type: 'string' }),
+                        message: { type: 'string' },
+                    },
+                    additionalProperties: false,
+                },
+            },
+        },
+        additionalProperties: false,
+    },
+    Message: {
+        type: 'object',
+        required: ['message'],
+        properties: { message: { type: 'string' } },
+        additionalProperties: false,
+    },
+    Profile: {
+        type: 'object',
+        required: [
+            'id', 'username', 'email', 'created_at', 'role', 'roles', 'email_verified_at',
+            'display_name', 'bio', 'phone', 'locale', 'timezone', 'notification_preferences', 'avatar_url',
+        ],
+        properties: {
+            id: uuid,
+            username: { type: 'string' },
+            email: { type: 'string', format: 'email' },
+            created_at: dateTime,
+            role: { type: 'string', description: 'Primary role, the first of roles' },
+            roles: { type: 'array', items: { type: 'string' } },
+            email_verified_at: nullable(dateTime),
+            display_name: nullable({ type: 'string' }),
+            bio: nullable({ type: 'string' }),
+            phone: nullable({ type: 'string', description: 'E.164, e.g. +14155550123' }),
+            locale: nullable({ type: 'string', description: 'BCP 47 language tag, e.g. pt-BR' }),
+            timezone: nullable({ type: 'string', description: 'IANA time zone, e.g. Europe/Paris' }),
+            notification_preferences: {
+                type: 'object',
+                required: ['email', 'sms', 'push', 'marketing'],
+                properties: {
+                    email: { type: 'boolean' },
+                    sms: { type: 'boolean' },
+                    push: { type: 'boolean' },
+                    marketing: { type: 'boolean' },
+                },
+                additionalProperties: false,
+            },
+            avatar_url: nullable({ type: 'string', format: 'uri', description: 'Largest avatar thumbnail; see GET /avatars/{userId}/{size}.webp for the others' }),
+        },
+        additionalProperties: false,
+    },
+    TokenPair: {
+        type: 'object',
+        required: ['accessToken', 'refreshToken', 'tokenType', 'expiresIn', 'sessionId'],
+        properties: {
+            accessToken: { type: 'string', description: 'JWT; the sub claim is the user ID' },
+            refreshToken: { type: 'string', description: 'Opaque, single use; exchange at POST /token/refresh' },
+            tokenType: { type: 'string', enum: ['Bearer'] },
+            expiresIn: { type: 'integer', description: 'Access token lifetime in seconds' },
+            sessionId: { ...uuid, description: 'Session of this login (see GET /profiles/{userId}/sessions)' },
+        },
+        additionalProperties: false,
+    },
+    AuthenticationResult: {
+        type: 'object',
+        required: ['message', 'userId', 'username', 'email', 'role', 'roles', 'permissions', 'emailVerified', 'accessToken', 'refreshToken', 'tokenType', 'expiresIn', 'sessionId'],
+        properties: {
+            message: { type: 'string' },
+            userId: uuid,
+            username: { type: 'string' },
+            email: { type: 'string', format: 'email' },
+            role: { type: 'string' },
+            roles: { type: 'array', items: { type: 'string' } },
+            permissions: { type: 'array', items: { type: 'string' }, description: 'Effective permissions of the roles' },
+            emailVerified: { type: 'boolean' },
+            accessToken: { type: 'string' },
+            refreshToken: { type: 'string' },
+            tokenType: { type: 'string', enum: ['Bearer'] },
+            expiresIn: { type: 'integer' },
+            sessionId: uuid,
+        },
+        additionalProperties: false,
+    },
+    Session: {
+        type: 'object',
+        required: ['id', 'userAgent', 'ip', 'createdAt', 'lastSeenAt', 'expiresAt', 'current'],
+        properties: {
+            id: uuid,
+            userAgent: nullable({ type: 'string' }),
+            ip: nullable({ type: 'string' }),
+            createdAt: dateTime,
+            lastSeenAt: dateTime,
+            expiresAt: dateTime,
+            current: { type: 'boolean', description: 'Whether this is the session of the calling access token' },
+        },
+        additionalProperties: false,
+    },
+    ApiKey: {
+        type: 'object',
+        required: ['id', 'name', 'keyPrefix', 'scopes', 'createdAt', 'createdBy', 'expiresAt', 'lastUsedAt', 'revokedAt'],
+        properties: {
+            id: uuid,
+            name: { type: 'string' },
+            keyPrefix: { type: 'string', description: 'First characters of the key, to recognise it' },
+            scopes: { type: 'array', items: { type: 'string' } },
+            createdAt: dateTime,
+            createdBy: nullable(uuid),
+            expiresAt: nullable(dateTime),
+            lastUsedAt: nullable(dateTime),
+            revokedAt: nullable(dateTime),
+            key: { type: 'string', description: 'The API key. Only returned when the key is created' },
+        },
+        additionalProperties: false,
+    },
+    Role: {
+        type: 'object',
+        required: ['name', 'description', 'permissions', 'builtin', 'createdAt', 'updatedAt'],
+        properties: {
+            name: { type: 'string' },
+            description: nullable({ type: 'string' }),
+            permissions: { type: 'array', items: { type: 'string' } },
+            builtin: { type: 'boolean', description: 'Built-in roles cannot be deleted' },
+            createdAt: dateTime,
+            updatedAt: dateTime,
+        },
+        additionalProperties: false,
+    },
+    Permission: {
+        type: 'object',
+        required: ['name', 'description'],
+        properties: {
+            name: { type: 'string' },
+            description: { type: 'string' },
+        },
+        additionalProperties: false,
+    },
+    UserPermissions: {
+        type: 'object',
+        required: ['userId', 'roles', 'permissions'],
+        properties: {
+            userId: uuid,
+            roles: { type: 'array', items: { type: 'string' } },
+            permissions: { type: 'array', items: { type: 'string' } },
+        },
+        additionalProperties: false,
+    },
+    ImportReport: {
+        type: 'object',
+        required: ['dryRun', 'summary', 'rows'],
+        properties: {
+            dryRun: { type: 'boolean' },
+            summary: {
+                type: 'object',
+                required: ['total', 'created', 'valid', 'invalid', 'duplicate', 'failed'],
+                properties: Object.fromEntries(['total', 'created', 'valid', 'invalid', 'duplicate', 'failed'].map(key => [key, { type: 'integer' }])),
+                additionalProperties: false,
+            },
+            rows: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['line', 'status', 'username', 'email'],
+                    properties: {
+                        line: { type: 'integer', description: 'Line of the file the row starts on' },
+                        status: { type: 'string', enum: ['created', 'valid', 'invalid', 'duplicate', 'failed'] },
+                        username: nullable({ type: 'string' }),
+                        email: nullable({ type: 'string' }),
+                        userId: uuid,
+                        invited: { type: 'boolean', description: 'Whether the invitation email was sent (rows without password_hash)' },
+                        errors: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['field', 'message'],
+                                properties: { field: nullable({ type: 'string' }), message: { type: 'string' } },
+                                additionalProperties: false,
+                            },
+                        },
+                    },
+                    additionalProperties: false,
+                },
+            },
+        },
+        additionalProperties: false,
+    },
+    MfaChallenge: {
+        type: 'object',
+        required: ['message', 'mfaRequired', 'challengeToken', 'expiresIn'],
+        properties: {
+            message: { type: 'string' },
+            mfaRequired: { type: 'boolean', enum: [true] },
+            challengeToken: { type: 'string', description: 'Send to POST /authenticate/mfa with a code or recovery code' },
+            expiresIn: { type: 'integer', description: 'Challenge lifetime in seconds' },
+        },
+        additionalProperties: false,
+    },
+    MfaStatus: {
+        type: 'object',
+        required: ['enabled', 'enrollmentPending', 'enabledAt', 'recoveryCodesRemaining'],
+        properties: {
+            enabled: { type: 'boolean' },
+            enrollmentPending: { type: 'boolean' },
+            enabledAt: nullable(dateTime),
+            recoveryCodesRemaining: { type: 'integer' },
+        },
+        additionalProperties: false,
+    },
+    MfaEnrollment: {
+        type: 'object',
+        required: ['secret', 'otpauthUri'],
+        properties: {
+            secret: { type: 'string', description: 'Base32 TOTP secret for manual entry' },
+            otpauthUri: { type: 'string', description: 'otpauth://totp/... URI, usually shown as a QR code' },
+        },
+        additionalProperties: false,
+    },
+    MfaRecoveryCodes: {
+        type: 'object',
+        required: ['recoveryCodes'],
+        properties: { recoveryCodes: { type: 'array', items: { type: 'string' }, description: 'One-time codes, shown only once' } },
+        additionalProperties: false,
+    },
+    Jwks: {
+        type: 'object',
+        required: ['keys'],
+        properties: { keys: { type: 'array', items: { type: 'object' } } },
+        additionalProperties: false,
+    },
+    EmailVerified: {
+        type: 'object',
+        required: ['message', 'userId', 'email_verified_at'],
+        properties: { message: { type: 'string' }, userId: uuid, email_verified_at: dateTime },
+        additionalProperties: false,
+    },
+    DeletionScheduled: {
+        type: 'object',
+        required: ['userId', 'status', 'deletedAt', 'purgeAt', 'statusUrl'],
+        properties: {
+            userId: uuid,
+            status: { type: 'string', enum: ['scheduled'] },
+            deletedAt: dateTime,
+            purgeAt: dateTime,
+            statusUrl: { type: 'string' },
+        },
+        additionalProperties: false,
+    },
+    DeletionStatus: {
+        type: 'object',
+        required: ['userId', 'status', 'jobs'],
+        properties: {
+            userId: uuid,
+            status: { type: 'string', enum: ['scheduled', 'pending', 'completed', 'failed'] },
+            deletedAt: dateTime,
+            purgeAt: dateTime,
+            jobs: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['target', 'status', 'attempts'],
+                    properties: {
+                        target: { type: 'string' },
+                        status: { type: 'string', enum: ['pending', 'running', 'succeeded', 'failed'] },
+                        attempts: { type: 'integer' },
+                        lastError: nullable({ type: 'string' }),
+                        nextAttemptAt: nullable(dateTime),
+                        completedAt: nullable(dateTime),
+                    },
+                    additionalProperties: false,
+                },
+            },
+        },
+        additionalProperties: false,
+    },
+    DataExport: {
+        type: 'object',
+        required: ['id', 'userId', 'status', 'requestedAt', 'requestedBy', 'attempts', 'lastError', 'completedAt', 'expiresAt'],
+        properties: {
+            id: uuid,
+            userId: uuid,
+            status: { type: 'string', enum: ['pending', 'running', 'completed', 'failed', 'expired'] },
+            requestedAt: dateTime,
+            requestedBy: nullable(uuid),
+            attempts: { type: 'integer' },
+            lastError: nullable({ type: 'string' }),
+            completedAt: nullable(dateTime),
+            expiresAt: nullable({ ...dateTime, description: 'Until when the archive can be downloaded' }),
+        },
+        additionalProperties: false,
+    },
+    DataExportArchive: {
+        type: 'object',
+        required: ['exportedAt', 'userId', 'profile', 'twoFactorAuthentication', 'sessions', 'auditEvents', 'services'],
+        properties: {
+            exportedAt: dateTime,
+            userId: uuid,
+            profile: ref('Profile'),
+            twoFactorAuthentication: ref('MfaStatus'),
+            sessions: {
+                type: 'array',
+                description: 'Every login session, including ended ones',
+                items: {
+                    type: 'object',
+                    required: ['id', 'userAgent', 'ip', 'createdAt', 'lastSeenAt', 'expiresAt', 'revokedAt', 'revokedReason'],
+                    properties: {
+                        id: uuid,
+                        userAgent: nullable({ type: 'string' }),
+                        ip: nullable({ type: 'string' }),
+                        createdAt: dateTime,
+                        lastSeenAt: dateTime,
+                        expiresAt: dateTime,
+                        revokedAt: nullable(dateTime),
+                        revokedReason: nullable({ type: 'string' }),
+                    },
+                    additionalProperties: false,
+                },
+            },
+            auditEvents: { type: 'array', description: 'Events the user performed or was the target of, oldest first', items: ref('AuditEvent') },
+            services: { type: 'object', description: 'Data held by other services (e.g. properties), by service name; null when a service holds none' },
+        },
+        additionalProperties: false,
+    },
+    WebhookSubscription: {
+        type: 'object',
+        required: ['id', 'url', 'events', 'active', 'created_at'],
+        properties: {
+            id: uuid,
+            url: { type: 'string', format: 'uri' },
+            events: { type: 'array', items: { type: 'string' } },
+            active: { type: 'boolean' },
+            created_at: dateTime,
+            secret: { type: 'string', description: 'Only returned when the subscription is created' },
+        },
+    },
+    WebhookDelivery: {
+        type: 'object',
+        required: ['id', 'subscription_id', 'event', 'status', 'attempts'],
+        properties: {
+            id: uuid,
+            subscription_id: uuid,
+            event: { type: 'string' },
+            payload: { type: 'object' },
+            status: { type: 'string', enum: ['pending', 'running', 'succeeded', 'failed'] },
+            attempts: { type: 'integer' },
+            next_attempt_at: nullable(dateTime),
+            last_status_code: nullable({ type: 'integer' }),
+            last_error: nullable({ type: 'string' }),
+            completed_at: nullable(dateTime),
+            created_at: dateTime,
+        },
+    },
+    AuditEvent: {
+        type: 'object',
+        required: ['id', 'action', 'actor_id', 'target_user_id', 'created_at'],
+        properties: {
+            id: uuid,
+            action: { type: 'string' },
+            actor_id: nullable(uuid),
+            actor_role: nullable({ type: 'string' }),
+            target_user_id: nullable(uuid),
+            changes: nullable({
+                type: 'object',
+                description: 'Changed fields as { field: { from, to } }',
+                additionalProperties: { type: 'object', properties: { from: {}, to: {} } },
+            }),
+            metadata: nullable({ type: 'object' }),
+            request_id: nullable({ type: 'string' }),
+            ip: nullable({ type: 'string' }),
+            created_at: dateTime,
+        },
+    },
+    Liveness: {
+        type: 'object',
+        required: ['status', 'uptimeSeconds'],
+        properties: { status: { type: 'string', enum: ['ok'] }, uptimeSeconds: { type: 'integer' } },
+        additionalProperties: false,
+    },
+    Readiness: {
+        type: 'object',
+        required: ['status', 'checks'],
+        properties: {
+            status: { type: 'string', enum: ['ok', 'fail', 'draining'] },
+            checks: {
+                type: 'object',
+                additionalProperties: {
+                    type: 'object',
+                    required: ['status', 'durationMs'],
+                    properties: {
+                        status: { type: 'string', enum: ['ok', 'fail'] },
+                        durationMs: { type: 'integer' },
+                        error: { type: 'string' },
+                    },
+                    additionalProperties: false,
+                },
+            },
+        },
+        additionalProperties: false,
+    },
+};
+
+// Query parameters of offset-paginated lists (see routes/pagination.js)
+const paginationParameters = [
+    { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 50 }, description: 'Page size (values above 100 are capped)' },
+    { name: 'offset', in: 'query', schema: { type: 'integer', minimum: 0, default: 0 } },
+];
+
+// Response headers of paginated lists (see setPaginationHeaders)
+const paginationHeaders = {
+    'X-Total-Count': { schema: { type: 'integer' }, description: 'Number of matching items' },
+    'X-Next-Offset': { schema: { type: 'integer' }, description: 'Offset of the next page, absent on the last page' },
+    Link: { schema: { type: 'string' }, description: 'RFC 8288 first/prev/next/last links' },
+};
+
+const securitySchemes = {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+    apiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'Service API key (see POST /api-keys)' },
+};
+
+module.exports = { schemas, securitySchemes, paginationParameters, paginationHeaders, ref };
@@ -0,0 +1,63 @@
+// openapi/describe.js
+// describe(operation) marks a route for the API document and, when response validation
+// is on, checks every JSON response of the route against the documented schema.
+//
+//   app.post('/register', describe({
+//       summary: 'Register a user',
+//       tags: ['Users'],
+//       responses: { 201: 'Profile', 409: 'Error' },
+//   }), validate(registerSchema), handler);
+//
+// responses map status codes to a component schema name, to { description, schema,
+// headers, contentType }, or to null for responses without a body. 400/401/403 answers
+// of validate() and the auth middleware are added automatically (see document.js).
+const { validateSchema } = require('./jsonSchema');
+
+// Response validation is meant for tests and development (OPENAPI_VALIDATE_RESPONSES=true):
+// a response that does not match the document is replaced by a 500 so the mismatch
+// cannot go unnoticed.
+function responseValidationEnabled() {
+    return process.env.OPENAPI_VALIDATE_RESPONSES === 'true';
+}
+
+function responseViolations(resolved, status, body) {
+    const response = resolved.operation.responses[String(status)];
+    if (!response) return [{ path: '(status)', message: `status ${status} is not documented` }];
+    const json = response.content && response.content['application/json'];
+    if (!json) return [{ path: '(body)', message: `status ${status} is documented without a JSON body` }];
+    return validateSchema(body, json.schema, { document: resolved.document });
+}
+
+function describe(operation) {
+    const middleware = (req, res, next) => {
+        if (!responseValidationEnabled()) return next();
+
+        // Required lazily: index.js requires this module.
+        require('./index').getApiDocument(req.app);
+        const resolved = middleware.resolved;
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            const violations = responseViolations(resolved, res.statusCode, body);
+            if (violations.length === 0) return json(body);
+            const { logger } = require('../logging');
+            logger.error('Response does not match the API document', {
+                component: 'OpenAPI',
+                method: req.method,
+                path: req.route ? req.route.path : req.path,
+                status: res.statusCode,
+                violations,
+            });
+            res.status(500);
+            return json({
+                error: 'Response does not match the API specification',
+                details: violations.map(({ path, message }) => ({ field: path, message })),
+            });
+        };
+        next();
+    };
+    middleware.operation = operation;
+    middleware.resolved = null;
+    return middleware;
+}
+
+module.exports = { describe, responseViolations, responseValidationEnabled };
@@ -0,0 +1,93 @@
+// openapi/docsPage.js
+// Renders the API document as a single self-contained HTML page (GET /docs): no
+// scripts or assets from a CDN, so it works offline and under a strict CSP.
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const json = (value) => `<pre>${escapeHtml(JSON.stringify(value, null, 2))}</pre>`;
+
+function schemaLabel(schema) {
+    if (!schema) return '';
+    if (schema.$ref) {
+        const name = schema.$ref.split('/').pop();
+        return `<a href="#schema-${escapeHtml(name)}">${escapeHtml(name)}</a>`;
+    }
+    if (schema.type === 'array') return `${schemaLabel(schema.items)}[]`;
+    return escapeHtml([schema.type, schema.format].filter(Boolean).join(' / '));
+}
+
+function renderParameters(parameters = []) {
+    if (parameters.length === 0) return '';
+    const rows = parameters.map(parameter => `<tr><td><code>${escapeHtml(parameter.name)}</code></td>`
+        + `<td>${escapeHtml(parameter.in)}</td><td>${parameter.required ? 'yes' : 'no'}</td>`
+        + `<td>${schemaLabel(parameter.schema)}</td><td>${escapeHtml(parameter.description || (parameter.schema && parameter.schema.description) || '')}</td></tr>`);
+    return `<h4>Parameters</h4><table><tr><th>Name</th><th>In</th><th>Required</th><th>Type</th><th>Notes</th></tr>${rows.join('')}</table>`;
+}
+
+function renderResponses(responses) {
+    const rows = Object.entries(responses).map(([status, response]) => {
+        const [contentType, media] = Object.entries(response.content || {})[0] || [];
+        const body = media ? `${escapeHtml(contentType)}: ${schemaLabel(media.schema)}` : '';
+        return `<tr><td>${escapeHtml(status)}</td><td>${escapeHtml(response.description)}</td><td>${body}</td></tr>`;
+    });
+    return `<h4>Responses</h4><table><tr><th>Status</th><th>Description</th><th>Body</th></tr>${rows.join('')}</table>`;
+}
+
+function renderOperation(path, method, operation) {
+    const requestBody = operation.requestBody
+        ? `<h4>Request body</h4>${Object.entries(operation.requestBody.content).map(([type, media]) => `<p>${escapeHtml(type)}</p>${json(media.schema)}`).join('')}`
+        : '';
+    return `<section class="operation" id="${escapeHtml(operation.operationId)}">`
+        + `<h3><span class="method ${method}">${method.toUpperCase()}</span> <code>${escapeHtml(path)}</code>`
+        + `${operation.security ? ' <span class="lock" title="Bearer token required">&#128274;</span>' : ''}</h3>`
+        + `<p>${escapeHtml(operation.summary || '')}</p>`
+        + (operation.description ? `<p class="description">${escapeHtml(operation.description).replace(/\n\n/g, '<br>')}</p>` : '')
+        + renderParameters(operation.parameters)
+        + requestBody
+        + renderResponses(operation.responses)
+        + '</section>';
+}
+
+function renderDocsPage(document) {
+    const byTag = new Map();
+    for (const [path, operations] of Object.entries(document.paths)) {
+        for (const [method, operation] of Object.entries(operations)) {
+            const tag = (operation.tags && operation.tags[0]) || 'Other';
+            if (!byTag.has(tag)) byTag.set(tag, []);
+            byTag.get(tag).push(renderOperation(path, method, operation));
+        }
+    }
+    const sections = [...byTag].map(([tag, operations]) => `<h2>${escapeHtml(tag)}</h2>${operations.join('')}`);
+    const schemas = Object.entries(document.components.schemas)
+        .map(([name, schema]) => `<section id="schema-${escapeHtml(name)}"><h3>${escapeHtml(name)}</h3>${json(schema)}</section>`);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(document.info.title)} ${escapeHtml(document.info.version)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 60rem; padding: 0 1rem; color: #222; }
+.operation { border: 1px solid #ddd; border-radius: 4px; margin: 1rem 0; padding: 0 1rem 1rem; }
+.method { display: inline-block; min-width: 4.5rem; padding: 0.1rem 0.4rem; border-radius: 3px; color: #fff; font-size: 0.85em; text-align: center; }
+.get { background: #2f6fb0; } .post { background: #2e8540; } .put { background: #b07b2f; } .patch { background: #7a4fb0; } .delete { background: #b03a2f; }
+table { border-collapse: collapse; width: 100%; } th, td { border-bottom: 1px solid #eee; padding: 0.3rem; text-align: left; vertical-align: top; }
+pre { background: #f6f6f6; padding: 0.5rem; overflow-x: auto; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(document.info.title)} <small>${escapeHtml(document.info.version)}</small></h1>
+<p>${escapeHtml(document.info.description || '')} The machine-readable document is at <a href="openapi.json">openapi.json</a>.</p>
+${sections.join('\n')}
+<h2>Schemas</h2>
+${schemas.join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = { renderDocsPage };
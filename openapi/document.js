@@ -0,0 +1,188 @@
+// openapi/document.js
+// Builds the OpenAPI 3 document by walking the routes registered on the Express app.
+// Nothing is maintained by hand apart from the describe() annotations, so the document
+// follows the code: request parameters and bodies come from the validate() schemas the
+// routes enforce, security and 401/403 answers from the auth middleware in front of them.
+const { schemas, securitySchemes } = require('./components');
+
+const rateLimitHeaders = {
+    'Retry-After': { schema: { type: 'integer' }, description: 'Seconds until the request would be allowed' },
+    'RateLimit-Limit': { schema: { type: 'integer' } },
+    'RateLimit-Remaining': { schema: { type: 'integer' } },
+    'RateLimit-Reset': { schema: { type: 'integer' }, description: 'Seconds until the budget is fully restored' },
+    'RateLimit-Policy': { schema: { type: 'string' }, description: 'limit;w=window seconds' },
+};
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Express "/profiles/:userId" -> OpenAPI "/profiles/{userId}"
+function toOpenApiPath(path) {
+    return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function pathParameterNames(path) {
+    return Array.from(path.matchAll(/:(\w+)/g), match => match[1]);
+}
+
+// Every route as { path, methods, handlers }, where handlers include the path-scoped
+// middleware registered with use() before the route in the same or an enclosing router.
+function collectRoutes(stack, inherited = []) {
+    const routes = [];
+    const scoped = [...inherited];
+    for (const layer of stack) {
+        if (layer.route) {
+            const path = layer.route.path;
+            const applicable = scoped.filter(use => use.matchers.some(match => match(path))).map(use => use.handle);
+            routes.push({
+                path,
+                methods: Object.keys(layer.route.methods).filter(method => METHODS.includes(method)),
+                handlers: [...applicable, ...layer.route.stack.map(routeLayer => routeLayer.handle)],
+            });
+        } else if (layer.handle && Array.isArray(layer.handle.stack)) {
+            routes.push(...collectRoutes(layer.handle.stack, scoped));
+        } else if (layer.handle && layer.handle.openapi) {
+            scoped.push(layer);
+        }
+    }
+    return routes;
+}
+
+const DEFAULT_DESCRIPTIONS = {
+    200: 'OK', 201: 'Created', 202: 'Accepted', 204: 'No content',
+    400: 'Invalid request', 401: 'Missing or invalid bearer token', 403: 'Forbidden',
+    404: 'Not found', 409: 'Conflict', 410: 'Gone', 423: 'Locked', 429: 'Too many requests',
+    500: 'Unexpected error', 503: 'Unavailable',
+};
+
+function normalizeResponse(status, response) {
+    const fallback = DEFAULT_DESCRIPTIONS[status] || `Status ${status}`;
+    if (response === null) return { description: fallback };
+    if (typeof response === 'string') {
+        return { description: fallback, content: { 'application/json': { schema: { $ref: `#/components/schemas/${response}` } } } };
+    }
+    const { description, schema, headers, contentType = 'application/json' } = response;
+    const normalized = { description: description || fallback };
+    if (schema) normalized.content = { [contentType]: { schema } };
+    if (headers) normalized.headers = headers;
+    return normalized;
+}
+
+// Routes with a validate() schema can also answer 400 with the validation error body,
+// besides any 400 they document themselves.
+function withValidationError(response) {
+    const validationError = normalizeResponse('400', 'ValidationError');
+    const json = response && response.content && response.content['application/json'];
+    if (!json) return validationError;
+    if (json.schema.$ref === validationError.content['application/json'].schema.$ref) return response;
+    return {
+        ...response,
+        content: { 'application/json': { schema: { oneOf: [validationError.content['application/json'].schema, json.schema] } } },
+    };
+}
+
+function parametersFromSchema(requestSchema, path) {
+    const parameters = [];
+    for (const location of ['params', 'query']) {
+        for (const [name, rule] of Object.entries((requestSchema && requestSchema[location]) || {})) {
+            parameters.push({
+                name,
+                in: location === 'params' ? 'path' : 'query',
+                required: location === 'params' || !rule.optional,
+                schema: rule.schema,
+            });
+        }
+    }
+    for (const name of pathParameterNames(path)) {
+        if (!parameters.some(parameter => parameter.in === 'path' && parameter.name === name)) {
+            parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+        }
+    }
+    return parameters;
+}
+
+function requestBodyFromSchema(body) {
+    const properties = {};
+    const required = [];
+    for (const [name, rule] of Object.entries(body)) {
+        properties[name] = rule.schema;
+        if (!rule.optional) required.push(name);
+    }
+    return {
+        required: true,
+        content: { 'application/json': { schema: { type: 'object', required, properties } } },
+    };
+}
+
+function buildOperation(route, method, marker) {
+    const { summary, description, tags, responses = {}, parameters = [], requestBody, operationId } = marker.operation;
+    const validator = route.handlers.find(handler => handler.requestSchema);
+    const requestSchema = validator ? validator.requestSchema : null;
+    const authentication = route.handlers.find(handler => handler.openapi && handler.openapi.authentication);
+    const authenticated = Boolean(authentication);
+    const apiKeyScopes = authentication && authentication.openapi.apiKeyScopes
+        ? authentication.openapi.apiKeyScopes(method, route.path)
+        : [];
+    const access = route.handlers.map(handler => handler.openapi && handler.openapi.access).filter(Boolean);
+    const rateLimited = route.handlers.some(handler => handler.openapi && handler.openapi.rateLimit);
+
+    const allResponses = {};
+    for (const [status, response] of Object.entries(responses)) {
+        allResponses[String(status)] = normalizeResponse(String(status), response);
+    }
+    if (requestSchema) allResponses['400'] = withValidationError(allResponses['400']);
+    if (authenticated && !allResponses['401']) allResponses['401'] = normalizeResponse('401', 'Error');
+    if (access.length > 0 && !allResponses['403']) allResponses['403'] = normalizeResponse('403', 'Error');
+    if (rateLimited) {
+        const tooMany = allResponses['429'] || normalizeResponse('429', 'Error');
+        allResponses['429'] = { ...tooMany, headers: { ...rateLimitHeaders, ...tooMany.headers } };
+    }
+    if (!allResponses['500']) allResponses['500'] = normalizeResponse('500', 'Error');
+
+    const operation = {
+        operationId: operationId || `${method}${toOpenApiPath(route.path).replace(/[{}]/g, '').split(/[/._-]/).filter(Boolean).map(part => part[0].toUpperCase() + part.slice(1)).join('')}`,
+        summary,
+        tags,
+        parameters: [...parametersFromSchema(requestSchema, route.path), ...parameters],
+        responses: allResponses,
+    };
+    const notes = [
+        description,
+        ...access.map(text => `Access: ${text}`),
+        apiKeyScopes.length > 0 ? `API keys with scope: ${apiKeyScopes.join(' or ')}` : null,
+    ].filter(Boolean);
+    if (notes.length > 0) operation.description = notes.join('\n\n');
+    if (requestSchema && requestSchema.body) operation.requestBody = requestBodyFromSchema(requestSchema.body);
+    else if (requestBody) operation.requestBody = requestBody;
+    if (authenticated) operation.security = [{ bearerAuth: [] }, ...(apiKeyScopes.length > 0 ? [{ apiKeyAuth: [] }] : [])];
+    if (operation.parameters.length === 0) delete operation.parameters;
+    return operation;
+}
+
+// Returns { document, undocumented } where undocumented lists "METHOD /path" of routes
+// without a describe() annotation.
+function buildDocument(app, { info }) {
+    const document = {
+        openapi: '3.0.3',
+        info,
+        paths: {},
+        components: { schemas, securitySchemes },
+    };
+    const undocumented = [];
+
+    for (const route of collectRoutes(app.router.stack)) {
+        const marker = route.handlers.find(handler => handler.operation);
+        for (const method of route.methods) {
+            if (!marker) {
+                undocumented.push(`${method.toUpperCase()} ${route.path}`);
+                continue;
+            }
+            const operation = buildOperation(route, method, marker);
+            const path = toOpenApiPath(route.path);
+            document.paths[path] = { ...document.paths[path], [method]: operation };
+            marker.resolved = { operation, document };
+        }
+    }
+    return { document, undocumented };
+}
+
+module.exports = { buildDocument, collectRoutes, toOpenApiPath };
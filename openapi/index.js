@@ -0,0 +1,38 @@
+// openapi/index.js
+// The API document of the running app, built once on first use (see document.js).
+//
+// Configuration (environment):
+//   OPENAPI_VALIDATE_RESPONSES   'true' to check every JSON response against the document
+//                                (tests and development; mismatches become 500 responses)
+const { buildDocument } = require('./document');
+const { describe } = require('./describe');
+const { paginationParameters, paginationHeaders, ref } = require('./components');
+const { logger } = require('../logging');
+const packageJson = require('../package.json');
+
+const log = logger.child({ component: 'OpenAPI' });
+const built = new WeakMap();
+
+function getApiDocument(app) {
+    if (!built.has(app)) {
+        const result = buildDocument(app, {
+            info: {
+                title: 'User Service API',
+                version: packageJson.version,
+                description: 'Registration, authentication and profile management.',
+            },
+        });
+        if (result.undocumented.length > 0) {
+            log.warn('Routes missing from the API document', { routes: result.undocumented });
+        }
+        built.set(app, result);
+    }
+    return built.get(app).document;
+}
+
+function getUndocumentedRoutes(app) {
+    getApiDocument(app);
+    return built.get(app).undocumented;
+}
+
+module.exports = { getApiDocument, getUndocumentedRoutes, describe, paginationParameters, paginationHeaders, ref };
@@ -0,0 +1,105 @@
+// openapi/jsonSchema.js
+// Validator for the subset of JSON Schema (OpenAPI 3.0 flavour) used by the service's
+// API document: type, nullable, enum, format, string/number/array bounds, properties,
+// required, additionalProperties, items, oneOf and local $refs.
+
+const FORMATS = {
+    uuid: (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+    email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    'date-time': (value) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})$/.test(value) && !Number.isNaN(Date.parse(value)),
+    uri: (value) => {
+        try {
+            return Boolean(new URL(value));
+        } catch (err) {
+            return false;
+        }
+    },
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function typeMatches(expected, value) {
+    const actual = typeOf(value);
+    return actual === expected || (expected === 'number' && actual === 'integer');
+}
+
+function resolveRef(ref, document) {
+    const prefix = '#/components/schemas/';
+    if (!ref.startsWith(prefix)) throw new Error(`Unsupported $ref "${ref}"`);
+    const schema = document.components && document.components.schemas[ref.slice(prefix.length)];
+    if (!schema) throw new Error(`Unresolved $ref "${ref}"`);
+    return schema;
+}
+
+// Returns [{ path, message }] for every way `value` violates `schema` (empty when valid).
+function validateSchema(value, schema, { document = {}, path = '' } = {}) {
+    const errors = [];
+    const at = path || '(root)';
+    const fail = (message) => errors.push({ path: at, message });
+
+    if (schema.$ref) return validateSchema(value, resolveRef(schema.$ref, document), { document, path });
+
+    if (value === null) {
+        if (!schema.nullable && schema.type !== undefined) fail('must not be null');
+        return errors;
+    }
+
+    if (schema.oneOf) {
+        const matching = schema.oneOf.filter(option => validateSchema(value, option, { document, path }).length === 0);
+        if (matching.length !== 1) fail(`must match exactly one schema in oneOf (matched ${matching.length})`);
+        return errors;
+    }
+
+    if (schema.type && !typeMatches(schema.type, value)) {
+        fail(`must be of type ${schema.type}, got ${typeOf(value)}`);
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) fail(`must be one of: ${schema.enum.join(', ')}`);
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match pattern ${schema.pattern}`);
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) fail(`must be a valid ${schema.format}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item(s)`);
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, { document, path: `${path}[${i}]` })));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) errors.push({ path: path ? `${path}.${name}` : name, message: 'is required' });
+        }
+        for (const [name, item] of Object.entries(value)) {
+            const childPath = path ? `${path}.${name}` : name;
+            if (item === undefined) continue;
+            if (properties[name]) {
+                errors.push(...validateSchema(item, properties[name], { document, path: childPath }));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath, message: 'is not allowed' });
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                errors.push(...validateSchema(item, schema.additionalProperties, { document, path: childPath }));
+            }
+        }
+    }
+
+    return errors;
+}
+
+module.exports = { validateSchema, FORMATS };
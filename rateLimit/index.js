@@ -0,0 +1,48 @@
+// rateLimit/index.js
+// The service's rate limiter, backed by the shared key-value store (see kv/), so limits
+// hold across replicas when KV_STORE=redis.
+//
+// Configuration (environment):
+//   RATE_LIMIT_ENABLED     'false' turns rate limiting off (default on)
+//   RATE_LIMIT_POLICIES    JSON object overriding policies by name, e.g.
+//                          {"register":{"limit":10,"windowSeconds":3600,"key":"ip"}}
+//                          fields left out keep their defaults (see DEFAULT_POLICIES)
+//   RATE_LIMIT_ALLOWLIST   comma-separated IPs or CIDR ranges never limited (internal services)
+require('dotenv').config();
+const { keyValueStore } = require('../kv');
+const { rateLimited } = require('../metrics');
+const { createRateLimiter } = require('./rateLimiter');
+
+// default applies to every route except the probes and /metrics; the others are added on
+// top of it by the routes they protect.
+const DEFAULT_POLICIES = {
+    default: { limit: 300, windowSeconds: 60, key: 'ip' },
+    register: { limit: 5, windowSeconds: 60 * 60, key: 'ip' },
+    authenticate: { limit: 20, windowSeconds: 60, key: 'ip' },
+    passwordReset: { limit: 5, windowSeconds: 15 * 60, key: 'ip' },
+    verificationEmail: { limit: 5, windowSeconds: 15 * 60, key: 'ip' },
+    profileList: { limit: 60, windowSeconds: 60, key: 'user' },
+};
+
+function configFromEnv(env = process.env) {
+    const overrides = env.RATE_LIMIT_POLICIES ? JSON.parse(env.RATE_LIMIT_POLICIES) : {};
+    const policies = {};
+    for (const name of new Set([...Object.keys(DEFAULT_POLICIES), ...Object.keys(overrides)])) {
+        policies[name] = { ...DEFAULT_POLICIES[name], ...overrides[name] };
+    }
+    return {
+        enabled: env.RATE_LIMIT_ENABLED !== 'false',
+        policies,
+        allowList: (env.RATE_LIMIT_ALLOWLIST || '').split(',').map(entry => entry.trim()).filter(Boolean),
+    };
+}
+
+const rateLimiter = createRateLimiter({
+    store: keyValueStore,
+    config: configFromEnv(),
+    onLimited: (policy) => rateLimited.inc({ policy }),
+});
+
+const rateLimit = (policyName) => rateLimiter.limit(policyName);
+
+module.exports = { rateLimiter, rateLimit, configFromEnv, DEFAULT_POLICIES };
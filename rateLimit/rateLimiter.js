@@ -0,0 +1,101 @@
+// rateLimit/rateLimiter.js
+// Token-bucket rate limiting with named policies. A policy allows `limit` requests per
+// `windowSeconds` (bursts of up to `limit`, refilled evenly over the window) for each
+// client, where the client is identified by `key`:
+//   ip       req.ip (set TRUST_PROXY behind a proxy, see app.js)
+//   user     the authenticated caller; falls back to the IP before authentication
+//   apiKey   the id of the authenticated API key, so place such policies after requireCaller;
+//            falls back to the IP when the request carries no valid key (made-up keys must
+//            not each get a fresh budget)
+//
+// Every limited response carries the RateLimit-Limit / -Remaining / -Reset and
+// RateLimit-Policy headers; rejected requests get 429 with Retry-After.
+const net = require('net');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'Rate Limit' });
+
+const KEY_TYPES = ['ip', 'user', 'apiKey'];
+
+// Normalizes IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) so IPv4 rules match them.
+function normalizeIp(ip) {
+    const address = String(ip || '');
+    return address.startsWith('::ffff:') && net.isIPv4(address.slice(7)) ? address.slice(7) : address;
+}
+
+// Builds a matcher for allow-list entries: single addresses or CIDR ranges, IPv4 or IPv6.
+function createAllowList(entries = []) {
+    const blockList = new net.BlockList();
+    for (const entry of entries) {
+        const [address, prefix] = entry.split('/');
+        const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+        if (!net.isIP(address)) throw new Error(`Invalid rate limit allow-list entry "${entry}"`);
+        if (prefix === undefined) blockList.addAddress(address, family);
+        else blockList.addSubnet(address, Number(prefix), family);
+    }
+    return (ip) => {
+        const address = normalizeIp(ip);
+        if (!net.isIP(address)) return false;
+        return blockList.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+    };
+}
+
+function clientKey(req, keyType) {
+    if (keyType === 'user' && req.caller) return `user:${req.caller.id}`;
+    if (keyType === 'apiKey' && req.caller && req.caller.source === 'api_key') return `apikey:${req.caller.id}`;
+    return `ip:${normalizeIp(req.ip)}`;
+}
+
+function validatePolicy(name, policy) {
+    if (!(policy.limit > 0) || !(policy.windowSeconds > 0)) {
+        throw new Error(`Rate limit policy "${name}" needs a positive limit and windowSeconds`);
+    }
+    if (!KEY_TYPES.includes(policy.key)) {
+        throw new Error(`Rate limit policy "${name}" has unknown key "${policy.key}". Expected one of: ${KEY_TYPES.join(', ')}.`);
+    }
+}
+
+// config: { enabled, policies: { name: { limit, windowSeconds, key } }, allowList: [ip | cidr] }
+// onLimited(policyName) is called for every rejected request (metrics).
+function createRateLimiter({ store, config, onLimited = () => {} }) {
+    for (const [name, policy] of Object.entries(config.policies)) validatePolicy(name, policy);
+    const isAllowListed = createAllowList(config.allowList);
+
+    // Middleware enforcing the named policy. The policy is looked up per request so
+    // configuration changes apply without rebuilding the routes.
+    function limit(policyName) {
+        const middleware = async (req, res, next) => {
+            const policy = config.policies[policyName];
+            if (!config.enabled || !policy || isAllowListed(req.ip)) return next();
+
+            let result;
+            try {
+                result = await store.takeTokens(`ratelimit:${policyName}:${clientKey(req, policy.key)}`, {
+                    capacity: policy.limit,
+                    refillPerSecond: policy.limit / policy.windowSeconds,
+                });
+            } catch (error) {
+                // Fail open: an unreachable store must not take the whole API down
+                log.error('Rate limit store unavailable; allowing request', { policy: policyName, error });
+                return next();
+            }
+
+            res.set('RateLimit-Limit', String(policy.limit));
+            res.set('RateLimit-Remaining', String(result.remaining));
+            res.set('RateLimit-Reset', String(Math.ceil(result.resetMs / 1000)));
+            res.set('RateLimit-Policy', `${policy.limit};w=${policy.windowSeconds}`);
+            if (result.allowed) return next();
+
+            onLimited(policyName);
+            log.warn('Rate limit exceeded', { policy: policyName, key: policy.key, ip: req.ip, callerId: req.caller && req.caller.id });
+            res.set('Retry-After', String(Math.max(1, Math.ceil(result.retryAfterMs / 1000))));
+            res.status(429).json({ error: 'Too many requests. Try again later.' });
+        };
+        // Marker for the API document (see openapi/document.js)
+        middleware.openapi = { rateLimit: policyName };
+        return middleware;
+    }
+
+    return { config, limit, isAllowListed };
+}
+
+module.exports = { createRateLimiter, createAllowList, KEY_TYPES };
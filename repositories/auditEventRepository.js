@@ -0,0 +1,99 @@
+// repositories/auditEventRepository.js
+// Append-only store for the audit trail ('audit_events' table), backed by Supabase
+// or process memory following USER_STORE. There is deliberately no update or delete.
+//
+//   append(event)        -> stored event (id and created_at filled in)
+//   search({ actorId, targetUserId, action, since, until, limit, offset, order })
+//                        -> { events, total }; since/until are inclusive ISO timestamps,
+//                           order 'desc' (newest first, default) or 'asc'
+//   deleteAll()          -> removes every event (memory adapter only, for test setup)
+require('dotenv').config();
+const { randomUUID } = require('crypto');
+const { RepositoryError } = require('./errors');
+
+function createMemoryAuditEventRepository() {
+    let events = [];
+
+    return {
+        async append(event) {
+            const stored = { id: randomUUID(), created_at: new Date().toISOString(), ...event };
+            events.push(stored);
+            return { ...stored };
+        },
+
+        async search({ actorId, targetUserId, action, since, until, limit, offset = 0, order = 'desc' }) {
+            const direction = order === 'asc' ? 1 : -1;
+            const matching = events
+                .filter(event => !actorId || event.actor_id === actorId)
+                .filter(event => !targetUserId || event.target_user_id === targetUserId)
+                .filter(event => !action || event.action === action)
+                .filter(event => !since || event.created_at >= since)
+                .filter(event => !until || event.created_at <= until)
+                // Insertion order breaks ties between events recorded in the same millisecond
+                .map((event, index) => ({ event, index }))
+                .sort((a, b) => {
+                    if (a.event.created_at !== b.event.created_at) return a.event.created_at > b.event.created_at ? direction : -direction;
+                    return (a.index - b.index) * direction;
+                })
+                .map(({ event }) => ({ ...event }));
+            return { events: matching.slice(offset, offset + limit), total: matching.length };
+        },
+
+        async deleteAll() {
+            events = [];
+        },
+    };
+}
+
+function createSupabaseAuditEventRepository(supabase) {
+    // Required lazily for the same reason as in supabaseUserRepository.js.
+    const client = () => supabase || (supabase = require('../supabaseClient'));
+
+    function check(operation, error) {
+        if (error) throw new RepositoryError(`Supabase audit_events.${operation} failed: ${error.message}`, error);
+    }
+
+    return {
+        async append(event) {
+            const { data, error } = await client().from('audit_events').insert([event]).select();
+            check('append', error);
+            return data[0];
+        },
+
+        async search({ actorId, targetUserId, action, since, until, limit, offset = 0, order = 'desc' }) {
+            let query = client().from('audit_events').select('*', { count: 'exact' });
+            if (actorId) query = query.eq('actor_id', actorId);
+            if (targetUserId) query = query.eq('target_user_id', targetUserId);
+            if (action) query = query.eq('action', action);
+            if (since) query = query.gte('created_at', since);
+            if (until) query = query.lte('created_at', until);
+            const ascending = order === 'asc';
+            const { data, error, count } = await query
+                .order('created_at', { ascending })
+                .order('seq', { ascending })
+                .range(offset, offset + limit - 1);
+            check('search', error);
+            return { events: data || [], total: count || 0 };
+        },
+
+        // The table's trigger rejects deletes, so there is nothing to offer here.
+        async deleteAll() {
+            throw new RepositoryError('audit_events is append-only; truncate it in the test database instead');
+        },
+    };
+}
+
+const adapters = {
+    supabase: createSupabaseAuditEventRepository,
+    memory: createMemoryAuditEventRepository,
+};
+
+function createAuditEventRepository(store = process.env.USER_STORE || 'supabase') {
+    const factory = adapters[store];
+    if (!factory) {
+        throw new Error(`Unknown USER_STORE "${store}". Expected one of: ${Object.keys(adapters).join(', ')}.`);
+    }
+    return factory();
+}
+
+module.exports = { createAuditEventRepository, createMemoryAuditEventRepository, createSupabaseAuditEventRepository };
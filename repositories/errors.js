@@ -0,0 +1,23 @@
+// repositories/errors.js
+// Errors thrown by the user repository adapters. Routes translate these into
+// HTTP status codes, so every adapter must throw the same types regardless of
+// the storage backend underneath.
+
+// Thrown when a create/update would violate the unique username/email constraint.
+class DuplicateUserError extends Error {
+    constructor(message = 'Username or email already exists') {
+        super(message);
+        this.name = 'DuplicateUserError';
+    }
+}
+
+// Thrown for any other storage failure. The original backend error is kept on `cause`.
+class RepositoryError extends Error {
+    constructor(message, cause) {
+        super(message);
+        this.name = 'RepositoryError';
+        this.cause = cause;
+    }
+}
+
+module.exports = { DuplicateUserError, RepositoryError };
@@ -0,0 +1,62 @@
+// repositories/index.js
+// Selects the user repository adapter from the USER_STORE environment variable.
+//
+// Every adapter implements the same interface:
+//   findByIdentifier(identifier)            -> user incl. password_hash, or null (matches username or email)
+//   findById(id)                            -> profile or null
+//   findCredentialsById(id)                 -> user incl. password_hash, or null
+//   existsByUsernameOrEmail(username, email) -> boolean
+//   create({ username, email, password_hash, role, roles }) -> profile (throws DuplicateUserError)
+//   update(id, fields)                      -> profile or null when not found (throws DuplicateUserError);
+//                                              fields may include password_hash, role, roles and
+//                                              the optional profile columns
+//   softDelete(id)                          -> profile incl. deleted_at, or null when missing/already deleted
+//   findDeletedById(id)                     -> soft-deleted profile incl. deleted_at, or null
+//   restore(id)                             -> profile after clearing deleted_at, or null when not soft-deleted
+//   findDeletedBefore(cutoff)               -> [{ id, deleted_at }] soft-deleted at or before the ISO cutoff
+//   delete(id)                              -> true if a user was removed (hard delete)
+//   list()                                  -> array of profiles
+//   search({ limit, offset, after, role, createdAfter, createdBefore, sort, order, q })
+//                                           -> { profiles, total }; role matches any of a user's roles,
+//                                              q matches username/email case-insensitively,
+//                                              sort is a column name and order 'asc' | 'desc';
+//                                              after is a profile to resume behind in (sort, id)
+//                                              order (keyset paging, used instead of offset)
+//   countWithRole(role)                     -> number of users holding role, soft-deleted ones included
+//   ping()                                  -> resolves when the store is reachable, throws otherwise
+//   deleteAll()                             -> removes every user (test setup only)
+// Profiles never include password_hash. roles lists every role of the user and role is the
+// first of them (see roles.js); users without either get the single role 'user'.
+// email_verified_at is null until the address is verified. display_name, bio, phone, locale,
+// timezone and avatar_url are null until set; notification_preferences is always a full
+// { email, sms, push, marketing } object of booleans.
+// Soft-deleted users are invisible to every lookup, list and update except the
+// *Deleted* methods, but still count for existsByUsernameOrEmail (names stay reserved) and
+// countWithRole (they get their roles back when restored).
+require('dotenv').config();
+
+const { createSupabaseUserRepository } = require('./supabaseUserRepository');
+const { createMemoryUserRepository } = require('./memoryUserRepository');
+const { DuplicateUserError, RepositoryError } = require('./errors');
+
+const adapters = {
+    supabase: createSupabaseUserRepository,
+    memory: createMemoryUserRepository,
+};
+
+function createUserRepository(store = process.env.USER_STORE || 'supabase') {
+    const factory = adapters[store];
+    if (!factory) {
+        throw new Error(`Unknown USER_STORE "${store}". Expected one of: ${Object.keys(adapters).join(', ')}.`);
+    }
+    return factory();
+}
+
+const userRepository = createUserRepository();
+
+module.exports = {
+    userRepository,
+    createUserRepository,
+    DuplicateUserError,
+    RepositoryError,
+};
@@ -0,0 +1,176 @@
+// repositories/memoryUserRepository.js
+// In-process user repository for tests and offline local development.
+// Data lives only as long as the Node process and is never shared between instances.
+const { randomUUID } = require('crypto');
+const { DuplicateUserError } = require('./errors');
+const { withRoles } = require('./roles');
+
+// Column default of users.notification_preferences (migration 0015)
+const NOTIFICATION_DEFAULTS = { email: true, sms: false, push: true, marketing: false };
+
+// Mirror the columns the Supabase adapter selects so both adapters return the same shape.
+function toProfile(user) {
+    const {
+        id, username, email, created_at, role, roles, email_verified_at,
+        display_name, bio, phone, locale, timezone, notification_preferences, avatar_url,
+    } = user;
+    return {
+        id, username, email, created_at, role, roles: [...roles], email_verified_at,
+        display_name, bio, phone, locale, timezone, notification_preferences: { ...notification_preferences }, avatar_url,
+    };
+}
+
+function createMemoryUserRepository() {
+    const users = new Map(); // id -> full row, including password_hash and deleted_at
+
+    // Live (not soft-deleted) user by id, or undefined.
+    function active(id) {
+        const user = users.get(id);
+        return user && !user.deleted_at ? user : undefined;
+    }
+
+    function activeUsers() {
+        return Array.from(users.values()).filter(user => !user.deleted_at);
+    }
+
+    function assertUnique(username, email, ignoreId) {
+        for (const user of users.values()) {
+            if (user.id === ignoreId) continue;
+            if (user.username === username || user.email === email) {
+                throw new DuplicateUserError();
+            }
+        }
+    }
+
+    return {
+        async findByIdentifier(identifier) {
+            for (const user of activeUsers()) {
+                if (user.username === identifier || user.email === identifier) {
+                    return { ...toProfile(user), password_hash: user.password_hash };
+                }
+            }
+            return null;
+        },
+
+        async findById(id) {
+            const user = active(id);
+            return user ? toProfile(user) : null;
+        },
+
+        async findCredentialsById(id) {
+            const user = active(id);
+            return user ? { ...toProfile(user), password_hash: user.password_hash } : null;
+        },
+
+        async existsByUsernameOrEmail(username, email) {
+            for (const user of users.values()) {
+                if (user.username === username || user.email === email) return true;
+            }
+            return false;
+        },
+
+        async create({ username, email, password_hash, role, roles }) {
+            assertUnique(username, email);
+            const now = new Date().toISOString();
+            const user = {
+                id: randomUUID(),
+                username,
+                email,
+                password_hash,
+                ...withRoles({ role: role || 'user', roles }),
+                email_verified_at: null,
+                display_name: null,
+                bio: null,
+                phone: null,
+                locale: null,
+                timezone: null,
+                notification_preferences: { ...NOTIFICATION_DEFAULTS },
+                avatar_url: null,
+                deleted_at: null,
+                created_at: now,
+                updated_at: now,
+            };
+            users.set(user.id, user);
+            return toProfile(user);
+        },
+
+        async update(id, fields) {
+            const user = active(id);
+            if (!user) return null;
+            const next = { ...user, ...withRoles(fields), id, updated_at: new Date().toISOString() };
+            assertUnique(next.username, next.email, id);
+            users.set(id, next);
+            return toProfile(next);
+        },
+
+        async softDelete(id) {
+            const user = active(id);
+            if (!user) return null;
+            const deletedAt = new Date().toISOString();
+            users.set(id, { ...user, deleted_at: deletedAt, updated_at: deletedAt });
+            return { ...toProfile(user), deleted_at: deletedAt };
+        },
+
+        async findDeletedById(id) {
+            const user = users.get(id);
+            return user && user.deleted_at ? { ...toProfile(user), deleted_at: user.deleted_at } : null;
+        },
+
+        async restore(id) {
+            const user = users.get(id);
+            if (!user || !user.deleted_at) return null;
+            const restored = { ...user, deleted_at: null, updated_at: new Date().toISOString() };
+            users.set(id, restored);
+            return toProfile(restored);
+        },
+
+        async findDeletedBefore(cutoff) {
+            return Array.from(users.values())
+                .filter(user => user.deleted_at && user.deleted_at <= cutoff)
+                .map(user => ({ id: user.id, deleted_at: user.deleted_at }));
+        },
+
+        async delete(id) {
+            return users.delete(id);
+        },
+
+        async list() {
+            return activeUsers().map(toProfile);
+        },
+
+        async search({ limit, offset = 0, after, role, createdAfter, createdBefore, sort = 'created_at', order = 'asc', q }) {
+            const needle = q ? q.toLowerCase() : null;
+            const direction = order === 'asc' ? 1 : -1;
+            const compare = (a, b) => {
+                if (a[sort] !== b[sort]) return a[sort] > b[sort] ? direction : -direction;
+                if (a.id === b.id) return 0;
+                return a.id > b.id ? 1 : -1;
+            };
+            const matching = activeUsers()
+                .filter(user => !role || user.roles.includes(role))
+                .filter(user => !createdAfter || user.created_at >= createdAfter)
+                .filter(user => !createdBefore || user.created_at <= createdBefore)
+                .filter(user => !needle
+                    || user.username.toLowerCase().includes(needle)
+                    || user.email.toLowerCase().includes(needle))
+                .filter(user => !after || compare(user, after) > 0)
+                .sort(compare);
+            return {
+                profiles: matching.slice(offset, offset + limit).map(toProfile),
+                total: matching.length,
+            };
+        },
+
+        async countWithRole(role) {
+            return Array.from(users.values()).filter(user => user.roles.includes(role)).length;
+        },
+
+        async ping() {},
+
+        async deleteAll() {
+            users.clear();
+        },
+    };
+}
+
+module.exports = { createMemoryUserRepository };
@@ -0,0 +1,32 @@
+// repositories/passwordResetTokenRepository.js
+// Persists single-use password reset tokens (hashed) in the 'password_reset_tokens' table.
+const { getTable } = require('./tables');
+
+function createPasswordResetTokenRepository(table = getTable('password_reset_tokens')) {
+    return {
+        async create({ user_id, token_hash, expires_at }) {
+            return table.insert({ user_id, token_hash, expires_at, used_at: null });
+        },
+
+        async findByHash(token_hash) {
+            return table.findOne({ token_hash });
+        },
+
+        // Compare-and-set: returns false when the token was already used, so of two
+        // concurrent resets with the same link only one gets through.
+        async markUsed(id) {
+            const rows = await table.update({ id, used_at: null }, { used_at: new Date().toISOString() });
+            return rows.length > 0;
+        },
+
+        // Invalidates every outstanding token of a user, so only the newest link works.
+        async invalidateAllForUser(user_id) {
+            const usedAt = new Date().toISOString();
+            for (const row of await table.find({ user_id })) {
+                if (!row.used_at) await table.update({ id: row.id }, { used_at: usedAt });
+            }
+        },
+    };
+}
+
+module.exports = { createPasswordResetTokenRepository };
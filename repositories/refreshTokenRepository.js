@@ -0,0 +1,45 @@
+// repositories/refreshTokenRepository.js
+// Persists refresh tokens (hashed) in the 'refresh_tokens' table.
+// Tokens issued from the same login share a family_id; rotating a token marks
+// the old row revoked and links it to its replacement through replaced_by.
+const { getTable } = require('./tables');
+
+function createRefreshTokenRepository(table = getTable('refresh_tokens')) {
+    return {
+        // `id` may be chosen by the caller so a rotation can claim the old row first
+        async create({ id, user_id, family_id, token_hash, expires_at }) {
+            return table.insert({ ...(id ? { id } : {}), user_id, family_id, token_hash, expires_at, revoked_at: null, replaced_by: null });
+        },
+
+        async findByHash(token_hash) {
+            return table.findOne({ token_hash });
+        },
+
+        // Compare-and-set: only a still-live row is marked. Returns false when the token
+        // was rotated or revoked in the meantime, i.e. another request got there first.
+        async markRotated(id, replacedBy) {
+            const rows = await table.update({ id, revoked_at: null }, { revoked_at: new Date().toISOString(), replaced_by: replacedBy });
+            return rows.length > 0;
+        },
+
+        async revokeFamily(family_id) {
+            const rows = await table.find({ family_id });
+            await revokeRows(rows);
+        },
+
+        async revokeAllForUser(user_id) {
+            const rows = await table.find({ user_id });
+            await revokeRows(rows);
+        },
+    };
+
+    // Only touch rows that are still live so rotation timestamps are preserved.
+    async function revokeRows(rows) {
+        const revokedAt = new Date().toISOString();
+        for (const row of rows) {
+            if (!row.revoked_at) await table.update({ id: row.id }, { revoked_at: revokedAt });
+        }
+    }
+}
+
+module.exports = { createRefreshTokenRepository };
@@ -0,0 +1,13 @@
+// repositories/roles.js
+// users.roles lists every role a user holds; users.role is kept as the first of them
+// for clients written before users could hold several. Both adapters store the two
+// columns through withRoles so they never disagree.
+
+// `roles` wins when both are given; `role` alone replaces the roles with just that role.
+function withRoles(fields) {
+    if (fields.roles !== undefined) return { ...fields, role: fields.roles[0] };
+    if (fields.role !== undefined) return { ...fields, roles: [fields.role] };
+    return fields;
+}
+
+module.exports = { withRoles };
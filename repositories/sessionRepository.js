@@ -0,0 +1,39 @@
+// repositories/sessionRepository.js
+// Persists login sessions in the 'sessions' table. A session is created by each successful
+// login; its id is the family_id of the refresh tokens issued for it (see refreshTokenRepository.js).
+const { getTable } = require('./tables');
+
+function createSessionRepository(table = getTable('sessions')) {
+    return {
+        async create({ user_id, user_agent, ip, expires_at }) {
+            const now = new Date().toISOString();
+            return table.insert({ user_id, user_agent, ip, created_at: now, last_seen_at: now, expires_at, revoked_at: null, revoked_reason: null });
+        },
+
+        async findById(id) {
+            return table.findOne({ id });
+        },
+
+        async findByUser(user_id) {
+            return table.find({ user_id }, { orderBy: 'last_seen_at', ascending: false });
+        },
+
+        async update(id, patch) {
+            const [row] = await table.update({ id }, patch);
+            return row || null;
+        },
+
+        // Revokes the given sessions unless already revoked; returns the ones revoked now.
+        async revoke(sessions, reason) {
+            const revokedAt = new Date().toISOString();
+            const revoked = [];
+            for (const session of sessions) {
+                if (session.revoked_at) continue;
+                revoked.push(...await table.update({ id: session.id }, { revoked_at: revokedAt, revoked_reason: reason }));
+            }
+            return revoked;
+        },
+    };
+}
+
+module.exports = { createSessionRepository };
@@ -0,0 +1,240 @@
+// repositories/supabaseUserRepository.js
+// User repository backed by the Supabase 'users' table.
+const { DuplicateUserError, RepositoryError } = require('./errors');
+const { withRoles } = require('./roles');
+
+const PROFILE_COLUMNS = 'id, username, email, created_at, role, roles, email_verified_at, '
+    + 'display_name, bio, phone, locale, timezone, notification_preferences, avatar_url';
+
+// PostgREST returns PGRST116 when .single() matches no rows, 23505 is the
+// PostgreSQL unique violation code.
+const NO_ROWS = 'PGRST116';
+const UNIQUE_VIOLATION = '23505';
+
+// Quotes a value for use inside a PostgREST or=(...) filter, so commas, dots and
+// parentheses in user input are taken literally.
+function quoteFilterValue(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// or=(...) filter matching rows where any of the given columns equals its value,
+// e.g. anyEquals({ username: 'a', email: 'b' }) -> 'username.eq."a",email.eq."b"'.
+// Never interpolate user input into .or() without going through quoteFilterValue.
+function anyEquals(conditions) {
+    return Object.entries(conditions)
+        .map(([column, value]) => `${column}.eq.${quoteFilterValue(value)}`)
+        .join(',');
+}
+
+// Escapes LIKE wildcards so a search for "50%" matches the literal text.
+function escapeLike(value) {
+    return String(value).replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+function toRepositoryError(operation, error) {
+    if (error.code === UNIQUE_VIOLATION) {
+        return new DuplicateUserError();
+    }
+    return new RepositoryError(`Supabase ${operation} failed: ${error.message}`, error);
+}
+
+function createSupabaseUserRepository(supabase) {
+    // Require the client lazily so that selecting another adapter never
+    // trips the missing SUPABASE_URL check in supabaseClient.js.
+    const client = () => supabase || (supabase = require('../supabaseClient'));
+
+    return {
+        async findByIdentifier(identifier) {
+            const { data, error } = await client()
+                .from('users')
+                .select(`${PROFILE_COLUMNS}, password_hash`)
+                .or(anyEquals({ username: identifier, email: identifier }))
+                .is('deleted_at', null)
+                .limit(1);
+            if (error) throw toRepositoryError('findByIdentifier', error);
+            return data && data.length > 0 ? data[0] : null;
+        },
+
+        async findById(id) {
+            const { data, error } = await client()
+                .from('users')
+                .select(PROFILE_COLUMNS)
+                .eq('id', id)
+                .is('deleted_at', null)
+                .single();
+            if (error) {
+                if (error.code === NO_ROWS) return null;
+                throw toRepositoryError('findById', error);
+            }
+            return data || null;
+        },
+
+        async findCredentialsById(id) {
+            const { data, error } = await client()
+                .from('users')
+                .select(`${PROFILE_COLUMNS}, password_hash`)
+                .eq('id', id)
+                .is('deleted_at', null)
+                .limit(1);
+            if (error) throw toRepositoryError('findCredentialsById', error);
+            return data && data.length > 0 ? data[0] : null;
+        },
+
+        async existsByUsernameOrEmail(username, email) {
+            const { data, error } = await client()
+                .from('users')
+                .select('id')
+                .or(anyEquals({ username, email }));
+            if (error) throw toRepositoryError('existsByUsernameOrEmail', error);
+            return Boolean(data && data.length > 0);
+        },
+
+        async create({ username, email, password_hash, role, roles }) {
+            // Leave the roles out when unset so the column defaults ('user') apply.
+            const row = withRoles({ username, email, password_hash, role: role || undefined, roles });
+            const { data, error } = await client()
+                .from('users')
+                .insert([row])
+                .select(PROFILE_COLUMNS);
+            if (error) throw toRepositoryError('create', error);
+            if (!data || data.length === 0) {
+                throw new RepositoryError('Supabase create failed: no data returned after insert');
+            }
+            return data[0];
+        },
+
+        async update(id, fields) {
+            const { data, error } = await client()
+                .from('users')
+                .update({ ...withRoles(fields), updated_at: new Date().toISOString() })
+                .eq('id', id)
+                .is('deleted_at', null)
+                .select(PROFILE_COLUMNS);
+            if (error) {
+                if (error.code === NO_ROWS) return null;
+                throw toRepositoryError('update', error);
+            }
+            return data && data.length > 0 ? data[0] : null;
+        },
+
+        async softDelete(id) {
+            const deletedAt = new Date().toISOString();
+            const { data, error } = await client()
+                .from('users')
+                .update({ deleted_at: deletedAt, updated_at: deletedAt })
+                .eq('id', id)
+                .is('deleted_at', null)
+                .select(`${PROFILE_COLUMNS}, deleted_at`);
+            if (error) throw toRepositoryError('softDelete', error);
+            return data && data.length > 0 ? data[0] : null;
+        },
+
+        async findDeletedById(id) {
+            const { data, error } = await client()
+                .from('users')
+                .select(`${PROFILE_COLUMNS}, deleted_at`)
+                .eq('id', id)
+                .not('deleted_at', 'is', null)
+                .limit(1);
+            if (error) throw toRepositoryError('findDeletedById', error);
+            return data && data.length > 0 ? data[0] : null;
+        },
+
+        async restore(id) {
+            const { data, error } = await client()
+                .from('users')
+                .update({ deleted_at: null, updated_at: new Date().toISOString() })
+                .eq('id', id)
+                .not('deleted_at', 'is', null)
+                .select(PROFILE_COLUMNS);
+            if (error) throw toRepositoryError('restore', error);
+            return data && data.length > 0 ? data[0] : null;
+        },
+
+        async findDeletedBefore(cutoff) {
+            const { data, error } = await client()
+                .from('users')
+                .select('id, deleted_at')
+                .lte('deleted_at', cutoff);
+            if (error) throw toRepositoryError('findDeletedBefore', error);
+            return data || [];
+        },
+
+        async delete(id) {
+            const { data, error } = await client()
+                .from('users')
+                .delete()
+                .eq('id', id)
+                .select('id');
+            if (error) {
+                if (error.code === NO_ROWS) return false;
+                throw toRepositoryError('delete', error);
+            }
+            return Boolean(data && data.length > 0);
+        },
+
+        async list() {
+            const { data, error } = await client()
+                .from('users')
+                .select(PROFILE_COLUMNS)
+                .is('deleted_at', null);
+            if (error) throw toRepositoryError('list', error);
+            return data || [];
+        },
+
+        async search({ limit, offset = 0, after, role, createdAfter, createdBefore, sort = 'created_at', order = 'asc', q }) {
+            let query = client()
+                .from('users')
+                .select(PROFILE_COLUMNS, { count: 'exact' })
+                .is('deleted_at', null);
+            if (role) query = query.contains('roles', [role]);
+            if (createdAfter) query = query.gte('created_at', createdAfter);
+            if (createdBefore) query = query.lte('created_at', createdBefore);
+            if (q) {
+                const pattern = quoteFilterValue(`%${escapeLike(q)}%`);
+                query = query.or(`username.ilike.${pattern},email.ilike.${pattern}`);
+            }
+            if (after) {
+                // Rows behind `after` in (sort, id) order; id breaks ties ascending as below
+                const value = quoteFilterValue(after[sort]);
+                const beyond = order === 'asc' ? 'gt' : 'lt';
+                query = query.or(`${sort}.${beyond}.${value},and(${sort}.eq.${value},id.gt.${quoteFilterValue(after.id)})`);
+            }
+            const { data, error, count } = await query
+                .order(sort, { ascending: order === 'asc' })
+                .order('id', { ascending: true })
+                .range(offset, offset + limit - 1);
+            if (error) throw toRepositoryError('search', error);
+            return { profiles: data || [], total: count || 0 };
+        },
+
+        async countWithRole(role) {
+            const { error, count } = await client()
+                .from('users')
+                .select('id', { count: 'exact', head: true })
+                .contains('roles', [role]);
+            if (error) throw toRepositoryError('countWithRole', error);
+            return count || 0;
+        },
+
+        // Cheapest query that proves the table is reachable (HEAD request, no rows returned).
+        async ping() {
+            const { error } = await client()
+                .from('users')
+                .select('id', { count: 'exact', head: true })
+                .limit(1);
+            if (error) throw toRepositoryError('ping', error);
+        },
+
+        // Removes every user. Only meant for resetting a dedicated test database.
+        async deleteAll() {
+            const { error } = await client()
+                .from('users')
+                .delete()
+                .neq('id', '00000000-0000-0000-0000-000000000000');
+            if (error) throw toRepositoryError('deleteAll', error);
+        },
+    };
+}
+
+module.exports = { createSupabaseUserRepository };
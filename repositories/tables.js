@@ -0,0 +1,140 @@
+// repositories/tables.js
+// Minimal table abstraction for the service's auxiliary data (tokens, logs, jobs...).
+// Like the user repository it is backed either by Supabase or by process memory,
+// following USER_STORE, so every feature store only has to be written once.
+//
+// A table exposes:
+//   insert(row)                         -> inserted row (id and created_at filled in when missing)
+//   find(match, { orderBy, ascending, limit, atOrBefore })
+//                                       -> rows whose columns equal every value in `match`;
+//                                          atOrBefore { column: value } also requires
+//                                          column <= value (ISO timestamps), NULL never matches
+//   findOne(match)                      -> first matching row or null
+//   update(match, patch)                -> updated rows
+//   remove(match)                       -> removed rows
+// `match` is a plain object of column -> value equality checks; an empty object matches every row.
+// A null value matches rows where the column IS NULL, so update({ id, used_at: null }, ...)
+// works as a compare-and-set: it only changes the row when nobody else has set the column yet.
+require('dotenv').config();
+const { randomUUID } = require('crypto');
+const { RepositoryError } = require('./errors');
+
+function matches(row, match) {
+    return Object.entries(match).every(([column, value]) => (value === null ? row[column] == null : row[column] === value));
+}
+
+function sortRows(rows, orderBy, ascending = true) {
+    if (!orderBy) return rows;
+    const direction = ascending ? 1 : -1;
+    return rows.sort((a, b) => {
+        if (a[orderBy] === b[orderBy]) return 0;
+        return a[orderBy] > b[orderBy] ? direction : -direction;
+    });
+}
+
+function createMemoryTable() {
+    let rows = [];
+
+    return {
+        async insert(row) {
+            const stored = { id: randomUUID(), created_at: new Date().toISOString(), ...row };
+            rows.push(stored);
+            return { ...stored };
+        },
+
+        async find(match = {}, { orderBy, ascending, limit, atOrBefore = {} } = {}) {
+            const found = sortRows(rows
+                .filter(row => matches(row, match))
+                .filter(row => Object.entries(atOrBefore).every(([column, value]) => row[column] != null && row[column] <= value))
+                .map(row => ({ ...row })), orderBy, ascending);
+            return limit ? found.slice(0, limit) : found;
+        },
+
+        async findOne(match) {
+            const row = rows.find(candidate => matches(candidate, match));
+            return row ? { ...row } : null;
+        },
+
+        async update(match, patch) {
+            const updated = [];
+            rows = rows.map(row => {
+                if (!matches(row, match)) return row;
+                const next = { ...row, ...patch };
+                updated.push({ ...next });
+                return next;
+            });
+            return updated;
+        },
+
+        async remove(match) {
+            const removed = rows.filter(row => matches(row, match));
+            rows = rows.filter(row => !matches(row, match));
+            return removed;
+        },
+    };
+}
+
+function createSupabaseTable(name, supabase) {
+    // Required lazily for the same reason as in supabaseUserRepository.js.
+    const client = () => supabase || (supabase = require('../supabaseClient'));
+
+    // PostgREST's eq never matches NULL; those columns need an IS NULL filter instead.
+    function where(query, match) {
+        const nulls = Object.keys(match).filter(column => match[column] === null);
+        let filtered = query.match(Object.fromEntries(Object.entries(match).filter(([, value]) => value !== null)));
+        for (const column of nulls) filtered = filtered.is(column, null);
+        return filtered;
+    }
+
+    function check(operation, { data, error }) {
+        if (error) throw new RepositoryError(`Supabase ${name}.${operation} failed: ${error.message}`, error);
+        return data || [];
+    }
+
+    return {
+        async insert(row) {
+            const data = check('insert', await client().from(name).insert([row]).select());
+            return data[0];
+        },
+
+        async find(match = {}, { orderBy, ascending = true, limit, atOrBefore = {} } = {}) {
+            let query = where(client().from(name).select('*'), match);
+            for (const [column, value] of Object.entries(atOrBefore)) query = query.lte(column, value);
+            if (orderBy) query = query.order(orderBy, { ascending });
+            if (limit) query = query.limit(limit);
+            return check('find', await query);
+        },
+
+        async findOne(match) {
+            const data = check('findOne', await where(client().from(name).select('*'), match).limit(1));
+            return data[0] || null;
+        },
+
+        async update(match, patch) {
+            return check('update', await where(client().from(name).update(patch), match).select());
+        },
+
+        async remove(match) {
+            return check('remove', await where(client().from(name).delete(), match).select());
+        },
+    };
+}
+
+const tables = new Map();
+
+// Returns the (cached) table for `name` using the configured store.
+function getTable(name, store = process.env.USER_STORE || 'supabase') {
+    const key = `${store}:${name}`;
+    if (!tables.has(key)) {
+        if (store === 'memory') {
+            tables.set(key, createMemoryTable());
+        } else if (store === 'supabase') {
+            tables.set(key, createSupabaseTable(name));
+        } else {
+            throw new Error(`Unknown USER_STORE "${store}". Expected one of: supabase, memory.`);
+        }
+    }
+    return tables.get(key);
+}
+
+module.exports = { getTable, createMemoryTable, createSupabaseTable };
@@ -0,0 +1,84 @@
+// routes/apiKeys.js
+// Admin management of API keys for internal callers (see auth/apiKeyService.js).
+// API keys themselves can never call these routes.
+const express = require('express');
+const { apiKeyService, API_KEY_SCOPES, requireCaller, requirePermission } = require('../auth');
+const { auditRequest } = require('../audit');
+const { validate, optional, string, arrayOf, oneOf, isoDate, uuid } = require('../validation');
+const { describe, ref } = require('../openapi');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'API Keys' });
+
+const router = express.Router();
+
+router.use('/api-keys', requireCaller, requirePermission('api_keys:manage'));
+
+const createKeySchema = {
+    body: {
+        name: string({ max: 100 }),
+        scopes: arrayOf(oneOf(Object.keys(API_KEY_SCOPES))),
+        expiresAt: optional(isoDate()),
+    },
+};
+
+// Create a key (POST /api-keys). The key is only returned in this response.
+router.post('/api-keys', describe({
+    summary: 'Create an API key',
+    description: `Scopes: ${Object.entries(API_KEY_SCOPES).map(([scope, routes]) => `${scope} (${routes.join(', ')})`).join('; ')}.`,
+    tags: ['API keys'],
+    responses: { 201: 'ApiKey', 400: 'Error' },
+}), validate(createKeySchema), async (req, res) => {
+    const { name, scopes, expiresAt } = req.body;
+    if (expiresAt && new Date(expiresAt).getTime() <= Date.now()) {
+        return res.status(400).json({ error: 'expiresAt must be in the future' });
+    }
+
+    try {
+        const apiKey = await apiKeyService.create({
+            name,
+            scopes,
+            expiresAt: expiresAt && new Date(expiresAt).toISOString(),
+            createdBy: req.caller.id,
+        });
+        await auditRequest(req, 'api_key.created', { metadata: { apiKeyId: apiKey.id, name, scopes: apiKey.scopes, expiresAt: apiKey.expiresAt } });
+        res.set('Cache-Control', 'no-store');
+        res.status(201).json(apiKey);
+    } catch (error) {
+        log.error('Error creating API key', { error });
+        res.status(500).json({ error: 'Internal server error creating API key' });
+    }
+});
+
+// List keys, newest first (GET /api-keys). Secrets are never returned.
+router.get('/api-keys', describe({
+    summary: 'List API keys',
+    tags: ['API keys'],
+    responses: { 200: { description: 'All keys, including revoked and expired ones', schema: { type: 'array', items: ref('ApiKey') } } },
+}), async (req, res) => {
+    try {
+        res.status(200).json(await apiKeyService.list());
+    } catch (error) {
+        log.error('Error listing API keys', { error });
+        res.status(500).json({ error: 'Internal server error listing API keys' });
+    }
+});
+
+// Revoke a key (DELETE /api-keys/:id). Takes effect on the next request made with it.
+router.delete('/api-keys/:id', describe({
+    summary: 'Revoke an API key',
+    tags: ['API keys'],
+    responses: { 204: null, 404: 'Error' },
+}), validate({ params: { id: uuid() } }), async (req, res) => {
+    try {
+        if (!(await apiKeyService.revoke(req.params.id))) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+        await auditRequest(req, 'api_key.revoked', { metadata: { apiKeyId: req.params.id } });
+        res.status(204).send();
+    } catch (error) {
+        log.error('Error revoking API key', { error });
+        res.status(500).json({ error: 'Internal server error revoking API key' });
+    }
+});
+
+module.exports = router;
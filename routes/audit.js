@@ -0,0 +1,102 @@
+// routes/audit.js
+// Admin access to the audit trail: a paged query API and an NDJSON export.
+const express = require('express');
+const { requireCaller, requirePermission } = require('../auth');
+const { auditLog, AUDIT_ACTIONS } = require('../audit');
+const { validate, optional, uuid, oneOf, isoDate } = require('../validation');
+const { parsePagination, setPaginationHeaders } = require('./pagination');
+const { drained } = require('./streaming');
+const { describe, paginationParameters, paginationHeaders, ref } = require('../openapi');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'Audit' });
+
+const router = express.Router();
+
+router.use('/audit', requireCaller, requirePermission('audit:read'));
+
+// Filters shared by both endpoints:
+//   actor, target    user IDs of who acted and who was acted on
+//   action           one of AUDIT_ACTIONS (see audit/auditLog.js)
+//   since, until     ISO-8601 time range (inclusive)
+const auditQuerySchema = {
+    query: {
+        actor: optional(uuid()),
+        target: optional(uuid()),
+        action: optional(oneOf(AUDIT_ACTIONS)),
+        since: optional(isoDate()),
+        until: optional(isoDate()),
+    },
+};
+
+function toFilters(query) {
+    return {
+        actorId: query.actor,
+        targetUserId: query.target,
+        action: query.action,
+        since: query.since && new Date(query.since).toISOString(),
+        until: query.until && new Date(query.until).toISOString(),
+    };
+}
+
+// Query events, newest first (GET /audit). Paged like GET /profiles (limit, offset and
+// the X-Total-Count / X-Next-Offset / Link headers).
+router.get('/audit', describe({
+    summary: 'Query audit events, newest first',
+    tags: ['Audit'],
+    parameters: paginationParameters,
+    responses: {
+        200: { description: 'One page of events', schema: { type: 'array', items: ref('AuditEvent') }, headers: paginationHeaders },
+        400: 'Error',
+    },
+}), validate(auditQuerySchema), async (req, res) => {
+    const { limit, offset, error } = parsePagination(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const { events, total } = await auditLog.search({ ...toFilters(req.query), limit, offset });
+        setPaginationHeaders(req, res, { limit, offset, total });
+        res.status(200).json(events);
+    } catch (err) {
+        log.error('Error querying audit log', { error: err });
+        res.status(500).json({ error: 'Internal server error querying audit log' });
+    }
+});
+
+// Export every matching event as newline-delimited JSON, oldest first (GET /audit/export).
+router.get('/audit/export', describe({
+    summary: 'Export audit events as NDJSON, oldest first',
+    tags: ['Audit'],
+    responses: {
+        200: { description: 'One AuditEvent per line', contentType: 'application/x-ndjson', schema: ref('AuditEvent') },
+    },
+}), validate(auditQuerySchema), async (req, res) => {
+    log.info('Exporting audit log', { callerId: req.caller.id });
+
+    let started = false;
+    try {
+        for await (const event of auditLog.exportEvents(toFilters(req.query))) {
+            if (!started) {
+                res.status(200).type('application/x-ndjson');
+                res.set('Content-Disposition', 'attachment; filename="audit.ndjson"');
+                started = true;
+            }
+            // Leaving the loop early closes the event iterator, so a client that disconnects
+            // stops the export instead of leaving it waiting for 'drain' forever
+            if (!res.write(`${JSON.stringify(event)}\n`) && !(await drained(res))) {
+                log.info('Audit export aborted by the client', { callerId: req.caller.id });
+                return;
+            }
+        }
+        if (!started) res.status(200).type('application/x-ndjson');
+        res.end();
+    } catch (err) {
+        log.error('Error exporting audit log', { error: err });
+        // Once streaming has begun the status is sent; cut the response short instead
+        if (started) return res.destroy(err);
+        res.status(500).json({ error: 'Internal server error exporting audit log' });
+    }
+});
+
+module.exports = router;
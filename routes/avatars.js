@@ -0,0 +1,130 @@
+// routes/avatars.js
+// Avatar upload and removal for a user's own profile (or with profiles:write), and the
+// public thumbnail URLs the profile's avatar_url points at (see avatars/).
+const express = require('express');
+const { requireCaller, requireSelfOrPermission } = require('../auth');
+const { userRepository } = require('../repositories');
+const { avatarService, avatarConfig, AvatarError, AVATAR_SIZES, AVATAR_TYPES } = require('../avatars');
+const { auditRequest } = require('../audit');
+const { emitUserEvent } = require('../webhooks');
+const { validate, oneOf } = require('../validation');
+const { fields, userIdParams } = require('../validation/schemas');
+const { describe } = require('../openapi');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'Avatars' });
+
+const router = express.Router();
+
+const thumbnailParams = {
+    params: { userId: fields.userId, file: oneOf(AVATAR_SIZES.map(size => `${size}.webp`)) },
+};
+
+const readImage = express.raw({ type: Object.keys(AVATAR_TYPES), limit: avatarConfig.maxBytes });
+
+// Reads the image body, answering 413 for oversized files and 415 for other content types
+function imageFile(req, res, next) {
+    const type = Object.keys(AVATAR_TYPES).find(candidate => req.is(candidate));
+    if (!type) {
+        return res.status(415).json({ error: `Content-Type must be one of: ${Object.keys(AVATAR_TYPES).join(', ')}` });
+    }
+    readImage(req, res, (error) => {
+        if (error) {
+            const status = error.status === 413 ? 413 : 400;
+            return res.status(status).json({ error: status === 413 ? `Avatars are limited to ${avatarConfig.maxBytes} bytes` : 'Could not read the image' });
+        }
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: 'The image is empty' });
+        }
+        req.imageType = type;
+        next();
+    });
+}
+
+// Upload an avatar (POST /profiles/:userId/avatar). The body is the image itself, sent
+// with its content type. Replaces any previous avatar; avatar_url does not change.
+router.post('/profiles/:userId/avatar', describe({
+    summary: 'Upload an avatar',
+    description: `Send the image as the request body with Content-Type ${Object.keys(AVATAR_TYPES).join(', ')} (at most ${avatarConfig.maxBytes} bytes). It is cropped to a square and stored as ${AVATAR_SIZES.join(', ')} pixel WebP thumbnails; the original is not kept.`,
+    tags: ['Users'],
+    requestBody: {
+        required: true,
+        content: Object.fromEntries(Object.keys(AVATAR_TYPES).map(type => [type, { schema: { type: 'string', format: 'binary' } }])),
+    },
+    responses: { 200: 'Profile', 400: 'Error', 404: 'Error', 413: 'Error', 415: 'Error' },
+}), requireCaller, validate(userIdParams), requireSelfOrPermission('profiles:write'), imageFile, async (req, res) => {
+    const userId = req.params.userId;
+
+    try {
+        const profile = await avatarService.upload(userId, req.body, req.imageType);
+        if (!profile) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        await auditRequest(req, 'user.avatar_updated', { targetUserId: userId, metadata: { contentType: req.imageType, bytes: req.body.length } });
+        await emitUserEvent('user.updated', profile);
+        res.status(200).json(profile);
+    } catch (error) {
+        if (error instanceof AvatarError) {
+            return res.status(400).json({ error: error.message });
+        }
+        log.error('Error uploading avatar', { userId, error });
+        res.status(500).json({ error: 'Internal server error uploading avatar' });
+    }
+});
+
+// Remove the avatar (DELETE /profiles/:userId/avatar)
+router.delete('/profiles/:userId/avatar', describe({
+    summary: 'Remove the avatar',
+    tags: ['Users'],
+    responses: { 200: 'Profile', 404: 'Error' },
+}), requireCaller, validate(userIdParams), requireSelfOrPermission('profiles:write'), async (req, res) => {
+    const userId = req.params.userId;
+
+    try {
+        const current = await userRepository.findById(userId);
+        if (!current) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!current.avatar_url) {
+            return res.status(200).json(current);
+        }
+        const profile = await avatarService.remove(userId);
+        if (!profile) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        await auditRequest(req, 'user.avatar_removed', { targetUserId: userId });
+        await emitUserEvent('user.updated', profile);
+        res.status(200).json(profile);
+    } catch (error) {
+        log.error('Error removing avatar', { userId, error });
+        res.status(500).json({ error: 'Internal server error removing avatar' });
+    }
+});
+
+// A thumbnail (GET /avatars/:userId/:size.webp). Public, so it can be used in <img> tags.
+// Thumbnails of deleted accounts are not served.
+router.get('/avatars/:userId/:file', describe({
+    summary: 'Get an avatar thumbnail',
+    description: `file is one of ${AVATAR_SIZES.map(size => `${size}.webp`).join(', ')}. Responses carry an ETag and may be cached for ${avatarConfig.cacheSeconds} seconds.`,
+    tags: ['Users'],
+    responses: {
+        200: { description: 'WebP image', contentType: 'image/webp', schema: { type: 'string', format: 'binary' } },
+        404: 'Error',
+    },
+}), validate(thumbnailParams), async (req, res) => {
+    const { userId, file } = req.params;
+
+    try {
+        const image = (await userRepository.findById(userId)) ? await avatarService.read(userId, parseInt(file, 10)) : null;
+        if (!image) {
+            return res.status(404).json({ error: 'Avatar not found' });
+        }
+        res.set('Cache-Control', `public, max-age=${avatarConfig.cacheSeconds}`);
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.type('image/webp').send(image);
+    } catch (error) {
+        log.error('Error reading avatar', { userId, error });
+        res.status(500).json({ error: 'Internal server error reading avatar' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+// routes/bulkProfiles.js
+// Admin bulk import and export of users (see bulk/). Mounted before the
+// /profiles/:userId routes so 'import' and 'export' are not taken for user IDs.
+const express = require('express');
+const { requireCaller, requirePermission } = require('../auth');
+const { profileImporter, profileExporter, parseImport, ImportError, IMPORT_COLUMNS, BULK_FORMATS, bulkConfig } = require('../bulk');
+const { auditRequest } = require('../audit');
+const { emitUserEvent } = require('../webhooks');
+const { validate, optional, oneOf, string } = require('../validation');
+const { fields } = require('../validation/schemas');
+const { describe, ref } = require('../openapi');
+const { drained } = require('./streaming');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'Import' });
+
+const router = express.Router();
+
+const importSchema = {
+    query: { dryRun: optional(oneOf(['true', 'false'])) },
+};
+const exportSchema = {
+    query: {
+        format: optional(oneOf(Object.keys(BULK_FORMATS))),
+        role: optional(fields.role),
+        q: optional(string({ max: 254 })),
+    },
+};
+
+const readImportFile = express.text({ type: Object.values(BULK_FORMATS), limit: bulkConfig.maxBytes });
+
+// Reads the file body, answering 413 for oversized files and 415 for other content types
+function importFile(req, res, next) {
+    const format = Object.keys(BULK_FORMATS).find(name => req.is(BULK_FORMATS[name]));
+    if (!format) {
+        return res.status(415).json({ error: `Content-Type must be one of: ${Object.values(BULK_FORMATS).join(', ')}` });
+    }
+    readImportFile(req, res, (error) => {
+        if (error) {
+            const status = error.status === 413 ? 413 : 400;
+            return res.status(status).json({ error: status === 413 ? `Import files are limited to ${bulkConfig.maxBytes} bytes` : 'Could not read the import file' });
+        }
+        req.importFormat = format;
+        next();
+    });
+}
+
+// Import users (POST /profiles/import?dryRun=true|false). The body is a CSV file with a
+// header row or NDJSON, one user per row with the columns in IMPORT_COLUMNS. Always
+// answers 200 with a per-row report; a dry run checks every row without creating anyone.
+router.post('/profiles/import', describe({
+    summary: 'Import users from CSV or NDJSON',
+    description: `Columns: ${IMPORT_COLUMNS.join(', ')}. role defaults to user and may only be a role whose permissions the caller holds. password_hash is an optional bcrypt hash; users without one are emailed an invitation to choose a password. Rows that are invalid or duplicate an earlier row or an existing user are reported and skipped. At most ${bulkConfig.maxRows} rows per file.`,
+    tags: ['Users'],
+    requestBody: {
+        required: true,
+        content: Object.fromEntries(Object.values(BULK_FORMATS).map(type => [type, { schema: { type: 'string' } }])),
+    },
+    responses: { 200: 'ImportReport', 400: 'Error', 413: 'Error', 415: 'Error' },
+}), requireCaller, requirePermission('profiles:import'), validate(importSchema), importFile, async (req, res) => {
+    const dryRun = req.query.dryRun === 'true';
+
+    try {
+        const rows = parseImport(typeof req.body === 'string' ? req.body : '', req.importFormat);
+        if (rows.length > bulkConfig.maxRows) {
+            return res.status(400).json({ error: `Imports are limited to ${bulkConfig.maxRows} rows; this file has ${rows.length}` });
+        }
+
+        const report = await profileImporter.importProfiles(rows, {
+            dryRun,
+            permissions: req.caller.permissions || [],
+            onCreated: async (user, { invited }) => {
+                await auditRequest(req, 'user.imported', { targetUserId: user.id, metadata: { role: user.role, invited: Boolean(invited) } });
+                await emitUserEvent('user.registered', user);
+            },
+        });
+        log.info('Profiles imported', { callerId: req.caller.id, format: req.importFormat, dryRun, ...report.summary });
+        res.status(200).json(report);
+    } catch (error) {
+        if (error instanceof ImportError) {
+            return res.status(400).json({ error: error.message });
+        }
+        log.error('Import error', { error });
+        res.status(500).json({ error: 'Internal server error importing profiles' });
+    }
+});
+
+// Export users (GET /profiles/export?format=csv|ndjson). Streams every live profile,
+// oldest first, optionally filtered like GET /profiles by role and q. Password hashes
+// are never included.
+router.get('/profiles/export', describe({
+    summary: 'Export users as NDJSON or CSV, oldest first',
+    description: 'format=ndjson (default) writes one Profile per line; format=csv writes the same columns with a header row.',
+    tags: ['Users'],
+    responses: {
+        200: { description: 'One Profile per line, or a CSV file', contentType: BULK_FORMATS.ndjson, schema: ref('Profile') },
+    },
+}), requireCaller, requirePermission('profiles:export'), validate(exportSchema), async (req, res) => {
+    const format = req.query.format || 'ndjson';
+    const filters = { role: req.query.role, q: req.query.q };
+    log.info('Exporting profiles', { callerId: req.caller.id, format });
+
+    let started = false;
+    try {
+        await auditRequest(req, 'profiles.exported', { metadata: { format, ...filters } });
+        for await (const chunk of profileExporter.lines(format, filters)) {
+            if (!started) {
+                res.status(200).type(BULK_FORMATS[format]);
+                res.set('Content-Disposition', `attachment; filename="profiles.${format}"`);
+                started = true;
+            }
+            // Returning ends the exporter's paging when the client has disconnected
+            if (!res.write(chunk) && !(await drained(res))) {
+                log.info('Profile export aborted by the client', { callerId: req.caller.id, format });
+                return;
+            }
+        }
+        if (!started) res.status(200).type(BULK_FORMATS[format]);
+        res.end();
+    } catch (error) {
+        log.error('Error exporting profiles', { error });
+        // Once streaming has begun the status is sent; cut the response short instead
+        if (started) return res.destroy(error);
+        res.status(500).json({ error: 'Internal server error exporting profiles' });
+    }
+});
+
+module.exports = router;
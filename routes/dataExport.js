@@ -0,0 +1,75 @@
+// routes/dataExport.js
+// Personal data export of a user for data-subject access requests (see dataExport/).
+// Available to the user themself and to callers with the profiles:export permission.
+const express = require('express');
+const { requireCaller, requireSelfOrPermission } = require('../auth');
+const { userRepository } = require('../repositories');
+const { dataExportService } = require('../dataExport');
+const { auditRequest } = require('../audit');
+const { validate } = require('../validation');
+const { userIdParams } = require('../validation/schemas');
+const { describe, ref } = require('../openapi');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'Data Export' });
+
+const router = express.Router();
+
+// Download the export (GET /profiles/:userId/data-export). Answers 200 with the archive
+// once it is ready; until then queues an export if none is in progress and answers 202
+// with its status. Clients poll this route or the status route below.
+router.get('/profiles/:userId/data-export', describe({
+    summary: 'Download all personal data of a user',
+    description: 'Exports are built in the background. Until the archive is ready the response is 202 with the export status and a Location header pointing at the status route; once it is, 200 with the archive as a JSON attachment.',
+    tags: ['Users'],
+    responses: {
+        200: 'DataExportArchive',
+        202: { description: 'Export queued or in progress', schema: ref('DataExport'), headers: { Location: { schema: { type: 'string' }, description: 'Status route of the export' } } },
+        404: 'Error',
+    },
+}), requireCaller, validate(userIdParams), requireSelfOrPermission('profiles:export'), async (req, res) => {
+    const userId = req.params.userId;
+
+    try {
+        if (!(await userRepository.findById(userId))) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const archive = await dataExportService.archive(userId);
+        if (archive) {
+            await auditRequest(req, 'user.data_exported', { targetUserId: userId, metadata: { exportedAt: archive.exportedAt } });
+            res.set('Content-Disposition', `attachment; filename="data-export-${userId}.json"`);
+            res.set('Cache-Control', 'no-store');
+            return res.status(200).json(archive);
+        }
+
+        const { dataExport, created } = await dataExportService.request(userId, req.caller.id);
+        if (created) {
+            await auditRequest(req, 'user.data_export_requested', { targetUserId: userId, metadata: { exportId: dataExport.id } });
+        }
+        res.set('Location', `/profiles/${userId}/data-export/status`);
+        res.status(202).json(dataExport);
+    } catch (error) {
+        log.error('Data export error', { userId, error });
+        res.status(500).json({ error: 'Internal server error exporting user data' });
+    }
+});
+
+// Status of the most recent export (GET /profiles/:userId/data-export/status)
+router.get('/profiles/:userId/data-export/status', describe({
+    summary: 'Status of the latest personal data export',
+    tags: ['Users'],
+    responses: { 200: 'DataExport', 404: 'Error' },
+}), requireCaller, validate(userIdParams), requireSelfOrPermission('profiles:export'), async (req, res) => {
+    try {
+        const dataExport = await dataExportService.latest(req.params.userId);
+        if (!dataExport) {
+            return res.status(404).json({ error: 'No data export has been requested for this user' });
+        }
+        res.status(200).json(dataExport);
+    } catch (error) {
+        log.error('Error fetching data export status', { userId: req.params.userId, error });
+        res.status(500).json({ error: 'Internal server error fetching data export status' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+// routes/emailVerification.js
+// Email verification links and resending them.
+const express = require('express');
+const { emailVerificationService, EmailVerificationError } = require('../auth');
+const { validate } = require('../validation');
+const { auditRequest } = require('../audit');
+const { fields } = require('../validation/schemas');
+const { describe } = require('../openapi');
+const { rateLimit } = require('../rateLimit');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'Email Verification' });
+
+const router = express.Router();
+
+// Confirm an email address from the mailed link (GET /verify-email?token=...)
+router.get('/verify-email', describe({
+    summary: 'Verify an email address with the emailed token',
+    tags: ['Email verification'],
+    responses: { 200: 'EmailVerified', 400: 'Error' },
+}), validate({ query: { token: fields.token } }), async (req, res) => {
+    const { token } = req.query;
+
+    try {
+        const user = await emailVerificationService.verify(token);
+        log.info('Email verified', { userId: user.id });
+        await auditRequest(req, 'user.email_verified', { actor: user, targetUserId: user.id });
+        res.status(200).json({ message: 'Email verified', userId: user.id, email_verified_at: user.email_verified_at });
+    } catch (error) {
+        if (error instanceof EmailVerificationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        log.error('Verification error', { error });
+        res.status(500).json({ error: 'Internal server error during email verification' });
+    }
+});
+
+// Send a fresh verification link (POST /verify-email/resend)
+router.post('/verify-email/resend', describe({
+    summary: 'Send a new verification email',
+    description: 'Answers the same whether or not the address needs verifying.',
+    tags: ['Email verification'],
+    responses: { 202: 'Message', 429: 'Error' },
+}), rateLimit('verificationEmail'), validate({ body: { email: fields.email } }), async (req, res) => {
+    const { email } = req.body;
+
+    try {
+        await emailVerificationService.resend(email);
+        // Same answer for unknown and already verified addresses
+        res.status(202).json({ message: 'If the address needs verifying, a new link has been sent.' });
+    } catch (error) {
+        if (error instanceof EmailVerificationError && error.retryAfter) {
+            res.set('Retry-After', String(error.retryAfter));
+            return res.status(429).json({ error: error.message });
+        }
+        log.error('Resend error', { error });
+        res.status(500).json({ error: 'Internal server error sending verification email' });
+    }
+});
+
+module.exports = router;
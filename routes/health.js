@@ -0,0 +1,39 @@
+// routes/health.js
+// Probes for the orchestrator. Unauthenticated and mounted ahead of the access log
+// so frequent probing does not flood it.
+const express = require('express');
+const { readiness } = require('../health');
+const { describe } = require('../openapi');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'Health' });
+
+const router = express.Router();
+
+const startedAt = Date.now();
+
+// Liveness (GET /healthz): the process is up and serving requests. Never checks dependencies,
+// so a store outage does not get the service restarted.
+router.get('/healthz', describe({
+    summary: 'Liveness probe',
+    tags: ['Operations'],
+    responses: { 200: 'Liveness' },
+}), (req, res) => {
+    res.status(200).json({ status: 'ok', uptimeSeconds: Math.round((Date.now() - startedAt) / 1000) });
+});
+
+// Readiness (GET /readyz): 200 when every dependency check passes, otherwise 503.
+// Always 503 once the service is draining for shutdown.
+router.get('/readyz', describe({
+    summary: 'Readiness probe',
+    tags: ['Operations'],
+    responses: { 200: 'Readiness', 503: 'Readiness' },
+}), async (req, res) => {
+    const result = await readiness.check();
+    if (result.status === 'fail') {
+        log.warn('Readiness check failed', { checks: result.checks });
+    }
+    res.set('Cache-Control', 'no-store');
+    res.status(result.status === 'ok' ? 200 : 503).json(result);
+});
+
+module.exports = router;
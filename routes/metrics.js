@@ -0,0 +1,37 @@
+// routes/metrics.js
+// Prometheus scrape endpoint (GET /metrics).
+//
+// Configuration (environment):
+//   METRICS_TOKEN    when set, scrapes must send "Authorization: Bearer <token>"
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const { registry } = require('../metrics');
+const { describe } = require('../openapi');
+
+const router = express.Router();
+
+function tokenMatches(header, token) {
+    const expected = Buffer.from(`Bearer ${token}`);
+    const actual = Buffer.from(header || '');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+router.get('/metrics', describe({
+    summary: 'Prometheus metrics',
+    description: 'Requires "Authorization: Bearer <METRICS_TOKEN>" when METRICS_TOKEN is set.',
+    tags: ['Operations'],
+    responses: {
+        200: { description: 'Prometheus text exposition format', contentType: 'text/plain', schema: { type: 'string' } },
+        401: 'Error',
+    },
+}), (req, res) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token && !tokenMatches(req.get('Authorization'), token)) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    res.set('Content-Type', registry.contentType);
+    res.status(200).send(registry.render());
+});
+
+module.exports = router;
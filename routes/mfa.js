@@ -0,0 +1,106 @@
+// routes/mfa.js
+// Two-factor authentication management: users enroll a TOTP authenticator for their own
+// account; callers with the profiles:read or mfa:reset permission can look at or reset
+// anyone's. Logging in with it happens at POST /authenticate and POST /authenticate/mfa
+// (see app.js).
+const express = require('express');
+const { mfaService, MfaError, requireCaller, requireSelf, requireSelfOrPermission, requirePermission } = require('../auth');
+const { userRepository } = require('../repositories');
+const { validate } = require('../validation');
+const { auditRequest } = require('../audit');
+const { fields, userIdParams } = require('../validation/schemas');
+const { describe } = require('../openapi');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'MFA' });
+
+const router = express.Router();
+
+// Two-factor status (GET /profiles/:userId/mfa)
+router.get('/profiles/:userId/mfa', describe({
+    summary: 'Two-factor authentication status',
+    tags: ['Two-factor authentication'],
+    responses: { 200: 'MfaStatus' },
+}), requireCaller, validate(userIdParams), requireSelfOrPermission('profiles:read'), async (req, res) => {
+    try {
+        res.status(200).json(await mfaService.status(req.params.userId));
+    } catch (error) {
+        log.error('Error fetching MFA status', { userId: req.params.userId, error });
+        res.status(500).json({ error: 'Internal server error fetching two-factor status' });
+    }
+});
+
+// Start enrollment (POST /profiles/:userId/mfa/enroll)
+// Returns the secret and an otpauth:// URI (for a QR code). Starting again replaces a
+// pending enrollment; an enabled authenticator must be reset by an admin first.
+router.post('/profiles/:userId/mfa/enroll', describe({
+    summary: 'Start enrolling a TOTP authenticator',
+    tags: ['Two-factor authentication'],
+    responses: { 200: 'MfaEnrollment', 404: 'Error', 409: 'Error' },
+}), requireCaller, validate(userIdParams), requireSelf, async (req, res) => {
+    const userId = req.params.userId;
+
+    try {
+        const user = await userRepository.findById(userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.set('Cache-Control', 'no-store');
+        res.status(200).json(await mfaService.beginEnrollment(user));
+    } catch (error) {
+        if (error instanceof MfaError) {
+            return res.status(409).json({ error: error.message });
+        }
+        log.error('Error starting MFA enrollment', { userId, error });
+        res.status(500).json({ error: 'Internal server error starting two-factor enrollment' });
+    }
+});
+
+// Confirm enrollment (POST /profiles/:userId/mfa/confirm)
+// The first code from the authenticator turns 2FA on. The response carries the recovery
+// codes; they are not retrievable later.
+router.post('/profiles/:userId/mfa/confirm', describe({
+    summary: 'Confirm enrollment with a code from the authenticator',
+    tags: ['Two-factor authentication'],
+    responses: { 200: 'MfaRecoveryCodes', 409: 'Error' },
+}), requireCaller, validate({ ...userIdParams, body: { code: fields.totpCode } }), requireSelf, async (req, res) => {
+    const userId = req.params.userId;
+
+    try {
+        const result = await mfaService.confirmEnrollment(userId, req.body.code);
+        await auditRequest(req, 'user.mfa_enabled', { targetUserId: userId });
+        res.set('Cache-Control', 'no-store');
+        res.status(200).json(result);
+    } catch (error) {
+        if (error instanceof MfaError) {
+            log.info('MFA confirmation rejected', { userId, reason: error.message });
+            return res.status(409).json({ error: error.message });
+        }
+        log.error('Error confirming MFA enrollment', { userId, error });
+        res.status(500).json({ error: 'Internal server error confirming two-factor enrollment' });
+    }
+});
+
+// Admin reset (DELETE /profiles/:userId/mfa)
+// For users who lost their authenticator and recovery codes; they can log in with
+// their password alone again and re-enroll.
+router.delete('/profiles/:userId/mfa', describe({
+    summary: 'Reset two-factor authentication',
+    tags: ['Two-factor authentication'],
+    responses: { 204: null, 404: 'Error' },
+}), requireCaller, validate(userIdParams), requirePermission('mfa:reset'), async (req, res) => {
+    const userId = req.params.userId;
+
+    try {
+        if (!(await mfaService.reset(userId))) {
+            return res.status(404).json({ error: 'Two-factor authentication is not set up for this user' });
+        }
+        log.info('MFA reset by admin', { userId, callerId: req.caller.id });
+        await auditRequest(req, 'user.mfa_reset', { targetUserId: userId });
+        res.status(204).send();
+    } catch (error) {
+        log.error('Error resetting MFA', { userId, error });
+        res.status(500).json({ error: 'Internal server error resetting two-factor authentication' });
+    }
+});
+
+module.exports = router;
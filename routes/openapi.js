@@ -0,0 +1,26 @@
+// routes/openapi.js
+// The API document (GET /openapi.json) and a readable rendering of it (GET /docs).
+// Both are public: they describe the API, not its data.
+const express = require('express');
+const { describe, getApiDocument } = require('../openapi');
+const { renderDocsPage } = require('../openapi/docsPage');
+
+const router = express.Router();
+
+router.get('/openapi.json', describe({
+    summary: 'OpenAPI 3 document of this API',
+    tags: ['Documentation'],
+    responses: { 200: { description: 'The API document', schema: { type: 'object' } } },
+}), (req, res) => {
+    res.status(200).json(getApiDocument(req.app));
+});
+
+router.get('/docs', describe({
+    summary: 'API documentation page',
+    tags: ['Documentation'],
+    responses: { 200: { description: 'HTML rendering of the API document', contentType: 'text/html', schema: { type: 'string' } } },
+}), (req, res) => {
+    res.status(200).type('html').send(renderDocsPage(getApiDocument(req.app)));
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+// routes/pagination.js
+// Offset pagination helpers shared by list endpoints: parsing limit/offset and
+// building the X-Total-Count / X-Next-Offset / Link response headers.
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+function parseNonNegativeInt(value) {
+    return /^\d+$/.test(String(value)) ? Number(value) : NaN;
+}
+
+// Returns { limit, offset } or { error } for a malformed value. Limits above
+// MAX_LIMIT are capped rather than rejected.
+function parsePagination(query, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) {
+    const limit = query.limit === undefined ? defaultLimit : parseNonNegativeInt(query.limit);
+    const offset = query.offset === undefined ? 0 : parseNonNegativeInt(query.offset);
+    if (Number.isNaN(limit) || limit < 1) return { error: 'limit must be a positive integer' };
+    if (Number.isNaN(offset)) return { error: 'offset must be a non-negative integer' };
+    return { limit: Math.min(limit, maxLimit), offset };
+}
+
+// Sets pagination headers for a page of `count` items out of `total`.
+// Links keep every other query parameter of the original request.
+function setPaginationHeaders(req, res, { limit, offset, total }) {
+    const nextOffset = offset + limit < total ? offset + limit : null;
+    const base = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}`;
+    const pageUrl = (pageOffset) => {
+        const params = new URLSearchParams(req.query);
+        params.set('limit', String(limit));
+        params.set('offset', String(pageOffset));
+        return `${base}?${params.toString()}`;
+    };
+
+    const links = [`<${pageUrl(0)}>; rel="first"`];
+    if (offset > 0) links.push(`<${pageUrl(Math.max(0, offset - limit))}>; rel="prev"`);
+    if (nextOffset !== null) links.push(`<${pageUrl(nextOffset)}>; rel="next"`);
+    links.push(`<${pageUrl(total > 0 ? Math.floor((total - 1) / limit) * limit : 0)}>; rel="last"`);
+
+    res.set('X-Total-Count', String(total));
+    if (nextOffset !== null) res.set('X-Next-Offset', String(nextOffset));
+    res.set('Link', links.join(', '));
+}
+
+module.exports = { parsePagination, setPaginationHeaders, DEFAULT_LIMIT, MAX_LIMIT };
@@ -0,0 +1,90 @@
+// routes/passwords.js
+// Password change for signed-in users and the forgotten-password reset flow.
+const express = require('express');
+const { passwordService, PasswordChangeError, requireCaller, requireSelfOrPermission } = require('../auth');
+const { validate } = require('../validation');
+const { auditRequest } = require('../audit');
+const { fields, userIdParams } = require('../validation/schemas');
+const { describe } = require('../openapi');
+const { rateLimit } = require('../rateLimit');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'Passwords' });
+
+const router = express.Router();
+
+// Change password (POST /profiles/:userId/password)
+// The current password is always required, even for admins. The new one must satisfy the password policy.
+const changePasswordSchema = {
+    ...userIdParams,
+    body: { currentPassword: fields.existingPassword, newPassword: fields.newPassword },
+};
+
+router.post('/profiles/:userId/password', describe({
+    summary: 'Change password',
+    tags: ['Passwords'],
+    responses: { 200: 'Message', 403: 'Error', 404: 'Error' },
+}), requireCaller, validate(changePasswordSchema), requireSelfOrPermission('profiles:write'), async (req, res) => {
+    const userId = req.params.userId;
+    const { currentPassword, newPassword } = req.body;
+
+    try {
+        const updated = await passwordService.changePassword(userId, currentPassword, newPassword);
+        if (!updated) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        log.info('Password changed; sessions revoked', { userId });
+        await auditRequest(req, 'user.password_changed', { targetUserId: userId });
+        res.status(200).json({ message: 'Password updated' });
+    } catch (error) {
+        if (error instanceof PasswordChangeError) {
+            log.info('Password change rejected', { userId, reason: error.message });
+            return res.status(403).json({ error: error.message });
+        }
+        log.error('Password change error', { userId, error });
+        res.status(500).json({ error: 'Internal server error during password change' });
+    }
+});
+
+// Request a reset link (POST /password/forgot)
+router.post('/password/forgot', describe({
+    summary: 'Request a password reset email',
+    description: 'Answers the same whether or not an account exists for the address.',
+    tags: ['Passwords'],
+    responses: { 202: 'Message' },
+}), rateLimit('passwordReset'), validate({ body: { email: fields.email } }), async (req, res) => {
+    const { email } = req.body;
+
+    try {
+        await passwordService.requestReset(email);
+        // Same answer whether or not the email is registered
+        res.status(202).json({ message: 'If an account exists for that email, a reset link has been sent.' });
+    } catch (error) {
+        log.error('Reset request error', { error });
+        res.status(500).json({ error: 'Internal server error during password reset request' });
+    }
+});
+
+// Set a new password with a reset token (POST /password/reset)
+router.post('/password/reset', describe({
+    summary: 'Set a new password with a reset token',
+    tags: ['Passwords'],
+    responses: { 200: 'Message', 400: 'Error' },
+}), rateLimit('passwordReset'), validate({ body: { token: fields.token, newPassword: fields.newPassword } }), async (req, res) => {
+    const { token, newPassword } = req.body;
+
+    try {
+        const updated = await passwordService.resetPassword(token, newPassword);
+        log.info('Password reset; sessions revoked', { userId: updated.id });
+        // Whoever holds the mailed token acts as the account owner
+        await auditRequest(req, 'user.password_reset', { actor: updated, targetUserId: updated.id });
+        res.status(200).json({ message: 'Password updated' });
+    } catch (error) {
+        if (error instanceof PasswordChangeError) {
+            return res.status(400).json({ error: error.message });
+        }
+        log.error('Password reset error', { error });
+        res.status(500).json({ error: 'Internal server error during password reset' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+// routes/profileFields.js
+// Field-level rules for profile updates: how each updatable field is validated
+// (shared rules from validation/schemas.js) and which permission, if any, a caller
+// needs to change it (users may change the other fields on their own profile).
+// The optional profile details accept null to clear them.
+const { fields: rules } = require('../validation/schemas');
+const { nullable } = require('../validation/rules');
+const { hasPermission } = require('../auth/middleware');
+
+const PROFILE_FIELDS = {
+    username: { rule: rules.username },
+    email: { rule: rules.email },
+    // role sets the primary role, roles every role (see requestedRoles)
+    role: { permission: 'roles:assign', rule: rules.role },
+    roles: { permission: 'roles:assign', rule: rules.roles },
+    display_name: { rule: nullable(rules.displayName) },
+    bio: { rule: nullable(rules.bio) },
+    phone: { rule: nullable(rules.phone) },
+    locale: { rule: nullable(rules.locale) },
+    timezone: { rule: nullable(rules.timeZone) },
+    // Merged into the current preferences (see mergePreferences)
+    notification_preferences: { rule: rules.notificationPreferences },
+};
+
+// Checks a partial update body. Returns { fields } with the accepted values, or
+// { details } listing every problem as { location, field, message }.
+function validateProfilePatch(body) {
+    const details = [];
+    const fields = {};
+
+    for (const [field, value] of Object.entries(body || {})) {
+        const definition = PROFILE_FIELDS[field];
+        if (!definition) {
+            details.push({ location: 'body', field, message: `${field} is not an updatable field` });
+            continue;
+        }
+        const message = definition.rule.validate(value, field);
+        if (message) {
+            details.push({ location: 'body', field, message });
+        } else {
+            fields[field] = value;
+        }
+    }
+
+    if (details.length === 0 && Object.keys(fields).length === 0) {
+        details.push({ location: 'body', field: null, message: `provide at least one of: ${Object.keys(PROFILE_FIELDS).join(', ')}` });
+    }
+    return details.length > 0 ? { details } : { fields };
+}
+
+// JSON Schema of a partial update body, for the API document (see openapi/)
+const profilePatchBodySchema = {
+    type: 'object',
+    minProperties: 1,
+    properties: Object.fromEntries(Object.entries(PROFILE_FIELDS).map(([field, { rule }]) => [field, rule.schema])),
+    additionalProperties: false,
+};
+
+// The roles an update asks for, or null when it leaves them alone: `roles` with `role`
+// moved to the front, or `role` alone, which replaces every role unless it already is
+// the user's primary role.
+function requestedRoles({ role, roles }, current) {
+    if (roles) return [...new Set(role ? [role, ...roles] : roles)];
+    if (role) return role === current.role ? current.roles : [role];
+    return null;
+}
+
+function sameRoles(a, b) {
+    return a.length === b.length && a.every((name, i) => name === b[i]);
+}
+
+// notification_preferences of an update: the channels it names, the current value for the rest
+function mergePreferences(update, current) {
+    if (!update.notification_preferences) return update;
+    return { ...update, notification_preferences: { ...current.notification_preferences, ...update.notification_preferences } };
+}
+
+// Fields of `update` that differ from `current` and need a permission `caller` lacks.
+function forbiddenChanges(update, current, caller) {
+    return Object.keys(update).filter(field => {
+        const { permission } = PROFILE_FIELDS[field];
+        if (!permission || hasPermission(caller, permission)) return false;
+        return field === 'roles' ? !sameRoles(update.roles, current.roles) : update[field] !== current[field];
+    });
+}
+
+module.exports = { PROFILE_FIELDS, validateProfilePatch, profilePatchBodySchema, requestedRoles, sameRoles, mergePreferences, forbiddenChanges };
@@ -0,0 +1,176 @@
+// routes/roles.js
+// Roles and permissions (see auth/roleService.js): the permission catalog, admin management
+// of roles, and the effective permissions of a user.
+const express = require('express');
+const { roleService, RoleError, PERMISSIONS, requireCaller, requirePermission, requireSelfOrPermission } = require('../auth');
+const { userRepository } = require('../repositories');
+const { auditRequest, diffFields } = require('../audit');
+const { validate, optional, string, arrayOf, oneOf } = require('../validation');
+const { fields, userIdParams } = require('../validation/schemas');
+const { describe, ref } = require('../openapi');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'Roles' });
+
+const router = express.Router();
+
+const permissionList = arrayOf(oneOf(Object.keys(PERMISSIONS)), { min: 0 });
+const createRoleSchema = {
+    body: {
+        name: fields.role,
+        description: optional(string({ max: 200 })),
+        permissions: permissionList,
+    },
+};
+const updateRoleSchema = {
+    params: { name: fields.role },
+    body: {
+        description: optional(string({ max: 200 })),
+        permissions: permissionList,
+    },
+};
+const roleNameParams = { params: { name: fields.role } };
+
+// Like role assignment (see rolesBeyond), role editing must not lead to more access than
+// the caller's own: a role may only be given permissions the caller holds, only roles
+// whose permissions the caller holds may be edited, and roles the caller holds cannot be
+// widened. Returns the 403 message, or null when the change is allowed.
+async function forbiddenRoleChange(caller, { name, current, permissions }) {
+    const held = caller.permissions || [];
+    const missing = permissions.filter(permission => !held.includes(permission));
+    if (missing.length > 0) return `Forbidden: you do not hold ${missing.join(', ')}`;
+    if (!current) return null;
+    if ((await roleService.rolesBeyond([name], held)).length > 0) {
+        return `Forbidden: role ${name} grants permissions you do not hold`;
+    }
+    if ((caller.roles || []).includes(name) && permissions.some(permission => !current.permissions.includes(permission))) {
+        return `Forbidden: you cannot add permissions to role ${name}, which you hold`;
+    }
+    return null;
+}
+
+// Every permission a role can grant (GET /permissions)
+router.get('/permissions', describe({
+    summary: 'List the permissions roles can grant',
+    tags: ['Roles'],
+    responses: { 200: { description: 'Permission catalog', schema: { type: 'array', items: ref('Permission') } } },
+}), requireCaller, (req, res) => {
+    res.status(200).json(Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })));
+});
+
+// List roles (GET /roles). Also open to callers who assign roles, so they can pick one.
+router.get('/roles', describe({
+    summary: 'List roles',
+    tags: ['Roles'],
+    responses: { 200: { description: 'All roles, by name', schema: { type: 'array', items: ref('Role') } } },
+}), requireCaller, requirePermission('roles:manage', 'roles:assign'), async (req, res) => {
+    try {
+        res.status(200).json(await roleService.list());
+    } catch (error) {
+        log.error('Error listing roles', { error });
+        res.status(500).json({ error: 'Internal server error listing roles' });
+    }
+});
+
+// Create a role (POST /roles)
+router.post('/roles', describe({
+    summary: 'Create a role',
+    tags: ['Roles'],
+    responses: { 201: 'Role', 403: 'Error', 409: 'Error' },
+}), requireCaller, requirePermission('roles:manage'), validate(createRoleSchema), async (req, res) => {
+    const { name, description, permissions } = req.body;
+
+    try {
+        const forbidden = await forbiddenRoleChange(req.caller, { name, permissions });
+        if (forbidden) {
+            log.warn('Forbidden role creation', { role: name, callerId: req.caller.id });
+            return res.status(403).json({ error: forbidden });
+        }
+        const role = await roleService.create({ name, description, permissions });
+        await auditRequest(req, 'role.created', { metadata: { role: name, permissions: role.permissions } });
+        res.status(201).json(role);
+    } catch (error) {
+        if (error instanceof RoleError) {
+            return res.status(409).json({ error: error.message });
+        }
+        log.error('Error creating role', { role: name, error });
+        res.status(500).json({ error: 'Internal server error creating role' });
+    }
+});
+
+// Replace the permissions of a role (PUT /roles/:name). Takes effect on the next request
+// of its users, after at most ROLE_CACHE_TTL_SECONDS on other instances.
+router.put('/roles/:name', describe({
+    summary: 'Update a role',
+    tags: ['Roles'],
+    responses: { 200: 'Role', 403: 'Error', 404: 'Error', 409: 'Error' },
+}), requireCaller, requirePermission('roles:manage'), validate(updateRoleSchema), async (req, res) => {
+    const name = req.params.name;
+    const { description, permissions } = req.body;
+
+    try {
+        const current = await roleService.get(name);
+        const forbidden = current && await forbiddenRoleChange(req.caller, { name, current, permissions });
+        if (forbidden) {
+            log.warn('Forbidden role update', { role: name, callerId: req.caller.id });
+            return res.status(403).json({ error: forbidden });
+        }
+        const result = await roleService.update(name, { description, permissions });
+        if (!result) {
+            return res.status(404).json({ error: 'Role not found' });
+        }
+        const changes = diffFields(result.before, result.after, ['description', 'permissions']);
+        await auditRequest(req, 'role.updated', { changes, metadata: { role: name } });
+        res.status(200).json(result.after);
+    } catch (error) {
+        if (error instanceof RoleError) {
+            return res.status(409).json({ error: error.message });
+        }
+        log.error('Error updating role', { role: name, error });
+        res.status(500).json({ error: 'Internal server error updating role' });
+    }
+});
+
+// Delete a role (DELETE /roles/:name). Refused while users still hold it.
+router.delete('/roles/:name', describe({
+    summary: 'Delete a role',
+    tags: ['Roles'],
+    responses: { 204: null, 404: 'Error', 409: 'Error' },
+}), requireCaller, requirePermission('roles:manage'), validate(roleNameParams), async (req, res) => {
+    const name = req.params.name;
+
+    try {
+        if (!(await roleService.remove(name))) {
+            return res.status(404).json({ error: 'Role not found' });
+        }
+        await auditRequest(req, 'role.deleted', { metadata: { role: name } });
+        res.status(204).send();
+    } catch (error) {
+        if (error instanceof RoleError) {
+            return res.status(409).json({ error: error.message });
+        }
+        log.error('Error deleting role', { role: name, error });
+        res.status(500).json({ error: 'Internal server error deleting role' });
+    }
+});
+
+// Roles and effective permissions of a user (GET /profiles/:userId/permissions)
+router.get('/profiles/:userId/permissions', describe({
+    summary: 'Effective permissions of a user',
+    tags: ['Roles'],
+    responses: { 200: 'UserPermissions', 404: 'Error' },
+}), requireCaller, validate(userIdParams), requireSelfOrPermission('profiles:read'), async (req, res) => {
+    const userId = req.params.userId;
+
+    try {
+        const user = await userRepository.findById(userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.status(200).json({ userId, roles: user.roles, permissions: await roleService.permissionsFor(user.roles) });
+    } catch (error) {
+        log.error('Error reading user permissions', { userId, error });
+        res.status(500).json({ error: 'Internal server error reading permissions' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+// routes/sessions.js
+// Login sessions of a user: listing them, ending one, and logging out everywhere.
+// Users manage their own sessions; the sessions:manage permission allows managing anyone's.
+const express = require('express');
+const { sessionService, requireCaller, requireSelfOrPermission } = require('../auth');
+const { validate, uuid } = require('../validation');
+const { auditRequest } = require('../audit');
+const { userIdParams } = require('../validation/schemas');
+const { describe, ref } = require('../openapi');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'Sessions' });
+
+const router = express.Router();
+
+// Active sessions, most recently used first (GET /profiles/:userId/sessions)
+router.get('/profiles/:userId/sessions', describe({
+    summary: 'List active sessions',
+    tags: ['Sessions'],
+    responses: { 200: { description: 'Active sessions', schema: { type: 'array', items: ref('Session') } } },
+}), requireCaller, validate(userIdParams), requireSelfOrPermission('sessions:manage'), async (req, res) => {
+    try {
+        res.status(200).json(await sessionService.list(req.params.userId, { currentSessionId: req.caller.sessionId }));
+    } catch (error) {
+        log.error('Error listing sessions', { userId: req.params.userId, error });
+        res.status(500).json({ error: 'Internal server error listing sessions' });
+    }
+});
+
+// Log out everywhere (DELETE /profiles/:userId/sessions), including the calling session
+router.delete('/profiles/:userId/sessions', describe({
+    summary: 'Log out everywhere',
+    tags: ['Sessions'],
+    responses: { 204: null },
+}), requireCaller, validate(userIdParams), requireSelfOrPermission('sessions:manage'), async (req, res) => {
+    const userId = req.params.userId;
+
+    try {
+        const count = await sessionService.revokeAllForUser(userId, 'logout_everywhere');
+        await auditRequest(req, 'session.revoked_all', { targetUserId: userId, metadata: { count } });
+        res.status(204).send();
+    } catch (error) {
+        log.error('Error revoking sessions', { userId, error });
+        res.status(500).json({ error: 'Internal server error revoking sessions' });
+    }
+});
+
+// End one session (DELETE /profiles/:userId/sessions/:sessionId)
+router.delete('/profiles/:userId/sessions/:sessionId', describe({
+    summary: 'End a session',
+    tags: ['Sessions'],
+    responses: { 204: null, 404: 'Error' },
+}), requireCaller, validate({ ...userIdParams, params: { ...userIdParams.params, sessionId: uuid() } }), requireSelfOrPermission('sessions:manage'), async (req, res) => {
+    const { userId, sessionId } = req.params;
+
+    try {
+        if (!(await sessionService.revoke(userId, sessionId))) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        await auditRequest(req, 'session.revoked', { targetUserId: userId, metadata: { sessionId } });
+        res.status(204).send();
+    } catch (error) {
+        log.error('Error revoking session', { userId, sessionId, error });
+        res.status(500).json({ error: 'Internal server error revoking session' });
+    }
+});
+
+module.exports = router;
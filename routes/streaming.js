@@ -0,0 +1,24 @@
+// routes/streaming.js
+// Helpers for endpoints that stream their response body (NDJSON and CSV exports).
+
+// Waits until `res` can take more data after write() returned false. Resolves true on
+// 'drain', or false once the client has gone away (the response closed or failed), in
+// which case the caller must stop writing.
+function drained(res) {
+    if (res.destroyed) return Promise.resolve(false);
+    return new Promise(resolve => {
+        const settle = (writable) => () => {
+            res.off('drain', onDrain);
+            res.off('close', onGone);
+            res.off('error', onGone);
+            resolve(writable);
+        };
+        const onDrain = settle(true);
+        const onGone = settle(false);
+        res.once('drain', onDrain);
+        res.once('close', onGone);
+        res.once('error', onGone);
+    });
+}
+
+module.exports = { drained };
@@ -0,0 +1,63 @@
+// routes/tokens.js
+// Token lifecycle endpoints: refresh-token rotation, logout and the public JWKS.
+const express = require('express');
+const { tokenService, TokenError } = require('../auth');
+const { validate } = require('../validation');
+const { fields } = require('../validation/schemas');
+const { describe } = require('../openapi');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'Tokens' });
+
+const router = express.Router();
+
+// Exchange a refresh token for a new access/refresh token pair (POST /token/refresh)
+const refreshTokenSchema = { body: { refreshToken: fields.token } };
+
+router.post('/token/refresh', describe({
+    summary: 'Exchange a refresh token for a new token pair',
+    description: 'Refresh tokens are single use; reusing one revokes its whole family.',
+    tags: ['Authentication'],
+    responses: { 200: 'TokenPair', 401: 'Error' },
+}), validate(refreshTokenSchema), async (req, res) => {
+    const { refreshToken } = req.body;
+
+    try {
+        const tokens = await tokenService.refresh(refreshToken);
+        res.status(200).json(tokens);
+    } catch (error) {
+        if (error instanceof TokenError) {
+            log.info('Refresh rejected', { reason: error.message });
+            return res.status(401).json({ error: error.message });
+        }
+        log.error('Refresh error', { error });
+        res.status(500).json({ error: 'Internal server error during token refresh' });
+    }
+});
+
+// End the session of the current login, revoking its refresh tokens (POST /logout)
+router.post('/logout', describe({
+    summary: 'Log out: end the session of a refresh token',
+    tags: ['Authentication'],
+    responses: { 204: null },
+}), validate(refreshTokenSchema), async (req, res) => {
+    const { refreshToken } = req.body;
+
+    try {
+        await tokenService.revoke(refreshToken);
+        res.status(204).send();
+    } catch (error) {
+        log.error('Logout error', { error });
+        res.status(500).json({ error: 'Internal server error during logout' });
+    }
+});
+
+// Public keys for verifying access tokens signed with RS* (GET /.well-known/jwks.json)
+router.get('/.well-known/jwks.json', describe({
+    summary: 'Public keys for verifying access tokens',
+    tags: ['Authentication'],
+    responses: { 200: 'Jwks' },
+}), (req, res) => {
+    res.status(200).json(tokenService.jwks());
+});
+
+module.exports = router;
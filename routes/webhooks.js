@@ -0,0 +1,105 @@
+// routes/webhooks.js
+// Admin management of webhook subscriptions and their delivery log.
+const express = require('express');
+const { requireCaller, requirePermission } = require('../auth');
+const { webhookService, WEBHOOK_EVENTS } = require('../webhooks');
+const { parsePagination } = require('./pagination');
+const { auditRequest } = require('../audit');
+const { validate, optional, string, httpUrl, arrayOf, oneOf, uuid } = require('../validation');
+const { describe, paginationParameters, ref } = require('../openapi');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'Webhooks' });
+
+const router = express.Router();
+
+router.use('/webhooks', requireCaller, requirePermission('webhooks:manage'));
+
+const subscriptionSchema = {
+    body: {
+        url: httpUrl(),
+        events: arrayOf(oneOf(WEBHOOK_EVENTS)),
+        secret: optional(string({ min: 16, max: 256 })),
+    },
+};
+const subscriptionIdParams = { params: { id: uuid() } };
+
+// Subscribe a URL to events (POST /webhooks). The signing secret is only returned here.
+router.post('/webhooks', describe({
+    summary: 'Subscribe a URL to events',
+    tags: ['Webhooks'],
+    responses: { 201: 'WebhookSubscription' },
+}), validate(subscriptionSchema), async (req, res) => {
+    const { url, events, secret } = req.body;
+
+    try {
+        const subscription = await webhookService.createSubscription({ url, events: [...new Set(events)], secret });
+        log.info('Webhook subscription created', { callerId: req.caller.id, subscriptionId: subscription.id, url, events });
+        await auditRequest(req, 'webhook.created', { metadata: { subscriptionId: subscription.id, url, events: subscription.events } });
+        res.status(201).json(subscription);
+    } catch (error) {
+        log.error('Error creating webhook subscription', { error });
+        res.status(500).json({ error: 'Internal server error creating webhook subscription' });
+    }
+});
+
+// List subscriptions (GET /webhooks)
+router.get('/webhooks', describe({
+    summary: 'List webhook subscriptions',
+    tags: ['Webhooks'],
+    responses: { 200: { description: 'All subscriptions', schema: { type: 'array', items: ref('WebhookSubscription') } } },
+}), async (req, res) => {
+    try {
+        res.status(200).json(await webhookService.listSubscriptions());
+    } catch (error) {
+        log.error('Error listing webhook subscriptions', { error });
+        res.status(500).json({ error: 'Internal server error listing webhook subscriptions' });
+    }
+});
+
+// Remove a subscription (DELETE /webhooks/:id)
+router.delete('/webhooks/:id', describe({
+    summary: 'Remove a webhook subscription',
+    tags: ['Webhooks'],
+    responses: { 204: null, 404: 'Error' },
+}), validate(subscriptionIdParams), async (req, res) => {
+    try {
+        if (!(await webhookService.deleteSubscription(req.params.id))) {
+            return res.status(404).json({ error: 'Webhook subscription not found' });
+        }
+        log.info('Webhook subscription removed', { callerId: req.caller.id, subscriptionId: req.params.id });
+        await auditRequest(req, 'webhook.deleted', { metadata: { subscriptionId: req.params.id } });
+        res.status(204).send();
+    } catch (error) {
+        log.error('Error removing webhook subscription', { error });
+        res.status(500).json({ error: 'Internal server error removing webhook subscription' });
+    }
+});
+
+// Recent deliveries of a subscription, newest first (GET /webhooks/:id/deliveries?limit=)
+router.get('/webhooks/:id/deliveries', describe({
+    summary: 'Recent deliveries of a subscription, newest first',
+    tags: ['Webhooks'],
+    parameters: paginationParameters.filter(parameter => parameter.name === 'limit'),
+    responses: {
+        200: { description: 'Deliveries', schema: { type: 'array', items: ref('WebhookDelivery') } },
+        400: 'Error',
+        404: 'Error',
+    },
+}), validate(subscriptionIdParams), async (req, res) => {
+    const { limit, error } = parsePagination(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        if (!(await webhookService.findSubscription(req.params.id))) {
+            return res.status(404).json({ error: 'Webhook subscription not found' });
+        }
+        res.status(200).json(await webhookService.listDeliveries(req.params.id, { limit }));
+    } catch (err) {
+        log.error('Error listing webhook deliveries', { error: err });
+        res.status(500).json({ error: 'Internal server error listing webhook deliveries' });
+    }
+});
+
+module.exports = router;
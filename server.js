@@ -5,6 +5,13 @@ require('dotenv').config(); // Load environment variables
 
 // Import the Express application instance from app.js
 const app = require('./app');
+const { cleanupWorker, accountPurger } = require('./cleanup');
+const { webhookWorker } = require('./webhooks');
+const { dataExportWorker } = require('./dataExport');
+const { logger } = require('./logging');
+const { readiness, inFlight, config: healthConfig, createGracefulShutdown } = require('./health');
+
+const log = logger.child({ component: 'Server' });
 
 // Get the port from environment variables, defaulting to 3001 (User Service default)
 const port = process.env.USER_SERVICE_PORT || 3001;
@@ -12,22 +19,37 @@ const port = process.env.USER_SERVICE_PORT || 3001;
 // Start the server by calling listen on the imported app instance
 // Store the returned server instance in a variable
 const server = app.listen(port, () => {
-    console.log(`User Service listening at http://localhost:${port}`);
-    // Optional: Log other relevant environment variables at startup
-    console.log(`  -> SUPABASE_URL: ${process.env.SUPABASE_URL ? 'Loaded' : 'Not Set!'}`);
-    console.log(`  -> SUPABASE_KEY: ${process.env.SUPABASE_KEY ? 'Loaded' : 'Not Set!'}`);
-    console.log(`  -> PROPERTIES_SERVICE_URL: ${process.env.PROPERTIES_SERVICE_URL || 'Not Set!'}`);
+    // Log other relevant configuration at startup (never the secrets themselves)
+    log.info('User Service listening', {
+        url: `http://localhost:${port}`,
+        userStore: process.env.USER_STORE || 'supabase',
+        supabaseUrl: process.env.SUPABASE_URL ? 'Loaded' : 'Not Set!',
+        supabaseKey: process.env.SUPABASE_KEY ? 'Loaded' : 'Not Set!',
+        propertiesServiceUrl: process.env.PROPERTIES_SERVICE_URL || 'Not Set!',
+    });
 });
 
-// Optional: Handle graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('SIGTERM signal received: closing HTTP server');
-    // Use the 'server' instance to close
-    server.close(() => {
-        console.log('HTTP server closed');
-        process.exit(0);
-    });
+// Process pending downstream cleanup jobs for deleted users in the background,
+// and purge soft-deleted accounts whose grace period has expired
+cleanupWorker.start();
+accountPurger.start();
+// Deliver queued webhook events with retries
+webhookWorker.start();
+// Build requested personal data exports
+dataExportWorker.start();
+
+// Graceful shutdown on SIGTERM/SIGINT: fail readiness, stop the workers and let in-flight
+// requests finish within SHUTDOWN_DEADLINE_MS before forcing the exit (see health/shutdown.js)
+const gracefulShutdown = createGracefulShutdown({
+    server,
+    readiness,
+    inFlight,
+    workers: [cleanupWorker, accountPurger, webhookWorker, dataExportWorker],
+    deadlineMs: healthConfig.deadlineMs,
+    delayMs: healthConfig.delayMs,
+    log,
 });
+gracefulShutdown.install();
 
 // EXPORT the server instance so other modules (like tests) can access it
 module.exports = server;
\ No newline at end of file
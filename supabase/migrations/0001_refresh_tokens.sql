@@ -0,0 +1,15 @@
+-- Refresh tokens issued by POST /authenticate and rotated by POST /token/refresh.
+-- Only the SHA-256 hash of each token is stored.
+create table if not exists refresh_tokens (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references users(id) on delete cascade,
+    family_id uuid not null,
+    token_hash text not null unique,
+    expires_at timestamptz not null,
+    revoked_at timestamptz,
+    replaced_by uuid,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists refresh_tokens_family_id_idx on refresh_tokens (family_id);
+create index if not exists refresh_tokens_user_id_idx on refresh_tokens (user_id);
@@ -0,0 +1,14 @@
+-- Email verification. New accounts start unverified (email_verified_at is null);
+-- accounts that existed before verification was introduced are treated as verified.
+alter table users add column if not exists email_verified_at timestamptz;
+update users set email_verified_at = created_at where email_verified_at is null;
+
+-- One row per verification email sent, used to throttle POST /verify-email/resend.
+create table if not exists email_verifications (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references users(id) on delete cascade,
+    sent_at timestamptz not null default now(),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists email_verifications_user_id_idx on email_verifications (user_id, sent_at desc);
@@ -0,0 +1,18 @@
+-- Outbox of downstream cleanup jobs created by DELETE /profiles/:userId.
+-- No foreign key to users: the jobs outlive the user row they clean up after.
+create table if not exists cleanup_jobs (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null,
+    target text not null,
+    status text not null default 'pending' check (status in ('pending', 'running', 'succeeded', 'failed')),
+    attempts integer not null default 0,
+    next_attempt_at timestamptz,
+    locked_until timestamptz,
+    last_error text,
+    completed_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists cleanup_jobs_status_idx on cleanup_jobs (status, next_attempt_at);
+create index if not exists cleanup_jobs_user_id_idx on cleanup_jobs (user_id);
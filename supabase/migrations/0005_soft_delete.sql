@@ -0,0 +1,5 @@
+-- Soft delete: DELETE /profiles/:userId sets deleted_at; the purge job removes
+-- the row once the grace period has passed.
+alter table users add column if not exists deleted_at timestamptz;
+
+create index if not exists users_deleted_at_idx on users (deleted_at) where deleted_at is not null;
@@ -0,0 +1,28 @@
+-- Outgoing webhook subscriptions and their delivery log / retry queue.
+create table if not exists webhook_subscriptions (
+    id uuid primary key default gen_random_uuid(),
+    url text not null,
+    events text[] not null,
+    secret text not null,
+    active boolean not null default true,
+    created_at timestamptz not null default now()
+);
+
+create table if not exists webhook_deliveries (
+    id uuid primary key default gen_random_uuid(),
+    subscription_id uuid not null,
+    event text not null,
+    payload jsonb not null,
+    status text not null default 'pending' check (status in ('pending', 'running', 'succeeded', 'failed')),
+    attempts integer not null default 0,
+    next_attempt_at timestamptz,
+    locked_until timestamptz,
+    last_status_code integer,
+    last_error text,
+    completed_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists webhook_deliveries_status_idx on webhook_deliveries (status, next_attempt_at);
+create index if not exists webhook_deliveries_subscription_idx on webhook_deliveries (subscription_id, created_at desc);
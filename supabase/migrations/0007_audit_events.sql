@@ -0,0 +1,33 @@
+-- Append-only audit trail of mutating operations and logins.
+-- Rows reference users by id only (no foreign key) so history outlives purged accounts.
+create table if not exists audit_events (
+    id uuid primary key default gen_random_uuid(),
+    seq bigint generated always as identity,
+    action text not null,
+    actor_id uuid,
+    actor_role text,
+    target_user_id uuid,
+    changes jsonb,
+    metadata jsonb,
+    request_id text,
+    ip text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists audit_events_created_idx on audit_events (created_at desc, seq desc);
+create index if not exists audit_events_actor_idx on audit_events (actor_id, created_at desc);
+create index if not exists audit_events_target_idx on audit_events (target_user_id, created_at desc);
+create index if not exists audit_events_action_idx on audit_events (action, created_at desc);
+
+-- Reject updates and deletes (truncate, e.g. when resetting a test database, is still allowed).
+create or replace function reject_audit_event_changes() returns trigger
+language plpgsql as $$
+begin
+    raise exception 'audit_events is append-only';
+end;
+$$;
+
+drop trigger if exists audit_events_append_only on audit_events;
+create trigger audit_events_append_only
+    before update or delete on audit_events
+    for each row execute function reject_audit_event_changes();
@@ -0,0 +1,2 @@
+-- Request ID that queued each cleanup job, forwarded as X-Request-ID on its downstream calls.
+alter table cleanup_jobs add column if not exists request_id text;
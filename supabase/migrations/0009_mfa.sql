@@ -0,0 +1,22 @@
+-- TOTP two-factor authentication (see auth/mfaService.js).
+-- One authenticator per user; confirmed_at stays null until enrollment is confirmed with a code.
+-- secret_encrypted is AES-256-GCM encrypted with MFA_ENCRYPTION_KEY. last_used_step is the
+-- TOTP time step of the last accepted code, so a code cannot be replayed.
+create table if not exists mfa_factors (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null unique references users(id) on delete cascade,
+    secret_encrypted text not null,
+    confirmed_at timestamptz,
+    last_used_step bigint not null default 0,
+    created_at timestamptz not null default now()
+);
+
+-- One-time recovery codes, stored as SHA-256 hashes and deleted when used.
+create table if not exists mfa_recovery_codes (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references users(id) on delete cascade,
+    code_hash text not null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists mfa_recovery_codes_user_id_idx on mfa_recovery_codes (user_id, code_hash);
@@ -0,0 +1,15 @@
+-- Login sessions (see auth/sessionService.js). One row per successful login; the id is
+-- the family_id of the refresh tokens issued for it and the "sid" claim of its access tokens.
+create table if not exists sessions (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references users(id) on delete cascade,
+    user_agent text,
+    ip text,
+    created_at timestamptz not null default now(),
+    last_seen_at timestamptz not null default now(),
+    expires_at timestamptz not null,
+    revoked_at timestamptz,
+    revoked_reason text
+);
+
+create index if not exists sessions_user_id_idx on sessions (user_id, last_seen_at desc);
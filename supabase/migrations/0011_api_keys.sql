@@ -0,0 +1,14 @@
+-- API keys for internal callers (see auth/apiKeyService.js). Only the SHA-256 hash of a key
+-- is stored; key_prefix is kept to recognise keys in listings.
+create table if not exists api_keys (
+    id uuid primary key default gen_random_uuid(),
+    name text not null,
+    key_prefix text not null,
+    key_hash text not null unique,
+    scopes jsonb not null default '[]'::jsonb,
+    created_by uuid,
+    expires_at timestamptz,
+    last_used_at timestamptz,
+    revoked_at timestamptz,
+    created_at timestamptz not null default now()
+);
@@ -0,0 +1,3 @@
+-- Users created by a bulk import without a password hash are invited to choose one
+-- (see bulk/profileImport.js); until then they have no hash and cannot log in.
+alter table users alter column password_hash drop not null;
@@ -0,0 +1,22 @@
+-- Personal data exports (see dataExport/service.js). The archive is kept until expires_at,
+-- then dropped by the export worker; the row stays as a record of the request.
+-- No foreign key to users: the record of a request outlives the account.
+create table if not exists data_exports (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null,
+    requested_by uuid,
+    status text not null default 'pending' check (status in ('pending', 'running', 'completed', 'failed', 'expired')),
+    attempts integer not null default 0,
+    archive jsonb,
+    next_attempt_at timestamptz,
+    locked_until timestamptz,
+    last_error text,
+    completed_at timestamptz,
+    expires_at timestamptz,
+    request_id text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists data_exports_user_id_idx on data_exports (user_id, created_at desc);
+create index if not exists data_exports_status_idx on data_exports (status, next_attempt_at);
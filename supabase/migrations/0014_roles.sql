@@ -0,0 +1,24 @@
+-- Roles and their permissions as data (see auth/roleService.js). The seed reproduces the
+-- original model: 'user' grants nothing beyond a user's own profile, 'admin' grants everything.
+-- The service resolves 'admin' to every permission it knows, whatever the stored list says.
+create table if not exists roles (
+    id uuid primary key default gen_random_uuid(),
+    name text not null unique,
+    description text,
+    permissions jsonb not null default '[]'::jsonb,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+insert into roles (name, description, permissions) values
+    ('user', 'Every user; access to their own profile only', '[]'::jsonb),
+    ('admin', 'Full access', '["profiles:read", "profiles:write", "profiles:delete", "profiles:import", "profiles:export", "roles:assign", "roles:manage", "sessions:manage", "mfa:reset", "audit:read", "webhooks:manage", "api_keys:manage"]'::jsonb)
+on conflict (name) do nothing;
+
+-- Users hold one or more roles; users.role stays as the primary role (roles[1]) for
+-- callers that only know a single role (see repositories/roles.js).
+alter table users add column if not exists roles text[] not null default '{user}';
+update users set roles = array[role] where role is not null and roles = '{user}' and role <> 'user';
+alter table users drop constraint if exists users_role_check;
+
+create index if not exists users_roles_idx on users using gin (roles);
@@ -0,0 +1,12 @@
+-- Optional profile details editable by the user (see routes/profileFields.js) and the URL
+-- of their avatar thumbnails (see avatars/). notification_preferences always holds every
+-- channel; the default matches NOTIFICATION_DEFAULTS in repositories/memoryUserRepository.js.
+alter table users
+    add column if not exists display_name text,
+    add column if not exists bio text,
+    add column if not exists phone text,
+    add column if not exists locale text,
+    add column if not exists timezone text,
+    add column if not exists notification_preferences jsonb not null
+        default '{"email": true, "sms": false, "push": true, "marketing": false}'::jsonb,
+    add column if not exists avatar_url text;
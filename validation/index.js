@@ -0,0 +1,70 @@
+// validation/index.js
+// Declarative request validation. A schema maps request locations (body, params,
+// query) to { field: rule } objects built from validation/rules.js:
+//
+//   app.post('/register', validate({ body: { username: usernameRule, email: email(), password: password() } }), handler)
+//
+// Invalid requests get a 400 response listing every problem:
+//   { error: '<summary>', details: [{ location, field, message }] }
+// The summary is `missingMessage` when a required field is absent (and one was given),
+// the single message when only one field failed, or 'Request validation failed'.
+const rules = require('./rules');
+const { password, checkPassword } = require('./passwordPolicy');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'Validation' });
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+function isMissing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// Returns the list of problems with `req` according to `schema`.
+function check(schema, req) {
+    const details = [];
+    for (const location of LOCATIONS) {
+        const fields = schema[location];
+        if (!fields) continue;
+        const source = req[location] || {};
+        for (const [field, fieldRule] of Object.entries(fields)) {
+            const value = source[field];
+            if (isMissing(value)) {
+                if (!fieldRule.optional) details.push({ location, field, message: `${field} is required`, missing: true });
+                continue;
+            }
+            const message = fieldRule.validate(value, field);
+            if (message) details.push({ location, field, message });
+        }
+    }
+    return details;
+}
+
+function summarize(details, missingMessage) {
+    if (missingMessage && details.some(detail => detail.missing)) return missingMessage;
+    if (details.length === 1) return details[0].message;
+    return 'Request validation failed';
+}
+
+function validationErrorBody(details, missingMessage) {
+    return {
+        error: summarize(details, missingMessage),
+        details: details.map(({ location, field, message }) => ({ location, field, message })),
+    };
+}
+
+// Express middleware enforcing `schema`. Options: { missingMessage }.
+// The schema stays attached to the middleware so the OpenAPI document can describe the request.
+function validate(schema, { missingMessage } = {}) {
+    const middleware = (req, res, next) => {
+        const details = check(schema, req);
+        if (details.length > 0) {
+            log.info('Request rejected', { method: req.method, path: req.path, fields: details.map(d => `${d.location}.${d.field}`) });
+            return res.status(400).json(validationErrorBody(details, missingMessage));
+        }
+        next();
+    };
+    middleware.requestSchema = schema;
+    return middleware;
+}
+
+module.exports = { validate, check, validationErrorBody, password, checkPassword, ...rules };
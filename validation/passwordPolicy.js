@@ -0,0 +1,63 @@
+// validation/passwordPolicy.js
+// Configurable password strength rules applied wherever a new password is chosen
+// (registration, password change, password reset).
+//
+// Configuration (environment):
+//   PASSWORD_MIN_LENGTH         default 8
+//   PASSWORD_MAX_LENGTH         default 72 (bcrypt ignores anything longer)
+//   PASSWORD_REQUIRE_UPPERCASE  'true' to require an upper-case letter
+//   PASSWORD_REQUIRE_LOWERCASE  'true' to require a lower-case letter
+//   PASSWORD_REQUIRE_DIGIT      'true' to require a digit
+//   PASSWORD_REQUIRE_SYMBOL     'true' to require a character that is not a letter or digit
+require('dotenv').config();
+const { rule } = require('./rules');
+
+function configFromEnv(env = process.env) {
+    return {
+        minLength: parseInt(env.PASSWORD_MIN_LENGTH, 10) || 8,
+        maxLength: parseInt(env.PASSWORD_MAX_LENGTH, 10) || 72,
+        requireUppercase: env.PASSWORD_REQUIRE_UPPERCASE === 'true',
+        requireLowercase: env.PASSWORD_REQUIRE_LOWERCASE === 'true',
+        requireDigit: env.PASSWORD_REQUIRE_DIGIT === 'true',
+        requireSymbol: env.PASSWORD_REQUIRE_SYMBOL === 'true',
+    };
+}
+
+// Returns the list of unmet requirements (empty when the password is acceptable).
+function checkPassword(password, policy = configFromEnv()) {
+    const problems = [];
+    if (password.length < policy.minLength) problems.push(`at least ${policy.minLength} characters`);
+    if (Buffer.byteLength(password, 'utf8') > policy.maxLength) problems.push(`at most ${policy.maxLength} bytes`);
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) problems.push('an upper-case letter');
+    if (policy.requireLowercase && !/[a-z]/.test(password)) problems.push('a lower-case letter');
+    if (policy.requireDigit && !/[0-9]/.test(password)) problems.push('a digit');
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) problems.push('a symbol');
+    return problems;
+}
+
+function describePolicy(policy) {
+    const required = [
+        policy.requireUppercase && 'an upper-case letter',
+        policy.requireLowercase && 'a lower-case letter',
+        policy.requireDigit && 'a digit',
+        policy.requireSymbol && 'a symbol',
+    ].filter(Boolean);
+    const base = `${policy.minLength} to ${policy.maxLength} bytes`;
+    return `Password policy: ${base}${required.length > 0 ? `, containing ${required.join(', ')}` : ''}.`;
+}
+
+// Schema rule enforcing the policy.
+function password(policy = configFromEnv()) {
+    return rule((value, field) => {
+        if (typeof value !== 'string') return `${field} must be a string`;
+        const problems = checkPassword(value, policy);
+        return problems.length > 0 ? `${field} must contain ${problems.join(', ')}` : null;
+    }, {
+        type: 'string',
+        format: 'password',
+        minLength: policy.minLength,
+        description: describePolicy(policy),
+    });
+}
+
+module.exports = { password, checkPassword, configFromEnv };
@@ -0,0 +1,120 @@
+// validation/rules.js
+// Building blocks for request schemas. A rule is { optional, validate(value, field), schema },
+// where validate returns null when the value is acceptable or a sentence describing
+// the problem, and schema is the equivalent JSON Schema used in the OpenAPI document
+// (see openapi/). Rules are required unless wrapped in optional().
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function rule(validate, schema = {}) {
+    return { optional: false, validate, schema };
+}
+
+function optional(base) {
+    return { ...base, optional: true };
+}
+
+// Also accepts null, for optional fields a client may clear.
+function nullable(base) {
+    return {
+        ...base,
+        validate: (value, field) => (value === null ? null : base.validate(value, field)),
+        schema: { ...base.schema, nullable: true },
+    };
+}
+
+function string({ min = 1, max = Infinity, pattern, patternMessage } = {}) {
+    return rule((value, field) => {
+        if (typeof value !== 'string') return `${field} must be a string`;
+        if (value.length < min) return min === 1 ? `${field} must not be empty` : `${field} must be at least ${min} characters`;
+        if (value.length > max) return `${field} must be at most ${max} characters`;
+        if (pattern && !pattern.test(value)) return `${field} ${patternMessage || 'has an invalid format'}`;
+        return null;
+    }, {
+        type: 'string',
+        minLength: min,
+        ...(max !== Infinity ? { maxLength: max } : {}),
+        ...(pattern ? { pattern: pattern.source } : {}),
+    });
+}
+
+function email() {
+    return rule((value, field) => (
+        typeof value === 'string' && value.length <= 254 && EMAIL_PATTERN.test(value)
+            ? null
+            : `${field} must be a valid email address`
+    ), { type: 'string', format: 'email', maxLength: 254 });
+}
+
+function uuid() {
+    return rule((value, field) => (typeof value === 'string' && UUID_PATTERN.test(value) ? null : `${field} must be a valid UUID`), {
+        type: 'string',
+        format: 'uuid',
+    });
+}
+
+function oneOf(values, message) {
+    return rule((value, field) => (values.includes(value) ? null : message || `${field} must be one of: ${values.join(', ')}`), {
+        type: 'string',
+        enum: values,
+    });
+}
+
+function httpUrl() {
+    return rule((value, field) => {
+        try {
+            if (['http:', 'https:'].includes(new URL(value).protocol)) return null;
+        } catch (err) {
+            // fall through
+        }
+        return `${field} must be an http(s) URL`;
+    }, { type: 'string', format: 'uri' });
+}
+
+function isoDate() {
+    return rule((value, field) => (
+        typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? null : `${field} must be an ISO-8601 date`
+    ), { type: 'string', format: 'date-time' });
+}
+
+function boolean() {
+    return rule((value, field) => (typeof value === 'boolean' ? null : `${field} must be true or false`), { type: 'boolean' });
+}
+
+// Non-empty array whose items all pass `item`.
+function arrayOf(item, { min = 1 } = {}) {
+    return rule((value, field) => {
+        if (!Array.isArray(value) || value.length < min) return `${field} must be an array with at least ${min} item(s)`;
+        for (let i = 0; i < value.length; i++) {
+            const message = item.validate(value[i], `${field}[${i}]`);
+            if (message) return message;
+        }
+        return null;
+    }, { type: 'array', items: item.schema, minItems: min });
+}
+
+// Object whose keys are all in `properties` ({ key: rule }) and whose values pass the rule
+// of their key. Every key may be left out.
+function objectOf(properties) {
+    return rule((value, field) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return `${field} must be an object`;
+        for (const [key, item] of Object.entries(value)) {
+            if (!properties[key]) return `${field}.${key} is not one of: ${Object.keys(properties).join(', ')}`;
+            const message = properties[key].validate(item, `${field}.${key}`);
+            if (message) return message;
+        }
+        return null;
+    }, {
+        type: 'object',
+        properties: Object.fromEntries(Object.entries(properties).map(([key, item]) => [key, item.schema])),
+        additionalProperties: false,
+    });
+}
+
+// Accepts any value (used for fields checked elsewhere).
+function any() {
+    return rule(() => null);
+}
+
+module.exports = { rule, optional, nullable, string, email, uuid, oneOf, httpUrl, isoDate, boolean, arrayOf, objectOf, any, UUID_PATTERN, EMAIL_PATTERN };
@@ -0,0 +1,79 @@
+// validation/schemas.js
+// Field rules shared by several routes, so a username or user ID is checked the same way everywhere.
+const { rule, string, email, uuid, arrayOf, boolean, objectOf } = require('./rules');
+const { password } = require('./passwordPolicy');
+
+// Name of a role. Whether the role exists is checked against the roles table (see auth/roleService.js).
+const roleName = string({
+    max: 50,
+    pattern: /^[a-z][a-z0-9_-]*$/,
+    patternMessage: 'must start with a lowercase letter and contain only lowercase letters, digits, "_" and "-"',
+});
+
+// BCP 47 language tag such as "en" or "pt-BR"
+const locale = rule((value, field) => {
+    if (typeof value === 'string' && value.length <= 35) {
+        try {
+            Intl.getCanonicalLocales(value);
+            return null;
+        } catch (err) {
+            // fall through
+        }
+    }
+    return `${field} must be a language tag such as en or pt-BR`;
+}, { type: 'string', maxLength: 35 });
+
+// IANA time zone name such as "Europe/Paris"
+const timeZone = rule((value, field) => {
+    if (typeof value === 'string' && value.length <= 64) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: value });
+            return null;
+        } catch (err) {
+            // fall through
+        }
+    }
+    return `${field} must be an IANA time zone such as Europe/Paris`;
+}, { type: 'string', maxLength: 64 });
+
+const fields = {
+    userId: uuid(),
+    username: string({
+        min: 3,
+        max: 30,
+        pattern: /^[A-Za-z0-9_.-]+$/,
+        patternMessage: 'may only contain letters, digits, ".", "_" and "-"',
+    }),
+    email: email(),
+    // Username or email used to sign in
+    identifier: string({ max: 254 }),
+    role: roleName,
+    // Every role a user holds, at least one
+    roles: arrayOf(roleName),
+    // Optional profile details (see routes/profileFields.js)
+    displayName: string({ max: 100 }),
+    bio: string({ max: 500 }),
+    phone: string({
+        max: 16,
+        pattern: /^\+[1-9]\d{6,14}$/,
+        patternMessage: 'must be an international number in E.164 format, e.g. +14155550123',
+    }),
+    locale,
+    timeZone,
+    // Channels the user agrees to be notified on; keys left out keep their current value
+    notificationPreferences: objectOf({ email: boolean(), sms: boolean(), push: boolean(), marketing: boolean() }),
+    // A new password, checked against the password policy
+    newPassword: password(),
+    // A password being checked against a stored hash; only bounded, never policy-checked
+    existingPassword: string({ max: 1024 }),
+    token: string({ max: 4096 }),
+    // Current code of a TOTP authenticator app
+    totpCode: string({ min: 6, max: 6, pattern: /^\d{6}$/, patternMessage: 'must be a 6-digit code' }),
+    // One-time MFA recovery code (see auth/mfaService.js)
+    recoveryCode: string({ max: 64 }),
+};
+
+// Routes addressing a user by ID
+const userIdParams = { params: { userId: fields.userId } };
+
+module.exports = { fields, userIdParams };
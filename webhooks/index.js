@@ -0,0 +1,39 @@
+// webhooks/index.js
+// Shared webhook service and delivery worker.
+//
+// Configuration (environment):
+//   WEBHOOK_POLL_INTERVAL_MS     delivery worker poll interval (default 5000)
+//   WEBHOOK_TIMEOUT_MS           per-request timeout (default 5000)
+//   WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_BASE_SECONDS, WEBHOOK_RETRY_MAX_SECONDS, WEBHOOK_LEASE_SECONDS
+//                                retry policy, see webhooks/service.js
+require('dotenv').config();
+const { getTable } = require('../repositories/tables');
+const { createPollingWorker } = require('../jobs/pollingWorker');
+const { createWebhookService, WEBHOOK_EVENTS } = require('./service');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'Webhooks' });
+
+// The worker is created first so the service can wake it when deliveries are queued
+let webhookService;
+const webhookWorker = createPollingWorker({
+    name: 'Webhooks',
+    processDue: () => webhookService.processDue(),
+    intervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5000,
+});
+
+webhookService = createWebhookService({
+    subscriptions: getTable('webhook_subscriptions'),
+    deliveries: getTable('webhook_deliveries'),
+    onQueued: () => webhookWorker.wake(),
+});
+
+// Emits an event without ever failing the caller; webhook problems must not break the request.
+async function emitUserEvent(type, data) {
+    try {
+        await webhookService.emit(type, data);
+    } catch (error) {
+        log.error('Failed to queue webhook event', { type, error });
+    }
+}
+
+module.exports = { webhookService, webhookWorker, emitUserEvent, WEBHOOK_EVENTS };
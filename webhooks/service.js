@@ -0,0 +1,177 @@
+// webhooks/service.js
+// Outgoing webhooks for user lifecycle events. Subscriptions live in
+// 'webhook_subscriptions'; every emitted event becomes one row per matching
+// subscription in 'webhook_deliveries', which doubles as the delivery log and
+// as the retry queue (same status/backoff scheme as the cleanup outbox).
+const crypto = require('crypto');
+const axios = require('axios');
+const { signatureHeader } = require('./signature');
+const { logger } = require('../logging');
+const log = logger.child({ component: 'Webhooks' });
+
+const WEBHOOK_EVENTS = ['user.registered', 'user.updated', 'user.role_changed', 'user.deleted'];
+
+function configFromEnv(env = process.env) {
+    return {
+        maxAttempts: parseInt(env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+        retryBaseSeconds: parseInt(env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 10,
+        retryMaxSeconds: parseInt(env.WEBHOOK_RETRY_MAX_SECONDS, 10) || 60 * 60,
+        timeoutMs: parseInt(env.WEBHOOK_TIMEOUT_MS, 10) || 5000,
+        leaseSeconds: parseInt(env.WEBHOOK_LEASE_SECONDS, 10) || 60,
+    };
+}
+
+// Subscription as returned by the API: the secret is only ever shown on creation.
+function toPublicSubscription({ secret, ...subscription }) {
+    return subscription;
+}
+
+async function httpSend({ url, body, headers, timeoutMs }) {
+    const response = await axios.post(url, body, {
+        headers,
+        timeout: timeoutMs,
+        // Resolve for every status; the caller decides what counts as delivered
+        validateStatus: () => true,
+        maxRedirects: 0,
+    });
+    return { status: response.status };
+}
+
+function createWebhookService({ subscriptions, deliveries, send = httpSend, onQueued = () => {}, config = configFromEnv(), now = () => Date.now() }) {
+    const isoNow = () => new Date(now()).toISOString();
+
+    function isDue(delivery) {
+        if (delivery.status === 'pending') return Date.parse(delivery.next_attempt_at) <= now();
+        if (delivery.status === 'running') return Date.parse(delivery.locked_until) <= now();
+        return false;
+    }
+
+    function backoffSeconds(attempts) {
+        return Math.min(config.retryBaseSeconds * 2 ** (attempts - 1), config.retryMaxSeconds);
+    }
+
+    async function claim(delivery) {
+        const claimed = await deliveries.update(
+            { id: delivery.id, status: delivery.status, attempts: delivery.attempts },
+            { status: 'running', locked_until: new Date(now() + config.leaseSeconds * 1000).toISOString(), updated_at: isoNow() }
+        );
+        return claimed.length > 0;
+    }
+
+    async function deliver(delivery) {
+        const attempts = delivery.attempts + 1;
+        let statusCode = null;
+        try {
+            const subscription = await subscriptions.findOne({ id: delivery.subscription_id });
+            if (!subscription || !subscription.active) throw new Error('Subscription no longer active');
+
+            const body = JSON.stringify(delivery.payload);
+            const { status } = await send({
+                url: subscription.url,
+                body,
+                timeoutMs: config.timeoutMs,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'user-service-webhooks',
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Id': delivery.payload.id,
+                    'X-Webhook-Delivery': delivery.id,
+                    'X-Webhook-Signature': signatureHeader(subscription.secret, body, Math.floor(now() / 1000)),
+                },
+            });
+            statusCode = status;
+            if (status < 200 || status >= 300) throw new Error(`Subscriber responded with HTTP ${status}`);
+
+            await deliveries.update({ id: delivery.id }, {
+                status: 'succeeded', attempts, last_status_code: statusCode, last_error: null,
+                locked_until: null, completed_at: isoNow(), updated_at: isoNow(),
+            });
+        } catch (error) {
+            const exhausted = attempts >= config.maxAttempts;
+            await deliveries.update({ id: delivery.id }, {
+                status: exhausted ? 'failed' : 'pending',
+                attempts,
+                last_status_code: statusCode,
+                last_error: error.message,
+                locked_until: null,
+                next_attempt_at: exhausted ? null : new Date(now() + backoffSeconds(attempts) * 1000).toISOString(),
+                completed_at: exhausted ? isoNow() : null,
+                updated_at: isoNow(),
+            });
+            log.warn('Webhook delivery failed', { deliveryId: delivery.id, event: delivery.event, attempts, maxAttempts: config.maxAttempts, error: error.message });
+        }
+    }
+
+    return {
+        async createSubscription({ url, events, secret }) {
+            const subscription = await subscriptions.insert({
+                url,
+                events,
+                secret: secret || `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+                active: true,
+            });
+            return subscription;
+        },
+
+        async listSubscriptions() {
+            return (await subscriptions.find({}, { orderBy: 'created_at' })).map(toPublicSubscription);
+        },
+
+        async findSubscription(id) {
+            const subscription = await subscriptions.findOne({ id });
+            return subscription ? toPublicSubscription(subscription) : null;
+        },
+
+        // Returns true when a subscription was removed. Its delivery log is kept.
+        async deleteSubscription(id) {
+            return (await subscriptions.remove({ id })).length > 0;
+        },
+
+        // Most recent deliveries of a subscription first.
+        async listDeliveries(subscriptionId, { limit = 50 } = {}) {
+            return deliveries.find({ subscription_id: subscriptionId }, { orderBy: 'created_at', ascending: false, limit });
+        },
+
+        // Queues `type` for every active subscription listening to it. Returns the event id.
+        async emit(type, data) {
+            const event = { id: crypto.randomUUID(), type, created_at: isoNow(), data };
+            const targets = (await subscriptions.find({ active: true }))
+                .filter(subscription => subscription.events.includes(type));
+            for (const subscription of targets) {
+                await deliveries.insert({
+                    subscription_id: subscription.id,
+                    event: type,
+                    payload: event,
+                    status: 'pending',
+                    attempts: 0,
+                    next_attempt_at: isoNow(),
+                    locked_until: null,
+                    last_status_code: null,
+                    last_error: null,
+                    completed_at: null,
+                    updated_at: isoNow(),
+                });
+            }
+            if (targets.length > 0) onQueued();
+            return event.id;
+        },
+
+        // Attempts every delivery that is due. Returns the number attempted.
+        async processDue() {
+            const candidates = [
+                ...(await deliveries.find({ status: 'pending' })),
+                ...(await deliveries.find({ status: 'running' })),
+            ].filter(isDue);
+
+            let attempted = 0;
+            for (const delivery of candidates) {
+                if (!(await claim(delivery))) continue;
+                await deliver(delivery);
+                attempted += 1;
+            }
+            return attempted;
+        },
+    };
+}
+
+module.exports = { createWebhookService, configFromEnv, WEBHOOK_EVENTS };
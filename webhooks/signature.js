@@ -0,0 +1,29 @@
+// webhooks/signature.js
+// HMAC signatures for webhook deliveries.
+//
+// Header format: X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+// Receivers should recompute the HMAC with their subscription secret, compare in
+// constant time and reject timestamps outside their tolerance to prevent replays.
+const crypto = require('crypto');
+
+function computeSignature(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function signatureHeader(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${computeSignature(secret, timestamp, body)}`;
+}
+
+// Checks a header produced by signatureHeader. toleranceSeconds bounds the timestamp age.
+function verifySignature(secret, body, header, { toleranceSeconds = 300, now = Math.floor(Date.now() / 1000) } = {}) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+    if (!parts.v1 || !Number.isInteger(timestamp)) return false;
+    if (Math.abs(now - timestamp) > toleranceSeconds) return false;
+
+    const expected = Buffer.from(computeSignature(secret, timestamp, body), 'hex');
+    const actual = Buffer.from(parts.v1, 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = { signatureHeader, verifySignature };